@@ -0,0 +1,370 @@
+#!/usr/bin/env node
+// bin/color-compass.js
+
+/**
+ * Command-line interface for batch palette extraction.
+ *
+ * Decodes PNG/JPEG files locally and runs the same analysis pipeline as the
+ * web app (SLIC → quantizer → analyzePalette), then writes a palette file next to
+ * each image. Like the web app, nothing leaves the machine.
+ *
+ * Usage:
+ *   color-compass extract <files or folders...> [options]
+ */
+
+import { readFileSync, writeFileSync, readdirSync, statSync } from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { PNG } from 'pngjs';
+import jpeg from 'jpeg-js';
+import { analyzeImage, DEFAULT_PIPELINE_PARAMS } from '../frontend/js/pipeline.js';
+import { hexToRgb, rgbToHex, COLOR_SPACES, DISTANCE_METRICS } from '../frontend/js/colorUtils.js';
+import { getQuantizerNames } from '../frontend/js/quantizers.js';
+import { getPaletteSortNames } from '../frontend/js/paletteSorting.js';
+import { getPaletteExporterNames, exportPalette } from '../frontend/js/paletteExporters.js';
+import { serializeAnalysisReport } from '../frontend/js/report.js';
+import { buildCollectionAnalysis } from '../frontend/js/collectionPalette.js';
+import { DEFAULT_COLOR_NAMES, getColorDictionaryNames, registerColorDictionary, parseColorDictionary, nameColors } from '../frontend/js/colorNaming.js';
+import { PIXEL_COLOR_SPACES } from '../frontend/js/displayP3.js';
+
+const SUPPORTED_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+
+// Same limit as getCanvasPixelData() in the browser, so results match the web app
+const DEFAULT_MAX_PIXELS = 2000000;
+
+/**
+ * Output formats: file suffix and serializer (palette analysis, palette name, image metadata → file content).
+ * json is the versioned analysis report (see report.js); every format of paletteExporters.js is available too.
+ */
+const FORMATS = {
+  json: {
+    suffix: '_palette.json',
+    serialize: (analysis, paletteName, image) => serializeAnalysisReport(analysis, image)
+  },
+  ...Object.fromEntries(getPaletteExporterNames().map(name => [name, {
+    suffix: '_palette' + exportPalette([], name).extension,
+    serialize: (analysis, paletteName) => exportPalette(analysis.palette, name, { name: paletteName }).content
+  }]))
+};
+
+const USAGE = `Usage: color-compass extract <files or folders...> [options]
+
+Extracts a color palette from each PNG/JPEG image and writes it next to the image.
+Folders are searched recursively.
+
+Options:
+  --size <n>             Target palette size (default: ${DEFAULT_PIPELINE_PARAMS.targetPaletteSize})
+  --colors <n>           Initial color count (default: ${DEFAULT_PIPELINE_PARAMS.dominantColors})
+  --quantizer <name>     Initial color quantizer: ${getQuantizerNames().join(', ')} (default: ${DEFAULT_PIPELINE_PARAMS.quantizer})
+  --superpixels <n>      SLIC superpixel count (default: ${DEFAULT_PIPELINE_PARAMS.superpixelCount})
+  --compactness <n>      SLIC compactness (default: ${DEFAULT_PIPELINE_PARAMS.superpixelCompactness})
+  --max-hidden <n>       Maximum hidden colors (default: ${DEFAULT_PIPELINE_PARAMS.maxHiddenColors})
+  --max-backgrounds <n>  Maximum background colors (default: ${DEFAULT_PIPELINE_PARAMS.maxBackgrounds})
+  --space <name>         Clustering color space: ${Object.keys(COLOR_SPACES).join(', ')} (default: ${DEFAULT_PIPELINE_PARAMS.clusteringSpace})
+  --metric <name>        Color distance: ${Object.keys(DISTANCE_METRICS).join(', ')} (default: ${DEFAULT_PIPELINE_PARAMS.distanceMetric})
+  --delta-e              Same as --metric deltaE76
+  --sort <name>          Palette order: ${getPaletteSortNames().join(', ')} (default: ${DEFAULT_PIPELINE_PARAMS.paletteSort})
+  --matte <hex>          Composite transparent images over this color instead of ignoring transparent pixels
+  --color-space <name>   Color space of the pixel values: ${PIXEL_COLOR_SPACES.join(', ')} (default: ${DEFAULT_PIPELINE_PARAMS.colorSpace});
+                         embedded color profiles are not read, so use display-p3 for photos saved in Display P3
+  --format <name>        Output format: ${Object.keys(FORMATS).join(', ')} (default: json)
+  --out-dir <dir>        Write palette files to this folder instead of next to each image
+  --collection <name>    Also merge all palettes into one collection palette, written as
+                         <name>_palette.<ext> to --out-dir (or the current folder)
+  --names <name>         Color names in the output: ${getColorDictionaryNames().join(', ')}, none (default: ${DEFAULT_COLOR_NAMES})
+  --names-file <path>    Name colors with this dictionary instead (JSON, GIMP palette or "name #hex" lines)
+  --max-pixels <n>       Downsample larger images to this many pixels (default: ${DEFAULT_MAX_PIXELS})
+  --verbose              Print algorithm progress logs
+  -h, --help             Show this help
+`;
+
+/**
+ * Decodes a PNG or JPEG file into RGBA pixel data.
+ * @param {string} filePath - Path of the image file.
+ * @returns {{data: Uint8Array, width: number, height: number}} Decoded image.
+ */
+function decodeImage (filePath) {
+  const buffer = readFileSync(filePath);
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === '.png') {
+    const png = PNG.sync.read(buffer);
+    return { data: new Uint8Array(png.data.buffer, png.data.byteOffset, png.data.length), width: png.width, height: png.height };
+  }
+  if (extension === '.jpg' || extension === '.jpeg') {
+    const image = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+    return { data: image.data, width: image.width, height: image.height };
+  }
+  throw new Error(`Unsupported image type: ${extension}`);
+}
+
+/**
+ * Downsamples RGBA pixel data with box averaging so it has at most maxPixels pixels.
+ * @param {{data: Uint8Array, width: number, height: number}} image - Decoded image.
+ * @param {number} maxPixels - Maximum number of pixels.
+ * @returns {{data: Uint8Array, width: number, height: number}} The original or a downsampled image.
+ */
+function limitImageSize (image, maxPixels) {
+  const { data, width, height } = image;
+  if (width * height <= maxPixels) return image;
+
+  const scale = Math.sqrt(maxPixels / (width * height));
+  const newWidth = Math.max(1, Math.floor(width * scale));
+  const newHeight = Math.max(1, Math.floor(height * scale));
+  const output = new Uint8Array(newWidth * newHeight * 4);
+  const xRatio = width / newWidth;
+  const yRatio = height / newHeight;
+
+  for (let y = 0; y < newHeight; y++) {
+    const srcY = Math.floor(y * yRatio);
+    const srcEndY = Math.min(height, Math.max(srcY + 1, Math.floor((y + 1) * yRatio)));
+    for (let x = 0; x < newWidth; x++) {
+      const srcX = Math.floor(x * xRatio);
+      const srcEndX = Math.min(width, Math.max(srcX + 1, Math.floor((x + 1) * xRatio)));
+      let sumR = 0, sumG = 0, sumB = 0, sumA = 0, count = 0;
+
+      for (let sy = srcY; sy < srcEndY; sy++) {
+        for (let sx = srcX; sx < srcEndX; sx++) {
+          const idx = (sy * width + sx) * 4;
+          sumR += data[idx];
+          sumG += data[idx + 1];
+          sumB += data[idx + 2];
+          sumA += data[idx + 3];
+          count++;
+        }
+      }
+
+      const dstIdx = (y * newWidth + x) * 4;
+      output[dstIdx] = Math.round(sumR / count);
+      output[dstIdx + 1] = Math.round(sumG / count);
+      output[dstIdx + 2] = Math.round(sumB / count);
+      output[dstIdx + 3] = Math.round(sumA / count);
+    }
+  }
+
+  return { data: output, width: newWidth, height: newHeight };
+}
+
+/**
+ * Expands the positional arguments into a list of image files (folders are searched recursively).
+ * @param {string[]} inputs - Files and folders from the command line.
+ * @returns {string[]} Image file paths.
+ */
+function collectImageFiles (inputs) {
+  const files = [];
+
+  const visit = (entryPath, isExplicit) => {
+    const stats = statSync(entryPath);
+    if (stats.isDirectory()) {
+      readdirSync(entryPath).sort().forEach(name => visit(path.join(entryPath, name), false));
+    } else if (SUPPORTED_EXTENSIONS.includes(path.extname(entryPath).toLowerCase())) {
+      files.push(entryPath);
+    } else if (isExplicit) {
+      console.warn(`Skipping ${entryPath}: not a PNG or JPEG file.`);
+    }
+  };
+
+  inputs.forEach(input => visit(input, true));
+  return files;
+}
+
+/**
+ * Parses a positive integer option value.
+ */
+function parseIntegerOption (name, value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`--${name} expects a positive integer, got "${value}".`);
+  }
+  return number;
+}
+
+/**
+ * Runs the `extract` command.
+ * @returns {number} Process exit code.
+ */
+function runExtract (inputs, options) {
+  const format = FORMATS[options.format];
+  if (!format) {
+    throw new Error(`Unknown format "${options.format}". Available: ${Object.keys(FORMATS).join(', ')}.`);
+  }
+
+  const params = {};
+  if (options['delta-e']) params.distanceMetric = 'deltaE76';
+  const integerOptions = {
+    size: 'targetPaletteSize',
+    colors: 'dominantColors',
+    superpixels: 'superpixelCount',
+    compactness: 'superpixelCompactness',
+    'max-hidden': 'maxHiddenColors',
+    'max-backgrounds': 'maxBackgrounds'
+  };
+  for (const [option, param] of Object.entries(integerOptions)) {
+    if (options[option] !== undefined) params[param] = parseIntegerOption(option, options[option]);
+  }
+  const choiceOptions = {
+    space: ['clusteringSpace', Object.keys(COLOR_SPACES)],
+    metric: ['distanceMetric', Object.keys(DISTANCE_METRICS)],
+    sort: ['paletteSort', getPaletteSortNames()],
+    'color-space': ['colorSpace', PIXEL_COLOR_SPACES]
+  };
+  for (const [option, [param, choices]] of Object.entries(choiceOptions)) {
+    if (options[option] === undefined) continue;
+    if (!choices.includes(options[option])) {
+      throw new Error(`--${option} expects one of ${choices.join(', ')}, got "${options[option]}".`);
+    }
+    params[param] = options[option];
+  }
+  if (options.quantizer !== undefined) {
+    if (!getQuantizerNames().includes(options.quantizer)) {
+      throw new Error(`Unknown quantizer "${options.quantizer}". Available: ${getQuantizerNames().join(', ')}.`);
+    }
+    params.quantizer = options.quantizer;
+  }
+  if (options.matte !== undefined) {
+    const matteRgb = hexToRgb(options.matte);
+    if (!matteRgb) {
+      throw new Error(`--matte expects a hex color such as #FFFFFF, got "${options.matte}".`);
+    }
+    params.alphaMode = 'matte';
+    // Reports store #RRGGBB (see the schema), whatever form was given
+    params.matteColor = rgbToHex(matteRgb);
+  }
+  let dictionary = DEFAULT_COLOR_NAMES;
+  if (options['names-file'] !== undefined) {
+    const file = options['names-file'];
+    dictionary = path.basename(file, path.extname(file));
+    try {
+      registerColorDictionary(dictionary, parseColorDictionary(readFileSync(file, 'utf8')));
+    } catch (error) {
+      throw new Error(`--names-file could not be read (${file}): ${error.message}`);
+    }
+  } else if (options.names !== undefined) {
+    const choices = [...getColorDictionaryNames(), 'none'];
+    if (!choices.includes(options.names)) {
+      throw new Error(`--names expects one of ${choices.join(', ')}, got "${options.names}".`);
+    }
+    dictionary = options.names === 'none' ? null : options.names;
+  }
+  // Names are added for the output only; the collection merges the unnamed analyses
+  const named = (analysis) => (dictionary ? { ...analysis, palette: nameColors(analysis.palette, dictionary) } : analysis);
+
+  const maxPixels = options['max-pixels'] !== undefined
+    ? parseIntegerOption('max-pixels', options['max-pixels'])
+    : DEFAULT_MAX_PIXELS;
+
+  const files = collectImageFiles(inputs);
+  if (files.length === 0) {
+    console.error('No PNG or JPEG files found.');
+    return 1;
+  }
+
+  // The analysis modules log their progress with console.log; keep stdout clean unless --verbose
+  const log = console.log;
+  if (!options.verbose) console.log = () => {};
+
+  let failures = 0;
+  const analyses = [];
+  try {
+    files.forEach(file => {
+      try {
+        const original = decodeImage(file);
+        const image = limitImageSize(original, maxPixels);
+        const analysis = analyzeImage(image.data, image.width, image.height, params);
+
+        const imageName = path.basename(file, path.extname(file));
+        const outputPath = path.join(options['out-dir'] || path.dirname(file), imageName + format.suffix);
+        writeFileSync(outputPath, format.serialize(named(analysis), imageName, {
+          name: path.basename(file),
+          originalWidth: original.width,
+          originalHeight: original.height
+        }));
+
+        log(`${file} → ${outputPath} (${analysis.palette.length} colors, ${Math.round(analysis.timings.total)} ms)`);
+        if (options.collection) analyses.push(analysis);
+      } catch (error) {
+        failures++;
+        console.error(`Failed to process ${file}: ${error.message}`);
+      }
+    });
+
+    // Collection palette: every image counts equally, colors weighted by their pixel share
+    if (options.collection && analyses.length > 0) {
+      const collection = buildCollectionAnalysis(analyses, analyses[0].params);
+      const outputPath = path.join(options['out-dir'] || '.', options.collection + format.suffix);
+      writeFileSync(outputPath, format.serialize(named(collection), options.collection, {
+        name: options.collection,
+        originalWidth: 0,
+        originalHeight: 0
+      }));
+      log(`${analyses.length} images → ${outputPath} (${collection.palette.length} colors)`);
+    }
+  } finally {
+    console.log = log;
+  }
+
+  return failures > 0 ? 1 : 0;
+}
+
+function main (argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        size: { type: 'string' },
+        colors: { type: 'string' },
+        quantizer: { type: 'string' },
+        superpixels: { type: 'string' },
+        compactness: { type: 'string' },
+        'max-hidden': { type: 'string' },
+        'max-backgrounds': { type: 'string' },
+        space: { type: 'string' },
+        metric: { type: 'string' },
+        sort: { type: 'string' },
+        'delta-e': { type: 'boolean', default: false },
+        matte: { type: 'string' },
+        'color-space': { type: 'string' },
+        format: { type: 'string', default: 'json' },
+        'out-dir': { type: 'string' },
+        collection: { type: 'string' },
+        names: { type: 'string' },
+        'names-file': { type: 'string' },
+        'max-pixels': { type: 'string' },
+        verbose: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    return 2;
+  }
+
+  const [command, ...inputs] = parsed.positionals;
+
+  if (parsed.values.help || !command) {
+    console.log(USAGE);
+    return parsed.values.help ? 0 : 2;
+  }
+  if (command !== 'extract') {
+    console.error(`Unknown command "${command}".`);
+    console.error(USAGE);
+    return 2;
+  }
+  if (inputs.length === 0) {
+    console.error('No input files given.');
+    console.error(USAGE);
+    return 2;
+  }
+
+  try {
+    return runExtract(inputs, parsed.values);
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,225 @@
+/**
+ * Manager for the analysis Web Worker
+ * Runs the full pipeline off the main thread with per-stage progress and cancellation,
+ * and falls back to synchronous processing where module workers are unavailable.
+ */
+
+import { analyzeImage, getVisiblePixels, PIPELINE_STAGES } from './pipeline.js';
+import { computeColorDistanceGrid } from './colorStats.js';
+import { computeSLMaps } from './slMapRenderer.js';
+
+let analysisWorker = null;
+let workerUnavailable = false;
+let currentJob = null; // { jobId, resolve, reject, onProgress, request, cleanup }
+let nextJobId = 1;
+
+const WORKER_URL = new URL('./workers/analysisWorker.js', import.meta.url);
+
+// Initialize the worker
+function initAnalysisWorker() {
+  if (analysisWorker) return analysisWorker;
+  if (workerUnavailable) return null;
+
+  try {
+    analysisWorker = new Worker(WORKER_URL, { type: 'module' });
+
+    analysisWorker.onmessage = function(e) {
+      const { type, data } = e.data;
+      // Ignore messages from jobs that were aborted or replaced
+      if (!currentJob || !data || data.jobId !== currentJob.jobId) return;
+
+      switch (type) {
+        case 'progress':
+          if (currentJob.onProgress) currentJob.onProgress(data.stage, data.progress);
+          break;
+        case 'analysisComplete':
+          finishJob(currentJob, null, data.result);
+          break;
+        case 'error':
+          finishJob(currentJob, new Error(data.message));
+          break;
+      }
+    };
+
+    analysisWorker.onerror = function(error) {
+      // Typically the module worker failed to load (e.g. page opened via file://)
+      console.warn('Analysis Worker error, falling back to sync analysis:', error.message || error);
+      if (error.preventDefault) error.preventDefault();
+      disposeAnalysisWorker();
+      workerUnavailable = true;
+
+      if (currentJob) {
+        const job = currentJob;
+        setTimeout(() => runJobSync(job), 0);
+      }
+    };
+
+    console.log('Analysis Worker initialized');
+    return analysisWorker;
+  } catch (error) {
+    console.warn('Failed to initialize Analysis Worker, falling back to sync analysis:', error);
+    workerUnavailable = true;
+    return null;
+  }
+}
+
+/**
+ * Creates the error used to reject aborted analyses (check with isAbortError).
+ */
+function createAbortError() {
+  const error = new Error('Analysis aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Whether an error comes from an aborted analysis (not a real failure).
+ * @param {Error} error - The rejection reason.
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return !!error && error.name === 'AbortError';
+}
+
+/**
+ * Settles a job exactly once and clears it if it is still the current one.
+ */
+function finishJob(job, error, result) {
+  if (job.settled) return;
+  job.settled = true;
+  job.cleanup();
+  if (currentJob === job) currentJob = null;
+
+  if (error) {
+    job.reject(error);
+  } else {
+    job.resolve(result);
+  }
+}
+
+/**
+ * Runs a job on the main thread (fallback when the worker is unavailable)
+ */
+function runJobSync(job) {
+  if (job.settled) return;
+  try {
+    finishJob(job, null, runAnalysisSync(job.request, job.onProgress));
+  } catch (error) {
+    finishJob(job, error);
+  }
+}
+
+/**
+ * Runs the analysis synchronously on the calling thread.
+ * Produces the same result shape as the worker.
+ * @param {object} request - { pixelData, width, height, params, includeVisualizations, lockedColors }
+ * @param {function(string, number): void} onProgress - Optional progress callback (stage, progress 0-1).
+ * @returns {object} Analysis result (see analyzeImage) plus distanceGrid and slMaps when requested.
+ */
+export function runAnalysisSync(request, onProgress = null) {
+  const { pixelData, width, height, params, includeVisualizations = true, lockedColors = [] } = request;
+  const stageCount = PIPELINE_STAGES.length + (includeVisualizations ? 2 : 0);
+  const report = (stage, completed) => {
+    if (onProgress) onProgress(stage, completed / stageCount);
+  };
+
+  const result = analyzeImage(pixelData, width, height, params, { onProgress: report, lockedColors });
+
+  if (includeVisualizations) {
+    const visibleData = getVisiblePixels(pixelData, params);
+    report('heatmap', PIPELINE_STAGES.length);
+    result.distanceGrid = computeColorDistanceGrid(result.palette, visibleData, width, height, 50, result.params.distanceMetric);
+    report('slMaps', PIPELINE_STAGES.length + 1);
+    result.slMaps = computeSLMaps(visibleData, width, height, 16, result.params.quantizer);
+  }
+
+  report('done', stageCount);
+  return result;
+}
+
+/**
+ * Runs the analysis pipeline asynchronously in the Web Worker.
+ * Only one analysis runs at a time: starting a new one aborts the previous one.
+ * @param {Uint8ClampedArray} pixelData - RGBA pixel data (copied to the worker, the caller keeps it)
+ * @param {number} width - Width of the pixel data
+ * @param {number} height - Height of the pixel data
+ * @param {object} params - Pipeline parameters (see DEFAULT_PIPELINE_PARAMS)
+ * @param {object} options - { onProgress(stage, progress), signal: AbortSignal, includeVisualizations: boolean,
+ *   lockedColors: [{ r, g, b }] kept as fixed centroids (see analyzeImage) }
+ * @returns {Promise<object>} Promise resolving to the analysis result, rejecting with an AbortError when aborted
+ */
+export function runAnalysisAsync(pixelData, width, height, params, options = {}) {
+  const { onProgress = null, signal = null, includeVisualizations = true, lockedColors = [] } = options;
+
+  // A new analysis replaces the running one
+  cancelAnalysis();
+
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const job = {
+      jobId: nextJobId++,
+      resolve,
+      reject,
+      onProgress,
+      settled: false,
+      request: { pixelData, width, height, params, includeVisualizations, lockedColors },
+      cleanup: () => {}
+    };
+
+    if (signal) {
+      const onAbort = () => {
+        if (currentJob === job) cancelAnalysis();
+      };
+      signal.addEventListener('abort', onAbort);
+      job.cleanup = () => signal.removeEventListener('abort', onAbort);
+    }
+
+    currentJob = job;
+
+    const worker = initAnalysisWorker();
+    if (!worker) {
+      // Fallback to sync version (deferred so the caller can update the UI first)
+      setTimeout(() => runJobSync(job), 0);
+      return;
+    }
+
+    worker.postMessage({
+      type: 'analyze',
+      data: { jobId: job.jobId, pixelData, width, height, params, includeVisualizations, lockedColors }
+    });
+  });
+}
+
+/**
+ * Aborts the running analysis, if any. The pending promise rejects with an AbortError.
+ * The worker is terminated (the pipeline is synchronous inside it) and recreated on next use.
+ */
+export function cancelAnalysis() {
+  if (!currentJob) return;
+
+  const job = currentJob;
+  currentJob = null;
+
+  if (analysisWorker) {
+    analysisWorker.terminate();
+    analysisWorker = null;
+    console.log('Analysis Worker terminated (analysis aborted)');
+  }
+
+  finishJob(job, createAbortError());
+}
+
+/**
+ * Terminate the worker (cleanup)
+ */
+export function disposeAnalysisWorker() {
+  if (analysisWorker) {
+    analysisWorker.terminate();
+    analysisWorker = null;
+    console.log('Analysis Worker disposed');
+  }
+}
@@ -0,0 +1,173 @@
+// frontend/js/collectionPalette.js
+
+/**
+ * Combined "collection palette" of a batch of analyzed images (illustration sets, mood boards).
+ *
+ * Every image counts equally: a color's weight is its pixel share within its own
+ * image (transparent pixels excluded) divided by the number of images. The colors
+ * of all palettes are then merged agglomeratively, closest pair first under the
+ * selected distance metric, with weighted means in that metric's color space,
+ * until at most targetSize remain and no two colors are the same surface
+ * (see sameColorThreshold). DOM-free.
+ */
+
+import { rgbToLab, COLOR_SPACES, DISTANCE_METRICS } from './colorUtils.js';
+import { DEFAULT_PIPELINE_PARAMS } from './pipelineParams.js';
+import { sortPalette } from './paletteSorting.js';
+
+/**
+ * Merges the palettes of several analyses into one.
+ * @param {Array<object>} analyses - Analysis results (palette, transparentShare) of the images
+ * @param {object} options - { targetSize, distanceMetric, paletteSort } (defaults from DEFAULT_PIPELINE_PARAMS)
+ * @returns {Array<object>} Palette in paletteSort order. Entries have the shape of analysis palette entries
+ *   (percentage is the share of the whole collection, 0-1) plus imageCount, the number of images
+ *   the color occurs in.
+ */
+export function buildCollectionPalette (analyses, options = {}) {
+  const {
+    targetSize = DEFAULT_PIPELINE_PARAMS.targetPaletteSize,
+    distanceMetric = DEFAULT_PIPELINE_PARAMS.distanceMetric,
+    paletteSort = DEFAULT_PIPELINE_PARAMS.paletteSort
+  } = options;
+  const metric = DISTANCE_METRICS[distanceMetric];
+  if (!metric) {
+    throw new Error(`Unknown distance metric "${distanceMetric}". Available: ${Object.keys(DISTANCE_METRICS).join(', ')}.`);
+  }
+  const space = COLOR_SPACES[metric.space];
+
+  const clusters = createClusters(analyses, space.fromRgb);
+  if (clusters.length === 0) return [];
+
+  const distance = (c1, c2) => (metric.distance(c1.color, c2.color) + metric.distance(c2.color, c1.color)) / 2;
+  mergeClusters(clusters, distance, targetSize, metric.sameColorThreshold);
+
+  return sortPalette(clusters.map(cluster => formatColor(cluster, space.toRgb)), paletteSort);
+}
+
+/**
+ * Analysis-shaped result for a collection, so it can be drawn, exported and saved as a
+ * report like the result of a single image (without image size and statistics).
+ * @param {Array<object>} analyses - Analysis results of the images
+ * @param {object} params - Parameters the images were analyzed with; targetPaletteSize,
+ *   distanceMetric and paletteSort also drive the merge
+ * @returns {object}
+ */
+export function buildCollectionAnalysis (analyses, params = DEFAULT_PIPELINE_PARAMS) {
+  const palette = buildCollectionPalette(analyses, {
+    targetSize: params.targetPaletteSize,
+    distanceMetric: params.distanceMetric,
+    paletteSort: params.paletteSort
+  });
+  const total = analyses.reduce((sum, analysis) => sum + ((analysis && analysis.timings && analysis.timings.total) || 0), 0);
+  return {
+    width: 0,
+    height: 0,
+    totalPixels: 0,
+    transparentShare: 0,
+    params: { ...params },
+    palette,
+    stats: null,
+    timings: { total }
+  };
+}
+
+// Helper functions
+
+// One cluster per palette color, weighted by its share of the visible pixels of its image
+function createClusters (analyses, toMetricSpace) {
+  const images = analyses.filter(analysis => analysis && analysis.palette && analysis.palette.length > 0);
+  const clusters = [];
+
+  images.forEach((analysis, imageIndex) => {
+    const visibleShare = analysis.palette.reduce((sum, color) => sum + color.percentage, 0);
+    if (visibleShare <= 0) return;
+
+    analysis.palette.forEach(color => {
+      const weight = color.percentage / visibleShare / images.length;
+      if (weight <= 0) return;
+      clusters.push({
+        color: toMetricSpace(color.rgb.r, color.rgb.g, color.rgb.b),
+        weight,
+        count: color.count || 0,
+        backgroundWeight: color.isBackground ? weight : 0,
+        isHidden: !!color.isHidden,
+        images: new Set([imageIndex])
+      });
+    });
+  });
+
+  return clusters;
+}
+
+// Agglomerative merging with a cached nearest neighbor per cluster (O(n²) instead of O(n³))
+function mergeClusters (clusters, distance, targetSize, sameColorThreshold) {
+  const nearest = clusters.map((cluster, i) => findNearest(clusters, i, distance));
+
+  while (clusters.length > 1) {
+    let i = 0;
+    nearest.forEach((candidate, k) => {
+      if (candidate.distance < nearest[i].distance) i = k;
+    });
+    const j = nearest[i].index;
+    if (clusters.length <= targetSize && nearest[i].distance >= sameColorThreshold) break;
+
+    clusters[i] = combine(clusters[i], clusters[j]);
+    clusters.splice(j, 1);
+    nearest.splice(j, 1);
+
+    // Caches that pointed at i or j are stale; indices after j moved down by one
+    nearest.forEach(candidate => {
+      if (candidate.index === i || candidate.index === j) {
+        candidate.index = -1;
+      } else if (candidate.index > j) {
+        candidate.index--;
+      }
+    });
+    const merged = i > j ? i - 1 : i;
+    nearest.forEach((candidate, k) => {
+      if (k === merged || candidate.index === -1) {
+        nearest[k] = findNearest(clusters, k, distance);
+      } else {
+        const d = distance(clusters[k], clusters[merged]);
+        if (d < candidate.distance) nearest[k] = { index: merged, distance: d };
+      }
+    });
+  }
+}
+
+function findNearest (clusters, i, distance) {
+  let best = { index: -1, distance: Infinity };
+  clusters.forEach((cluster, k) => {
+    if (k === i) return;
+    const d = distance(clusters[i], cluster);
+    if (d < best.distance) best = { index: k, distance: d };
+  });
+  return best;
+}
+
+function combine (c1, c2) {
+  const weight = c1.weight + c2.weight;
+  return {
+    color: c1.color.map((value, k) => (value * c1.weight + c2.color[k] * c2.weight) / weight),
+    weight,
+    count: c1.count + c2.count,
+    backgroundWeight: c1.backgroundWeight + c2.backgroundWeight,
+    // A merged accent stays an accent only if it absorbed nothing but accents
+    isHidden: c1.isHidden && c2.isHidden,
+    images: new Set([...c1.images, ...c2.images])
+  };
+}
+
+function formatColor (cluster, toRgb) {
+  const [r, g, b] = toRgb(...cluster.color).map(v => Math.round(Math.max(0, Math.min(255, v))));
+  const isBackground = cluster.backgroundWeight > cluster.weight / 2;
+  return {
+    rgb: { r, g, b },
+    lab: rgbToLab(r, g, b),
+    count: cluster.count,
+    percentage: cluster.weight,
+    isBackground,
+    isHidden: cluster.isHidden && !isBackground,
+    imageCount: cluster.images.size
+  };
+}
@@ -0,0 +1,175 @@
+// frontend/js/colorHarmony.js
+
+/**
+ * Color harmony of a palette: which classic hue scheme it follows, how far it is
+ * from the ideal one, and alternative palettes built on its dominant color.
+ *
+ * Hues are HSV hues in degrees, the same wheel as the hue polar chart. Only
+ * chromatic colors count (greys have no meaningful hue), weighted by pixel share.
+ * Every scheme is a set of ideal angles around an anchor hue; the anchor is rotated
+ * to fit the palette best. Schemes with more angles fit more palettes, so each extra
+ * angle costs COMPLEXITY_PENALTY degrees, and all angles of the multi-hue schemes must
+ * be used by at least one color. DOM-free.
+ */
+
+import { rgbToHsv, hsvToRgb, rgbToLab } from './colorUtils.js';
+
+/**
+ * Harmony schemes: ideal hue offsets from the anchor (degrees). Complementary and the
+ * schemes after it need a color near every offset; monochromatic and analogous
+ * palettes only need to stay within theirs.
+ */
+export const HARMONY_TYPES = {
+  monochromatic: { offsets: [0], requireAll: false },
+  analogous: { offsets: [-30, 0, 30], requireAll: false },
+  complementary: { offsets: [0, 180], requireAll: true },
+  splitComplementary: { offsets: [0, 150, 210], requireAll: true },
+  triadic: { offsets: [0, 120, 240], requireAll: true },
+  tetradic: { offsets: [0, 90, 180, 270], requireAll: true }
+};
+
+// Colors below this HSV saturation or value count as greys
+const MIN_SATURATION = 0.15;
+const MIN_VALUE = 0.15;
+// Degrees added to the deviation per angle beyond the first
+const COMPLEXITY_PENALTY = 5;
+// Value steps of the suggested monochromatic palette
+const MONOCHROMATIC_VALUES = [0.3, 0.5, 0.7, 0.9];
+
+/**
+ * Classifies the harmony of a palette.
+ * @param {Array<object>} palette - Palette entries ({ rgb, percentage })
+ * @returns {object} {
+ *   type: key of HARMONY_TYPES, or null if the palette has no chromatic colors,
+ *   anchorHue: hue (degrees) the ideal angles are placed around,
+ *   angles: ideal hues of the scheme (degrees, 0-360),
+ *   deviation: share-weighted mean distance (degrees) of the colors from their nearest ideal angle,
+ *   maxDeviation: largest distance of a single color,
+ *   chromaticCount: number of colors that took part,
+ *   fits: [{ type, anchorHue, deviation }] of every scheme that fits at all, best first
+ * }
+ */
+export function analyzeHarmony (palette) {
+  const colors = chromaticHues(palette);
+  if (colors.length === 0) {
+    return { type: null, anchorHue: 0, angles: [], deviation: 0, maxDeviation: 0, chromaticCount: 0, fits: [] };
+  }
+
+  const fits = Object.entries(HARMONY_TYPES)
+    .map(([type, scheme]) => ({ type, ...fitScheme(colors, scheme) }))
+    .filter(fit => fit.deviation !== Infinity)
+    .sort((a, b) => a.score - b.score);
+  const best = fits[0];
+
+  return {
+    type: best.type,
+    anchorHue: best.anchorHue,
+    angles: HARMONY_TYPES[best.type].offsets.map(offset => normalizeHue(best.anchorHue + offset)),
+    deviation: best.deviation,
+    maxDeviation: best.maxDeviation,
+    chromaticCount: colors.length,
+    fits: fits.map(({ type, anchorHue, deviation }) => ({ type, anchorHue, deviation }))
+  };
+}
+
+/**
+ * Alternative palettes in every harmony scheme, anchored on the dominant color (the
+ * chromatic color with the largest share, or the largest color if there is none).
+ * The other colors keep its saturation and value; the monochromatic one varies the value.
+ * @param {Array<object>} palette - Palette entries ({ rgb, percentage })
+ * @returns {Array<{type: string, colors: Array<object>}>} One suggestion per scheme, in HARMONY_TYPES
+ *   order; colors have the shape of palette entries (rgb, lab, percentage 0, no roles)
+ */
+export function suggestHarmonies (palette) {
+  const dominant = dominantColor(palette);
+  if (!dominant) return [];
+
+  const [h, s, v] = rgbToHsv(dominant.rgb.r, dominant.rgb.g, dominant.rgb.b);
+  // A grey anchor would give grey suggestions: lend it a moderate saturation
+  const saturation = Math.max(s, 0.5);
+  const value = Math.max(v, 0.4);
+
+  return Object.entries(HARMONY_TYPES).map(([type, scheme]) => {
+    const hsvColors = type === 'monochromatic'
+      ? MONOCHROMATIC_VALUES.map(step => [h, saturation, step])
+      : scheme.offsets.map(offset => (offset === 0 ? [h, s, v] : [h + offset / 360, saturation, value]));
+    return { type, colors: hsvColors.map(hsv => createColor(hsvToRgb(...hsv))) };
+  });
+}
+
+// Helper functions
+
+// Hue (degrees) and weight of every chromatic color; equal weights without pixel shares
+function chromaticHues (palette) {
+  const colors = (palette || [])
+    .map(color => {
+      const [h, s, v] = rgbToHsv(color.rgb.r, color.rgb.g, color.rgb.b);
+      return { hue: h * 360, chromatic: s >= MIN_SATURATION && v >= MIN_VALUE, share: color.percentage || 0 };
+    })
+    .filter(color => color.chromatic);
+  const total = colors.reduce((sum, color) => sum + color.share, 0);
+  return colors.map(color => ({ hue: color.hue, weight: total > 0 ? color.share / total : 1 / colors.length }));
+}
+
+// Best anchor for a scheme, in steps of one degree
+function fitScheme (colors, scheme) {
+  const { offsets, requireAll } = scheme;
+  let best = { anchorHue: 0, deviation: Infinity, maxDeviation: Infinity, score: Infinity };
+  if (requireAll && new Set(colors.map(color => Math.round(color.hue))).size < offsets.length) return best;
+
+  for (let anchor = 0; anchor < 360; anchor++) {
+    const used = new Set();
+    let deviation = 0;
+    let maxDeviation = 0;
+    colors.forEach(color => {
+      let nearest = 0;
+      let distance = Infinity;
+      offsets.forEach((offset, k) => {
+        const d = hueDistance(color.hue, anchor + offset);
+        if (d < distance) {
+          distance = d;
+          nearest = k;
+        }
+      });
+      used.add(nearest);
+      deviation += distance * color.weight;
+      maxDeviation = Math.max(maxDeviation, distance);
+    });
+    if (requireAll && used.size < offsets.length) continue;
+    if (deviation < best.deviation) {
+      best = { anchorHue: anchor, deviation, maxDeviation, score: deviation + COMPLEXITY_PENALTY * (offsets.length - 1) };
+    }
+  }
+  return best;
+}
+
+function dominantColor (palette) {
+  if (!palette || palette.length === 0) return null;
+  const byShare = (a, b) => (b.percentage || 0) - (a.percentage || 0);
+  const chromatic = palette.filter(color => {
+    const [, s, v] = rgbToHsv(color.rgb.r, color.rgb.g, color.rgb.b);
+    return s >= MIN_SATURATION && v >= MIN_VALUE;
+  });
+  return (chromatic.length > 0 ? chromatic : palette).slice().sort(byShare)[0];
+}
+
+function createColor (rgb) {
+  const [r, g, b] = rgb.map(value => Math.round(Math.max(0, Math.min(255, value))));
+  return {
+    rgb: { r, g, b },
+    lab: rgbToLab(r, g, b),
+    count: 0,
+    percentage: 0,
+    isBackground: false,
+    isHidden: false
+  };
+}
+
+function hueDistance (h1, h2) {
+  const d = Math.abs(normalizeHue(h1) - normalizeHue(h2));
+  return Math.min(d, 360 - d);
+}
+
+function normalizeHue (hue) {
+  return ((hue % 360) + 360) % 360;
+}
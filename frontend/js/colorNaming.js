@@ -0,0 +1,151 @@
+// frontend/js/colorNaming.js
+
+/**
+ * Registry of color name dictionaries: names each palette color after the closest
+ * dictionary entry (CIEDE2000). Built in: CSS named colors, the XKCD color survey
+ * and Chinese traditional colors; more can be registered, e.g. from a file read
+ * with parseColorDictionary.
+ *
+ * Names are looked up when a palette is shown or exported rather than stored in
+ * the analysis, so they follow palette edits and the chosen dictionary. DOM-free.
+ */
+
+import { rgbToLab, rgbToHex, hexToRgb, deltaE2000 } from './colorUtils.js';
+import { parseGpl } from './importers/gpl.js';
+import { CSS_COLOR_NAMES } from './colorNames/css.js';
+import { XKCD_COLOR_NAMES } from './colorNames/xkcd.js';
+import { CHINESE_COLOR_NAMES } from './colorNames/chinese.js';
+
+export const DEFAULT_COLOR_NAMES = 'css';
+
+const dictionaries = new Map([
+  ['css', CSS_COLOR_NAMES],
+  ['xkcd', XKCD_COLOR_NAMES],
+  ['chinese', CHINESE_COLOR_NAMES]
+]);
+
+// Dictionary name → [{ name, hex, lab }], built on first use
+const preparedDictionaries = new Map();
+
+/**
+ * Registers (or replaces) a color name dictionary.
+ * @param {string} name - Dictionary name
+ * @param {Object<string, string>} entries - Color name → hex (#RRGGBB or #RGB)
+ */
+export function registerColorDictionary (name, entries) {
+  const values = entries ? Object.values(entries) : [];
+  if (values.length === 0) {
+    throw new Error(`registerColorDictionary: dictionary "${name}" has no colors.`);
+  }
+  const invalid = values.find(hex => typeof hex !== 'string' || !hexToRgb(hex));
+  if (invalid !== undefined) {
+    throw new Error(`registerColorDictionary: dictionary "${name}" has an invalid color "${invalid}".`);
+  }
+  dictionaries.set(name, entries);
+  preparedDictionaries.delete(name);
+}
+
+/**
+ * Names of all registered dictionaries, in registration order.
+ * @returns {string[]}
+ */
+export function getColorDictionaryNames () {
+  return Array.from(dictionaries.keys());
+}
+
+/**
+ * The closest named color of a dictionary.
+ * @param {{r: number, g: number, b: number}} rgb - Color (0-255)
+ * @param {string} dictionary - Registered dictionary name (default: DEFAULT_COLOR_NAMES)
+ * @returns {{name: string, hex: string, distance: number}} - Entry name, its value (#RRGGBB) and CIEDE2000 distance
+ */
+export function nameColor (rgb, dictionary = DEFAULT_COLOR_NAMES) {
+  const lab = rgbToLab(rgb.r, rgb.g, rgb.b);
+  let best = null;
+  let bestDistance = Infinity;
+  for (const entry of getPreparedDictionary(dictionary)) {
+    const distance = deltaE2000(lab, entry.lab);
+    // Strictly closer: on a tie the first entry wins
+    if (distance < bestDistance) {
+      best = entry;
+      bestDistance = distance;
+    }
+  }
+  return { name: best.name, hex: best.hex, distance: bestDistance };
+}
+
+/**
+ * Copies of the palette entries with a `name` field (closest dictionary name).
+ * @param {Array<object>} palette - Palette entries ({ rgb })
+ * @param {string} dictionary - Registered dictionary name (default: DEFAULT_COLOR_NAMES)
+ * @returns {Array<object>}
+ */
+export function nameColors (palette, dictionary = DEFAULT_COLOR_NAMES) {
+  return palette.map(color => ({ ...color, name: nameColor(color.rgb, dictionary).name }));
+}
+
+/**
+ * Parses a color name dictionary file. Accepted forms:
+ * - JSON: an object { name: hex } or an array of { name, hex }
+ * - a GIMP palette (.gpl) with named swatches
+ * - plain text, one "name #hex" (or "#hex name") per line; lines starting with // or ; are comments
+ * @param {string} text - File content
+ * @returns {Object<string, string>} - Color name → hex, ready for registerColorDictionary
+ */
+export function parseColorDictionary (text) {
+  const trimmed = text.trim();
+  let pairs;
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    const data = JSON.parse(trimmed);
+    pairs = Array.isArray(data)
+      ? data.map(entry => [entry && entry.name, entry && entry.hex])
+      : Object.entries(data);
+  } else if (trimmed.startsWith('GIMP Palette')) {
+    pairs = parseGpl(trimmed).swatches.map(({ name, rgb }) => [name, rgbToHex([rgb.r, rgb.g, rgb.b])]);
+  } else {
+    pairs = trimmed.split(/\r?\n/).map(parseTextLine);
+  }
+
+  const entries = {};
+  for (const [name, hex] of pairs) {
+    const rgb = typeof hex === 'string' ? hexToRgb(hex.trim()) : null;
+    if (typeof name !== 'string' || name.trim() === '' || !rgb) continue;
+    const key = name.trim();
+    // Keep the first value of a repeated name
+    if (!(key in entries)) entries[key] = rgbToHex(rgb);
+  }
+  if (Object.keys(entries).length === 0) {
+    throw new Error('No named colors found in the dictionary file.');
+  }
+  return entries;
+}
+
+// Helper functions
+
+function getPreparedDictionary (name) {
+  let prepared = preparedDictionaries.get(name);
+  if (prepared) return prepared;
+
+  const entries = dictionaries.get(name);
+  if (!entries) {
+    throw new Error(`Unknown color dictionary "${name}". Available: ${getColorDictionaryNames().join(', ')}.`);
+  }
+  prepared = Object.entries(entries).map(([entryName, hex]) => {
+    const [r, g, b] = hexToRgb(hex);
+    return { name: entryName, hex: rgbToHex([r, g, b]), lab: rgbToLab(r, g, b) };
+  });
+  preparedDictionaries.set(name, prepared);
+  return prepared;
+}
+
+// "name #hex", "name: #hex" or "#hex name" → [name, hex]; anything else → []
+function parseTextLine (rawLine) {
+  const line = rawLine.trim();
+  if (line === '' || line.startsWith('//') || line.startsWith(';')) return [];
+
+  const trailing = line.match(/^(.*?)[\s:=,]+(#[0-9a-f]{3}(?:[0-9a-f]{3})?)$/i);
+  if (trailing) return [trailing[1], trailing[2]];
+  const leading = line.match(/^(#[0-9a-f]{3}(?:[0-9a-f]{3})?)[\s:=,]+(.+)$/i);
+  if (leading) return [leading[2], leading[1]];
+  return [];
+}
@@ -0,0 +1,94 @@
+// frontend/js/colorSampler.js
+
+/**
+ * Eyedropper on the analyzed image: samples a pixel (or the average of an N×N area)
+ * from RGBA pixel data, describes it in the usual color spaces and finds the
+ * closest palette entry. DOM-free.
+ */
+
+import { rgbToHex, rgbToHsv, rgbToLab, DISTANCE_METRICS, COLOR_SPACES, alphaWeight } from './colorUtils.js';
+
+export const DEFAULT_SAMPLE_SIZE = 1;
+export const DEFAULT_LOOKUP_METRIC = 'deltaE2000';
+
+/**
+ * Samples the color around a pixel. Pixels are weighted by alpha, so transparent
+ * pixels do not count and half-transparent edges count half.
+ * @param {Uint8ClampedArray} pixelData - RGBA pixel data
+ * @param {number} width - Width of the pixel data
+ * @param {number} height - Height of the pixel data
+ * @param {number} x - Pixel column (clamped to the image)
+ * @param {number} y - Pixel row (clamped to the image)
+ * @param {number} size - Edge length of the averaged square (odd, default: DEFAULT_SAMPLE_SIZE)
+ * @returns {{r: number, g: number, b: number}|null} The average color (0-255), or null if the area is transparent
+ */
+export function sampleColor (pixelData, width, height, x, y, size = DEFAULT_SAMPLE_SIZE) {
+  const radius = Math.max(0, Math.floor(size / 2));
+  const cx = clamp(Math.floor(x), 0, width - 1);
+  const cy = clamp(Math.floor(y), 0, height - 1);
+
+  let r = 0;
+  let g = 0;
+  let b = 0;
+  let weight = 0;
+  for (let py = Math.max(0, cy - radius); py <= Math.min(height - 1, cy + radius); py++) {
+    for (let px = Math.max(0, cx - radius); px <= Math.min(width - 1, cx + radius); px++) {
+      const i = (py * width + px) * 4;
+      const w = alphaWeight(pixelData[i + 3]);
+      r += pixelData[i] * w;
+      g += pixelData[i + 1] * w;
+      b += pixelData[i + 2] * w;
+      weight += w;
+    }
+  }
+  if (weight === 0) return null;
+
+  return { r: Math.round(r / weight), g: Math.round(g / weight), b: Math.round(b / weight) };
+}
+
+/**
+ * Values of a color as shown by the eyedropper.
+ * @param {{r: number, g: number, b: number}} rgb - Color (0-255)
+ * @returns {{hex: string, rgb: number[], hsv: number[], lab: number[]}} HSV as degrees and percent
+ *   ([0-360, 0-100, 0-100]), Lab as [L*, a*, b*]
+ */
+export function describeColor (rgb) {
+  const [h, s, v] = rgbToHsv(rgb.r, rgb.g, rgb.b);
+  return {
+    hex: rgbToHex([rgb.r, rgb.g, rgb.b]),
+    rgb: [rgb.r, rgb.g, rgb.b],
+    hsv: [h * 360, s * 100, v * 100],
+    lab: rgbToLab(rgb.r, rgb.g, rgb.b)
+  };
+}
+
+/**
+ * The palette entry closest to a color.
+ * @param {Array<object>} palette - Palette entries ({ rgb })
+ * @param {{r: number, g: number, b: number}} rgb - Color to look up
+ * @param {string} distanceMetric - Key of DISTANCE_METRICS (default: DEFAULT_LOOKUP_METRIC)
+ * @returns {{index: number, distance: number}|null} null for an empty palette
+ */
+export function findNearestColor (palette, rgb, distanceMetric = DEFAULT_LOOKUP_METRIC) {
+  const metric = DISTANCE_METRICS[distanceMetric];
+  if (!metric) {
+    throw new Error(`Unknown distance metric "${distanceMetric}". Available: ${Object.keys(DISTANCE_METRICS).join(', ')}.`);
+  }
+  const space = COLOR_SPACES[metric.space];
+  const color = space.fromRgb(rgb.r, rgb.g, rgb.b);
+
+  let nearest = null;
+  palette.forEach((entry, index) => {
+    const distance = metric.distance(color, space.fromRgb(entry.rgb.r, entry.rgb.g, entry.rgb.b));
+    if (!nearest || distance < nearest.distance) {
+      nearest = { index, distance };
+    }
+  });
+  return nearest;
+}
+
+// Helper functions
+
+function clamp (value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
@@ -1,5 +1,6 @@
 // frontend/js/colorStats.js
-import { rgbToHsv, rgbToLab } from './colorUtils.js'; // Import conversion functions
+import { rgbToHsv, rgbToLab, alphaWeight, COLOR_SPACES, DISTANCE_METRICS } from './colorUtils.js'; // Import conversion functions
+import { displayP3ToLab } from './displayP3.js'; // Lab of wide-gamut pixel data
 
 /**
  * Calculates statistical summary (average, std dev) for HSV and Lab color channels
@@ -8,9 +9,10 @@ import { rgbToHsv, rgbToLab } from './colorUtils.js'; // Import conversion funct
  * @param {number} width - Image width.
  * @param {number} height - Image height.
  * @param {number} sampleFactor - Process every Nth pixel for performance (default: 1 = all pixels).
+ * @param {string} colorSpace - Color space of pixelData: 'srgb' or 'display-p3' (Lab is exact in both; HSV is taken on the values as they are).
  * @returns {{hsv: {avg: number[], stdDev: number[]}, lab: {avg: number[], stdDev: number[]}, rawValues: object}|null} An object containing stats and raw values, or null on error.
  */
-export function calculateColorStats (pixelData, width, height, sampleFactor = 1) { // Export the function
+export function calculateColorStats (pixelData, width, height, sampleFactor = 1, colorSpace = 'srgb') { // Export the function
   if (!pixelData || pixelData.length === 0) {
     return null;
   }
@@ -33,16 +35,19 @@ export function calculateColorStats (pixelData, width, height, sampleFactor = 1)
   // sampleFactor = 10 means process every 10th pixel (10x faster)
   // Recommended: 10-50 for visualization, 1 for final stats
   const step = 4 * sampleFactor;
+  const toLab = colorSpace === 'display-p3' ? displayP3ToLab : rgbToLab;
 
   // Process sampled pixels
   for (let i = 0; i < pixelData.length; i += step) {
+    // Skip transparent pixels
+    if (alphaWeight(pixelData[i + 3]) === 0) continue;
+
     const r = pixelData[i];
     const g = pixelData[i + 1];
     const b = pixelData[i + 2];
-    // Ignore alpha
 
     const hsv = rgbToHsv(r, g, b);
-    const lab = rgbToLab(r, g, b);
+    const lab = toLab(r, g, b);
 
     hValues.push(hsv[0]); // Hue [0, 1)
     sValues.push(hsv[1]); // Saturation [0, 1]
@@ -105,4 +110,83 @@ export function calculateColorStats (pixelData, width, height, sampleFactor = 1)
     // Return full Lab values for advanced visualizations
     values: labValues
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Calculates, for a grid of image regions, the average distance from each pixel to its
+ * nearest palette color under the given metric (see DISTANCE_METRICS). Used by the color
+ * distance heatmap.
+ * @param {Array} palette - Palette colors (each with an `rgb` object).
+ * @param {Uint8ClampedArray} pixelData - The pixel data array (R, G, B, A).
+ * @param {number} imageWidth - Width of the pixel data.
+ * @param {number} imageHeight - Height of the pixel data.
+ * @param {number} gridSize - Number of cells per side (default: 50).
+ * @param {string} distanceMetric - Distance metric name (default: 'deltaE76').
+ * @returns {{distances: Float32Array, gridSize: number, maxDistance: number, distanceMetric: string}|null} Row-major cell distances (NaN for fully transparent cells), or null on invalid input.
+ */
+export function computeColorDistanceGrid (palette, pixelData, imageWidth, imageHeight, gridSize = 50, distanceMetric = 'deltaE76') {
+  if (!palette || palette.length === 0 || !pixelData || imageWidth === 0 || imageHeight === 0) {
+    return null;
+  }
+
+  const metric = DISTANCE_METRICS[distanceMetric];
+  if (!metric) throw new Error(`Unknown distance metric: ${distanceMetric}`);
+  const toMetricSpace = COLOR_SPACES[metric.space].fromRgb;
+  const paletteColors = palette.map(({ rgb }) => toMetricSpace(rgb.r, rgb.g, rgb.b));
+
+  // Nearest-palette distance per packed RGB value (images repeat colors a lot)
+  const nearestDistances = new Map();
+  const nearestDistance = (r, g, b) => {
+    const key = (r << 16) | (g << 8) | b;
+    let minDist = nearestDistances.get(key);
+    if (minDist === undefined) {
+      const pixelColor = toMetricSpace(r, g, b);
+      minDist = Infinity;
+      for (const color of paletteColors) {
+        minDist = Math.min(minDist, metric.distance(color, pixelColor));
+      }
+      nearestDistances.set(key, minDist);
+    }
+    return minDist;
+  };
+
+  // Downsample image for the heatmap
+  const sampleCellWidth = imageWidth / gridSize;
+  const sampleCellHeight = imageHeight / gridSize;
+  const distances = new Float32Array(gridSize * gridSize);
+  let maxDistance = 0;
+
+  for (let gy = 0; gy < gridSize; gy++) {
+    for (let gx = 0; gx < gridSize; gx++) {
+      const startX = Math.floor(gx * sampleCellWidth);
+      const endX = Math.floor((gx + 1) * sampleCellWidth);
+      const startY = Math.floor(gy * sampleCellHeight);
+      const endY = Math.floor((gy + 1) * sampleCellHeight);
+
+      let totalDist = 0;
+      let count = 0;
+
+      for (let y = startY; y < endY; y++) {
+        for (let x = startX; x < endX; x++) {
+          const idx = (y * imageWidth + x) * 4;
+          if (idx + 3 >= pixelData.length) continue;
+
+          // Weight by alpha, skip transparent pixels
+          const weight = alphaWeight(pixelData[idx + 3]);
+          if (weight === 0) continue;
+
+          const minDist = nearestDistance(pixelData[idx], pixelData[idx + 1], pixelData[idx + 2]);
+
+          totalDist += minDist * weight;
+          count += weight;
+        }
+      }
+
+      const avgDist = count > 0 ? totalDist / count : NaN;
+      distances[gy * gridSize + gx] = avgDist;
+      if (avgDist > maxDistance) maxDistance = avgDist;
+    }
+  }
+
+  return { distances, gridSize, maxDistance, distanceMetric };
+}
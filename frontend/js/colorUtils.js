@@ -36,6 +36,35 @@ export function rgbToHsv (r, g, b) {
   return [h, s, v]; // h in [0, 1), s in [0, 1], v in [0, 1]
 }
 
+/**
+ * Converts an HSV color value to RGB (inverse of rgbToHsv).
+ * Assumes h, s, and v are contained in the set [0, 1] (h wraps around)
+ * and returns r, g, and b in the set [0, 255].
+ * @param   Number  h       The hue
+ * @param   Number  s       The saturation
+ * @param   Number  v       The value
+ * @return  Array           The RGB representation [r, g, b]
+ */
+export function hsvToRgb (h, s, v) {
+  const hue = ((h % 1) + 1) % 1 * 6;
+  const i = Math.floor(hue);
+  const f = hue - i;
+  const p = v * (1 - s);
+  const q = v * (1 - f * s);
+  const u = v * (1 - (1 - f) * s);
+
+  const [r, g, b] = [
+    [v, u, p],
+    [q, v, p],
+    [p, v, u],
+    [p, q, v],
+    [u, p, v],
+    [v, p, q]
+  ][i % 6];
+
+  return [r * 255, g * 255, b * 255];
+}
+
 /**
 * Converts an RGB color value to CIELAB color space.
 * Based on http://www.easyrgb.com/index.php?X=MATH&B=RGBlab
@@ -160,4 +189,282 @@ export function labDistance (lab1, lab2) {
   const deltaA = lab1[1] - lab2[1];
   const deltaB = lab1[2] - lab2[2];
   return Math.sqrt(deltaL * deltaL + deltaA * deltaA + deltaB * deltaB);
-}
\ No newline at end of file
+}
+
+/**
+* Pixels with an alpha value below this threshold count as fully transparent
+* and are skipped by every analysis stage.
+*/
+export const ALPHA_THRESHOLD = 8;
+
+/**
+* Analysis weight of a pixel from its alpha value: 0 for (nearly) transparent pixels,
+* alpha / 255 otherwise, so half-transparent edges count half.
+* @param   Number  alpha   The alpha value (0-255)
+* @return  Number          The weight in [0, 1]
+*/
+export function alphaWeight (alpha) {
+  return alpha < ALPHA_THRESHOLD ? 0 : alpha / 255;
+}
+
+/**
+* Checks whether RGBA pixel data contains any pixel that is not fully opaque.
+* @param   Uint8ClampedArray  pixelData   RGBA pixel data
+* @return  Boolean                        True if any alpha value is below 255
+*/
+export function hasTransparency (pixelData) {
+  for (let i = 3; i < pixelData.length; i += 4) {
+    if (pixelData[i] < 255) return true;
+  }
+  return false;
+}
+
+/**
+* Composites RGBA pixel data over an opaque matte color.
+* @param   Uint8ClampedArray  pixelData   RGBA pixel data
+* @param   Array              matteRgb    The matte color [r, g, b] (0-255)
+* @return  Uint8ClampedArray              A new, fully opaque RGBA copy
+*/
+export function compositeOverMatte (pixelData, matteRgb) {
+  const output = new Uint8ClampedArray(pixelData.length);
+  for (let i = 0; i < pixelData.length; i += 4) {
+    const alpha = pixelData[i + 3] / 255;
+    output[i] = Math.round(pixelData[i] * alpha + matteRgb[0] * (1 - alpha));
+    output[i + 1] = Math.round(pixelData[i + 1] * alpha + matteRgb[1] * (1 - alpha));
+    output[i + 2] = Math.round(pixelData[i + 2] * alpha + matteRgb[2] * (1 - alpha));
+    output[i + 3] = 255;
+  }
+  return output;
+}
+
+/**
+* Converts a CIELAB color back to RGB (inverse of rgbToLab, D65, 2 degree observer).
+* Out-of-gamut colors are clipped to [0, 255]; values are not rounded.
+* @param   Number  L       The L* value
+* @param   Number  a       The a* value
+* @param   Number  b       The b* value
+* @return  Array           The RGB representation [r, g, b]
+*/
+export function labToRgb (L, a, b) {
+  const epsilon = 0.008856; // (6/29)^3
+  const kappa = 903.3;    // (29/3)^3
+  const fInverse = (t) => {
+    const t3 = t * t * t;
+    return t3 > epsilon ? t3 : (116 * t - 16) / kappa;
+  };
+
+  // 1. CIELAB to CIE XYZ (D65 reference white, scaled to 0-1)
+  const fy = (L + 16) / 116;
+  const X = fInverse(a / 500 + fy) * 0.95047;
+  const Y = fInverse(fy);
+  const Z = fInverse(fy - b / 200) * 1.08883;
+
+  // 2. CIE XYZ to linear RGB (inverse of the matrix in rgbToLab)
+  const linear = [
+    X * 3.2406 + Y * -1.5372 + Z * -0.4986,
+    X * -0.9689 + Y * 1.8758 + Z * 0.0415,
+    X * 0.0557 + Y * -0.2040 + Z * 1.0570
+  ];
+
+  return linear.map(linearToSrgb255);
+}
+
+/**
+* Converts an RGB color value to OKLab (Björn Ottosson, 2020).
+* Assumes r, g, and b are contained in the set [0, 255].
+* @param   Number  r       The red color value
+* @param   Number  g       The green color value
+* @param   Number  b       The blue color value
+* @return  Array           The OKLab representation [L, a, b] (L in [0, 1])
+*/
+export function rgbToOklab (r, g, b) {
+  const lr = srgb255ToLinear(r);
+  const lg = srgb255ToLinear(g);
+  const lb = srgb255ToLinear(b);
+
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+  return [
+    0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  ];
+}
+
+/**
+* Converts an OKLab color back to RGB. Out-of-gamut colors are clipped to [0, 255];
+* values are not rounded.
+* @param   Number  L       The L value (0-1)
+* @param   Number  a       The a value
+* @param   Number  b       The b value
+* @return  Array           The RGB representation [r, g, b]
+*/
+export function oklabToRgb (L, a, b) {
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+  ].map(linearToSrgb255);
+}
+
+// sRGB gamma helpers shared by the conversions above (0-255 <-> linear 0-1)
+function srgb255ToLinear (c) {
+  const v = c / 255;
+  return v > 0.04045 ? Math.pow((v + 0.055) / 1.055, 2.4) : v / 12.92;
+}
+
+function linearToSrgb255 (c) {
+  const v = c > 0.0031308 ? 1.055 * Math.pow(c, 1 / 2.4) - 0.055 : 12.92 * c;
+  return Math.max(0, Math.min(255, v * 255));
+}
+
+/**
+* Euclidean distance between two RGB colors.
+* @param   Array  rgb1   First RGB color [r, g, b]
+* @param   Array  rgb2   Second RGB color [r, g, b]
+* @return  Number        The distance (0 to ~441)
+*/
+export function rgbDistance (rgb1, rgb2) {
+  const dr = rgb1[0] - rgb2[0];
+  const dg = rgb1[1] - rgb2[1];
+  const db = rgb1[2] - rgb2[2];
+  return Math.sqrt(dr * dr + dg * dg + db * db);
+}
+
+/**
+* CIE94 color difference (graphic arts weights: kL = 1, K1 = 0.045, K2 = 0.015).
+* Not symmetric: lab1 is the reference color.
+* @param   Array  lab1   Reference LAB color [L*, a*, b*]
+* @param   Array  lab2   Sample LAB color [L*, a*, b*]
+* @return  Number        The color difference (Delta E 94)
+*/
+export function deltaE94 (lab1, lab2) {
+  const C1 = Math.sqrt(lab1[1] * lab1[1] + lab1[2] * lab1[2]);
+  const C2 = Math.sqrt(lab2[1] * lab2[1] + lab2[2] * lab2[2]);
+  const deltaL = lab1[0] - lab2[0];
+  const deltaC = C1 - C2;
+  const deltaA = lab1[1] - lab2[1];
+  const deltaB = lab1[2] - lab2[2];
+  const deltaH2 = Math.max(0, deltaA * deltaA + deltaB * deltaB - deltaC * deltaC);
+
+  const SC = 1 + 0.045 * C1;
+  const SH = 1 + 0.015 * C1;
+
+  return Math.sqrt(deltaL * deltaL + (deltaC / SC) * (deltaC / SC) + deltaH2 / (SH * SH));
+}
+
+/**
+* CIEDE2000 color difference (kL = kC = kH = 1).
+* Based on Sharma, Wu and Dalal, "The CIEDE2000 Color-Difference Formula" (2005).
+* @param   Array  lab1   First LAB color [L*, a*, b*]
+* @param   Array  lab2   Second LAB color [L*, a*, b*]
+* @return  Number        The color difference (Delta E 2000)
+*/
+export function deltaE2000 (lab1, lab2) {
+  const [L1, a1, b1] = lab1;
+  const [L2, a2, b2] = lab2;
+  const toRad = Math.PI / 180;
+  const pow25To7 = 6103515625; // 25^7
+
+  // 1. Adjusted a' and C'
+  const meanC = (Math.sqrt(a1 * a1 + b1 * b1) + Math.sqrt(a2 * a2 + b2 * b2)) / 2;
+  const meanC7 = Math.pow(meanC, 7);
+  const G = 0.5 * (1 - Math.sqrt(meanC7 / (meanC7 + pow25To7)));
+  const a1p = a1 * (1 + G);
+  const a2p = a2 * (1 + G);
+  const C1p = Math.sqrt(a1p * a1p + b1 * b1);
+  const C2p = Math.sqrt(a2p * a2p + b2 * b2);
+
+  // 2. Hue angles h' in degrees [0, 360)
+  const hueAngle = (b, ap) => {
+    if (b === 0 && ap === 0) return 0;
+    const h = Math.atan2(b, ap) / toRad;
+    return h < 0 ? h + 360 : h;
+  };
+  const h1p = hueAngle(b1, a1p);
+  const h2p = hueAngle(b2, a2p);
+
+  // 3. Differences ΔL', ΔC', ΔH'
+  const deltaLp = L2 - L1;
+  const deltaCp = C2p - C1p;
+  let deltahp = 0;
+  if (C1p * C2p !== 0) {
+    deltahp = h2p - h1p;
+    if (deltahp > 180) deltahp -= 360;
+    else if (deltahp < -180) deltahp += 360;
+  }
+  const deltaHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((deltahp / 2) * toRad);
+
+  // 4. Means L', C', h'
+  const meanLp = (L1 + L2) / 2;
+  const meanCp = (C1p + C2p) / 2;
+  let meanhp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) meanhp /= 2;
+    else meanhp = meanhp < 360 ? (meanhp + 360) / 2 : (meanhp - 360) / 2;
+  }
+
+  // 5. Weighting functions and rotation term
+  const T = 1 -
+    0.17 * Math.cos((meanhp - 30) * toRad) +
+    0.24 * Math.cos(2 * meanhp * toRad) +
+    0.32 * Math.cos((3 * meanhp + 6) * toRad) -
+    0.20 * Math.cos((4 * meanhp - 63) * toRad);
+  const deltaTheta = 30 * Math.exp(-Math.pow((meanhp - 275) / 25, 2));
+  const meanCp7 = Math.pow(meanCp, 7);
+  const RC = 2 * Math.sqrt(meanCp7 / (meanCp7 + pow25To7));
+  const lightness = (meanLp - 50) * (meanLp - 50);
+  const SL = 1 + (0.015 * lightness) / Math.sqrt(20 + lightness);
+  const SC = 1 + 0.045 * meanCp;
+  const SH = 1 + 0.015 * meanCp * T;
+  const RT = -Math.sin(2 * deltaTheta * toRad) * RC;
+
+  const termL = deltaLp / SL;
+  const termC = deltaCp / SC;
+  const termH = deltaHp / SH;
+  return Math.sqrt(termL * termL + termC * termC + termH * termH + RT * termC * termH);
+}
+
+/**
+* Euclidean distance in OKLab, scaled by 100 so it reads on a scale similar to ΔE.
+* @param   Array  oklab1   First OKLab color [L, a, b]
+* @param   Array  oklab2   Second OKLab color [L, a, b]
+* @return  Number          The color difference (ΔEOK × 100)
+*/
+export function oklabDistance (oklab1, oklab2) {
+  const deltaL = oklab1[0] - oklab2[0];
+  const deltaA = oklab1[1] - oklab2[1];
+  const deltaB = oklab1[2] - oklab2[2];
+  return 100 * Math.sqrt(deltaL * deltaL + deltaA * deltaA + deltaB * deltaB);
+}
+
+/**
+* Color spaces for clustering: conversion from RGB (0-255) and back.
+* Means of colors are taken in the chosen space.
+*/
+export const COLOR_SPACES = {
+  rgb: {
+    fromRgb: (r, g, b) => [r, g, b],
+    toRgb: (r, g, b) => [r, g, b]
+  },
+  lab: { fromRgb: rgbToLab, toRgb: labToRgb },
+  oklab: { fromRgb: rgbToOklab, toRgb: oklabToRgb }
+};
+
+/**
+* Color distance metrics: the color space their inputs live in, the distance function and
+* the distance below which two colors count as the same surface (used to join regions).
+*/
+export const DISTANCE_METRICS = {
+  rgb: { space: 'rgb', distance: rgbDistance, sameColorThreshold: 12 },
+  deltaE76: { space: 'lab', distance: labDistance, sameColorThreshold: 5 },
+  deltaE94: { space: 'lab', distance: deltaE94, sameColorThreshold: 3 },
+  deltaE2000: { space: 'lab', distance: deltaE2000, sameColorThreshold: 3 },
+  oklab: { space: 'oklab', distance: oklabDistance, sameColorThreshold: 3 }
+};
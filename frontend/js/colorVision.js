@@ -0,0 +1,144 @@
+// frontend/js/colorVision.js
+
+/**
+ * Color vision deficiency simulation: how the image and the palette look with
+ * protanopia, deuteranopia, tritanopia or achromatopsia, and which palette colors
+ * become too close to tell apart.
+ *
+ * Dichromacies use the matrices of Machado, Oliveira and Fernandes (2009) at full
+ * severity; achromatopsia keeps only the luminance. All matrices apply to linear RGB.
+ * DOM-free.
+ */
+
+import { rgbToLab, deltaE2000 } from './colorUtils.js';
+
+/**
+ * Simulation matrices (rows for linear R, G, B) per deficiency.
+ */
+export const CVD_TYPES = {
+  protanopia: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998]
+  ],
+  deuteranopia: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.011820, 0.042940, 0.968881]
+  ],
+  tritanopia: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.303900]
+  ],
+  achromatopsia: [
+    [0.2126, 0.7152, 0.0722],
+    [0.2126, 0.7152, 0.0722],
+    [0.2126, 0.7152, 0.0722]
+  ]
+};
+
+// Colors closer than this (CIEDE2000) count as indistinguishable
+export const DEFAULT_CONFUSION_THRESHOLD = 5;
+
+// sRGB (0-255) to linear RGB, for every channel value
+const LINEAR = Array.from({ length: 256 }, (_, value) => {
+  const c = value / 255;
+  return c > 0.04045 ? Math.pow((c + 0.055) / 1.055, 2.4) : c / 12.92;
+});
+
+/**
+ * A color as seen with a deficiency.
+ * @param {{r: number, g: number, b: number}} rgb - Color (0-255)
+ * @param {string} type - Key of CVD_TYPES
+ * @returns {{r: number, g: number, b: number}} Simulated color (0-255, rounded)
+ */
+export function simulateColor (rgb, type) {
+  const [r, g, b] = applyMatrix(getMatrix(type), ...[rgb.r, rgb.g, rgb.b].map(Math.round));
+  return { r, g, b };
+}
+
+/**
+ * RGBA pixel data as seen with a deficiency; alpha is kept.
+ * @param {Uint8ClampedArray} pixelData - RGBA pixel data
+ * @param {string} type - Key of CVD_TYPES
+ * @returns {Uint8ClampedArray} New pixel data of the same size
+ */
+export function simulatePixels (pixelData, type) {
+  const matrix = getMatrix(type);
+  const result = new Uint8ClampedArray(pixelData.length);
+  // Images repeat colors a lot: convert each one once
+  const cache = new Map();
+  for (let i = 0; i < pixelData.length; i += 4) {
+    const key = (pixelData[i] << 16) | (pixelData[i + 1] << 8) | pixelData[i + 2];
+    let simulated = cache.get(key);
+    if (!simulated) {
+      simulated = applyMatrix(matrix, pixelData[i], pixelData[i + 1], pixelData[i + 2]);
+      cache.set(key, simulated);
+    }
+    result[i] = simulated[0];
+    result[i + 1] = simulated[1];
+    result[i + 2] = simulated[2];
+    result[i + 3] = pixelData[i + 3];
+  }
+  return result;
+}
+
+/**
+ * A palette as seen with a deficiency. Entries keep their shares and roles; rgb and
+ * lab are replaced.
+ * @param {Array<object>} palette - Palette entries ({ rgb })
+ * @param {string} type - Key of CVD_TYPES
+ * @returns {Array<object>}
+ */
+export function simulatePalette (palette, type) {
+  return palette.map(color => {
+    const rgb = simulateColor(color.rgb, type);
+    return { ...color, rgb, lab: rgbToLab(rgb.r, rgb.g, rgb.b) };
+  });
+}
+
+/**
+ * Palette pairs that are distinguishable with normal vision but not with a deficiency.
+ * @param {Array<object>} palette - Palette entries ({ rgb })
+ * @param {string} type - Key of CVD_TYPES
+ * @param {number} threshold - CIEDE2000 distance below which colors are confused (default: DEFAULT_CONFUSION_THRESHOLD)
+ * @returns {Array<{a: number, b: number, distance: number, originalDistance: number}>} Palette indices
+ *   (a < b) with their simulated and normal distances, most confused first
+ */
+export function findConfusedPairs (palette, type, threshold = DEFAULT_CONFUSION_THRESHOLD) {
+  const labs = palette.map(color => rgbToLab(color.rgb.r, color.rgb.g, color.rgb.b));
+  const simulatedLabs = simulatePalette(palette, type).map(color => color.lab);
+
+  const pairs = [];
+  for (let a = 0; a < palette.length; a++) {
+    for (let b = a + 1; b < palette.length; b++) {
+      const originalDistance = deltaE2000(labs[a], labs[b]);
+      const distance = deltaE2000(simulatedLabs[a], simulatedLabs[b]);
+      if (distance < threshold && originalDistance >= threshold) {
+        pairs.push({ a, b, distance, originalDistance });
+      }
+    }
+  }
+  return pairs.sort((p1, p2) => p1.distance - p2.distance);
+}
+
+// Helper functions
+
+function getMatrix (type) {
+  const matrix = CVD_TYPES[type];
+  if (!matrix) {
+    throw new Error(`Unknown color vision deficiency "${type}". Available: ${Object.keys(CVD_TYPES).join(', ')}.`);
+  }
+  return matrix;
+}
+
+// Simulated sRGB (0-255, rounded) of an sRGB color
+function applyMatrix (matrix, r, g, b) {
+  const linear = [LINEAR[r], LINEAR[g], LINEAR[b]];
+  return matrix.map(row => {
+    const c = Math.max(0, Math.min(1, row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2]));
+    const v = c > 0.0031308 ? 1.055 * Math.pow(c, 1 / 2.4) - 0.055 : 12.92 * c;
+    return Math.round(v * 255);
+  });
+}
@@ -0,0 +1,181 @@
+// frontend/js/contrastAnalysis.js
+
+/**
+ * Text contrast between the colors of a palette: WCAG 2.x contrast ratio and APCA
+ * lightness contrast (Lc) for every foreground/background pair, the WCAG levels each
+ * pair passes, and the closest L*-adjusted foreground that would pass a target level.
+ *
+ * The backgrounds are the palette's background colors (isBackground); all other colors
+ * are the foregrounds. A palette without backgrounds pairs every color with every
+ * other one. DOM-free.
+ */
+
+import { rgbToLab, labToRgb } from './colorUtils.js';
+
+/**
+ * Minimum WCAG 2.x contrast ratios. Large text is at least 18pt, or 14pt bold
+ * (success criteria 1.4.3 and 1.4.6).
+ */
+export const WCAG_LEVELS = {
+  aaNormal: 4.5,
+  aaLarge: 3,
+  aaaNormal: 7,
+  aaaLarge: 4.5
+};
+
+export const DEFAULT_CONTRAST_TARGET = 'aaNormal';
+
+// L* step (and accuracy) of the suggested variants
+const LIGHTNESS_STEP = 0.5;
+
+// APCA-W3 0.0.98G-4g constants (sRGB)
+const APCA = {
+  exponent: 2.4,
+  coefficients: [0.2126729, 0.7151522, 0.0721750],
+  normBackground: 0.56,
+  normText: 0.57,
+  reverseText: 0.62,
+  reverseBackground: 0.65,
+  blackThreshold: 0.022,
+  blackClamp: 1.414,
+  scale: 1.14,
+  offset: 0.027,
+  minDeltaY: 0.0005,
+  lowClip: 0.1
+};
+
+/**
+ * WCAG 2.x relative luminance.
+ * @param {{r: number, g: number, b: number}} rgb - Color (0-255)
+ * @returns {number} 0 (black) to 1 (white)
+ */
+export function relativeLuminance (rgb) {
+  const [r, g, b] = [rgb.r, rgb.g, rgb.b].map(value => {
+    const c = value / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG 2.x contrast ratio; the order of the colors does not matter.
+ * @param {{r: number, g: number, b: number}} rgb1 - First color (0-255)
+ * @param {{r: number, g: number, b: number}} rgb2 - Second color (0-255)
+ * @returns {number} 1 (no contrast) to 21 (black on white)
+ */
+export function contrastRatio (rgb1, rgb2) {
+  const l1 = relativeLuminance(rgb1);
+  const l2 = relativeLuminance(rgb2);
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+/**
+ * APCA lightness contrast of text on a background. Unlike the WCAG ratio it depends on
+ * which color is the text: dark text on a light background gives a positive Lc, light
+ * text on a dark background a negative one.
+ * @param {{r: number, g: number, b: number}} textRgb - Text color (0-255)
+ * @param {{r: number, g: number, b: number}} backgroundRgb - Background color (0-255)
+ * @returns {number} Lc, about -108 to 106; 0 for colors too close to tell apart
+ */
+export function apcaContrast (textRgb, backgroundRgb) {
+  const yText = apcaLuminance(textRgb);
+  const yBackground = apcaLuminance(backgroundRgb);
+  if (Math.abs(yBackground - yText) < APCA.minDeltaY) return 0;
+
+  if (yBackground > yText) {
+    const sapc = (Math.pow(yBackground, APCA.normBackground) - Math.pow(yText, APCA.normText)) * APCA.scale;
+    return sapc < APCA.lowClip ? 0 : (sapc - APCA.offset) * 100;
+  }
+  const sapc = (Math.pow(yBackground, APCA.reverseBackground) - Math.pow(yText, APCA.reverseText)) * APCA.scale;
+  return sapc > -APCA.lowClip ? 0 : (sapc + APCA.offset) * 100;
+}
+
+/**
+ * The WCAG levels a contrast ratio passes.
+ * @param {number} ratio - WCAG contrast ratio
+ * @returns {object} One boolean per key of WCAG_LEVELS
+ */
+export function wcagLevels (ratio) {
+  const passes = {};
+  Object.entries(WCAG_LEVELS).forEach(([level, minRatio]) => {
+    passes[level] = ratio >= minRatio;
+  });
+  return passes;
+}
+
+/**
+ * The foreground color with the smallest change of CIELAB L* (a* and b* kept) that
+ * reaches a contrast ratio on a background.
+ * @param {{r: number, g: number, b: number}} foregroundRgb - Text color (0-255)
+ * @param {{r: number, g: number, b: number}} backgroundRgb - Background color (0-255)
+ * @param {number} minRatio - Ratio to reach (default: the DEFAULT_CONTRAST_TARGET ratio)
+ * @returns {{rgb: object, lab: number[], ratio: number, deltaL: number}|null} The variant, with
+ *   its signed L* change; null if no lightness reaches the ratio
+ */
+export function suggestPassingColor (foregroundRgb, backgroundRgb, minRatio = WCAG_LEVELS[DEFAULT_CONTRAST_TARGET]) {
+  const [L, a, b] = rgbToLab(foregroundRgb.r, foregroundRgb.g, foregroundRgb.b);
+
+  for (let delta = 0; delta <= 100; delta += LIGHTNESS_STEP) {
+    // Both directions at the same distance: keep the one with more contrast
+    const candidates = [L - delta, L + delta]
+      .filter(lightness => lightness >= 0 && lightness <= 100)
+      .map(lightness => {
+        const [r, g, bl] = labToRgb(lightness, a, b).map(Math.round);
+        const rgb = { r, g, b: bl };
+        return { rgb, lab: rgbToLab(r, g, bl), ratio: contrastRatio(rgb, backgroundRgb), deltaL: lightness - L };
+      })
+      .filter(candidate => candidate.ratio >= minRatio)
+      .sort((c1, c2) => c2.ratio - c1.ratio);
+    if (candidates.length > 0) return candidates[0];
+  }
+  return null;
+}
+
+/**
+ * Contrast of every foreground/background pair of a palette.
+ * @param {Array<object>} palette - Palette entries ({ rgb, isBackground })
+ * @param {string} target - Key of WCAG_LEVELS that suggestions must reach (default: DEFAULT_CONTRAST_TARGET)
+ * @returns {object} {
+ *   backgrounds: palette indices of the backgrounds (matrix columns),
+ *   foregrounds: palette indices of the foregrounds (matrix rows),
+ *   rows: one array per foreground with one cell per background, null where both are the same color;
+ *     a cell is { foreground, background, ratio, apca, passes, suggestion },
+ *     suggestion being a suggestPassingColor result, or null if the pair already passes the target
+ * }
+ */
+export function buildContrastMatrix (palette, target = DEFAULT_CONTRAST_TARGET) {
+  const minRatio = WCAG_LEVELS[target];
+  if (minRatio === undefined) {
+    throw new Error(`Unknown contrast target "${target}". Available: ${Object.keys(WCAG_LEVELS).join(', ')}.`);
+  }
+
+  const indices = (palette || []).map((color, index) => index);
+  const flagged = indices.filter(index => palette[index].isBackground);
+  const backgrounds = flagged.length > 0 ? flagged : indices;
+  const foregrounds = flagged.length > 0 ? indices.filter(index => !palette[index].isBackground) : indices;
+
+  const rows = foregrounds.map(foreground => backgrounds.map(background => {
+    if (foreground === background) return null;
+    const fg = palette[foreground].rgb;
+    const bg = palette[background].rgb;
+    const ratio = contrastRatio(fg, bg);
+    return {
+      foreground,
+      background,
+      ratio,
+      apca: apcaContrast(fg, bg),
+      passes: wcagLevels(ratio),
+      suggestion: ratio >= minRatio ? null : suggestPassingColor(fg, bg, minRatio)
+    };
+  }));
+
+  return { backgrounds, foregrounds, rows };
+}
+
+// Helper functions
+
+// Screen luminance as APCA estimates it, with the soft clamp for near-black colors
+function apcaLuminance (rgb) {
+  const y = [rgb.r, rgb.g, rgb.b].reduce((sum, value, k) => sum + Math.pow(value / 255, APCA.exponent) * APCA.coefficients[k], 0);
+  return y > APCA.blackThreshold ? y : y + Math.pow(APCA.blackThreshold - y, APCA.blackClamp);
+}
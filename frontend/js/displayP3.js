@@ -0,0 +1,194 @@
+// frontend/js/displayP3.js
+
+/**
+ * Display P3 support. Photos from recent phones and cameras are often Display P3,
+ * whose primaries reach further than sRGB; read through an sRGB canvas their most
+ * saturated colors are clipped. Display P3 shares the sRGB transfer curve and the
+ * D65 white point, so only the primaries (the matrices below) differ.
+ *
+ * Pixel data and palette colors are 0-255 per channel in either space. DOM-free.
+ */
+
+import { rgbToLab, deltaE2000 } from './colorUtils.js';
+
+/**
+ * Color spaces pixel data can be read in (canvas colorSpace values).
+ */
+export const PIXEL_COLOR_SPACES = ['srgb', 'display-p3'];
+
+// Linear Display P3 → CIE XYZ (D65)
+const P3_TO_XYZ = [
+  [0.4865709, 0.2656677, 0.1982173],
+  [0.2289746, 0.6917385, 0.0792869],
+  [0.0000000, 0.0451134, 1.0439444]
+];
+
+// Linear Display P3 → linear sRGB, and back
+const P3_TO_SRGB = [
+  [1.2249401, -0.2249404, 0.0000000],
+  [-0.0420569, 1.0420571, 0.0000000],
+  [-0.0196376, -0.0786361, 1.0982735]
+];
+const SRGB_TO_P3 = [
+  [0.8224621, 0.1775380, 0.0000000],
+  [0.0331941, 0.9668058, 0.0000000],
+  [0.0170827, 0.0723974, 0.9105199]
+];
+
+// Colors that clipping to sRGB changes by less than this (CIEDE2000) count as inside sRGB
+const GAMUT_TOLERANCE = 1;
+
+/**
+ * Converts a Display P3 color to CIELAB (D65, 2 degree observer, same white as rgbToLab).
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {number[]} [L*, a*, b*]
+ */
+export function displayP3ToLab (r, g, b) {
+  const [X, Y, Z] = multiply(P3_TO_XYZ, [r, g, b].map(toLinear));
+  const f = (c) => (c > 0.008856 ? Math.cbrt(c) : (903.3 * c + 16) / 116);
+  const fx = f(X / 0.95047);
+  const fy = f(Y);
+  const fz = f(Z / 1.08883);
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * Converts a Display P3 color to sRGB. Colors outside sRGB come out below 0 or above 255.
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {number[]} [r, g, b], not clipped or rounded
+ */
+export function displayP3ToSrgb (r, g, b) {
+  return multiply(P3_TO_SRGB, [r, g, b].map(toLinear)).map(fromLinear);
+}
+
+/**
+ * Converts an sRGB color to Display P3 (always inside P3).
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {number[]} [r, g, b], not rounded
+ */
+export function srgbToDisplayP3 (r, g, b) {
+  return multiply(SRGB_TO_P3, [r, g, b].map(toLinear)).map(fromLinear);
+}
+
+/**
+ * Whether a Display P3 color can be shown in sRGB, i.e. clipping it to the 8-bit sRGB
+ * cube makes no visible difference (below GAMUT_TOLERANCE).
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {boolean}
+ */
+export function isInSrgbGamut (r, g, b) {
+  const srgb = displayP3ToSrgb(r, g, b);
+  if (srgb.every(c => c >= 0 && c <= 255)) return true;
+  const [sr, sg, sb] = srgb.map(clip255);
+  return deltaE2000(displayP3ToLab(r, g, b), rgbToLab(sr, sg, sb)) < GAMUT_TOLERANCE;
+}
+
+/**
+ * Converts RGBA pixel data between color spaces; colors outside the target are clipped
+ * and alpha is kept.
+ * @param {Uint8ClampedArray|Uint8Array} pixelData - RGBA pixel data
+ * @param {string} from - Color space of pixelData (one of PIXEL_COLOR_SPACES)
+ * @param {string} to - Color space of the result (one of PIXEL_COLOR_SPACES)
+ * @returns {Uint8ClampedArray|Uint8Array} New pixel data, or pixelData itself when the spaces match
+ */
+export function convertPixels (pixelData, from, to) {
+  checkColorSpace(from);
+  checkColorSpace(to);
+  if (from === to) return pixelData;
+
+  const convert = to === 'srgb' ? displayP3ToSrgb : srgbToDisplayP3;
+  const result = new Uint8ClampedArray(pixelData.length);
+  // Images repeat colors a lot: convert each one once
+  const cache = new Map();
+  for (let i = 0; i < pixelData.length; i += 4) {
+    const key = (pixelData[i] << 16) | (pixelData[i + 1] << 8) | pixelData[i + 2];
+    let converted = cache.get(key);
+    if (!converted) {
+      converted = convert(pixelData[i], pixelData[i + 1], pixelData[i + 2]);
+      cache.set(key, converted);
+    }
+    // Uint8ClampedArray clips and rounds
+    result[i] = converted[0];
+    result[i + 1] = converted[1];
+    result[i + 2] = converted[2];
+    result[i + 3] = pixelData[i + 3];
+  }
+  return result;
+}
+
+/**
+ * Palette entry for a color analyzed in Display P3: rgb becomes the sRGB color (clipped,
+ * what sRGB tools and the hex code show), lab the exact CIELAB value, displayP3 keeps the
+ * analyzed values and outOfSrgb flags colors that sRGB cannot show.
+ * @param {object} color - Palette entry whose rgb holds Display P3 values
+ * @returns {object} New palette entry
+ */
+export function fromDisplayP3Color (color) {
+  const { r, g, b } = color.rgb;
+  const [sr, sg, sb] = displayP3ToSrgb(r, g, b).map(clip255);
+  return {
+    ...color,
+    rgb: { r: sr, g: sg, b: sb },
+    lab: displayP3ToLab(r, g, b),
+    displayP3: { r, g, b },
+    outOfSrgb: !isInSrgbGamut(r, g, b)
+  };
+}
+
+/**
+ * Display P3 values of a palette entry: the analyzed ones, or its sRGB color converted.
+ * @param {object} color - Palette entry ({ rgb, displayP3? })
+ * @returns {{r: number, g: number, b: number}} Display P3 (0-255, rounded)
+ */
+export function getDisplayP3 (color) {
+  if (color.displayP3) return { ...color.displayP3 };
+  const [r, g, b] = srgbToDisplayP3(color.rgb.r, color.rgb.g, color.rgb.b).map(clip255);
+  return { r, g, b };
+}
+
+/**
+ * CSS color() value of a Display P3 color, channels in [0, 1].
+ * @param {{r: number, g: number, b: number}} rgb - Display P3 (0-255)
+ * @returns {string} E.g. "color(display-p3 1 0.2 0.1)"
+ */
+export function cssDisplayP3 (rgb) {
+  const channel = (c) => Number((c / 255).toFixed(4));
+  return `color(display-p3 ${channel(rgb.r)} ${channel(rgb.g)} ${channel(rgb.b)})`;
+}
+
+// Helper functions
+
+function checkColorSpace (colorSpace) {
+  if (!PIXEL_COLOR_SPACES.includes(colorSpace)) {
+    throw new Error(`Unknown color space "${colorSpace}". Available: ${PIXEL_COLOR_SPACES.join(', ')}.`);
+  }
+}
+
+// Shared transfer curve (0-255 → linear 0-1 and back; negative values mirror the curve)
+function toLinear (c) {
+  const v = Math.abs(c) / 255;
+  const linear = v > 0.04045 ? Math.pow((v + 0.055) / 1.055, 2.4) : v / 12.92;
+  return Math.sign(c) * linear;
+}
+
+function fromLinear (c) {
+  const v = Math.abs(c);
+  const encoded = v > 0.0031308 ? 1.055 * Math.pow(v, 1 / 2.4) - 0.055 : 12.92 * v;
+  return Math.sign(c) * encoded * 255;
+}
+
+function multiply (matrix, [x, y, z]) {
+  return matrix.map(row => row[0] * x + row[1] * y + row[2] * z);
+}
+
+function clip255 (c) {
+  return Math.max(0, Math.min(255, Math.round(c)));
+}
@@ -0,0 +1,86 @@
+/**
+ * Adobe Swatch Exchange (.ase) exporter, readable by Photoshop, Illustrator,
+ * InDesign and most other design tools.
+ *
+ * Layout (big-endian): "ASEF", version 1.0, block count, then one group start
+ * block, one RGB color block per swatch and a group end block. Names are
+ * null-terminated UTF-16 strings prefixed with their length in code units;
+ * swatches are named after the color name when there is one, else the hex code.
+ */
+
+import { rgbToHex } from '../colorUtils.js';
+
+const BLOCK_COLOR = 0x0001;
+const BLOCK_GROUP_START = 0xc001;
+const BLOCK_GROUP_END = 0xc002;
+const COLOR_TYPE_NORMAL = 2; // 0 = global, 1 = spot, 2 = normal (process)
+
+/**
+ * Serializes a palette as an Adobe Swatch Exchange file.
+ * @param {Array} palette - Palette colors (each with an `rgb` object and an optional `name`)
+ * @param {Object} options - { name: palette (group) name }
+ * @returns {Uint8Array} - File content
+ */
+export function exportAse (palette, { name = 'Palette' } = {}) {
+  const blocks = [
+    nameBlock(BLOCK_GROUP_START, name, 0),
+    ...palette.map(color => colorBlock(color.rgb, color.name)),
+    { type: BLOCK_GROUP_END, body: new Uint8Array(0) }
+  ];
+
+  const size = 12 + blocks.reduce((sum, block) => sum + 6 + block.body.length, 0);
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+
+  writeAscii(bytes, 0, 'ASEF');
+  view.setUint16(4, 1); // Version 1.0
+  view.setUint16(6, 0);
+  view.setUint32(8, blocks.length);
+
+  let offset = 12;
+  for (const block of blocks) {
+    view.setUint16(offset, block.type);
+    view.setUint32(offset + 2, block.body.length);
+    bytes.set(block.body, offset + 6);
+    offset += 6 + block.body.length;
+  }
+
+  return bytes;
+}
+
+// Helper functions
+
+// Block body starting with a name, followed by extraBytes bytes for the caller to fill
+function nameBlock (type, name, extraBytes) {
+  const units = name.length + 1; // Including the terminating null
+  const body = new Uint8Array(2 + units * 2 + extraBytes);
+  const view = new DataView(body.buffer);
+
+  view.setUint16(0, units);
+  for (let i = 0; i < name.length; i++) {
+    view.setUint16(2 + i * 2, name.charCodeAt(i));
+  }
+  return { type, body, view, offset: 2 + units * 2 };
+}
+
+function colorBlock (rgb, name) {
+  const block = nameBlock(BLOCK_COLOR, name || rgbToHex([rgb.r, rgb.g, rgb.b]), 4 + 3 * 4 + 2);
+  const { body, view } = block;
+  let offset = block.offset;
+
+  writeAscii(body, offset, 'RGB ');
+  offset += 4;
+  for (const channel of [rgb.r, rgb.g, rgb.b]) {
+    view.setFloat32(offset, channel / 255);
+    offset += 4;
+  }
+  view.setUint16(offset, COLOR_TYPE_NORMAL);
+
+  return block;
+}
+
+function writeAscii (bytes, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    bytes[offset + i] = text.charCodeAt(i);
+  }
+}
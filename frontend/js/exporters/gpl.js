@@ -0,0 +1,33 @@
+/**
+ * GIMP palette (.gpl) exporter, also read by Inkscape, Krita and Aseprite.
+ * Each line ends with the color name when there is one, else the hex code.
+ */
+
+import { rgbToHex } from '../colorUtils.js';
+
+/**
+ * Serializes a palette as a GIMP palette file.
+ * @param {Array} palette - Palette colors (each with an `rgb` object and an optional `name`)
+ * @param {Object} options - { name: palette name }
+ * @returns {string} - File content
+ */
+export function exportGpl (palette, { name = 'Palette' } = {}) {
+  const lines = [
+    'GIMP Palette',
+    `Name: ${singleLine(name)}`,
+    `Columns: ${Math.min(palette.length, 16)}`,
+    '#'
+  ];
+
+  for (const { rgb, name: colorName } of palette) {
+    const channels = [rgb.r, rgb.g, rgb.b].map(c => String(c).padStart(3, ' '));
+    lines.push(`${channels.join(' ')}\t${colorName ? singleLine(colorName) : rgbToHex([rgb.r, rgb.g, rgb.b])}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// Names are stored on a single line
+function singleLine (text) {
+  return text.replace(/[\r\n]+/g, ' ');
+}
@@ -0,0 +1,34 @@
+/**
+ * Paint.NET palette (.txt) exporter: one AARRGGBB hex value per line,
+ * comments start with a semicolon. Paint.NET reads at most 96 colors and has no
+ * swatch names, so color names go in a comment above their value.
+ */
+
+const MAX_COLORS = 96;
+
+/**
+ * Serializes a palette as a Paint.NET palette file.
+ * @param {Array} palette - Palette colors (each with an `rgb` object and an optional `name`)
+ * @param {Object} options - { name: palette name }
+ * @returns {string} - File content
+ */
+export function exportPaintNet (palette, { name = 'Palette' } = {}) {
+  const toHex = (c) => c.toString(16).padStart(2, '0').toUpperCase();
+  const lines = [
+    '; Paint.NET Palette File',
+    `; ${singleLine(name)}`,
+    `; Colors: ${Math.min(palette.length, MAX_COLORS)}`
+  ];
+
+  for (const { rgb, name: colorName } of palette.slice(0, MAX_COLORS)) {
+    if (colorName) lines.push(`; ${singleLine(colorName)}`);
+    lines.push(`FF${toHex(rgb.r)}${toHex(rgb.g)}${toHex(rgb.b)}`);
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Comments end at the line break
+function singleLine (text) {
+  return text.replace(/[\r\n]+/g, ' ');
+}
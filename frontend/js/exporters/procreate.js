@@ -0,0 +1,102 @@
+/**
+ * Procreate palette (.swatches) exporter.
+ *
+ * A .swatches file is a ZIP archive holding a single Swatches.json with the
+ * palette name and its colors in HSB, channels in [0, 1]. Procreate palettes
+ * have 30 slots, so longer palettes are cut off, and swatches have no names.
+ */
+
+import { rgbToHsv } from '../colorUtils.js';
+
+const MAX_SWATCHES = 30;
+const DOS_DATE_1980_01_01 = (1 << 5) | 1;
+
+/**
+ * Serializes a palette as a Procreate swatches file.
+ * @param {Array} palette - Palette colors (each with an `rgb` object)
+ * @param {Object} options - { name: palette name }
+ * @returns {Uint8Array} - File content
+ */
+export function exportProcreate (palette, { name = 'Palette' } = {}) {
+  const swatches = palette.slice(0, MAX_SWATCHES).map(({ rgb }) => {
+    const [hue, saturation, brightness] = rgbToHsv(rgb.r, rgb.g, rgb.b);
+    return { hue, saturation, brightness, alpha: 1, colorSpace: 0 };
+  });
+
+  const json = JSON.stringify([{ name, swatches }]);
+  return createStoredZip('Swatches.json', new TextEncoder().encode(json));
+}
+
+// Helper functions
+
+// ZIP archive with one uncompressed (stored) file
+function createStoredZip (filename, data) {
+  const nameBytes = new TextEncoder().encode(filename);
+  const crc = crc32(data);
+  const localSize = 30 + nameBytes.length;
+  const centralSize = 46 + nameBytes.length;
+  const bytes = new Uint8Array(localSize + data.length + centralSize + 22);
+  const view = new DataView(bytes.buffer);
+
+  // Local file header
+  view.setUint32(0, 0x04034b50, true);
+  view.setUint16(4, 20, true); // Version needed to extract (2.0)
+  view.setUint16(6, 0x0800, true); // UTF-8 file name
+  view.setUint16(8, 0, true); // Stored
+  view.setUint16(10, 0, true); // Time
+  view.setUint16(12, DOS_DATE_1980_01_01, true);
+  view.setUint32(14, crc, true);
+  view.setUint32(18, data.length, true);
+  view.setUint32(22, data.length, true);
+  view.setUint16(26, nameBytes.length, true);
+  view.setUint16(28, 0, true);
+  bytes.set(nameBytes, 30);
+  bytes.set(data, localSize);
+
+  // Central directory
+  const central = localSize + data.length;
+  view.setUint32(central, 0x02014b50, true);
+  view.setUint16(central + 4, 20, true); // Version made by
+  view.setUint16(central + 6, 20, true);
+  view.setUint16(central + 8, 0x0800, true);
+  view.setUint16(central + 10, 0, true);
+  view.setUint16(central + 12, 0, true);
+  view.setUint16(central + 14, DOS_DATE_1980_01_01, true);
+  view.setUint32(central + 16, crc, true);
+  view.setUint32(central + 20, data.length, true);
+  view.setUint32(central + 24, data.length, true);
+  view.setUint16(central + 28, nameBytes.length, true);
+  // Extra field, comment, disk number, attributes and local header offset stay 0
+  bytes.set(nameBytes, central + 46);
+
+  // End of central directory
+  const end = central + centralSize;
+  view.setUint32(end, 0x06054b50, true);
+  view.setUint16(end + 8, 1, true); // Entries on this disk
+  view.setUint16(end + 10, 1, true); // Total entries
+  view.setUint32(end + 12, centralSize, true);
+  view.setUint32(end + 16, central, true);
+
+  return bytes;
+}
+
+let crcTable = null;
+
+function crc32 (data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
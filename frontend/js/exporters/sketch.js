@@ -0,0 +1,32 @@
+/**
+ * Sketch Palettes (.sketchpalette) exporter. The file is plain JSON with
+ * channels in [0, 1]; every color also carries its hex code, which Figma
+ * palette-import plugins read, and is named after the color name when there
+ * is one, else the hex code.
+ */
+
+import { rgbToHex } from '../colorUtils.js';
+
+/**
+ * Serializes a palette as a Sketch Palettes file.
+ * @param {Array} palette - Palette colors (each with an `rgb` object and an optional `name`)
+ * @param {Object} options - { name: palette name }
+ * @returns {string} - File content
+ */
+export function exportSketch (palette, { name = 'Palette' } = {}) {
+  const round = (c) => Number((c / 255).toFixed(4));
+
+  return JSON.stringify({
+    compatibleVersion: '2.0', // Sketch Palettes plugin file version
+    pluginVersion: '2.22',
+    name,
+    colors: palette.map(({ rgb, name: colorName }) => ({
+      name: colorName || rgbToHex([rgb.r, rgb.g, rgb.b]),
+      hex: rgbToHex([rgb.r, rgb.g, rgb.b]),
+      red: round(rgb.r),
+      green: round(rgb.g),
+      blue: round(rgb.b),
+      alpha: 1
+    }))
+  }, null, 2);
+}
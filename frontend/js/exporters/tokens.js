@@ -0,0 +1,157 @@
+/**
+ * Code-oriented palette exporters: CSS custom properties, SCSS map, Tailwind
+ * theme extension and W3C Design Tokens (DTCG) JSON.
+ *
+ * All four share the same token names:
+ * - background, background-2, ... for background colors (largest first)
+ * - accent, accent-2, ... for hidden colors (largest first)
+ * - tone-100, tone-200, ... for the remaining colors, from lightest to darkest (CIELAB L*)
+ *
+ * Names do not depend on the palette order, but tokens are written in palette
+ * order (see paletteSorting.js). Color names (see colorNaming.js), when the
+ * palette has them, follow each token as a comment or in its description.
+ * Palettes analyzed in Display P3 (see displayP3.js) also get color(display-p3 ...)
+ * values in the CSS and SCSS exports, next to the sRGB hex fallback.
+ */
+
+import { rgbToHex, rgbToLab } from '../colorUtils.js';
+import { cssDisplayP3 } from '../displayP3.js';
+
+const TOKEN_GROUP = 'palette';
+
+/**
+ * Named palette tokens, one per color in palette order.
+ * @param {Array} palette - Analyzed palette (rgb, lab, percentage, isBackground, isHidden, optional name)
+ * @returns {Array} - [{ name, hex, role, percentage, colorName, displayP3 }] (colorName is null for unnamed colors,
+ *   displayP3 a CSS color() value for colors analyzed in Display P3, otherwise null)
+ */
+export function paletteTokens (palette) {
+  const byShare = (a, b) => (b.percentage || 0) - (a.percentage || 0);
+  const lightness = (color) => (color.lab ? color.lab[0] : rgbToLab(color.rgb.r, color.rgb.g, color.rgb.b)[0]);
+  const token = (color, name, role) => ({
+    name,
+    hex: rgbToHex([color.rgb.r, color.rgb.g, color.rgb.b]),
+    role,
+    percentage: color.percentage || 0,
+    colorName: color.name || null,
+    displayP3: color.displayP3 ? cssDisplayP3(color.displayP3) : null
+  });
+  const roleName = (base, idx) => (idx === 0 ? base : `${base}-${idx + 1}`);
+
+  const backgrounds = palette.filter(c => c.isBackground).sort(byShare);
+  const accents = palette.filter(c => c.isHidden && !c.isBackground).sort(byShare);
+  const regular = palette.filter(c => !c.isBackground && !c.isHidden)
+    .sort((a, b) => lightness(b) - lightness(a));
+
+  const tokensByColor = new Map([
+    ...backgrounds.map((c, idx) => [c, token(c, roleName('background', idx), 'background')]),
+    ...regular.map((c, idx) => [c, token(c, `tone-${(idx + 1) * 100}`, 'color')]),
+    ...accents.map((c, idx) => [c, token(c, roleName('accent', idx), 'hidden')])
+  ]);
+  return palette.map(c => tokensByColor.get(c));
+}
+
+/**
+ * CSS custom properties on :root (--palette-<name>). Display P3 values override the
+ * hex colors in an @supports block, so browsers without color() keep the sRGB ones.
+ * @param {Array} palette - Analyzed palette
+ * @param {Object} options - { name: palette name, used in the header comment }
+ * @returns {string} - File content
+ */
+export function exportCss (palette, { name = 'Palette' } = {}) {
+  const tokens = paletteTokens(palette);
+  const lines = tokens.map(t => `  --${TOKEN_GROUP}-${t.name}: ${t.hex};${trailingComment(t, '/* ', ' */')}`);
+  let css = `/* ${headerComment(name)} */\n:root {\n${lines.join('\n')}\n}\n`;
+
+  const wideGamut = tokens.filter(t => t.displayP3);
+  if (wideGamut.length > 0) {
+    const p3Lines = wideGamut.map(t => `    --${TOKEN_GROUP}-${t.name}: ${t.displayP3};`);
+    css += `\n@supports (color: color(display-p3 0 0 0)) {\n  :root {\n${p3Lines.join('\n')}\n  }\n}\n`;
+  }
+  return css;
+}
+
+/**
+ * SCSS map ($palette) with one entry per token, plus a $palette-p3 map of
+ * color(display-p3 ...) values for palettes analyzed in Display P3.
+ * @param {Array} palette - Analyzed palette
+ * @param {Object} options - { name: palette name, used in the header comment }
+ * @returns {string} - File content
+ */
+export function exportScss (palette, { name = 'Palette' } = {}) {
+  const tokens = paletteTokens(palette);
+  const lines = tokens.map(t => `  '${t.name}': ${t.hex},${trailingComment(t, '// ')}`);
+  let scss = `// ${headerComment(name)}\n$${TOKEN_GROUP}: (\n${lines.join('\n')}\n);\n`;
+
+  const wideGamut = tokens.filter(t => t.displayP3);
+  if (wideGamut.length > 0) {
+    const p3Lines = wideGamut.map(t => `  '${t.name}': ${t.displayP3},`);
+    scss += `\n$${TOKEN_GROUP}-p3: (\n${p3Lines.join('\n')}\n);\n`;
+  }
+  return scss;
+}
+
+/**
+ * Tailwind config fragment extending theme.colors (classes like bg-palette-background).
+ * @param {Array} palette - Analyzed palette
+ * @param {Object} options - { name: palette name, used in the header comment }
+ * @returns {string} - File content
+ */
+export function exportTailwind (palette, { name = 'Palette' } = {}) {
+  const lines = paletteTokens(palette).map(t => `          '${t.name}': '${t.hex}',${trailingComment(t, '// ')}`);
+  return [
+    `// ${headerComment(name)}`,
+    '/** @type {import(\'tailwindcss\').Config} */',
+    'module.exports = {',
+    '  theme: {',
+    '    extend: {',
+    '      colors: {',
+    `        ${TOKEN_GROUP}: {`,
+    ...lines,
+    '        }',
+    '      }',
+    '    }',
+    '  }',
+    '};',
+    ''
+  ].join('\n');
+}
+
+/**
+ * W3C Design Tokens Community Group format: one color group, one token per color.
+ * @param {Array} palette - Analyzed palette
+ * @param {Object} options - { name: palette name, used as the group description }
+ * @returns {string} - File content
+ */
+export function exportDtcg (palette, { name = 'Palette' } = {}) {
+  const group = {
+    $type: 'color',
+    $description: headerComment(name)
+  };
+
+  for (const t of paletteTokens(palette)) {
+    const share = `${t.role}, ${(t.percentage * 100).toFixed(1)}% of the image`;
+    group[t.name] = {
+      $value: t.hex,
+      $description: t.colorName ? `${t.colorName} (${share})` : share
+    };
+  }
+
+  return JSON.stringify({ [TOKEN_GROUP]: group }, null, 2) + '\n';
+}
+
+// Helper functions
+
+function headerComment (name) {
+  return `Color Compass palette: ${commentText(name)}`;
+}
+
+// " <open>color name<close>" after a token line, or nothing for unnamed colors
+function trailingComment (token, open, close = '') {
+  return token.colorName ? ` ${open}${commentText(token.colorName)}${close}` : '';
+}
+
+// Safe inside both line and block comments
+function commentText (text) {
+  return text.replace(/[\r\n]+/g, ' ').replace(/\*\//g, '* /');
+}
@@ -1,5 +1,7 @@
 // frontend/js/fileSaver.js
 
+import { exportPalette } from './paletteExporters.js';
+
 /**
  * Saves text content as a file using Blob and URL.createObjectURL.
  * @param {string} filename - The desired name for the downloaded file.
@@ -7,9 +9,40 @@
  * @param {string} mimeType - The MIME type of the file (e.g., 'text/plain', 'application/json').
  */
 export function saveTextFile (filename, textContent, mimeType = 'text/plain') {
+  saveBlob(filename, () => new Blob([textContent], { type: mimeType }), 'text');
+}
+
+/**
+ * Saves binary content (e.g. an .ase or .swatches palette) as a file.
+ * @param {string} filename - The desired name for the downloaded file.
+ * @param {Uint8Array} bytes - The file content.
+ * @param {string} mimeType - The MIME type of the file (default: 'application/octet-stream').
+ */
+export function saveBinaryFile (filename, bytes, mimeType = 'application/octet-stream') {
+  saveBlob(filename, () => new Blob([bytes], { type: mimeType }), 'binary');
+}
+
+/**
+ * Saves a palette in one of the formats of paletteExporters.js.
+ * @param {string} baseName - File name without extension (the extension comes from the format).
+ * @param {Array} palette - Analyzed palette.
+ * @param {string} format - Export format name (e.g. 'ase', 'gpl').
+ * @param {string} paletteName - Palette name shown in the target tool (default: baseName).
+ */
+export function savePaletteFile (baseName, palette, format, paletteName = baseName) {
+  const { content, extension, mimeType } = exportPalette(palette, format, { name: paletteName });
+  const filename = `${baseName}${extension}`;
+  if (typeof content === 'string') {
+    saveTextFile(filename, content, mimeType);
+  } else {
+    saveBinaryFile(filename, content, mimeType);
+  }
+}
+
+// Downloads the blob built by createBlob through a temporary object URL
+function saveBlob (filename, createBlob, kind) {
   try {
-    const blob = new Blob([textContent], { type: mimeType });
-    const url = URL.createObjectURL(blob);
+    const url = URL.createObjectURL(createBlob());
 
     const a = document.createElement('a');
     a.href = url;
@@ -21,10 +54,10 @@ export function saveTextFile (filename, textContent, mimeType = 'text/plain') {
       URL.revokeObjectURL(url);
     }, 100);
 
-    console.log(`Saved text file: ${filename}`);
+    console.log(`Saved ${kind} file: ${filename}`);
 
   } catch (e) {
-    console.error("Error saving text file:", e);
+    console.error(`Error saving ${kind} file:`, e);
     alert(`Failed to save file ${filename}.`);
   }
 }
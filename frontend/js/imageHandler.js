@@ -1,6 +1,7 @@
 // frontend/js/imageHandler.js
 
 import { t } from './i18n.js'; // Import i18n module
+import { convertPixels } from './displayP3.js'; // Fallback for browsers without Display P3 canvases
 
 /**
  * Reads a File object and displays it in an <img> element.
@@ -68,20 +69,22 @@ export function loadImageAndDisplay (file, imgElement) {
 /**
 * Draws a loaded image element onto a canvas and returns the pixel data.
 * For large images (>2MP), automatically downsamples for better performance.
+* With colorSpace 'display-p3', wide-gamut images keep the colors an sRGB canvas would clip;
+* browsers without Display P3 canvases read sRGB, which is then converted so the data is always
+* in the requested color space.
 * @param {HTMLImageElement} imgElement - The loaded <img> element.
 * @param {HTMLCanvasElement} canvasElement - The <canvas> element to draw onto.
 * @param {number} maxPixels - Maximum number of pixels (default: 2000000 for 2MP)
+* @param {string} colorSpace - Color space to read the pixels in: 'srgb' (default) or 'display-p3'.
 * @returns {Uint8ClampedArray | null} The pixel data array (R, G, B, A for each pixel), or null if an error occurred.
 */
-export function getCanvasPixelData (imgElement, canvasElement, maxPixels = 2000000) {
+export function getCanvasPixelData (imgElement, canvasElement, maxPixels = 2000000, colorSpace = 'srgb') {
   // Check if the image is fully loaded and has dimensions
   if (!imgElement || !canvasElement || !imgElement.complete || imgElement.naturalWidth === 0) {
     console.error("Invalid image element or canvas provided, or image not fully loaded.");
     return null;
   }
 
-  const ctx = canvasElement.getContext('2d');
-
   const originalWidth = imgElement.naturalWidth;
   const originalHeight = imgElement.naturalHeight;
   const totalPixels = originalWidth * originalHeight;
@@ -101,19 +104,68 @@ export function getCanvasPixelData (imgElement, canvasElement, maxPixels = 20000
   canvasElement.width = drawWidth;
   canvasElement.height = drawHeight;
 
+  // A canvas keeps the color space of its first context: read through a scratch canvas when it differs
+  let ctx = canvasElement.getContext('2d', { colorSpace });
+  let canvas = canvasElement;
+  const contextColorSpace = getContextColorSpace(ctx);
+  if (contextColorSpace !== null && contextColorSpace !== colorSpace) {
+    canvas = document.createElement('canvas');
+    canvas.width = drawWidth;
+    canvas.height = drawHeight;
+    ctx = canvas.getContext('2d', { colorSpace });
+  }
+
   // Clear the canvas (good practice)
-  ctx.clearRect(0, 0, canvasElement.width, canvasElement.height);
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
 
   // Draw the image onto the canvas (with downsampling if needed)
   ctx.drawImage(imgElement, 0, 0, drawWidth, drawHeight);
 
   try {
     // Get the pixel data
-    const imageData = ctx.getImageData(0, 0, canvasElement.width, canvasElement.height);
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height, { colorSpace });
+    const readColorSpace = imageData.colorSpace || 'srgb';
+    if (readColorSpace !== colorSpace) {
+      console.warn(`Canvas color space "${colorSpace}" is not supported here; converting from ${readColorSpace}.`);
+      return convertPixels(imageData.data, readColorSpace, colorSpace);
+    }
     return imageData.data; // This is the Uint8ClampedArray (R, G, B, A, R, G, B, A, ...)
   } catch (e) {
     console.error("Error getting image data from canvas:", e);
     console.warn("This might be due to CORS restrictions if the image was loaded from a different origin. However, for files selected by the user, this should not happen when served via a local web server.");
     return null;
   }
-}
\ No newline at end of file
+}
+
+/**
+* Renders a small JPEG preview of a loaded image, e.g. to embed in an exported report.
+* @param {HTMLImageElement} imgElement - The loaded <img> element.
+* @param {number} maxSize - Longest side of the thumbnail in pixels (default: 160).
+* @returns {string | null} The thumbnail as a Data URL, or null if the image is not loaded.
+*/
+export function createThumbnailDataUrl (imgElement, maxSize = 160) {
+  if (!imgElement || !imgElement.complete || imgElement.naturalWidth === 0) {
+    return null;
+  }
+
+  const scale = Math.min(1, maxSize / Math.max(imgElement.naturalWidth, imgElement.naturalHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(imgElement.naturalWidth * scale));
+  canvas.height = Math.max(1, Math.round(imgElement.naturalHeight * scale));
+  canvas.getContext('2d').drawImage(imgElement, 0, 0, canvas.width, canvas.height);
+
+  try {
+    return canvas.toDataURL('image/jpeg', 0.8);
+  } catch (e) {
+    console.error("Error creating image thumbnail:", e);
+    return null;
+  }
+}
+
+// Helper functions
+
+// Color space of a 2D context, or null where the browser does not report one
+function getContextColorSpace (ctx) {
+  const attributes = ctx.getContextAttributes ? ctx.getContextAttributes() : null;
+  return (attributes && attributes.colorSpace) || null;
+}
@@ -0,0 +1,92 @@
+/**
+ * Adobe Swatch Exchange (.ase) reader. Counterpart of exporters/ase.js.
+ *
+ * Reads every color block regardless of group; RGB, Gray, CMYK (naive
+ * conversion, no ICC profile) and LAB swatches are converted to sRGB.
+ */
+
+import { labToRgb } from '../colorUtils.js';
+
+const BLOCK_COLOR = 0x0001;
+
+/**
+ * Parses an Adobe Swatch Exchange file.
+ * @param {Uint8Array} bytes - File content
+ * @returns {Array} - Swatches as [{ name, rgb: { r, g, b } }]
+ */
+export function parseAse (bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < 12 || readAscii(bytes, 0, 4) !== 'ASEF') {
+    throw new Error('Not an Adobe Swatch Exchange file (missing ASEF signature).');
+  }
+
+  const blockCount = view.getUint32(8);
+  const swatches = [];
+  let offset = 12;
+
+  for (let i = 0; i < blockCount && offset + 6 <= bytes.length; i++) {
+    const type = view.getUint16(offset);
+    const length = view.getUint32(offset + 2);
+    const body = offset + 6;
+    if (body + length > bytes.length) {
+      throw new Error('Truncated Adobe Swatch Exchange file.');
+    }
+
+    if (type === BLOCK_COLOR) {
+      const swatch = parseColorBlock(bytes, view, body);
+      if (swatch) swatches.push(swatch);
+    }
+    offset = body + length;
+  }
+
+  return swatches;
+}
+
+// Helper functions
+
+function parseColorBlock (bytes, view, offset) {
+  const units = view.getUint16(offset);
+  let name = '';
+  for (let i = 0; i < units - 1; i++) {
+    name += String.fromCharCode(view.getUint16(offset + 2 + i * 2));
+  }
+
+  let pos = offset + 2 + units * 2;
+  const model = readAscii(bytes, pos, 4).trim();
+  pos += 4;
+  const channel = (idx) => view.getFloat32(pos + idx * 4);
+  const to255 = (v) => Math.round(Math.max(0, Math.min(1, v)) * 255);
+
+  let rgb;
+  switch (model) {
+    case 'RGB':
+      rgb = { r: to255(channel(0)), g: to255(channel(1)), b: to255(channel(2)) };
+      break;
+    case 'Gray':
+      rgb = { r: to255(channel(0)), g: to255(channel(0)), b: to255(channel(0)) };
+      break;
+    case 'CMYK': {
+      const k = channel(3);
+      rgb = {
+        r: to255((1 - channel(0)) * (1 - k)),
+        g: to255((1 - channel(1)) * (1 - k)),
+        b: to255((1 - channel(2)) * (1 - k))
+      };
+      break;
+    }
+    case 'LAB': {
+      const [r, g, b] = labToRgb(channel(0) * 100, channel(1), channel(2)).map(Math.round);
+      rgb = { r, g, b };
+      break;
+    }
+    default:
+      console.warn(`Skipping ASE swatch "${name}" with unsupported color model "${model}".`);
+      return null;
+  }
+
+  return { name, rgb };
+}
+
+function readAscii (bytes, offset, length) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
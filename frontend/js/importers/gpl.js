@@ -0,0 +1,39 @@
+/**
+ * GIMP palette (.gpl) reader. Counterpart of exporters/gpl.js.
+ */
+
+/**
+ * Parses a GIMP palette file.
+ * @param {string} text - File content
+ * @returns {{name: string|null, swatches: Array}} - Palette name and [{ name, rgb: { r, g, b } }]
+ */
+export function parseGpl (text) {
+  const lines = text.split(/\r?\n/);
+  if (!lines[0] || !lines[0].trim().startsWith('GIMP Palette')) {
+    throw new Error('Not a GIMP palette file (missing "GIMP Palette" header).');
+  }
+
+  let name = null;
+  const swatches = [];
+
+  for (const rawLine of lines.slice(1)) {
+    const line = rawLine.trim();
+    if (line === '' || line.startsWith('#')) continue;
+
+    const header = line.match(/^(Name|Columns):\s*(.*)$/);
+    if (header) {
+      if (header[1] === 'Name') name = header[2];
+      continue;
+    }
+
+    const match = line.match(/^(\d+)\s+(\d+)\s+(\d+)\s*(.*)$/);
+    if (!match) {
+      console.warn(`Skipping unreadable GPL line: ${line}`);
+      continue;
+    }
+    const [r, g, b] = match.slice(1, 4).map(v => Math.min(255, parseInt(v, 10)));
+    swatches.push({ name: match[4], rgb: { r, g, b } });
+  }
+
+  return { name, swatches };
+}
@@ -3,6 +3,14 @@
  * Provides both async (Worker-based) and sync fallback methods
  */
 
+import { labDistance, deltaE94, deltaE2000 } from './colorUtils.js';
+
+const LAB_DISTANCES = {
+  deltaE76: labDistance,
+  deltaE94,
+  deltaE2000
+};
+
 let labWorker = null;
 const WORKER_PATH = './js/workers/labConverter.js';
 
@@ -164,14 +172,15 @@ function rgbToLabSync(r, g, b) {
  * Calculate Lab distance asynchronously
  * @param {number[]} lab1 - First Lab color
  * @param {number[]} lab2 - Second Lab color
+ * @param {string} metric - 'deltaE76' | 'deltaE94' | 'deltaE2000' (default: 'deltaE76')
  * @returns {Promise<number>} Distance
  */
-export function calculateLabDistanceAsync(lab1, lab2) {
+export function calculateLabDistanceAsync(lab1, lab2, metric = 'deltaE76') {
   const worker = initLabWorker();
 
   return new Promise((resolve, reject) => {
     if (!worker) {
-      resolve(calculateLabDistanceSync(lab1, lab2));
+      resolve(calculateLabDistanceSync(lab1, lab2, metric));
       return;
     }
 
@@ -188,7 +197,7 @@ export function calculateLabDistanceAsync(lab1, lab2) {
 
     worker.postMessage({
       type: 'distance',
-      data: { lab1, lab2 }
+      data: { lab1, lab2, metric }
     });
   });
 }
@@ -196,11 +205,12 @@ export function calculateLabDistanceAsync(lab1, lab2) {
 /**
  * Calculate Lab distance synchronously
  */
-export function calculateLabDistanceSync(lab1, lab2) {
-  const deltaL = lab1[0] - lab2[0];
-  const deltaA = lab1[1] - lab2[1];
-  const deltaB = lab1[2] - lab2[2];
-  return Math.sqrt(deltaL * deltaL + deltaA * deltaA + deltaB * deltaB);
+export function calculateLabDistanceSync(lab1, lab2, metric = 'deltaE76') {
+  const distance = LAB_DISTANCES[metric];
+  if (!distance) {
+    throw new Error(`Unknown Lab distance metric: ${metric}`);
+  }
+  return distance(lab1, lab2);
 }
 
 /**
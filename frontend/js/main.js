@@ -2,30 +2,56 @@
 
 // Import functions/classes from other modules
 // loadImageAndDisplay still takes a File, but it uses FileReader internally which handles Blobs as well.
-import { loadImageAndDisplay, getCanvasPixelData } from './imageHandler.js';
-import { extractDominantColors } from './medianCut.js';
-import { analyzePalette } from './paletteAnalyzer.js';
-import { applySLIC } from './slic.js';
-import { drawPalette, exportPaletteAsImage } from './paletteRenderer.js'; // Import export function
-import { calculateColorStats } from './colorStats.js';
-import { drawHistogram, drawLabScatterPlotRevised } from './visualization2D.js';
-import { drawHuePolarChart, drawHsvSquareChart, drawColorDistanceHeatmap, drawLabDensityChart } from './visualizationAdvanced.js';
-import { setupSphereScene, disposeScene, exportSphereAsImage } from './sphereRenderer3D.js'; // Import setup, dispose, and export function
-import { saveTextFile, saveDataUrlAsFile } from './fileSaver.js'; // Import file saver utilities
-import { rgbToHex } from './colorUtils.js'; // Make sure this is imported
-import { t, initI18n } from './i18n.js'; // Import i18n module
+import { loadImageAndDisplay, getCanvasPixelData, createThumbnailDataUrl } from './imageHandler.js';
+import { runAnalysisAsync, cancelAnalysis, isAbortError } from './analysisWorkerManager.js'; // Analysis pipeline in a Web Worker
+import { drawPalette, drawPaletteStrip, exportPaletteAsImage } from './paletteRenderer.js'; // Import export function
+import { drawHistogram, drawLabScatterPlotRevised, drawLabScatterComparison } from './visualization2D.js';
+import { drawHuePolarChart, drawHsvSquareChart, drawColorDistanceHeatmap, drawLabDensityChart, drawHuePolarComparison } from './visualizationAdvanced.js';
+import { setupSphereScene, setupSphereComparisonScene, disposeScene, exportSphereAsImage } from './sphereRenderer3D.js'; // Import setup, dispose, and export function
+import { saveTextFile, saveDataUrlAsFile, savePaletteFile } from './fileSaver.js'; // Import file saver utilities
+import { t, initI18n, getLocale } from './i18n.js'; // Import i18n module
 import { drawSLMapPanel } from './slMapRenderer.js';
+import { getVisiblePixels } from './pipeline.js'; // Transparency and color space handling for the main-thread visualizations
+import { convertPixels, fromDisplayP3Color } from './displayP3.js'; // Display P3 pixel data
+import { DEFAULT_PIPELINE_PARAMS, BUILTIN_PRESETS, getBuiltinPreset, sanitizeParams } from './pipelineParams.js'; // Parameter defaults and presets
+import { getQuantizerNames } from './quantizers.js'; // Seed color quantizers
+import { getPaletteSortNames, sortPalette } from './paletteSorting.js'; // Palette orderings
+import { analyzeHarmony, suggestHarmonies } from './colorHarmony.js'; // Harmony scheme and suggestions
+import { WCAG_LEVELS, DEFAULT_CONTRAST_TARGET, buildContrastMatrix } from './contrastAnalysis.js'; // Text contrast of palette pairs
+import { CVD_TYPES, DEFAULT_CONFUSION_THRESHOLD, simulatePixels, simulatePalette, findConfusedPairs } from './colorVision.js'; // Color vision deficiency view mode
+import { DEFAULT_COLOR_NAMES, getColorDictionaryNames, registerColorDictionary, parseColorDictionary, nameColors } from './colorNaming.js'; // Swatch names
+import { getPaletteExporterNames } from './paletteExporters.js'; // Design tool palette formats
+import { serializeAnalysisReport } from './report.js'; // Versioned JSON report
+import { importPaletteFile, isImportableFile } from './paletteImporters.js'; // Restore sessions from reports, ASE and GPL files
+import { encodeShareState, decodeShareState } from './shareState.js'; // Shareable links (URL hash)
+import { buildCollectionAnalysis } from './collectionPalette.js'; // Batch mode: merged palette of several images
+import { comparePalettes } from './paletteComparison.js'; // Compare view: palette-to-palette ΔE matching
+import { moveColor, removeColor, setColorLocked, mergeColors, addColor, getLockedColors } from './paletteEditing.js'; // Palette editor
+import { sampleColor, describeColor, findNearestColor } from './colorSampler.js'; // Eyedropper on the uploaded image
+import { DISTANCE_METRICS, rgbToHex, hexToRgb } from './colorUtils.js'; // Drift threshold and hex labels of the compare table, picked colors
+import { getPresetNames, loadPreset, savePreset, renamePreset, deletePreset, exportPresets, importPresets, loadLastParams, saveLastParams } from './presetStore.js'; // Saved presets (localStorage)
 
 
 // --- State Variables ---
 // Variables to store data/objects needed for export buttons, cleanup, and re-processing
 let currentAnalyzedPalette = null; // Stores the processed palette data
+let currentAnalysis = null; // Pipeline result of the current palette (for the JSON report)
 let currentSphereRenderer = null; // Stores the Three.js renderer instance
 let currentScene = null; // Stores the Three.js scene instance
 let currentCamera = null; // Stores the Three.js camera instance
 let currentImageFilename = 'image'; // Stores the base filename for exports
 let currentImageSize = { width: 0, height: 0 }; // Stores the loaded image dimensions for percentage calculation
 let currentPixelData = null; // Store pixel data to allow re-generating palette/3D from controls
+let currentPixelSize = { width: 0, height: 0 }; // Dimensions of currentPixelData (may be downsampled from the original)
+let currentPixelColorSpace = 'srgb'; // Color space currentPixelData was read in (paletteParams.colorSpace at the time)
+let currentBatch = null; // Batch mode: { files, analyses, cards } (the collection palette is currentAnalyzedPalette)
+let currentComparison = null; // Compare view: { file, name, thumbnail, analysis, pixelData, width, height } of the second image
+let paletteSelection = []; // Palette editor: selected indices of currentAnalyzedPalette (at most two, for merging)
+let paletteSwatchRects = []; // Canvas area of each swatch, as returned by drawPalette
+let pickedColor = null; // Eyedropper: last sampled { r, g, b } of the uploaded image
+let currentVisionMode = 'normal'; // Color vision the views simulate: 'normal' or a key of CVD_TYPES
+let visionImageSource = null; // Real src of the uploaded image while it shows a simulation
+let currentColorDictionary = null; // Color names of the swatches and exports: a dictionary name, '' for none, null to follow the language
 
 
 document.addEventListener('DOMContentLoaded', async () => {
@@ -81,33 +107,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     })
     .catch(e => console.log(t('version.fetchFailed'), e));
 
-  // --- Palette Parameters with Default Values ---
-  // REVISED: Simplified parameter system to avoid conflicts
-  const paletteParams = {
-    // Target palette size (4-24)
-    targetPaletteSize: 12,
-    
-    // Number of dominant colors from MMCQ (used as initial centroids)
-    dominantColors: 8,
-    
-    // Hidden color detection parameters
-    maxHiddenColors: 3,
-    hiddenColorThreshold: 0.005, // Dynamic threshold for hidden color detection
-    edgeSensitivity: 0.5, // How sensitive to edge colors (0-1)
-    contrastThreshold: 0.3, // How sensitive to contrast colors (0-1)
-    
-    // SLIC parameters
-    superpixelCount: 200,
-    superpixelCompactness: 10,
-    
-    // Background color parameters  
-    maxBackgrounds: 3,
-    backgroundVarianceScale: 1.0,
-    
-    // Algorithm options
-    useSuperpixels: true,
-    useDeltaE: false
-  };
+  // --- Palette Parameters ---
+  // Defaults come from pipelineParams.js; the parameters of the previous visit take precedence
+  const paletteParams = { ...DEFAULT_PIPELINE_PARAMS, ...loadLastParams() };
 
   // --- Get HTML Elements ---
   const imageInput = document.getElementById('imageInput'); // File input
@@ -120,10 +122,23 @@ document.addEventListener('DOMContentLoaded', async () => {
   const reRenderPaletteBtn = document.getElementById('reRenderPaletteBtn'); // Re-render button
   const toggleAdvancedBtn = document.getElementById('toggleAdvancedBtn'); // Toggle advanced params
   const resetParamsBtn = document.getElementById('resetParamsBtn'); // Reset parameters button
+  const presetSelect = document.getElementById('presetSelect'); // Built-in and saved parameter presets
+  const savePresetBtn = document.getElementById('savePresetBtn');
+  const renamePresetBtn = document.getElementById('renamePresetBtn');
+  const deletePresetBtn = document.getElementById('deletePresetBtn');
+  const exportPresetsBtn = document.getElementById('exportPresetsBtn');
+  const importPresetsBtn = document.getElementById('importPresetsBtn');
+  const presetFileInput = document.getElementById('presetFileInput');
+  const analysisProgress = document.getElementById('analysisProgress'); // Analysis progress container
+  const analysisProgressLabel = document.getElementById('analysisProgressLabel'); // Current stage label
+  const analysisProgressBar = document.getElementById('analysisProgressBar'); // Progress bar
+  const cancelAnalysisBtn = document.getElementById('cancelAnalysisBtn'); // Cancel running analysis
 
   // Parameter controls (REVISED: removed paletteSizeInput, changed minHiddenPercentage to hiddenColorThreshold)
   const targetPaletteSizeInput = document.getElementById('targetPaletteSize');
   const dominantColorsInput = document.getElementById('dominantColors');
+  const quantizerInput = document.getElementById('quantizer');
+  const paletteSortInput = document.getElementById('paletteSort');
   const maxHiddenColorsInput = document.getElementById('maxHiddenColors');
   const hiddenColorThresholdInput = document.getElementById('hiddenColorThreshold');
   const edgeSensitivityInput = document.getElementById('edgeSensitivity');
@@ -132,7 +147,11 @@ document.addEventListener('DOMContentLoaded', async () => {
   const superpixelCompactnessInput = document.getElementById('superpixelCompactness');
   const maxBackgroundsInput = document.getElementById('maxBackgrounds');
   const backgroundVarianceScaleInput = document.getElementById('backgroundVarianceScale');
-  const useDeltaEInput = document.getElementById('useDeltaE');
+  const clusteringSpaceInput = document.getElementById('clusteringSpace');
+  const distanceMetricInput = document.getElementById('distanceMetric');
+  const alphaModeInput = document.getElementById('alphaMode');
+  const matteColorInput = document.getElementById('matteColor');
+  const colorSpaceInput = document.getElementById('colorSpace');
 
   // Parameter value displays
   const targetPaletteSizeValue = document.getElementById('targetPaletteSizeValue');
@@ -145,13 +164,32 @@ document.addEventListener('DOMContentLoaded', async () => {
   const superpixelCompactnessValue = document.getElementById('superpixelCompactnessValue');
   const maxBackgroundsValue = document.getElementById('maxBackgroundsValue');
   const backgroundVarianceScaleValue = document.getElementById('backgroundVarianceScaleValue');
-  const useDeltaEValue = document.getElementById('useDeltaEValue');
+  const matteColorValue = document.getElementById('matteColorValue');
 
   // Initialize parameter controls
   function initParamControls () {
+    // Quantizer options come from the registry (labels: palette.quantizers.<name>)
+    getQuantizerNames().forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.setAttribute('data-i18n', `palette.quantizers.${name}`);
+      option.textContent = t(`palette.quantizers.${name}`);
+      quantizerInput.appendChild(option);
+    });
+    // Palette orderings too (labels: palette.sorts.<name>)
+    getPaletteSortNames().forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.setAttribute('data-i18n', `palette.sorts.${name}`);
+      option.textContent = t(`palette.sorts.${name}`);
+      paletteSortInput.appendChild(option);
+    });
+
     // Set initial values (REVISED)
     targetPaletteSizeInput.value = paletteParams.targetPaletteSize;
     dominantColorsInput.value = paletteParams.dominantColors;
+    quantizerInput.value = paletteParams.quantizer;
+    paletteSortInput.value = paletteParams.paletteSort;
     maxHiddenColorsInput.value = paletteParams.maxHiddenColors;
     hiddenColorThresholdInput.value = paletteParams.hiddenColorThreshold;
     edgeSensitivityInput.value = paletteParams.edgeSensitivity;
@@ -160,7 +198,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     superpixelCompactnessInput.value = paletteParams.superpixelCompactness;
     maxBackgroundsInput.value = paletteParams.maxBackgrounds;
     backgroundVarianceScaleInput.value = paletteParams.backgroundVarianceScale;
-    useDeltaEInput.checked = paletteParams.useDeltaE;
+    clusteringSpaceInput.value = paletteParams.clusteringSpace;
+    distanceMetricInput.value = paletteParams.distanceMetric;
+    alphaModeInput.value = paletteParams.alphaMode;
+    matteColorInput.value = paletteParams.matteColor;
+    colorSpaceInput.value = paletteParams.colorSpace;
 
     // Update displayed values
     targetPaletteSizeValue.textContent = paletteParams.targetPaletteSize;
@@ -173,11 +215,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     superpixelCompactnessValue.textContent = paletteParams.superpixelCompactness.toFixed(1);
     maxBackgroundsValue.textContent = paletteParams.maxBackgrounds;
     backgroundVarianceScaleValue.textContent = paletteParams.backgroundVarianceScale.toFixed(1);
-    useDeltaEValue.textContent = paletteParams.useDeltaE ? t('palette.labels.deltaEOn') : t('palette.labels.deltaEOff');
+    matteColorValue.textContent = paletteParams.matteColor.toUpperCase();
 
     // Add event listeners
     targetPaletteSizeInput.addEventListener('input', updateParamsFromControls);
     dominantColorsInput.addEventListener('input', updateParamsFromControls);
+    quantizerInput.addEventListener('change', updateParamsFromControls);
+    paletteSortInput.addEventListener('change', updateParamsFromControls);
+    paletteSortInput.addEventListener('change', applyPaletteSort);
     maxHiddenColorsInput.addEventListener('input', updateParamsFromControls);
     hiddenColorThresholdInput.addEventListener('input', updateParamsFromControls);
     edgeSensitivityInput.addEventListener('input', updateParamsFromControls);
@@ -186,7 +231,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     superpixelCompactnessInput.addEventListener('input', updateParamsFromControls);
     maxBackgroundsInput.addEventListener('input', updateParamsFromControls);
     backgroundVarianceScaleInput.addEventListener('input', updateParamsFromControls);
-    useDeltaEInput.addEventListener('change', updateParamsFromControls);
+    clusteringSpaceInput.addEventListener('change', updateParamsFromControls);
+    distanceMetricInput.addEventListener('change', updateParamsFromControls);
+    alphaModeInput.addEventListener('change', updateParamsFromControls);
+    matteColorInput.addEventListener('input', updateParamsFromControls);
+    colorSpaceInput.addEventListener('change', updateParamsFromControls);
 
     // Toggle advanced params
     toggleAdvancedBtn.addEventListener('click', () => {
@@ -205,9 +254,25 @@ document.addEventListener('DOMContentLoaded', async () => {
       resetToInitialState();
     });
 
-    // Click on uploaded image to reselect
-    uploadedImage.addEventListener('click', () => {
-      imageInput.click();
+    // Cancel running analysis
+    cancelAnalysisBtn.addEventListener('click', () => {
+      console.log("Analysis cancelled by user.");
+      if (currentAnalyzedPalette) {
+        // Re-render of an already analyzed image: keep the current results
+        cancelAnalysis();
+        hideAnalysisProgress();
+      } else {
+        resetToInitialState();
+      }
+    });
+
+    // Click on uploaded image to reselect (or to sample a color in eyedropper mode)
+    uploadedImage.addEventListener('click', (event) => {
+      if (imageDisplay.classList.contains('picking')) {
+        pickColorAt(event);
+      } else {
+        imageInput.click();
+      }
     });
   }
 
@@ -215,6 +280,8 @@ document.addEventListener('DOMContentLoaded', async () => {
   function updateParamsFromControls () {
     paletteParams.targetPaletteSize = parseInt(targetPaletteSizeInput.value);
     paletteParams.dominantColors = parseInt(dominantColorsInput.value);
+    paletteParams.quantizer = quantizerInput.value;
+    paletteParams.paletteSort = paletteSortInput.value;
     paletteParams.maxHiddenColors = parseInt(maxHiddenColorsInput.value);
     paletteParams.hiddenColorThreshold = parseFloat(hiddenColorThresholdInput.value);
     paletteParams.edgeSensitivity = parseFloat(edgeSensitivityInput.value);
@@ -223,7 +290,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     paletteParams.superpixelCompactness = parseFloat(superpixelCompactnessInput.value);
     paletteParams.maxBackgrounds = parseInt(maxBackgroundsInput.value);
     paletteParams.backgroundVarianceScale = parseFloat(backgroundVarianceScaleInput.value);
-    paletteParams.useDeltaE = useDeltaEInput.checked;
+    paletteParams.clusteringSpace = clusteringSpaceInput.value;
+    paletteParams.distanceMetric = distanceMetricInput.value;
+    paletteParams.alphaMode = alphaModeInput.value;
+    paletteParams.matteColor = matteColorInput.value;
+    paletteParams.colorSpace = colorSpaceInput.value;
 
     // Update displayed values
     targetPaletteSizeValue.textContent = paletteParams.targetPaletteSize;
@@ -236,32 +307,27 @@ document.addEventListener('DOMContentLoaded', async () => {
     superpixelCompactnessValue.textContent = paletteParams.superpixelCompactness.toFixed(1);
     maxBackgroundsValue.textContent = paletteParams.maxBackgrounds;
     backgroundVarianceScaleValue.textContent = paletteParams.backgroundVarianceScale.toFixed(1);
-    useDeltaEValue.textContent = paletteParams.useDeltaE ? t('palette.labels.deltaEOn') : t('palette.labels.deltaEOff');
+    matteColorValue.textContent = paletteParams.matteColor.toUpperCase();
+
+    scheduleParamsSync();
   }
 
-  // Reset parameters to defaults (REVISED)
+  // Reset parameters to defaults
   function resetParamsToDefaults () {
-    const defaultParams = {
-      targetPaletteSize: 12,
-      dominantColors: 8,
-      maxHiddenColors: 3,
-      hiddenColorThreshold: 0.005,
-      edgeSensitivity: 0.5,
-      contrastThreshold: 0.3,
-      superpixelCount: 200,
-      superpixelCompactness: 10,
-      maxBackgrounds: 3,
-      backgroundVarianceScale: 1.0,
-      useSuperpixels: true,
-      useDeltaE: false
-    };
+    Object.assign(paletteParams, DEFAULT_PIPELINE_PARAMS);
+    applyParamsToControls();
+    presetSelect.value = '';
 
-    // Update paletteParams
-    Object.assign(paletteParams, defaultParams);
+    console.log('Parameters reset to defaults');
+    alert(t('params.reset'));
+  }
 
-    // Update UI controls
+  // Set the UI controls (and their displayed values) from paletteParams
+  function applyParamsToControls () {
     targetPaletteSizeInput.value = paletteParams.targetPaletteSize;
     dominantColorsInput.value = paletteParams.dominantColors;
+    quantizerInput.value = paletteParams.quantizer;
+    paletteSortInput.value = paletteParams.paletteSort;
     maxHiddenColorsInput.value = paletteParams.maxHiddenColors;
     hiddenColorThresholdInput.value = paletteParams.hiddenColorThreshold;
     edgeSensitivityInput.value = paletteParams.edgeSensitivity;
@@ -270,77 +336,135 @@ document.addEventListener('DOMContentLoaded', async () => {
     superpixelCompactnessInput.value = paletteParams.superpixelCompactness;
     maxBackgroundsInput.value = paletteParams.maxBackgrounds;
     backgroundVarianceScaleInput.value = paletteParams.backgroundVarianceScale;
-    useDeltaEInput.checked = paletteParams.useDeltaE;
+    clusteringSpaceInput.value = paletteParams.clusteringSpace;
+    distanceMetricInput.value = paletteParams.distanceMetric;
+    alphaModeInput.value = paletteParams.alphaMode;
+    matteColorInput.value = paletteParams.matteColor;
+    colorSpaceInput.value = paletteParams.colorSpace;
 
     // Update displayed values
     updateParamsFromControls();
+  }
 
-    console.log('Parameters reset to defaults');
-    alert(t('params.reset'));
+  // Take over the known parameters of an imported report, link or preset (invalid values keep the current ones)
+  function restoreParams (params) {
+    Object.assign(paletteParams, sanitizeParams(params, paletteParams));
+    applyParamsToControls();
+  }
+
+  // Keep the URL hash in sync with the parameters and the current palette (no image data).
+  // replaceState does not fire hashchange and adds no history entries.
+  function updateShareHash () {
+    const hash = encodeShareState(paletteParams, currentAnalyzedPalette);
+    history.replaceState(null, '', hash || window.location.pathname + window.location.search);
   }
 
+  // Sliders fire on every step and browsers throttle replaceState, so wait until they settle
+  // before updating the URL hash and the parameters remembered for the next visit
+  let paramsSyncTimer = null;
+  function scheduleParamsSync () {
+    clearTimeout(paramsSyncTimer);
+    paramsSyncTimer = setTimeout(() => {
+      updateShareHash();
+      saveLastParams(paletteParams);
+    }, 300);
+  }
+
+  // Read a shared link before the controls overwrite the hash with the defaults
+  const initialShareState = decodeShareState(window.location.hash);
+
   // Initialize controls
   initParamControls();
 
   // Add re-render button event listener (REVISED API)
   reRenderPaletteBtn.addEventListener('click', () => {
-    if (currentPixelData && currentImageSize.width > 0 && currentImageSize.height > 0) {
+    if (currentBatch) {
+      // Batch mode keeps no pixel data: analyze the images again with the current parameters
+      console.log("Re-analyzing batch with current parameters...");
+      processImageBatch(currentBatch.files);
+      return;
+    }
+    if (currentPixelData && currentPixelSize.width > 0 && currentPixelSize.height > 0) {
       console.log("Re-rendering palette with current parameters...");
 
+      // The pixels were read in another color space: read them again from the image
+      if (paletteParams.colorSpace !== currentPixelColorSpace) {
+        const image = new Image();
+        image.onload = () => {
+          const pixelData = getCanvasPixelData(image, hiddenCanvas, undefined, paletteParams.colorSpace);
+          if (!pixelData) {
+            alert(t('errors.invalidImageData'));
+            return;
+          }
+          currentPixelData = pixelData;
+          currentPixelSize = { width: hiddenCanvas.width, height: hiddenCanvas.height };
+          currentPixelColorSpace = paletteParams.colorSpace;
+          reRenderPaletteBtn.click();
+        };
+        image.src = visionImageSource || uploadedImage.src;
+        return;
+      }
+
       console.log(paletteParams);
 
-      const totalPixels = currentImageSize.width * currentImageSize.height;
-
-      // 1. 使用SLIC超像素预处理
-      const superpixelData = applySLIC(
-        currentPixelData,
-        currentImageSize.width,
-        currentImageSize.height,
-        paletteParams.superpixelCount,
-        paletteParams.superpixelCompactness
-      );
-
-      // 2. 使用MMCQ提取主色
-      const dominantColors = extractDominantColors(
-        currentPixelData,
-        paletteParams.dominantColors
-      );
-
-      // 3. 使用改进的分析算法 (REVISED API)
-      const analyzedPalette = analyzePalette(
-        currentPixelData,
-        dominantColors,
-        {
-          paletteSize: paletteParams.targetPaletteSize,
-          maxHiddenColors: paletteParams.maxHiddenColors,
-          minHiddenPercentage: paletteParams.hiddenColorThreshold,
-          maxBackgrounds: paletteParams.maxBackgrounds,
-          useSuperpixels: paletteParams.useSuperpixels,
-          backgroundVarianceScale: paletteParams.backgroundVarianceScale,
-          superpixelData: superpixelData,
-          useDeltaE: paletteParams.useDeltaE,
-          width: currentImageSize.width,
-          height: currentImageSize.height,
-          edgeSensitivity: paletteParams.edgeSensitivity,
-          contrastThreshold: paletteParams.contrastThreshold,
-          enableEdgeDetection: true
-        }
-      );
-      console.log(`Palette analyzed (${analyzedPalette.length} colors).`);
+      // Only the palette changes, so skip the heatmap and S-L map data
+      showAnalysisProgress('slic', 0);
+      // Locked swatches of the palette editor stay as fixed centroids
+      runAnalysisAsync(currentPixelData, currentPixelSize.width, currentPixelSize.height, paletteParams, {
+        onProgress: showAnalysisProgress,
+        includeVisualizations: false,
+        lockedColors: getLockedColors(currentAnalyzedPalette)
+      })
+        .then(analysis => {
+          hideAnalysisProgress();
+          const analyzedPalette = analysis.palette;
+          console.log(`Palette analyzed (${analyzedPalette.length} colors).`, analysis.timings);
+
+          // Store the new palette
+          currentAnalyzedPalette = analyzedPalette;
+          currentAnalysis = analysis;
+          updateShareHash();
 
-      // Sort and render palette
-      analyzedPalette.sort((a, b) => a.lab[0] - b.lab[0]);
-      drawPalette(analyzedPalette, paletteCanvas, totalPixels);
+          // Render palette (already in paletteSort order from the pipeline)
+          paletteSelection = [];
+          renderPalette();
+          renderHarmony();
+          renderContrast();
+          renderVisionReport();
 
-      // Store the new palette
-      currentAnalyzedPalette = analyzedPalette;
+          console.log("Palette re-rendered with current parameters.");
 
-      console.log("Palette re-rendered with current parameters.");
+          // The compared image must be analyzed with the same parameters
+          if (currentComparison) {
+            processCompareFile(currentComparison.file);
+          }
+        })
+        .catch(error => {
+          if (isAbortError(error)) {
+            console.log("Palette re-render aborted.");
+            return;
+          }
+          console.error("Error while re-rendering palette:", error);
+          hideAnalysisProgress();
+          alert(t('errors.analysisFailed'));
+        });
     } else {
       console.warn("Cannot re-render palette: no pixel data available.");
     }
   });
 
+  // --- Analysis progress display ---
+  function showAnalysisProgress (stage, progress) {
+    analysisProgressLabel.textContent = t(`progress.${stage}`);
+    analysisProgressBar.value = progress;
+    analysisProgress.classList.add('visible');
+  }
+
+  function hideAnalysisProgress () {
+    analysisProgress.classList.remove('visible');
+    analysisProgressBar.value = 0;
+  }
+
   // Color analysis elements
   const colorAnalysisSection = document.querySelector('.color-analysis-section');
   const hsvStatsParagraph = document.getElementById('hsvStats');
@@ -364,9 +488,73 @@ document.addEventListener('DOMContentLoaded', async () => {
   const sMapCanvas = document.getElementById('sMapCanvas');
   const lMapCanvas = document.getElementById('lMapCanvas');
 
+  // Batch mode elements
+  const batchSection = document.getElementById('batchSection');
+  const batchSummary = document.getElementById('batchSummary');
+  const batchGrid = document.getElementById('batchGrid');
+  const clearBatchBtn = document.getElementById('clearBatchBtn');
+
+  // Eyedropper elements
+  const colorPicker = document.getElementById('colorPicker');
+  const pickColorBtn = document.getElementById('pickColorBtn');
+  const pickerSampleSize = document.getElementById('pickerSampleSize');
+  const colorPickerResult = document.getElementById('colorPickerResult');
+  const pickedSwatch = document.getElementById('pickedSwatch');
+  const pickedValues = document.getElementById('pickedValues');
+  const pickedNearest = document.getElementById('pickedNearest');
+  const addPickedColorBtn = document.getElementById('addPickedColorBtn');
+
+  // Harmony elements
+  const harmonyPanel = document.getElementById('harmonyPanel');
+  const harmonySummary = document.getElementById('harmonySummary');
+  const harmonySuggestions = document.getElementById('harmonySuggestions');
+
+  // Contrast elements
+  const contrastPanel = document.getElementById('contrastPanel');
+  const contrastTarget = document.getElementById('contrastTarget');
+  const contrastSummary = document.getElementById('contrastSummary');
+  const contrastMatrix = document.getElementById('contrastMatrix');
+
+  // Color vision elements
+  const visionModeSelect = document.getElementById('visionMode');
+  const visionPanel = document.getElementById('visionPanel');
+  const visionThreshold = document.getElementById('visionThreshold');
+  const visionReport = document.getElementById('visionReport');
+
+  // Palette editor elements
+  const paletteEditTools = document.getElementById('paletteEditTools');
+  const lockColorBtn = document.getElementById('lockColorBtn');
+  const deleteColorBtn = document.getElementById('deleteColorBtn');
+  const mergeColorsBtn = document.getElementById('mergeColorsBtn');
+  const addColorBtn = document.getElementById('addColorBtn');
+  const addColorInput = document.getElementById('addColorInput');
+
+  // Color name elements
+  const colorNamesBar = document.getElementById('colorNamesBar');
+  const colorNameDictionarySelect = document.getElementById('colorNameDictionary');
+  const loadColorDictionaryBtn = document.getElementById('loadColorDictionaryBtn');
+  const colorDictionaryFileInput = document.getElementById('colorDictionaryFileInput');
+
+  // Compare view elements
+  const compareImageBtn = document.getElementById('compareImageBtn');
+  const compareFileInput = document.getElementById('compareFileInput');
+  const compareSection = document.getElementById('compareSection');
+  const compareImageA = document.getElementById('compareImageA');
+  const compareImageB = document.getElementById('compareImageB');
+  const compareCaptionA = document.getElementById('compareCaptionA');
+  const compareCaptionB = document.getElementById('compareCaptionB');
+  const compareScore = document.getElementById('compareScore');
+  const closeCompareBtn = document.getElementById('closeCompareBtn');
+  const compareHuePolarCanvas = document.getElementById('compareHuePolar');
+  const compareLabScatterCanvas = document.getElementById('compareLabScatter');
+  const compareMatchesTable = document.getElementById('compareMatches');
+
   // Export Buttons
   const savePaletteImageBtn = document.getElementById('savePaletteImageBtn');
   const savePaletteDataBtn = document.getElementById('savePaletteDataBtn');
+  const paletteExportFormatSelect = document.getElementById('paletteExportFormat');
+  const exportPaletteFileBtn = document.getElementById('exportPaletteFileBtn');
+  const copyShareLinkBtn = document.getElementById('copyShareLinkBtn');
   const saveSphereImageBtn = document.getElementById('saveSphereImageBtn');
 
   // Export button containers
@@ -381,8 +569,23 @@ document.addEventListener('DOMContentLoaded', async () => {
     !histLCanvas || !histACanvas || !histBCanvas || !labScatterCanvas ||
     !colorSphereSection || !sphereContainer || !spherePlaceholder ||
     !savePaletteImageBtn || !savePaletteDataBtn || !saveSphereImageBtn ||
+    !paletteExportFormatSelect || !exportPaletteFileBtn || !copyShareLinkBtn ||
+    !presetSelect || !savePresetBtn || !renamePresetBtn || !deletePresetBtn ||
+    !exportPresetsBtn || !importPresetsBtn || !presetFileInput ||
     !paletteExportButtonsDiv || !sphereExportButtonsDiv ||
-    !slMapSection || !clusteredCanvas || !sMapCanvas || !lMapCanvas) {
+    !analysisProgress || !analysisProgressLabel || !analysisProgressBar || !cancelAnalysisBtn ||
+    !slMapSection || !clusteredCanvas || !sMapCanvas || !lMapCanvas ||
+    !batchSection || !batchSummary || !batchGrid || !clearBatchBtn ||
+    !colorPicker || !pickColorBtn || !pickerSampleSize || !colorPickerResult ||
+    !pickedSwatch || !pickedValues || !pickedNearest || !addPickedColorBtn ||
+    !harmonyPanel || !harmonySummary || !harmonySuggestions ||
+    !contrastPanel || !contrastTarget || !contrastSummary || !contrastMatrix ||
+    !visionModeSelect || !visionPanel || !visionThreshold || !visionReport ||
+    !paletteEditTools || !lockColorBtn || !deleteColorBtn || !mergeColorsBtn || !addColorBtn || !addColorInput ||
+    !colorNamesBar || !colorNameDictionarySelect || !loadColorDictionaryBtn || !colorDictionaryFileInput ||
+    !compareImageBtn || !compareFileInput || !compareSection || !compareImageA || !compareImageB ||
+    !compareCaptionA || !compareCaptionB || !compareScore || !closeCompareBtn ||
+    !compareHuePolarCanvas || !compareLabScatterCanvas || !compareMatchesTable) {
     console.error("Error: Required HTML elements not found. Check index.html IDs.");
     // Potentially display an error message to the user here
     return; // Stop script execution if critical elements are missing
@@ -400,6 +603,10 @@ document.addEventListener('DOMContentLoaded', async () => {
    * @param {string} filename - The original filename (or a descriptive name).
    */
   function processImageFile (file, filename) {
+    // Abort an analysis still running for the previous image
+    cancelAnalysis();
+    hideAnalysisProgress();
+
     // Cleanup previous results and state
     hideResults();
     disposeScene(); // Dispose previous 3D scene resources
@@ -449,7 +656,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         currentImageSize = { width: loadedImgElement.naturalWidth, height: loadedImgElement.naturalHeight };
 
         // --- Step 2: Get Pixel Data ---
-        const pixelData = getCanvasPixelData(loadedImgElement, hiddenCanvas);
+        const pixelData = getCanvasPixelData(loadedImgElement, hiddenCanvas, undefined, paletteParams.colorSpace);
         // Get actual dimensions (may be downsampled for large images)
         const actualWidth = hiddenCanvas.width;
         const actualHeight = hiddenCanvas.height;
@@ -462,205 +669,1231 @@ document.addEventListener('DOMContentLoaded', async () => {
 
           // Store pixel data globally for potential re-processing (e.g., palette options)
           currentPixelData = pixelData;
+          currentPixelSize = { width: actualWidth, height: actualHeight };
+          currentPixelColorSpace = paletteParams.colorSpace;
+
+          // --- Step 3: Run the analysis pipeline in the Web Worker ---
+          // SLIC → quantizer → analyzePalette → stats → heatmap / S-L maps, on the (possibly downsampled) canvas data
+          console.log("Extracting and analyzing palette in the analysis worker...");
+          showAnalysisProgress('slic', 0);
+          return runAnalysisAsync(pixelData, actualWidth, actualHeight, paletteParams, { onProgress: showAnalysisProgress })
+            .then(analysis => {
+              hideAnalysisProgress();
+              renderAnalysisResults(analysis, pixelData, width, height);
+            })
+            .catch(error => {
+              if (isAbortError(error)) {
+                // A newer image (or the cancel button) replaced this analysis; leave the UI to it
+                console.log("Analysis aborted.");
+                return;
+              }
+              console.error("Error during image analysis:", error);
+              hideAnalysisProgress();
+              alert(t('errors.analysisFailed'));
+              // Cleanup results
+              hideResults();
+              disposeScene();
+              resetStateVariables();
+            });
 
-          // --- Step 3: Extract, Analyze, and Render Palette ---
-          console.log("Extracting and analyzing palette...");
-          // 1. 使用SLIC超像素预处理
-          const superpixelData = applySLIC(
-            currentPixelData,
-            currentImageSize.width,
-            currentImageSize.height,
-            paletteParams.superpixelCount,
-            paletteParams.superpixelCompactness
-          );
-
-          // 2. 使用MMCQ提取主色
-          const dominantColors = extractDominantColors(
-            currentPixelData,
-            paletteParams.dominantColors
-          );
-
-          // 3. 使用改进的分析算法 (REVISED API)
-          const analyzedPalette = analyzePalette(
-            currentPixelData,
-            dominantColors,
-            {
-              paletteSize: paletteParams.targetPaletteSize,
-              maxHiddenColors: paletteParams.maxHiddenColors,
-              minHiddenPercentage: paletteParams.hiddenColorThreshold,
-              maxBackgrounds: paletteParams.maxBackgrounds,
-              useSuperpixels: paletteParams.useSuperpixels,
-              backgroundVarianceScale: paletteParams.backgroundVarianceScale,
-              superpixelData: superpixelData,
-              useDeltaE: paletteParams.useDeltaE,
-              width: currentImageSize.width,
-              height: currentImageSize.height,
-              edgeSensitivity: paletteParams.edgeSensitivity,
-              contrastThreshold: paletteParams.contrastThreshold,
-              enableEdgeDetection: true
-            }
-          );
-          console.log(`Palette analyzed and merged (${analyzedPalette.length} colors).`);
+        } else {
+          console.error("Failed to get pixel data from canvas or image size is zero.");
+          alert(t('errors.invalidImageData'));
+          // Cleanup results
+          hideResults();
+          disposeScene();
+          resetStateVariables();
+        }
 
-          // Store the analyzed palette data for export
-          currentAnalyzedPalette = analyzedPalette;
+      })
+      .catch(error => { // <-- Catch and log the actual error object
+        console.error("Error during image loading process:", error);
+        alert(t('errors.imageLoadFailed'));
+        // Cleanup results
+        hideResults();
+        disposeScene();
+        resetStateVariables();
+      });
+  }
 
-          // Sort for display (e.g., by luminance)
-          analyzedPalette.sort((a, b) => a.lab[0] - b.lab[0]);
+  // --- Batch mode: several images and their combined collection palette ---
+  /**
+   * Analyzes several images one after another (palette only, no visualizations), shows a card
+   * per image and draws the merged collection palette (see collectionPalette.js) in the palette section.
+   * @param {File[]} files - The selected or dropped files; anything that is not an image is skipped.
+   */
+  function processImageBatch (files) {
+    cancelAnalysis();
+    hideAnalysisProgress();
+    hideResults();
+    disposeScene();
+    resetStateVariables();
 
-          // Draw palette to canvas (This function also handles showing palette buttons)
-          drawPalette(analyzedPalette, paletteCanvas, totalPixels);
-          console.log("Palette rendered to canvas.");
+    const imageFiles = files.filter(file => file.type.startsWith('image/') && file.size > 0);
+    if (imageFiles.length === 0) {
+      alert(t('errors.notImage'));
+      return;
+    }
 
+    console.log(`Processing batch of ${imageFiles.length} images.`);
+    const batch = { files: imageFiles, analyses: [], cards: [] };
+    currentBatch = batch;
+    currentImageFilename = 'collection';
 
-          // --- Step 4: Calculate Stats and Draw 2D Visualizations ---
-          console.log("Calculating color stats and drawing 2D visualizations...");
+    document.querySelector('.upload-area').classList.add('hidden');
+    imageDisplay.classList.remove('has-image');
+    document.querySelector('.dashboard-container').classList.add('visible');
+    batchSection.classList.add('visible');
+    batch.cards = imageFiles.map(file => createBatchCard(file));
+    batchSummary.textContent = t('batch.summary', { done: 0, total: imageFiles.length });
+
+    analyzeBatch(batch)
+      .then(() => {
+        if (currentBatch !== batch) return;
+        hideAnalysisProgress();
+        console.log(`Batch complete: ${batch.analyses.filter(Boolean).length} of ${imageFiles.length} images analyzed.`);
+      });
+  }
 
-          // Calculate stats once with sampling for both basic and advanced visualizations
-          // Use sampleFactor=10 for good balance between accuracy and performance
-          const sampleFactor = 10;
-          const colorStats = calculateColorStats(pixelData, width, height, sampleFactor);
+  // Images are analyzed sequentially: the analysis worker runs one job at a time
+  async function analyzeBatch (batch) {
+    const total = batch.files.length;
+    for (let index = 0; index < total; index++) {
+      if (currentBatch !== batch) return; // Cleared or replaced by another image or batch
+      const file = batch.files[index];
+
+      try {
+        const img = await loadImageAndDisplay(file, new Image());
+        if (currentBatch !== batch) return; // hiddenCanvas may belong to a newer image by now
+        const pixelData = getCanvasPixelData(img, hiddenCanvas, undefined, paletteParams.colorSpace);
+        if (!pixelData) {
+          throw new Error(t('errors.invalidImageData'));
+        }
+        const thumbnail = createThumbnailDataUrl(img, 240);
+
+        const analysis = await runAnalysisAsync(pixelData, hiddenCanvas.width, hiddenCanvas.height, paletteParams, {
+          onProgress: (stage, progress) => {
+            showAnalysisProgress(stage, (index + progress) / total);
+            analysisProgressLabel.textContent = t('batch.progress', { index: index + 1, total, stage: t(`progress.${stage}`) });
+          },
+          includeVisualizations: false
+        });
+        if (currentBatch !== batch) return;
+
+        batch.analyses[index] = analysis;
+        fillBatchCard(batch.cards[index], thumbnail, analysis);
+      } catch (error) {
+        if (isAbortError(error)) {
+          console.log("Batch analysis aborted.");
+          return;
+        }
+        console.error(`Error analyzing ${file.name}:`, error);
+        batch.cards[index].classList.add('failed');
+        batch.cards[index].querySelector('p').textContent = `${file.name} — ${t('batch.failed')}`;
+      }
 
-          if (colorStats) {
-            // Display stats summary
-            hsvStatsParagraph.textContent =
-              `${t('analysis.avgHSV')}: H=${colorStats.hsv.avg[0].toFixed(3)}, S=${colorStats.hsv.avg[1].toFixed(3)}, V=${colorStats.hsv.avg[2].toFixed(3)} ` +
-              `| ${t('analysis.stdDevHSV')}: H=${colorStats.hsv.stdDev[0].toFixed(3)}, S=${colorStats.hsv.stdDev[1].toFixed(3)}, V=${colorStats.hsv.stdDev[2].toFixed(3)}`;
+      // The collection palette grows with every analyzed image
+      showCollectionPalette(batch);
+    }
+  }
 
-            labStatsParagraph.textContent =
-              `${t('analysis.avgLab')}: L*=${colorStats.lab.avg[0].toFixed(3)}, a*=${colorStats.lab.avg[1].toFixed(3)}, b*=${colorStats.lab.avg[2].toFixed(3)} ` +
-              `| ${t('analysis.stdDevLab')}: L*=${colorStats.lab.stdDev[0].toFixed(3)}, a*=${colorStats.lab.stdDev[1].toFixed(3)}, b*=${colorStats.lab.stdDev[2].toFixed(3)}`;
+  function createBatchCard (file) {
+    const card = document.createElement('div');
+    card.className = 'batch-card';
+    card.title = t('batch.openImage');
+
+    const thumbnail = document.createElement('img');
+    thumbnail.alt = file.name;
+    const strip = document.createElement('canvas');
+    const caption = document.createElement('p');
+    caption.textContent = file.name;
+    card.append(thumbnail, strip, caption);
+
+    // Open a single image of the set with all visualizations
+    card.addEventListener('click', () => processImageFile(file, file.name));
+    batchGrid.appendChild(card);
+    return card;
+  }
 
-            // Draw Histograms
-            const binCount = 60; // Number of bars in histogram
-            drawHistogram(histHCanvas, colorStats.rawValues.h, "Hue", 0, 1, binCount);
-            drawHistogram(histSCanvas, colorStats.rawValues.s, "Saturation", 0, 1, binCount);
-            drawHistogram(histVCanvas, colorStats.rawValues.v, "Value", 0, 1, binCount);
-            drawHistogram(histLCanvas, colorStats.rawValues.l, "L*", 0, 100, binCount);
-            // Use a reasonable range for a* and b* histograms
-            drawHistogram(histACanvas, colorStats.rawValues.a, "a*", -100, 100, binCount);
-            drawHistogram(histBCanvas, colorStats.rawValues.b, "b*", -100, 100, binCount);
+  function fillBatchCard (card, thumbnail, analysis) {
+    if (thumbnail) card.querySelector('img').src = thumbnail;
+    drawPaletteStrip(analysis.palette, card.querySelector('canvas'));
+    card.querySelector('p').textContent += ` · ${t('batch.colorCount', { count: analysis.palette.length })}`;
+  }
 
-            // Draw Lab a*b* Scatter Plot
-            // Sample factor 100 means process every 100th pixel
-            drawLabScatterPlotRevised(labScatterCanvas, pixelData, width, height, 100);
+  function showCollectionPalette (batch) {
+    const analyses = batch.analyses.filter(Boolean);
+    batchSummary.textContent = t('batch.summary', { done: analyses.length, total: batch.files.length });
+    if (analyses.length === 0) return;
 
+    // Merge with the parameters the images were analyzed with
+    const collection = buildCollectionAnalysis(analyses, analyses[0].params);
+    currentAnalyzedPalette = collection.palette;
+    currentAnalysis = collection;
+    currentImageSize = { width: 0, height: 0 };
+    updateShareHash();
 
-            // Draw Advanced Visualizations using the same sampled data
-            console.log("Drawing advanced visualizations...");
+    paletteSelection = [];
+    renderPalette();
+    renderHarmony();
+    renderContrast();
+    renderVisionReport();
+  }
 
-            // Get canvas elements
-            const huePolarCanvas = document.getElementById('huePolar');
-            const hsvSquareCanvas = document.getElementById('hsvSquare');
-            const distanceHeatmapCanvas = document.getElementById('distanceHeatmap');
-            const labDensityCanvas = document.getElementById('labDensity');
+  // --- Palette editor: select, reorder, delete, lock, merge and add swatches ---
+  /**
+   * Draws currentAnalyzedPalette with the editor state and updates the editing buttons.
+   * @param {object} editState - Passed to drawPalette (default: the current selection).
+   */
+  function renderPalette (editState = { selectedIndices: paletteSelection }) {
+    const palette = currentAnalyzedPalette || [];
+    const analysis = currentAnalysis || {};
+    // Named before the simulation, so the names stay those of the real colors
+    paletteSwatchRects = drawPalette(visionPalette(namedPalette(palette)), paletteCanvas, analysis.totalPixels || 0, analysis.transparentShare || 0, editState);
+
+    paletteEditTools.classList.toggle('visible', palette.length > 0);
+    colorNamesBar.classList.toggle('visible', palette.length > 0);
+    const selected = paletteSelection.map(index => palette[index]);
+    const allLocked = selected.length > 0 && selected.every(color => color.locked);
+    lockColorBtn.disabled = selected.length === 0;
+    lockColorBtn.textContent = t(allLocked ? 'palette.edit.unlock' : 'palette.edit.lock');
+    deleteColorBtn.disabled = selected.length === 0;
+    mergeColorsBtn.disabled = selected.length !== 2;
+  }
 
-            // Draw Hue Polar Chart
-            if (huePolarCanvas) {
-              drawHuePolarChart(huePolarCanvas, colorStats.rawValues.h, t('advanced.charts.huePolar.title'));
-            }
+  /**
+   * Replaces the current palette with an edited one; exports, the report, the share link
+   * and the compare view all read the current palette.
+   * @param {Array<object>} palette - Result of a paletteEditing.js function.
+   * @param {number[]} selection - Indices to select afterwards.
+   */
+  function applyPaletteEdit (palette, selection = []) {
+    currentAnalyzedPalette = palette;
+    currentAnalysis = { ...currentAnalysis, palette };
+    paletteSelection = selection.filter(index => index < palette.length);
+    updateShareHash();
+    renderPalette();
+    renderHarmony();
+    renderContrast();
+    renderVisionReport();
+    if (currentComparison) {
+      updateComparisonMatches();
+    }
+  }
 
-            // HSV Square Chart 已移除（数据格式不匹配且实用性有限）
+  // A new palette order applies at once, without a new analysis
+  function applyPaletteSort () {
+    if (!currentAnalyzedPalette) return;
+    currentAnalysis = { ...currentAnalysis, params: { ...currentAnalysis.params, paletteSort: paletteParams.paletteSort } };
+    applyPaletteEdit(sortPalette(currentAnalyzedPalette, paletteParams.paletteSort));
+  }
 
-            // Draw Color Distance Heatmap
-            // Use actual dimensions (may be different from original if image was downsampled)
-            if (distanceHeatmapCanvas && analyzedPalette) {
-              drawColorDistanceHeatmap(distanceHeatmapCanvas, analyzedPalette, pixelData, actualWidth, actualHeight, t('advanced.charts.distanceHeatmap.title'));
-            }
+  // Index of the swatch under a pointer event, or -1
+  function swatchIndexAt (event) {
+    const { x, y } = paletteCanvasPoint(event);
+    return paletteSwatchRects.findIndex(rect =>
+      x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height);
+  }
 
-            // Draw Lab Density Chart
-            if (labDensityCanvas) {
-              drawLabDensityChart(labDensityCanvas, colorStats.values, t('advanced.charts.labDensity.title'));
-            }
+  // Insert position for a dragged swatch: before or after the closest swatch
+  function dropIndexAt (event) {
+    const { x, y } = paletteCanvasPoint(event);
+    let closest = -1;
+    let closestDistance = Infinity;
+    paletteSwatchRects.forEach((rect, index) => {
+      const distance = Math.hypot(x - (rect.x + rect.width / 2), y - (rect.y + rect.height / 2));
+      if (distance < closestDistance) {
+        closest = index;
+        closestDistance = distance;
+      }
+    });
+    if (closest < 0) return -1;
+    const rect = paletteSwatchRects[closest];
+    return x < rect.x + rect.width / 2 ? closest : closest + 1;
+  }
 
+  // Pointer position in canvas pixels (the canvas may be scaled by CSS)
+  function paletteCanvasPoint (event) {
+    const bounds = paletteCanvas.getBoundingClientRect();
+    return {
+      x: (event.clientX - bounds.left) * (paletteCanvas.width / bounds.width),
+      y: (event.clientY - bounds.top) * (paletteCanvas.height / bounds.height)
+    };
+  }
 
-            // Show the analysis section
-            colorAnalysisSection.style.display = 'block';
+  // Click selects a swatch, Shift/Ctrl-click adds a second one (for merging), dragging reorders
+  let paletteDrag = null; // { index, startX, startY, dropIndex, active }
 
-            // Show the advanced visualization section
-            const advancedVizSection = document.getElementById('advancedVizSection');
-            if (advancedVizSection) {
-              advancedVizSection.style.display = 'block';
-            }
+  paletteCanvas.addEventListener('pointerdown', event => {
+    if (!currentAnalyzedPalette || currentAnalyzedPalette.length === 0) return;
+    const index = swatchIndexAt(event);
+    if (index < 0) {
+      paletteSelection = [];
+      renderPalette();
+      return;
+    }
+    paletteDrag = { index, startX: event.clientX, startY: event.clientY, dropIndex: -1, active: false };
+    paletteCanvas.setPointerCapture(event.pointerId);
+  });
 
-            // --- Step 4.5: Draw SL Map Visualizations ---
-            console.log("Drawing SL Map visualizations...");
-            slMapSection.classList.add('visible');
-            drawSLMapPanel(clusteredCanvas, sMapCanvas, lMapCanvas, pixelData, actualWidth, actualHeight);
+  paletteCanvas.addEventListener('pointermove', event => {
+    if (!paletteDrag) return;
+    if (!paletteDrag.active && Math.hypot(event.clientX - paletteDrag.startX, event.clientY - paletteDrag.startY) < 5) return;
+    paletteDrag.active = true;
+    const dropIndex = dropIndexAt(event);
+    if (dropIndex !== paletteDrag.dropIndex) {
+      paletteDrag.dropIndex = dropIndex;
+      renderPalette({ selectedIndices: [paletteDrag.index], dropIndex });
+    }
+  });
 
-            console.log("Color stats calculated and 2D visualizations rendered.");
+  paletteCanvas.addEventListener('pointerup', event => {
+    if (!paletteDrag) return;
+    const { index, dropIndex, active } = paletteDrag;
+    paletteDrag = null;
 
-            // --- Step 5: Setup and Render 3D Sphere ---
-            console.log("Preparing to setup 3D color sphere...");
+    if (active) {
+      // The insert position counts the dragged swatch itself
+      const target = dropIndex > index ? dropIndex - 1 : dropIndex;
+      if (dropIndex >= 0 && target !== index) {
+        applyPaletteEdit(moveColor(currentAnalyzedPalette, index, target), [target]);
+      } else {
+        renderPalette();
+      }
+      return;
+    }
 
-            // Show the container BEFORE setup so it has dimensions
-            spherePlaceholder.style.display = 'none';
-            colorSphereSection.style.display = 'block'; // This will ensure container has dimensions
+    if (event.shiftKey || event.ctrlKey || event.metaKey) {
+      paletteSelection = paletteSelection.includes(index)
+        ? paletteSelection.filter(selected => selected !== index)
+        : [...paletteSelection, index].slice(-2);
+    } else {
+      paletteSelection = paletteSelection.length === 1 && paletteSelection[0] === index ? [] : [index];
+    }
+    renderPalette();
+  });
 
-            // Use requestAnimationFrame to wait for layout calculation before 3D setup
-            requestAnimationFrame(() => {
-              console.log("Attempting to setup 3D color sphere after next frame...");
+  paletteCanvas.addEventListener('pointercancel', () => {
+    paletteDrag = null;
+    renderPalette();
+  });
 
-              // Re-get container element inside raf - although not strictly needed
-              const sphereContainer = document.getElementById('sphereContainer');
-              // pixelData, width, height are still accessible via closure
+  paletteCanvas.addEventListener('keydown', event => {
+    if ((event.key === 'Delete' || event.key === 'Backspace') && paletteSelection.length > 0) {
+      event.preventDefault();
+      deleteColorBtn.click();
+    }
+  });
 
-              // Call the 3D setup function and store the returned object
-              // Sample factor 200 means process every 200th pixel for 3D points
-              const sphereSceneInfo = setupSphereScene(sphereContainer, pixelData, width, height, 200);
+  lockColorBtn.addEventListener('click', () => {
+    const locked = !paletteSelection.every(index => currentAnalyzedPalette[index].locked);
+    const palette = paletteSelection.reduce((edited, index) => setColorLocked(edited, index, locked), currentAnalyzedPalette);
+    applyPaletteEdit(palette, paletteSelection);
+  });
 
-              if (sphereSceneInfo) { // Check if setup was successful (returned non-null)
-                console.log("3D scene setup successful.");
-                // Store the references returned by setupSphereScene
-                currentSphereRenderer = sphereSceneInfo.renderer;
-                currentScene = sphereSceneInfo.scene;
-                currentCamera = sphereSceneInfo.camera;
+  deleteColorBtn.addEventListener('click', () => {
+    // Highest index first, so the other indices stay valid
+    const palette = paletteSelection
+      .slice()
+      .sort((a, b) => b - a)
+      .reduce((edited, index) => removeColor(edited, index), currentAnalyzedPalette);
+    applyPaletteEdit(palette);
+  });
 
-                // 3D export buttons are shown inside setupSphereScene on success
+  mergeColorsBtn.addEventListener('click', () => {
+    if (paletteSelection.length !== 2) return;
+    const [first, second] = paletteSelection.slice().sort((a, b) => a - b);
+    const space = (currentAnalysis.params && currentAnalysis.params.clusteringSpace) || 'lab';
+    applyPaletteEdit(mergeColors(currentAnalyzedPalette, first, second, space), [first]);
+  });
 
-              } else {
-                console.error("Failed to setup 3D scene.");
-                // Hide sphere section and buttons if setup failed
-                colorSphereSection.style.display = 'none'; // Hide the section again
-                spherePlaceholder.style.display = 'block'; // Show placeholder again
-                const sphereExportButtonsDiv = document.querySelector('.color-sphere-section .export-buttons'); // Re-get button div
-                if (sphereExportButtonsDiv) sphereExportButtonsDiv.style.display = 'none'; // Ensure buttons are hidden
-              }
-              console.log("3D color sphere setup sequence complete.");
-            }); // End of requestAnimationFrame callback
-
-
-          } else {
-            console.error("Failed to calculate color stats.");
-            // Hide analysis and sphere sections if stats fail
-            colorAnalysisSection.style.display = 'none';
-            colorSphereSection.style.display = 'none';
-            spherePlaceholder.style.display = 'block';
-            const sphereExportButtonsDiv = document.querySelector('.color-sphere-section .export-buttons');
-            if (sphereExportButtonsDiv) sphereExportButtonsDiv.style.display = 'none';
-          }
+  /**
+   * Adds a color to the palette (locked, after the selection or at the end) and selects it.
+   * @param {{r: number, g: number, b: number}} rgb - The color to add.
+   */
+  function addPaletteColor (rgb) {
+    if (!currentAnalyzedPalette) return;
+    const index = paletteSelection.length > 0 ? Math.max(...paletteSelection) + 1 : currentAnalyzedPalette.length;
+    applyPaletteEdit(addColor(currentAnalyzedPalette, rgb, index), [index]);
+  }
+
+  // Screen eyedropper where the browser has one (EyeDropper API), the color picker elsewhere
+  addColorBtn.addEventListener('click', () => {
+    if (!window.EyeDropper) {
+      addColorInput.click();
+      return;
+    }
+    new window.EyeDropper().open()
+      .then(({ sRGBHex }) => {
+        const [r, g, b] = hexToRgb(sRGBHex);
+        addPaletteColor({ r, g, b });
+      })
+      .catch(error => console.log("Eyedropper closed without a color.", error));
+  });
 
-          console.log("\nProcessing complete for image.");
+  addColorInput.addEventListener('change', () => {
+    const [r, g, b] = hexToRgb(addColorInput.value);
+    addPaletteColor({ r, g, b });
+  });
 
+  // Button labels depend on the selection
+  document.addEventListener('i18n:loaded', () => renderPalette());
 
-        } else {
-          console.error("Failed to get pixel data from canvas or image size is zero.");
-          alert(t('errors.invalidImageData'));
-          // Cleanup results
-          hideResults();
-          disposeScene();
-          resetStateVariables();
+  // --- Harmony: scheme of the current palette, alternatives on its dominant color ---
+  /**
+   * Shows the harmony scheme of currentAnalyzedPalette with suggested alternatives, and
+   * marks the scheme's angles on the hue polar chart. Called whenever the palette changes.
+   */
+  function renderHarmony () {
+    const palette = currentAnalyzedPalette || [];
+    harmonyPanel.classList.toggle('visible', palette.length > 0);
+    harmonySuggestions.innerHTML = '';
+    if (palette.length === 0) return;
+
+    const harmony = analyzeHarmony(palette);
+    harmonySummary.textContent = harmony.type
+      ? t('harmony.summary', {
+        type: t(`harmony.types.${harmony.type}`),
+        deviation: harmony.deviation.toFixed(1),
+        maxDeviation: harmony.maxDeviation.toFixed(1)
+      })
+      : t('harmony.achromatic');
+    console.log("Palette harmony:", harmony);
+
+    suggestHarmonies(palette).forEach(({ type, colors }) => {
+      const row = document.createElement('div');
+      row.className = 'harmony-suggestion';
+      row.title = colors.map(color => rgbToHex([color.rgb.r, color.rgb.g, color.rgb.b])).join(' ');
+
+      const label = document.createElement('span');
+      label.className = 'harmony-suggestion-label';
+      label.textContent = t(`harmony.types.${type}`);
+      const strip = document.createElement('canvas');
+      const tryButton = document.createElement('button');
+      tryButton.textContent = t('harmony.try');
+      // Locked, so Re-render Palette measures how the image maps onto the suggestion
+      tryButton.addEventListener('click', () => {
+        applyPaletteEdit(colors.map(color => ({ ...color, locked: true })));
+      });
+
+      row.append(label, strip, tryButton);
+      harmonySuggestions.appendChild(row);
+      drawPaletteStrip(colors, strip, 20);
+    });
+
+    const huePolarCanvas = document.getElementById('huePolar');
+    const colorStats = currentAnalysis && currentAnalysis.stats;
+    if (huePolarCanvas && colorStats && colorStats.rawValues) {
+      drawHuePolarChart(huePolarCanvas, colorStats.rawValues.h, t('advanced.charts.huePolar.title'), harmony.angles);
+    }
+  }
+
+  document.addEventListener('i18n:loaded', () => renderHarmony());
+
+  // --- Contrast: WCAG ratio and APCA Lc of every text/background pair of the palette ---
+  // Target level of the suggestions (labels: contrast.levels.<level>)
+  Object.keys(WCAG_LEVELS).forEach(level => {
+    const option = document.createElement('option');
+    option.value = level;
+    option.setAttribute('data-i18n', `contrast.levels.${level}`);
+    option.textContent = t(`contrast.levels.${level}`);
+    contrastTarget.appendChild(option);
+  });
+  contrastTarget.value = DEFAULT_CONTRAST_TARGET;
+  contrastTarget.addEventListener('change', () => renderContrast());
+
+  /**
+   * Fills the contrast matrix of currentAnalyzedPalette: backgrounds as columns, the other
+   * colors as rows. Pairs below the target level offer the closest passing variant of the
+   * text color. Called whenever the palette changes.
+   */
+  function renderContrast () {
+    const palette = currentAnalyzedPalette || [];
+    contrastPanel.classList.toggle('visible', palette.length > 1);
+    contrastMatrix.innerHTML = '';
+    if (palette.length < 2) return;
+
+    const target = contrastTarget.value;
+    const matrix = buildContrastMatrix(palette, target);
+    const cells = matrix.rows.flat().filter(Boolean);
+    contrastSummary.textContent = t('contrast.summary', {
+      passing: cells.filter(cell => cell.passes[target]).length,
+      total: cells.length,
+      level: t(`contrast.levels.${target}`)
+    });
+
+    const header = contrastMatrix.createTHead().insertRow();
+    const corner = document.createElement('th');
+    corner.textContent = t('contrast.corner');
+    header.appendChild(corner);
+    matrix.backgrounds.forEach(index => {
+      const cell = document.createElement('th');
+      cell.appendChild(createCompareSwatch(palette[index]));
+      header.appendChild(cell);
+    });
+
+    const body = contrastMatrix.createTBody();
+    matrix.rows.forEach((cells, row) => {
+      const tableRow = body.insertRow();
+      const label = document.createElement('th');
+      label.appendChild(createCompareSwatch(palette[matrix.foregrounds[row]]));
+      tableRow.appendChild(label);
+      cells.forEach(cell => {
+        const tableCell = tableRow.insertCell();
+        if (!cell) {
+          tableCell.textContent = '—';
+          return;
         }
+        if (!cell.passes[target]) tableCell.className = 'failing';
+        tableCell.appendChild(createContrastCell(cell, palette));
+      });
+    });
+  }
+
+  function createContrastCell (cell, palette) {
+    const { rgb: fg } = palette[cell.foreground];
+    const { rgb: bg } = palette[cell.background];
+    const content = document.createElement('div');
+    content.className = 'contrast-cell';
+
+    const sample = document.createElement('span');
+    sample.className = 'contrast-sample';
+    sample.style.color = rgbToHex([fg.r, fg.g, fg.b]);
+    sample.style.backgroundColor = rgbToHex([bg.r, bg.g, bg.b]);
+    sample.textContent = 'Aa';
+
+    const values = document.createElement('span');
+    values.className = 'contrast-values';
+    values.textContent = t('contrast.values', { ratio: cell.ratio.toFixed(2), apca: cell.apca.toFixed(0) });
+
+    const badges = document.createElement('span');
+    badges.className = 'contrast-badges';
+    Object.keys(WCAG_LEVELS).forEach(level => {
+      const badge = document.createElement('span');
+      badge.className = cell.passes[level] ? 'contrast-badge pass' : 'contrast-badge';
+      badge.textContent = t(`contrast.levels.${level}`);
+      badges.appendChild(badge);
+    });
+    content.append(sample, values, badges);
+
+    if (cell.passes[contrastTarget.value]) return content;
+    if (!cell.suggestion) {
+      const none = document.createElement('span');
+      none.className = 'contrast-values';
+      none.textContent = t('contrast.noSuggestion');
+      content.appendChild(none);
+      return content;
+    }
+
+    // Replaces the text color with the variant, locked so Re-render Palette keeps it
+    const { rgb, lab, ratio, deltaL } = cell.suggestion;
+    const hex = rgbToHex([rgb.r, rgb.g, rgb.b]);
+    const useButton = document.createElement('button');
+    useButton.className = 'contrast-suggestion';
+    useButton.title = t('contrast.suggestion', { hex, ratio: ratio.toFixed(2), deltaL: deltaL.toFixed(1) });
+    const chip = document.createElement('span');
+    chip.className = 'compare-swatch-chip';
+    chip.style.backgroundColor = hex;
+    useButton.append(chip, t('contrast.use', { hex }));
+    useButton.addEventListener('click', () => {
+      // Display P3 values and the gamut flag belong to the replaced color
+      const replace = ({ displayP3, outOfSrgb, ...color }) => ({ ...color, rgb, lab, locked: true });
+      applyPaletteEdit(palette.map((color, index) => (index === cell.foreground ? replace(color) : color)), [cell.foreground]);
+    });
+    content.appendChild(useButton);
+    return content;
+  }
+
+  document.addEventListener('i18n:loaded', () => renderContrast());
+
+  // --- Color vision: simulated deficiency view mode and confused palette pairs ---
+  // Deficiencies after "normal" (labels: vision.types.<type>)
+  Object.keys(CVD_TYPES).forEach(type => {
+    const option = document.createElement('option');
+    option.value = type;
+    option.setAttribute('data-i18n', `vision.types.${type}`);
+    option.textContent = t(`vision.types.${type}`);
+    visionModeSelect.appendChild(option);
+  });
+  visionModeSelect.value = currentVisionMode;
+  visionThreshold.value = DEFAULT_CONFUSION_THRESHOLD;
+
+  visionModeSelect.addEventListener('change', () => {
+    currentVisionMode = visionModeSelect.value;
+    console.log(`Color vision view mode: ${currentVisionMode}`);
+    renderPalette();
+    renderVisionImage();
+    renderVisionViews();
+    renderVisionReport();
+  });
+  visionThreshold.addEventListener('change', () => renderVisionReport());
+
+  // Pixel data and palettes as the selected color vision sees them (unchanged for normal vision)
+  function visionPixels (pixelData) {
+    return currentVisionMode === 'normal' ? pixelData : simulatePixels(pixelData, currentVisionMode);
+  }
+
+  function visionPalette (palette) {
+    return currentVisionMode === 'normal' ? palette : simulatePalette(palette, currentVisionMode);
+  }
+
+  /**
+   * Shows the uploaded image as the selected color vision sees it, rendered from the
+   * analyzed pixels; normal vision restores the real image.
+   */
+  function renderVisionImage () {
+    if (visionImageSource !== null) {
+      uploadedImage.onload = null;
+      uploadedImage.onerror = null;
+      uploadedImage.src = visionImageSource;
+      visionImageSource = null;
+    }
+    if (currentVisionMode === 'normal' || !currentPixelData) return;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = currentPixelSize.width;
+    canvas.height = currentPixelSize.height;
+    const simulated = simulatePixels(convertPixels(currentPixelData, currentPixelColorSpace, 'srgb'), currentVisionMode);
+    canvas.getContext('2d').putImageData(new ImageData(simulated, canvas.width, canvas.height), 0, 0);
+    visionImageSource = uploadedImage.src;
+    uploadedImage.src = canvas.toDataURL();
+  }
+
+  // Redraws the Lab scatter plot and the 3D sphere (or the comparison) in the selected color vision
+  function renderVisionViews () {
+    if (!currentPixelData || !currentAnalysis || !currentAnalysis.stats) return;
+    const visiblePixelData = visionPixels(getVisiblePixels(currentPixelData, currentAnalysis.params));
+    drawLabScatterPlotRevised(labScatterCanvas, visiblePixelData, currentPixelSize.width, currentPixelSize.height, 100);
+    if (currentComparison) {
+      renderComparison();
+    } else {
+      storeSphereScene(setupSphereScene(sphereContainer, visiblePixelData, currentPixelSize.width, currentPixelSize.height, 200));
+    }
+  }
+
+  /**
+   * Lists, for every deficiency, the palette pairs that become indistinguishable
+   * (CIEDE2000 below the threshold). Called whenever the palette changes.
+   */
+  function renderVisionReport () {
+    const palette = currentAnalyzedPalette || [];
+    visionPanel.classList.toggle('visible', palette.length > 1);
+    visionReport.innerHTML = '';
+    if (palette.length < 2) return;
+
+    const threshold = parseFloat(visionThreshold.value) > 0 ? parseFloat(visionThreshold.value) : DEFAULT_CONFUSION_THRESHOLD;
+    Object.keys(CVD_TYPES).forEach(type => {
+      const pairs = findConfusedPairs(palette, type, threshold);
+      const row = document.createElement('div');
+      row.className = type === currentVisionMode ? 'vision-row active' : 'vision-row';
+
+      const label = document.createElement('span');
+      label.className = 'vision-row-label';
+      label.textContent = t(`vision.types.${type}`);
+      const list = document.createElement('div');
+      list.className = 'vision-pairs';
+      if (pairs.length === 0) {
+        list.textContent = t('vision.safe');
+      }
+      pairs.forEach(pair => {
+        // Selects both colors in the palette
+        const button = document.createElement('button');
+        button.className = 'vision-pair';
+        button.title = t('vision.pairTooltip', { distance: pair.distance.toFixed(1), original: pair.originalDistance.toFixed(1) });
+        [pair.a, pair.b].forEach(index => {
+          const chip = document.createElement('span');
+          chip.className = 'compare-swatch-chip';
+          chip.style.backgroundColor = rgbToHex([palette[index].rgb.r, palette[index].rgb.g, palette[index].rgb.b]);
+          button.appendChild(chip);
+        });
+        button.append(`ΔE ${pair.distance.toFixed(1)}`);
+        button.addEventListener('click', () => {
+          paletteSelection = [pair.a, pair.b];
+          renderPalette();
+        });
+        list.appendChild(button);
+      });
+
+      row.append(label, list);
+      visionReport.appendChild(row);
+    });
+  }
+
+  document.addEventListener('i18n:loaded', () => renderVisionReport());
+
+  // --- Color names: nearest dictionary name on the swatches and in every export ---
+  // "None", then the registered dictionaries (labels: names.dictionaries.<name>)
+  const noNamesOption = document.createElement('option');
+  noNamesOption.value = '';
+  noNamesOption.setAttribute('data-i18n', 'names.dictionaries.none');
+  noNamesOption.textContent = t('names.dictionaries.none');
+  colorNameDictionarySelect.appendChild(noNamesOption);
+  getColorDictionaryNames().forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.setAttribute('data-i18n', `names.dictionaries.${name}`);
+    option.textContent = t(`names.dictionaries.${name}`);
+    colorNameDictionarySelect.appendChild(option);
+  });
+  colorNameDictionarySelect.value = colorDictionary();
+
+  /**
+   * Dictionary the palette is named with: the chosen one, or by default Chinese
+   * traditional colors for the Chinese interface and CSS names otherwise.
+   * @returns {string} Dictionary name, '' for no names.
+   */
+  function colorDictionary () {
+    if (currentColorDictionary !== null) return currentColorDictionary;
+    return getLocale() === 'zh-CN' ? 'chinese' : DEFAULT_COLOR_NAMES;
+  }
+
+  // Palette entries with their color names (unchanged without a dictionary)
+  function namedPalette (palette) {
+    const dictionary = colorDictionary();
+    return dictionary ? nameColors(palette, dictionary) : palette;
+  }
+
+  colorNameDictionarySelect.addEventListener('change', () => {
+    currentColorDictionary = colorNameDictionarySelect.value;
+    console.log(`Color names: ${currentColorDictionary || 'none'}`);
+    renderPalette();
+  });
 
+  // The default dictionary follows the language (renderPalette already runs on i18n:loaded)
+  document.addEventListener('i18n:loaded', () => {
+    colorNameDictionarySelect.value = colorDictionary();
+  });
+
+  loadColorDictionaryBtn.addEventListener('click', () => {
+    colorDictionaryFileInput.click();
+  });
+
+  // A dictionary file is registered under its base name and selected
+  colorDictionaryFileInput.addEventListener('change', () => {
+    const file = colorDictionaryFileInput.files && colorDictionaryFileInput.files[0];
+    colorDictionaryFileInput.value = ''; // Allow loading the same file again
+    if (!file) return;
+    file.text()
+      .then(text => {
+        const name = file.name.replace(/\.[^.]*$/, '') || file.name;
+        const entries = parseColorDictionary(text);
+        registerColorDictionary(name, entries);
+        if (!Array.from(colorNameDictionarySelect.options).some(option => option.value === name)) {
+          const option = document.createElement('option');
+          option.value = name;
+          option.textContent = name;
+          colorNameDictionarySelect.appendChild(option);
+        }
+        console.log(`Loaded ${Object.keys(entries).length} color names from ${file.name}.`);
+        colorNameDictionarySelect.value = name;
+        currentColorDictionary = name;
+        renderPalette();
       })
-      .catch(error => { // <-- Catch and log the actual error object
-        console.error("Error during image loading process:", error);
-        alert(t('errors.imageLoadFailed'));
-        // Cleanup results
-        hideResults();
-        disposeScene();
-        resetStateVariables();
+      .catch(error => {
+        console.error(`Error loading color names from ${file.name}:`, error);
+        alert(t('errors.colorNamesFailed', { message: error.message }));
       });
+  });
+
+  // --- Eyedropper: sample the analyzed pixels under a click on the uploaded image ---
+  /**
+   * Turns the eyedropper mode on or off. While it is on, a click on the image samples
+   * a color instead of opening the file picker.
+   * @param {boolean} active - New state.
+   */
+  function setPickerMode (active) {
+    imageDisplay.classList.toggle('picking', active);
+    pickColorBtn.textContent = t(active ? 'picker.stop' : 'picker.start');
+  }
+
+  // Samples currentPixelData (the pixels read from hiddenCanvas) under the pointer
+  function pickColorAt (event) {
+    if (!currentPixelData) return;
+    const bounds = uploadedImage.getBoundingClientRect();
+    const x = (event.clientX - bounds.left) / bounds.width * currentPixelSize.width;
+    const y = (event.clientY - bounds.top) / bounds.height * currentPixelSize.height;
+    const size = parseInt(pickerSampleSize.value, 10);
+
+    pickedColor = sampleColor(currentPixelData, currentPixelSize.width, currentPixelSize.height, x, y, size);
+    if (pickedColor && currentPixelColorSpace === 'display-p3') {
+      pickedColor = fromDisplayP3Color({ rgb: pickedColor }).rgb;
+    }
+    renderPickedColor();
+  }
+
+  // Values of the picked color and its nearest palette entry, which gets selected in the palette
+  function renderPickedColor () {
+    colorPickerResult.classList.add('visible');
+    pickedValues.innerHTML = '';
+    if (!pickedColor) {
+      pickedSwatch.style.background = 'transparent';
+      pickedNearest.textContent = t('picker.transparent');
+      addPickedColorBtn.disabled = true;
+      return;
+    }
+
+    const { hex, rgb, hsv, lab } = describeColor(pickedColor);
+    pickedSwatch.style.background = hex;
+    [
+      ['HEX', hex],
+      ['RGB', rgb.join(', ')],
+      ['HSV', `${hsv[0].toFixed(0)}°, ${hsv[1].toFixed(0)}%, ${hsv[2].toFixed(0)}%`],
+      ['Lab', lab.map(value => value.toFixed(1)).join(', ')]
+    ].forEach(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const definition = document.createElement('dd');
+      definition.textContent = value;
+      pickedValues.append(term, definition);
+    });
+    addPickedColorBtn.disabled = !currentAnalyzedPalette;
+
+    const nearest = findNearestColor(currentAnalyzedPalette || [], pickedColor);
+    if (!nearest) {
+      pickedNearest.textContent = '';
+      return;
+    }
+    const match = currentAnalyzedPalette[nearest.index].rgb;
+    pickedNearest.textContent = t('picker.nearest', {
+      hex: rgbToHex([match.r, match.g, match.b]),
+      distance: nearest.distance.toFixed(2)
+    });
+    paletteSelection = [nearest.index];
+    renderPalette();
+  }
+
+  pickColorBtn.addEventListener('click', () => {
+    setPickerMode(!imageDisplay.classList.contains('picking'));
+  });
+
+  // Adds the picked color next to its nearest palette entry (see addPaletteColor)
+  addPickedColorBtn.addEventListener('click', () => {
+    if (!pickedColor) return;
+    addPaletteColor(pickedColor);
+    renderPickedColor();
+  });
+
+  document.addEventListener('keydown', event => {
+    if (event.key === 'Escape' && imageDisplay.classList.contains('picking')) {
+      setPickerMode(false);
+    }
+  });
+
+  document.addEventListener('i18n:loaded', () => {
+    setPickerMode(imageDisplay.classList.contains('picking'));
+    if (colorPickerResult.classList.contains('visible')) renderPickedColor();
+  });
+
+  // --- Compare view: a second image against the current one ---
+  // Series colors of the current (reference) and the compared image in all overlays
+  const COMPARE_COLORS = ['#4FC3F7', '#FFB74D'];
+
+  /**
+   * Analyzes a second image with the parameters of the current analysis and shows the
+   * overlaid hue, a*b* and 3D distributions plus the matched palettes.
+   * The current image must have been analyzed in this session (pixel data and statistics).
+   * @param {File} file - The image to compare with.
+   */
+  function processCompareFile (file) {
+    if (!currentPixelData || !currentAnalysis || !currentAnalysis.stats || currentBatch) {
+      alert(t('compare.needsImage'));
+      return;
+    }
+    if (!file || !file.type.startsWith('image/')) {
+      alert(t('errors.notImage'));
+      return;
+    }
+
+    console.log(`Comparing with: ${file.name}`);
+    const reference = currentAnalysis;
+    const canvas = document.createElement('canvas'); // hiddenCanvas holds the current image
+    loadImageAndDisplay(file, new Image())
+      .then(img => {
+        const pixelData = getCanvasPixelData(img, canvas, undefined, reference.params.colorSpace);
+        if (!pixelData) {
+          throw new Error(t('errors.invalidImageData'));
+        }
+        const thumbnail = createThumbnailDataUrl(img, 240);
+
+        showAnalysisProgress('slic', 0);
+        return runAnalysisAsync(pixelData, canvas.width, canvas.height, reference.params, {
+          onProgress: showAnalysisProgress,
+          includeVisualizations: false
+        })
+          .then(analysis => {
+            hideAnalysisProgress();
+            if (currentAnalysis !== reference) return; // Another image or palette replaced the reference
+            currentComparison = {
+              file,
+              name: file.name,
+              thumbnail,
+              analysis,
+              pixelData: getVisiblePixels(pixelData, analysis.params),
+              width: canvas.width,
+              height: canvas.height
+            };
+            renderComparison();
+          });
+      })
+      .catch(error => {
+        if (isAbortError(error)) {
+          console.log("Comparison analysis aborted.");
+          return;
+        }
+        console.error(`Error comparing with ${file.name}:`, error);
+        hideAnalysisProgress();
+        alert(t('compare.failed', { filename: file.name, message: error.message }));
+      });
+  }
+
+  function renderComparison () {
+    const comparison = currentComparison;
+    const referencePixelData = getVisiblePixels(currentPixelData, currentAnalysis.params);
+    const datasets = [
+      { pixelData: visionPixels(referencePixelData), width: currentPixelSize.width, height: currentPixelSize.height, color: COMPARE_COLORS[0], label: currentImageFilename },
+      { pixelData: visionPixels(comparison.pixelData), width: comparison.width, height: comparison.height, color: COMPARE_COLORS[1], label: comparison.name }
+    ];
+
+    compareSection.classList.add('visible');
+    compareImageA.src = visionImageSource || uploadedImage.src;
+    compareImageB.src = comparison.thumbnail || '';
+    compareCaptionA.textContent = currentImageFilename;
+    compareCaptionB.textContent = comparison.name;
+    updateComparisonMatches();
+
+    drawHuePolarComparison(compareHuePolarCanvas, [
+      { values: currentAnalysis.stats.rawValues.h, color: COMPARE_COLORS[0], label: currentImageFilename },
+      { values: comparison.analysis.stats ? comparison.analysis.stats.rawValues.h : [], color: COMPARE_COLORS[1], label: comparison.name }
+    ], t('advanced.charts.huePolar.title'));
+    drawLabScatterComparison(compareLabScatterCanvas, datasets, 100);
+
+    // Both point clouds replace the single-image sphere until the comparison is closed
+    requestAnimationFrame(() => {
+      if (currentComparison !== comparison) return;
+      storeSphereScene(setupSphereComparisonScene(sphereContainer, datasets, 200));
+    });
+  }
+
+  // Score and match table; also refreshed when the current palette is edited
+  function updateComparisonMatches () {
+    const paletteB = currentComparison.analysis.palette;
+    const result = comparePalettes(currentAnalyzedPalette, paletteB);
+    console.log(`Palette similarity ${result.similarity.toFixed(1)} (average ΔE ${result.averageDistance.toFixed(2)}).`);
+    compareScore.textContent = t('compare.score', {
+      similarity: result.similarity.toFixed(1),
+      distance: result.averageDistance.toFixed(2)
+    });
+    renderMatchTable(result, currentAnalyzedPalette, paletteB);
+  }
+
+  // One row per matched pair, then the colors left over in the larger palette
+  function renderMatchTable (result, paletteA, paletteB) {
+    const sameColorThreshold = DISTANCE_METRICS[result.distanceMetric].sameColorThreshold;
+    compareMatchesTable.innerHTML = '';
+
+    const header = compareMatchesTable.createTHead().insertRow();
+    ['reference', 'compared', 'deltaE', 'shareReference', 'shareCompared'].forEach(key => {
+      const cell = document.createElement('th');
+      cell.textContent = t(`compare.table.${key}`);
+      header.appendChild(cell);
+    });
+
+    const body = compareMatchesTable.createTBody();
+    const addRow = (colorA, colorB, match) => {
+      const row = body.insertRow();
+      if (match && match.distance >= sameColorThreshold) row.classList.add('drifted');
+      row.insertCell().appendChild(createCompareSwatch(colorA));
+      row.insertCell().appendChild(createCompareSwatch(colorB));
+      row.insertCell().textContent = match ? match.distance.toFixed(2) : '—';
+      row.insertCell().textContent = match ? `${(match.shareA * 100).toFixed(1)}%` : '—';
+      row.insertCell().textContent = match ? `${(match.shareB * 100).toFixed(1)}%` : '—';
+    };
+
+    result.matches.forEach(match => addRow(paletteA[match.indexA], paletteB[match.indexB], match));
+    result.unmatchedA.forEach(index => addRow(paletteA[index], null, null));
+    result.unmatchedB.forEach(index => addRow(null, paletteB[index], null));
+  }
+
+  function createCompareSwatch (color) {
+    const swatch = document.createElement('span');
+    swatch.className = 'compare-swatch';
+    if (!color) {
+      swatch.textContent = '—';
+      return swatch;
+    }
+    const hex = rgbToHex([color.rgb.r, color.rgb.g, color.rgb.b]);
+    const chip = document.createElement('span');
+    chip.className = 'compare-swatch-chip';
+    chip.style.backgroundColor = hex;
+    swatch.append(chip, hex);
+    return swatch;
+  }
+
+  // Back to the single-image view
+  function closeComparison () {
+    currentComparison = null;
+    compareSection.classList.remove('visible');
+    compareMatchesTable.innerHTML = '';
+    if (currentPixelData && currentAnalysis) {
+      const visiblePixelData = visionPixels(getVisiblePixels(currentPixelData, currentAnalysis.params));
+      storeSphereScene(setupSphereScene(sphereContainer, visiblePixelData, currentPixelSize.width, currentPixelSize.height, 200));
+    }
+  }
+
+  function storeSphereScene (sphereSceneInfo) {
+    currentSphereRenderer = sphereSceneInfo ? sphereSceneInfo.renderer : null;
+    currentScene = sphereSceneInfo ? sphereSceneInfo.scene : null;
+    currentCamera = sphereSceneInfo ? sphereSceneInfo.camera : null;
+  }
+
+  // --- Restore a session from an exported report or palette file ---
+  /**
+   * Shows the palette of a report (.json), ASE or GPL file without re-running the analysis.
+   * Reports also restore the parameters and, if embedded, the image thumbnail.
+   * @param {File} file - The dropped or selected file.
+   */
+  function importSessionFile (file) {
+    cancelAnalysis();
+    hideAnalysisProgress();
+    hideResults();
+    disposeScene();
+    resetStateVariables();
+
+    console.log(`Importing session from: ${file.name}`);
+    file.arrayBuffer()
+      .then(buffer => {
+        const { analysis, image } = importPaletteFile(file.name, buffer);
+        console.log(`Imported ${analysis.palette.length} colors.`, analysis.params ? 'Parameters restored.' : 'No parameters in file.');
+
+        if (analysis.params) {
+          restoreParams(analysis.params);
+        }
+        const filename = (image.name || file.name).split('.').slice(0, -1).join('.') || image.name || 'image';
+        showRestoredPalette(analysis, image, filename);
+      })
+      .catch(error => {
+        console.error(`Error importing ${file.name}:`, error);
+        alert(t('errors.importFailed', { filename: file.name, message: error.message }));
+        resetToInitialState();
+      });
+  }
+
+  // --- Show a palette that was not analyzed in this session (imported file or shared link) ---
+  /**
+   * Shows the dashboard with only the palette (there is no pixel data for the other sections).
+   * @param {object} analysis - Analysis with at least palette, totalPixels and transparentShare.
+   * @param {object} image - { originalWidth, originalHeight, thumbnail } of the source image, if known.
+   * @param {string} filename - Base name for exported files.
+   */
+  function showRestoredPalette (analysis, image, filename) {
+    currentImageFilename = filename;
+    currentImageSize = { width: image.originalWidth, height: image.originalHeight };
+    currentAnalyzedPalette = analysis.palette;
+    currentAnalysis = { ...analysis, params: analysis.params || {} };
+    updateShareHash();
+
+    document.querySelector('.upload-area').classList.add('hidden');
+    document.querySelector('.dashboard-container').classList.add('visible');
+    imageDisplay.classList.add('has-image');
+    visionImageSource = null; // Restored sessions have no pixels to simulate
+    if (image.thumbnail) {
+      uploadedImage.onload = null;
+      uploadedImage.onerror = null;
+      uploadedImage.src = image.thumbnail;
+      uploadedImage.style.display = 'block';
+    }
+
+    renderPalette();
+    renderHarmony();
+    renderContrast();
+    renderVisionReport();
+  }
+
+  // --- Restore the parameters (and palette) of a shared link ---
+  /**
+   * Parameters missing from the link are defaults; a shared palette is shown like an imported one.
+   * @param {object|null} state - Result of decodeShareState.
+   */
+  function applyShareState (state) {
+    if (!state) return;
+
+    if (state.palette && state.palette.length > 0) {
+      resetToInitialState();
+    }
+    restoreParams({ ...DEFAULT_PIPELINE_PARAMS, ...state.params });
+
+    if (state.palette && state.palette.length > 0) {
+      console.log(`Showing shared palette (${state.palette.length} colors).`);
+      showRestoredPalette({
+        width: 0,
+        height: 0,
+        totalPixels: 0,
+        transparentShare: 0,
+        params: { ...paletteParams },
+        palette: state.palette,
+        stats: null,
+        timings: {}
+      }, { originalWidth: 0, originalHeight: 0, thumbnail: null }, 'shared_palette');
+    }
+  }
+
+  // --- Render the results of a finished analysis ---
+  /**
+   * Draws the palette, statistics, 2D/advanced visualizations, S-L maps and 3D sphere.
+   * @param {object} analysis - Result from runAnalysisAsync (pipeline result plus distanceGrid and slMaps).
+   * @param {Uint8ClampedArray} pixelData - The analyzed pixel data (still owned by the main thread).
+   * @param {number} width - Original image width.
+   * @param {number} height - Original image height.
+   */
+  function renderAnalysisResults (analysis, pixelData, width, height) {
+    const { width: actualWidth, height: actualHeight } = analysis;
+    const analyzedPalette = analysis.palette;
+    // Same transparency handling as the analysis (matte compositing or skipped transparent pixels), in sRGB
+    const visiblePixelData = getVisiblePixels(pixelData, analysis.params);
+    console.log(`Palette analyzed and merged (${analyzedPalette.length} colors).`, analysis.timings);
+
+    // Store the analyzed palette data for export
+    currentAnalyzedPalette = analyzedPalette;
+    currentAnalysis = analysis;
+    updateShareHash();
+
+    // Draw palette to canvas (This function also handles showing palette buttons)
+    paletteSelection = [];
+    renderPalette();
+    renderHarmony();
+    renderContrast();
+    renderVisionReport();
+    console.log("Palette rendered to canvas.");
+
+    // The eyedropper needs the pixels, which restored sessions and batch collections do not have
+    colorPicker.classList.toggle('visible', !!currentPixelData);
+    renderVisionImage();
+
+
+    // --- Step 4: Draw 2D Visualizations ---
+    console.log("Drawing 2D visualizations...");
+
+    // Stats are calculated once in the pipeline (sampled) for both basic and advanced visualizations
+    const colorStats = analysis.stats;
+
+    if (colorStats) {
+      // Display stats summary
+      hsvStatsParagraph.textContent =
+        `${t('analysis.avgHSV')}: H=${colorStats.hsv.avg[0].toFixed(3)}, S=${colorStats.hsv.avg[1].toFixed(3)}, V=${colorStats.hsv.avg[2].toFixed(3)} ` +
+        `| ${t('analysis.stdDevHSV')}: H=${colorStats.hsv.stdDev[0].toFixed(3)}, S=${colorStats.hsv.stdDev[1].toFixed(3)}, V=${colorStats.hsv.stdDev[2].toFixed(3)}`;
+
+      labStatsParagraph.textContent =
+        `${t('analysis.avgLab')}: L*=${colorStats.lab.avg[0].toFixed(3)}, a*=${colorStats.lab.avg[1].toFixed(3)}, b*=${colorStats.lab.avg[2].toFixed(3)} ` +
+        `| ${t('analysis.stdDevLab')}: L*=${colorStats.lab.stdDev[0].toFixed(3)}, a*=${colorStats.lab.stdDev[1].toFixed(3)}, b*=${colorStats.lab.stdDev[2].toFixed(3)}`;
+
+      // Draw Histograms
+      const binCount = 60; // Number of bars in histogram
+      drawHistogram(histHCanvas, colorStats.rawValues.h, "Hue", 0, 1, binCount);
+      drawHistogram(histSCanvas, colorStats.rawValues.s, "Saturation", 0, 1, binCount);
+      drawHistogram(histVCanvas, colorStats.rawValues.v, "Value", 0, 1, binCount);
+      drawHistogram(histLCanvas, colorStats.rawValues.l, "L*", 0, 100, binCount);
+      // Use a reasonable range for a* and b* histograms
+      drawHistogram(histACanvas, colorStats.rawValues.a, "a*", -100, 100, binCount);
+      drawHistogram(histBCanvas, colorStats.rawValues.b, "b*", -100, 100, binCount);
+
+      // Draw Lab a*b* Scatter Plot
+      // Sample factor 100 means process every 100th pixel
+      // The scatter plot and the 3D sphere show the selected color vision
+      const viewPixelData = visionPixels(visiblePixelData);
+      drawLabScatterPlotRevised(labScatterCanvas, viewPixelData, width, height, 100);
+
+
+      // Draw Advanced Visualizations using the same sampled data
+      console.log("Drawing advanced visualizations...");
+
+      // Get canvas elements
+      const hsvSquareCanvas = document.getElementById('hsvSquare');
+      const distanceHeatmapCanvas = document.getElementById('distanceHeatmap');
+      const labDensityCanvas = document.getElementById('labDensity');
+
+      // The Hue Polar Chart is drawn by renderHarmony(), with the harmony angles of the palette
+
+      // HSV Square Chart 已移除（数据格式不匹配且实用性有限）
+
+      // Draw Color Distance Heatmap
+      // Use actual dimensions (may be different from original if image was downsampled)
+      if (distanceHeatmapCanvas && analyzedPalette) {
+        drawColorDistanceHeatmap(distanceHeatmapCanvas, analyzedPalette, visiblePixelData, actualWidth, actualHeight, t('advanced.charts.distanceHeatmap.title'), analysis.distanceGrid, analysis.params.distanceMetric);
+      }
+
+      // Draw Lab Density Chart
+      if (labDensityCanvas) {
+        drawLabDensityChart(labDensityCanvas, colorStats.values, t('advanced.charts.labDensity.title'));
+      }
+
+
+      // Show the analysis section
+      colorAnalysisSection.style.display = 'block';
+
+      // Show the advanced visualization section
+      const advancedVizSection = document.getElementById('advancedVizSection');
+      if (advancedVizSection) {
+        advancedVizSection.style.display = 'block';
+      }
+
+      // --- Step 4.5: Draw SL Map Visualizations ---
+      console.log("Drawing SL Map visualizations...");
+      slMapSection.classList.add('visible');
+      drawSLMapPanel(clusteredCanvas, sMapCanvas, lMapCanvas, visiblePixelData, actualWidth, actualHeight, analysis.slMaps);
+
+      console.log("Color stats calculated and 2D visualizations rendered.");
+
+      // --- Step 5: Setup and Render 3D Sphere ---
+      console.log("Preparing to setup 3D color sphere...");
+
+      // Show the container BEFORE setup so it has dimensions
+      spherePlaceholder.style.display = 'none';
+      colorSphereSection.style.display = 'block'; // This will ensure container has dimensions
+
+      // Use requestAnimationFrame to wait for layout calculation before 3D setup
+      requestAnimationFrame(() => {
+        console.log("Attempting to setup 3D color sphere after next frame...");
+
+        // Re-get container element inside raf - although not strictly needed
+        const sphereContainer = document.getElementById('sphereContainer');
+        // pixelData, width, height are still accessible via closure
+
+        // Call the 3D setup function and store the returned object
+        // Sample factor 200 means process every 200th pixel for 3D points
+        const sphereSceneInfo = setupSphereScene(sphereContainer, viewPixelData, width, height, 200);
+
+        if (sphereSceneInfo) { // Check if setup was successful (returned non-null)
+          console.log("3D scene setup successful.");
+          // Store the references returned by setupSphereScene
+          currentSphereRenderer = sphereSceneInfo.renderer;
+          currentScene = sphereSceneInfo.scene;
+          currentCamera = sphereSceneInfo.camera;
+
+          // 3D export buttons are shown inside setupSphereScene on success
+
+        } else {
+          console.error("Failed to setup 3D scene.");
+          // Hide sphere section and buttons if setup failed
+          colorSphereSection.style.display = 'none'; // Hide the section again
+          spherePlaceholder.style.display = 'block'; // Show placeholder again
+          const sphereExportButtonsDiv = document.querySelector('.color-sphere-section .export-buttons'); // Re-get button div
+          if (sphereExportButtonsDiv) sphereExportButtonsDiv.style.display = 'none'; // Ensure buttons are hidden
+        }
+        console.log("3D color sphere setup sequence complete.");
+      }); // End of requestAnimationFrame callback
+
+
+    } else {
+      console.error("Failed to calculate color stats.");
+      // Hide analysis and sphere sections if stats fail
+      colorAnalysisSection.style.display = 'none';
+      colorSphereSection.style.display = 'none';
+      spherePlaceholder.style.display = 'block';
+      const sphereExportButtonsDiv = document.querySelector('.color-sphere-section .export-buttons');
+      if (sphereExportButtonsDiv) sphereExportButtonsDiv.style.display = 'none';
+    }
+
+    console.log("\nProcessing complete for image.");
   }
 
   // --- Helper function to hide all result sections ---
@@ -670,7 +1903,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     document.querySelector('.dashboard-container').classList.remove('visible');
 
     // Hide palette results (drawPalette([], ...) handles canvas and buttons)
-    drawPalette([], paletteCanvas, 0);
+    paletteSwatchRects = drawPalette([], paletteCanvas, 0);
+    paletteEditTools.classList.remove('visible');
+    colorNamesBar.classList.remove('visible');
+    harmonyPanel.classList.remove('visible');
+    contrastPanel.classList.remove('visible');
+    visionPanel.classList.remove('visible');
     const palettePlaceholder = document.getElementById('palettePlaceholder');
     if (palettePlaceholder) palettePlaceholder.style.display = 'block';
 
@@ -693,10 +1931,27 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Hide SL Map section
     slMapSection.classList.remove('visible');
+
+    // Hide batch cards
+    batchSection.classList.remove('visible');
+    batchGrid.innerHTML = '';
+
+    // Hide compare view
+    compareSection.classList.remove('visible');
+    compareMatchesTable.innerHTML = '';
+
+    // Hide eyedropper
+    setPickerMode(false);
+    colorPicker.classList.remove('visible');
+    colorPickerResult.classList.remove('visible');
   }
 
   // Reset to initial state (show upload area, hide all results)
   function resetToInitialState () {
+    // Stop any running analysis
+    cancelAnalysis();
+    hideAnalysisProgress();
+
     // Reset image display - temporarily remove handlers to prevent error triggering
     uploadedImage.onload = null;
     uploadedImage.onerror = null;
@@ -720,12 +1975,21 @@ document.addEventListener('DOMContentLoaded', async () => {
   // --- Helper function to reset state variables ---
   function resetStateVariables () {
     currentAnalyzedPalette = null;
+    currentAnalysis = null;
     currentSphereRenderer = null;
     currentScene = null;
     currentCamera = null;
     currentImageFilename = 'image';
     currentImageSize = { width: 0, height: 0 };
     currentPixelData = null; // Clear pixel data
+    currentPixelSize = { width: 0, height: 0 };
+    currentPixelColorSpace = 'srgb';
+    currentBatch = null;
+    currentComparison = null;
+    paletteSelection = [];
+    pickedColor = null;
+    visionImageSource = null;
+    updateShareHash();
   }
 
 
@@ -734,9 +1998,15 @@ document.addEventListener('DOMContentLoaded', async () => {
   // 1. File Input Listener
   imageInput.addEventListener('change', function (event) {
     const files = event.target.files;
-    if (files && files.length > 0) {
+    if (files && files.length > 1) {
+      processImageBatch(Array.from(files));
+    } else if (files && files.length > 0) {
       const selectedFile = files[0];
-      processImageFile(selectedFile, selectedFile.name);
+      if (!selectedFile.type.startsWith('image/') && isImportableFile(selectedFile.name)) {
+        importSessionFile(selectedFile);
+      } else {
+        processImageFile(selectedFile, selectedFile.name);
+      }
     } else {
       console.log("File selection cancelled.");
       // Cleanup results and state
@@ -751,15 +2021,15 @@ document.addEventListener('DOMContentLoaded', async () => {
   // 2. Drag and Drop Listeners
   uploadArea.addEventListener('dragover', (event) => {
     event.preventDefault(); // Prevent default behavior (preventing file from being opened)
-    // Check if the drag data contains files AND at least one is an image
+    // Check if the drag data contains files. File names are not available until the drop,
+    // so reports and palette files (often without a MIME type) are checked in the drop handler
     const isFile = event.dataTransfer.items && event.dataTransfer.items.length > 0 && event.dataTransfer.items[0].kind === 'file';
-    const isImage = isFile && event.dataTransfer.items[0].type.startsWith('image/');
 
-    if (isImage) {
+    if (isFile) {
       uploadArea.classList.add('dragover'); // Add visual feedback
       event.dataTransfer.dropEffect = 'copy'; // Show "copy" cursor
     } else {
-      // Not a valid image file drag - indicate it's not droppable
+      // Not a file drag - indicate it's not droppable
       event.dataTransfer.dropEffect = 'none';
     }
   });
@@ -773,6 +2043,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     event.preventDefault(); // Prevent default behavior (preventing file from being opened)
     uploadArea.classList.remove('dragover'); // Remove visual feedback
 
+    // Several images at once: batch mode with a collection palette
+    const droppedImages = Array.from(event.dataTransfer.files || []).filter(file => file.type.startsWith('image/'));
+    if (droppedImages.length > 1) {
+      console.log(`Dropped ${droppedImages.length} image files.`);
+      processImageBatch(droppedImages);
+      return;
+    }
+
     if (event.dataTransfer.items) {
       // Use DataTransferItemList interface for accessing the file(s)
       // Find the first image file item
@@ -785,6 +2063,13 @@ document.addEventListener('DOMContentLoaded', async () => {
             processImageFile(file, file.name); // Process the dropped file
             return; // Stop checking other items
           }
+        } else if (item.kind === 'file') {
+          const file = item.getAsFile();
+          if (file && isImportableFile(file.name)) {
+            console.log(`Dropped item is a report or palette file: ${file.name}`);
+            importSessionFile(file);
+            return;
+          }
         }
       }
       // If loop finishes without finding an image file
@@ -797,6 +2082,8 @@ document.addEventListener('DOMContentLoaded', async () => {
       if (file.type.startsWith('image/')) {
         console.log(`Dropped fallback file is an image: ${file.type}`);
         processImageFile(file, file.name);
+      } else if (isImportableFile(file.name)) {
+        importSessionFile(file);
       } else {
         console.warn("Dropped fallback file is not an image.");
         alert(t('errors.notImageFile'));
@@ -843,7 +2130,10 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   savePaletteImageBtn.addEventListener('click', () => {
     console.log("Save Palette Image button clicked.");
+    // Without the selection outlines of the editor
+    renderPalette({});
     const dataUrl = exportPaletteAsImage(paletteCanvas);
+    renderPalette();
     if (dataUrl) {
       saveDataUrlAsFile(dataUrl, `${currentImageFilename}_palette.png`);
     }
@@ -851,19 +2141,36 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   savePaletteDataBtn.addEventListener('click', () => {
     console.log("Save Palette Data button clicked.");
-    // Check if data and image size are available
-    if (currentAnalyzedPalette && currentImageSize.width > 0 && currentImageSize.height > 0) {
-      const dataToSave = currentAnalyzedPalette.map(colorInfo => ({
-        rgb: colorInfo.rgb,
-        hex: rgbToHex([colorInfo.rgb.r, colorInfo.rgb.g, colorInfo.rgb.b]),
-        pixelPercentage: ((colorInfo.count / (currentImageSize.width * currentImageSize.height)) * 100).toFixed(1) + '%',
-        isBackground: colorInfo.isBackground,
-        isFeature: colorInfo.isFeature
-      }));
-      const jsonString = JSON.stringify(dataToSave, null, 2);
+    if (currentAnalysis && currentAnalysis.palette.length > 0) {
+      const jsonString = serializeAnalysisReport({ ...currentAnalysis, palette: namedPalette(currentAnalysis.palette) }, {
+        name: currentImageFilename,
+        originalWidth: currentImageSize.width,
+        originalHeight: currentImageSize.height,
+        thumbnail: uploadedImage.style.display !== 'none' ? createThumbnailDataUrl(uploadedImage) : null
+      });
       saveTextFile(`${currentImageFilename}_palette.json`, jsonString, 'application/json');
     } else {
-      console.warn("No analyzed palette data available or image size is zero for export.");
+      console.warn("No analysis available for export.");
+      alert(t('errors.noPalette'));
+    }
+  });
+
+  // Export format options come from the exporter registry (labels: palette.export.formats.<name>)
+  getPaletteExporterNames().forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.setAttribute('data-i18n', `palette.export.formats.${name}`);
+    option.textContent = t(`palette.export.formats.${name}`);
+    paletteExportFormatSelect.appendChild(option);
+  });
+
+  exportPaletteFileBtn.addEventListener('click', () => {
+    const format = paletteExportFormatSelect.value;
+    console.log(`Export Palette File button clicked (${format}).`);
+    if (currentAnalyzedPalette && currentAnalyzedPalette.length > 0) {
+      savePaletteFile(`${currentImageFilename}_palette`, namedPalette(currentAnalyzedPalette), format, currentImageFilename);
+    } else {
+      console.warn("No analyzed palette data available for export.");
       alert(t('errors.noPalette'));
     }
   });
@@ -883,5 +2190,178 @@ document.addEventListener('DOMContentLoaded', async () => {
   });
 
 
+  // Leave batch mode and show the upload area again
+  clearBatchBtn.addEventListener('click', resetToInitialState);
+
+  // Compare view
+  compareImageBtn.addEventListener('click', () => {
+    if (!currentPixelData || !currentAnalysis || !currentAnalysis.stats || currentBatch) {
+      alert(t('compare.needsImage'));
+      return;
+    }
+    compareFileInput.click();
+  });
+
+  compareFileInput.addEventListener('change', () => {
+    const file = compareFileInput.files[0];
+    compareFileInput.value = ''; // Allow picking the same file again
+    if (file) processCompareFile(file);
+  });
+
+  closeCompareBtn.addEventListener('click', closeComparison);
+
+  // --- Parameter presets ---
+  // Option values: 'builtin:<key>' (read-only, translated) or 'user:<name>' (localStorage)
+  function renderPresetOptions (selectedValue = presetSelect.value) {
+    presetSelect.innerHTML = '';
+
+    const customOption = document.createElement('option');
+    customOption.value = '';
+    customOption.textContent = t('palette.presets.custom');
+    presetSelect.appendChild(customOption);
+
+    const builtinGroup = document.createElement('optgroup');
+    builtinGroup.label = t('palette.presets.builtinGroup');
+    Object.keys(BUILTIN_PRESETS).forEach(name => {
+      const option = document.createElement('option');
+      option.value = `builtin:${name}`;
+      option.textContent = t(`palette.presets.builtin.${name}`);
+      builtinGroup.appendChild(option);
+    });
+    presetSelect.appendChild(builtinGroup);
+
+    const userNames = getPresetNames();
+    if (userNames.length > 0) {
+      const userGroup = document.createElement('optgroup');
+      userGroup.label = t('palette.presets.savedGroup');
+      userNames.forEach(name => {
+        const option = document.createElement('option');
+        option.value = `user:${name}`;
+        option.textContent = name;
+        userGroup.appendChild(option);
+      });
+      presetSelect.appendChild(userGroup);
+    }
+
+    presetSelect.value = selectedValue;
+    if (presetSelect.value !== selectedValue) presetSelect.value = '';
+  }
+
+  // Name of the selected saved preset, or null for custom and built-in presets
+  function selectedUserPreset () {
+    return presetSelect.value.startsWith('user:') ? presetSelect.value.slice('user:'.length) : null;
+  }
+
+  renderPresetOptions('');
+  document.addEventListener('i18n:loaded', () => renderPresetOptions());
+
+  presetSelect.addEventListener('change', () => {
+    const value = presetSelect.value;
+    if (!value) return;
+    const params = value.startsWith('builtin:') ? getBuiltinPreset(value.slice('builtin:'.length)) : loadPreset(selectedUserPreset());
+    if (!params) {
+      renderPresetOptions('');
+      return;
+    }
+    console.log(`Applying preset ${value}`, params);
+    restoreParams(params);
+  });
+
+  savePresetBtn.addEventListener('click', () => {
+    const name = window.prompt(t('palette.presets.namePrompt'), selectedUserPreset() || '');
+    if (name === null) return;
+    if (getPresetNames().includes(name.trim()) && name.trim() !== selectedUserPreset() &&
+      !window.confirm(t('palette.presets.overwriteConfirm', { name: name.trim() }))) {
+      return;
+    }
+    try {
+      const savedName = savePreset(name, paletteParams);
+      renderPresetOptions(`user:${savedName}`);
+    } catch (error) {
+      console.error('Error saving preset:', error);
+      alert(t('errors.presetFailed', { message: error.message }));
+    }
+  });
+
+  renamePresetBtn.addEventListener('click', () => {
+    const oldName = selectedUserPreset();
+    if (!oldName) {
+      alert(t('palette.presets.selectSaved'));
+      return;
+    }
+    const newName = window.prompt(t('palette.presets.renamePrompt', { name: oldName }), oldName);
+    if (newName === null) return;
+    try {
+      renderPresetOptions(`user:${renamePreset(oldName, newName)}`);
+    } catch (error) {
+      console.error('Error renaming preset:', error);
+      alert(t('errors.presetFailed', { message: error.message }));
+    }
+  });
+
+  deletePresetBtn.addEventListener('click', () => {
+    const name = selectedUserPreset();
+    if (!name) {
+      alert(t('palette.presets.selectSaved'));
+      return;
+    }
+    if (!window.confirm(t('palette.presets.deleteConfirm', { name }))) return;
+    try {
+      deletePreset(name);
+      renderPresetOptions('');
+    } catch (error) {
+      console.error('Error deleting preset:', error);
+      alert(t('errors.presetFailed', { message: error.message }));
+    }
+  });
+
+  exportPresetsBtn.addEventListener('click', () => {
+    if (getPresetNames().length === 0) {
+      alert(t('palette.presets.noneSaved'));
+      return;
+    }
+    saveTextFile('color-compass-presets.json', exportPresets(), 'application/json');
+  });
+
+  importPresetsBtn.addEventListener('click', () => {
+    presetFileInput.click();
+  });
+
+  presetFileInput.addEventListener('change', () => {
+    const file = presetFileInput.files && presetFileInput.files[0];
+    presetFileInput.value = ''; // Allow importing the same file again
+    if (!file) return;
+    file.text()
+      .then(text => {
+        const names = importPresets(text);
+        console.log(`Imported ${names.length} presets from ${file.name}.`);
+        renderPresetOptions(names.length === 1 ? `user:${names[0]}` : presetSelect.value);
+        alert(t('palette.presets.imported', { count: names.length }));
+      })
+      .catch(error => {
+        console.error(`Error importing presets from ${file.name}:`, error);
+        alert(t('errors.presetFailed', { message: error.message }));
+      });
+  });
+
+  // --- Shared links ---
+  applyShareState(initialShareState);
+  // A link pasted into the address bar of an open tab only changes the hash
+  window.addEventListener('hashchange', () => {
+    applyShareState(decodeShareState(window.location.hash));
+  });
+
+  // Copy a link with the current parameters and palette
+  copyShareLinkBtn.addEventListener('click', () => {
+    updateShareHash();
+    navigator.clipboard.writeText(window.location.href)
+      .then(() => alert(t('palette.export.linkCopied')))
+      .catch(error => {
+        console.error("Error copying share link:", error);
+        window.prompt(t('palette.export.shareLink'), window.location.href);
+      });
+  });
+
+
   console.log("main.js script finished execution. Waiting for user interaction.");
 });
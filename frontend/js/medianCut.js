@@ -1,18 +1,26 @@
+import { alphaWeight } from './colorUtils.js';
+
 /**
  * Modified Median Cut Quantization (MMCQ) algorithm for dominant color extraction
+ * Transparent pixels (see ALPHA_THRESHOLD) are ignored.
  * 
  * @param {Uint8Array} pixelData - Image pixel data in RGBA format
  * @param {number} colorCount - Number of dominant colors to extract
- * @returns {Array} - Array of dominant colors in RGB format
+ * @returns {Array} - Array of dominant colors in RGB format (fewer than colorCount when there are
+ *   fewer visible pixels, empty when every pixel is transparent)
  */
 export function extractDominantColors (pixelData, colorCount, useDownsampling = true) {
   // Convert pixel data to color cubes
-  const cubes = [createInitialColorCube(pixelData, useDownsampling)];
+  const initialCube = createInitialColorCube(pixelData, useDownsampling);
+  if (initialCube.pixels.length === 0) return [];
+  const cubes = [initialCube];
 
   // Split cubes until we have the desired number of colors
   while (cubes.length < colorCount) {
     // Find the cube with the largest range
     const cubeToSplit = findCubeWithLargestRange(cubes);
+    // Every cube is down to a single pixel: no more colors to find
+    if (!cubeToSplit) break;
 
     // Split the cube along the axis with the largest range
     const [cube1, cube2] = splitColorCube(cubeToSplit);
@@ -47,25 +55,31 @@ function downsamplePixelData (pixelData) {
     if (i + (blockSize - 1) * 4 >= pixelData.length) continue;
 
     let sumR = 0, sumG = 0, sumB = 0;
+    let sumWeight = 0;
     let count = 0;
 
-    // Sum values in current block
+    // Sum values in current block (weighted by alpha)
     for (let j = 0; j < blockSize; j++) {
       const idx = i + j * 4;
       if (idx >= pixelData.length) break;
 
-      sumR += pixelData[idx];
-      sumG += pixelData[idx + 1];
-      sumB += pixelData[idx + 2];
+      const weight = alphaWeight(pixelData[idx + 3]);
+      sumR += pixelData[idx] * weight;
+      sumG += pixelData[idx + 1] * weight;
+      sumB += pixelData[idx + 2] * weight;
+      sumWeight += weight;
       count++;
     }
 
+    // Skip fully transparent blocks
+    if (sumWeight === 0) continue;
+
     // Calculate average and add to result
     downsampled.push(
-      Math.round(sumR / count),
-      Math.round(sumG / count),
-      Math.round(sumB / count),
-      255 // Alpha channel
+      Math.round(sumR / sumWeight),
+      Math.round(sumG / sumWeight),
+      Math.round(sumB / sumWeight),
+      Math.round(sumWeight / count * 255) // Average alpha
     );
   }
 
@@ -101,6 +115,9 @@ function createInitialColorCube (pixelData, useDownsampling = true) {
   //   if (b > cube.maxB) cube.maxB = b;
   // }
   for (let i = 0; i < processedData.length; i += 4) {
+    // Skip transparent pixels
+    if (alphaWeight(processedData[i + 3]) === 0) continue;
+
     const r = processedData[i];
     const g = processedData[i + 1];
     const b = processedData[i + 2];
@@ -124,6 +141,9 @@ function findCubeWithLargestRange (cubes) {
   let selectedCube = null;
 
   cubes.forEach(cube => {
+    // A single pixel cannot be split into two non-empty cubes
+    if (cube.pixels.length < 2) return;
+
     const rangeR = cube.maxR - cube.minR;
     const rangeG = cube.maxG - cube.minG;
     const rangeB = cube.maxB - cube.minB;
@@ -5,36 +5,40 @@
  * 1. Edge-aware hidden color detection (not just cluster size)
  * 2. Spatial connectivity for background detection
  * 3. Single targetPaletteSize parameter (no conflict)
- * 4. Optional ΔE perceptual distance metric
+ * 4. Clustering in RGB, CIELAB or OKLab with a selectable distance metric
  * 
  * @param {Uint8Array} pixelData - Original image pixel data
- * @param {Array} dominantColors - Dominant colors from MMCQ
- * @param {Object} params - Analysis parameters
+ * @param {Array} dominantColors - Dominant colors from the quantizer (see quantizers.js)
+ * @param {Object} params - Analysis parameters (params.lockedColors: { r, g, b } colors kept
+ *   as fixed centroids, e.g. swatches locked in the palette editor)
  * @returns {Array} - Analyzed palette with color information
  */
-import { rgbToLab, labDistance } from './colorUtils.js';
+import { rgbToLab, alphaWeight, hasTransparency, COLOR_SPACES, DISTANCE_METRICS } from './colorUtils.js';
+import { DEFAULT_PIPELINE_PARAMS } from './pipelineParams.js';
 
 export function analyzePalette(
   pixelData,
   dominantColors,
   params = {}
 ) {
-  // Destructure parameters with defaults
+  // Destructure parameters with defaults (shared with the UI, see pipelineParams.js)
   const {
-    paletteSize = 12,
-    maxHiddenColors = 3,
-    minHiddenPercentage = 0.01,
-    maxBackgrounds = 3,
-    useSuperpixels = true,
-    backgroundVarianceScale = 1,
+    paletteSize = DEFAULT_PIPELINE_PARAMS.targetPaletteSize,
+    maxHiddenColors = DEFAULT_PIPELINE_PARAMS.maxHiddenColors,
+    minHiddenPercentage = DEFAULT_PIPELINE_PARAMS.hiddenColorThreshold,
+    maxBackgrounds = DEFAULT_PIPELINE_PARAMS.maxBackgrounds,
+    useSuperpixels = DEFAULT_PIPELINE_PARAMS.useSuperpixels,
+    backgroundVarianceScale = DEFAULT_PIPELINE_PARAMS.backgroundVarianceScale,
     superpixelData = null,
-    useDeltaE = false,
+    clusteringSpace = DEFAULT_PIPELINE_PARAMS.clusteringSpace, // 'rgb' | 'lab' | 'oklab' (see COLOR_SPACES)
+    distanceMetric = DEFAULT_PIPELINE_PARAMS.distanceMetric, // 'rgb' | 'deltaE76' | 'deltaE94' | 'deltaE2000' | 'oklab' (see DISTANCE_METRICS)
     width = 0,
     height = 0,
     // New edge-aware parameters
-    edgeSensitivity = 0.5,
-    contrastThreshold = 0.3,
-    enableEdgeDetection = true
+    edgeSensitivity = DEFAULT_PIPELINE_PARAMS.edgeSensitivity,
+    contrastThreshold = DEFAULT_PIPELINE_PARAMS.contrastThreshold,
+    enableEdgeDetection = true,
+    lockedColors = []
   } = params;
 
   // =========================================================================
@@ -42,8 +46,12 @@ export function analyzePalette(
   // =========================================================================
   let inputData;
   let weights = null;
+  // Splitting stops at single superpixels, so with fewer superpixels than palette colors
+  // (very small images, low superpixel counts) cluster the pixels instead
+  const usesSuperpixels = !!(useSuperpixels && superpixelData && superpixelData.features &&
+    superpixelData.features.length >= Math.max(1, Math.round(paletteSize)));
 
-  if (useSuperpixels && superpixelData && superpixelData.features) {
+  if (usesSuperpixels) {
     // Use superpixel features for faster and more coherent clustering
     inputData = superpixelData.features.map(f => ({
       r: f.avgRGB[0],
@@ -55,7 +63,7 @@ export function analyzePalette(
       edgeStrength: f.edgeStrength || 0,
       contrast: f.contrast || 0
     }));
-    weights = superpixelData.features.map(f => f.pixelCount || 1);
+    weights = superpixelData.features.map(f => (f.weight !== undefined ? f.weight : f.pixelCount || 1));
   } else {
     // Fallback to raw pixel data
     inputData = [];
@@ -66,17 +74,24 @@ export function analyzePalette(
         b: pixelData[i + 2]
       });
     }
+    // Weight by alpha (transparent pixels get weight 0 and stay unassigned)
+    if (hasTransparency(pixelData)) {
+      weights = inputData.map((_, i) => alphaWeight(pixelData[i * 4 + 3]));
+    }
   }
 
   // =========================================================================
-  // STEP 2: Run K-means clustering with perceptual distance option
+  // STEP 2: Run K-means clustering in the selected space and metric
   // =========================================================================
-  const clusteringResult = kmeansClustering(inputData, dominantColors, {
-    useDeltaE,
+  // Locked colors come first and never move; they still compete for pixels
+  const clusteringResult = kmeansClustering(inputData, [...lockedColors, ...dominantColors], {
+    clusteringSpace,
+    distanceMetric,
     weights,
     maxIterations: 20,
-    convergenceThreshold: 1.0
+    fixedCount: lockedColors.length
   });
+  const lockedIndices = lockedColors.map((color, idx) => idx);
 
   // =========================================================================
   // STEP 3: Analyze clusters for hidden colors using edge-aware detection
@@ -96,13 +111,22 @@ export function analyzePalette(
   // =========================================================================
   // STEP 4: Extract background colors using spatial connectivity
   // =========================================================================
-  const backgroundIndices = extractBackgroundColorsSpatial(
+  // One cluster index per pixel (superpixel labels are mapped through their cluster)
+  const clusterMap = buildPixelClusterMap(
+    clusteringResult.labels,
     pixelData,
     width,
     height,
-    clusteringResult.centroids,
-    clusteringResult.labels,
+    usesSuperpixels ? superpixelData : null
+  );
+
+  const backgroundIndices = extractBackgroundColorsSpatial(
+    clusterMap,
+    width,
+    height,
+    clusteringResult,
     {
+      metric: DISTANCE_METRICS[distanceMetric],
       maxBackgrounds,
       backgroundVarianceScale,
       minBackgroundPixels: Math.floor(width * height * 0.05) // At least 5% of image
@@ -110,30 +134,53 @@ export function analyzePalette(
   );
 
   // =========================================================================
-  // STEP 5: Format output
+  // STEP 5: Reach the target palette size (merge close / split wide clusters)
   // =========================================================================
-  const totalWeight = weights 
+  const sizedResult = adjustPaletteSize(
+    inputData,
+    weights,
+    clusteringResult,
+    {
+      paletteSize,
+      hiddenIndices: clusterAnalysis.hiddenIndices,
+      backgroundIndices,
+      lockedIndices,
+      space: COLOR_SPACES[clusteringSpace],
+      metric: DISTANCE_METRICS[distanceMetric]
+    }
+  );
+
+  // =========================================================================
+  // STEP 6: Format output
+  // =========================================================================
+  // Percentages are shares of the whole image, so transparent areas are left out
+  const totalWeight = width * height || (weights 
     ? weights.reduce((a, b) => a + b, 0) 
-    : (width * height || inputData.length);
+    : inputData.length);
 
   return formatOutput(
-    clusteringResult.centroids,
-    clusteringResult.counts,
-    backgroundIndices,
-    clusterAnalysis.hiddenIndices,
+    sizedResult.centroids,
+    sizedResult.counts,
+    sizedResult.backgroundIndices,
+    sizedResult.hiddenIndices,
+    sizedResult.lockedIndices,
     totalWeight
   );
 }
 
 /**
- * K-means clustering with optional ΔE perceptual distance
+ * K-means clustering in a selectable color space with a selectable distance metric
+ * Inputs are converted once up front; centroids are weighted means in the clustering
+ * space (e.g. Lab means instead of RGB means) and are converted back to RGB at the end.
+ * The first fixedCount centroids are fixed: they take part in the assignment but keep their color.
  */
 function kmeansClustering(pixelData, initialCentroids, options = {}) {
   const {
-    useDeltaE = false,
+    clusteringSpace = 'rgb',
+    distanceMetric = 'rgb',
     weights = null,
     maxIterations = 20,
-    convergenceThreshold = 1.0
+    fixedCount = 0
   } = options;
 
   // Validate initial centroids
@@ -141,12 +188,21 @@ function kmeansClustering(pixelData, initialCentroids, options = {}) {
     throw new Error('No initial centroids provided');
   }
 
-  // Initialize centroids from MMCQ results
-  let centroids = initialCentroids.map(c => ({
-    r: c.r,
-    g: c.g,
-    b: c.b
-  }));
+  const space = COLOR_SPACES[clusteringSpace];
+  const metric = DISTANCE_METRICS[distanceMetric];
+  if (!space) throw new Error(`Unknown clustering space: ${clusteringSpace}`);
+  if (!metric) throw new Error(`Unknown distance metric: ${distanceMetric}`);
+
+  // Convert inputs once: coordinates for averaging, and for measuring distances
+  const metricSpace = COLOR_SPACES[metric.space];
+  const sameSpace = metric.space === clusteringSpace;
+  const points = pixelData.map((p, i) => (weights && weights[i] === 0 ? null : space.fromRgb(p.r, p.g, p.b)));
+  const metricPoints = sameSpace
+    ? points
+    : pixelData.map((p, i) => (points[i] ? metricSpace.fromRgb(p.r, p.g, p.b) : null));
+
+  // Initialize centroids from the quantizer results
+  let centroids = initialCentroids.map(c => space.fromRgb(c.r, c.g, c.b));
 
   let labels = new Array(pixelData.length).fill(-1);
   let counts = new Array(centroids.length).fill(0);
@@ -154,32 +210,22 @@ function kmeansClustering(pixelData, initialCentroids, options = {}) {
   for (let iter = 0; iter < maxIterations; iter++) {
     let changed = false;
     const newCounts = new Array(centroids.length).fill(0);
-    const newSums = centroids.map(() => ({ r: 0, g: 0, b: 0 }));
+    const newSums = centroids.map(() => [0, 0, 0]);
+    const metricCentroids = sameSpace
+      ? centroids
+      : centroids.map(c => metricSpace.fromRgb(...space.toRgb(c[0], c[1], c[2])));
 
     // Assignment step: assign each pixel to nearest centroid
     for (let i = 0; i < pixelData.length; i++) {
-      const pixel = pixelData[i];
-      
+      const point = points[i];
+      if (!point) continue; // Transparent: leave unassigned (-1)
+      const weight = weights ? weights[i] : 1;
+
       let minDist = Infinity;
       let bestCluster = -1;
 
       for (let cIdx = 0; cIdx < centroids.length; cIdx++) {
-        const centroid = centroids[cIdx];
-        let dist;
-
-        if (useDeltaE) {
-          // Use perceptual ΔE distance in Lab space
-          const lab1 = rgbToLab(pixel.r, pixel.g, pixel.b);
-          const lab2 = rgbToLab(centroid.r, centroid.g, centroid.b);
-          dist = labDistance(lab1, lab2);
-        } else {
-          // Use RGB Euclidean distance (faster)
-          dist = colorDistanceRGB(
-            pixel.r, pixel.g, pixel.b,
-            centroid.r, centroid.g, centroid.b
-          );
-        }
-
+        const dist = metric.distance(metricPoints[i], metricCentroids[cIdx]);
         if (dist < minDist) {
           minDist = dist;
           bestCluster = cIdx;
@@ -188,28 +234,21 @@ function kmeansClustering(pixelData, initialCentroids, options = {}) {
 
       if (bestCluster < 0) continue;
 
-      const labelIndex = weights ? i : i;
-      if (labels[labelIndex] !== bestCluster) {
+      if (labels[i] !== bestCluster) {
         changed = true;
-        labels[labelIndex] = bestCluster;
+        labels[i] = bestCluster;
       }
 
-      const weight = weights ? weights[i] : 1;
       newCounts[bestCluster] += weight;
-      newSums[bestCluster].r += pixel.r * weight;
-      newSums[bestCluster].g += pixel.g * weight;
-      newSums[bestCluster].b += pixel.b * weight;
+      newSums[bestCluster][0] += point[0] * weight;
+      newSums[bestCluster][1] += point[1] * weight;
+      newSums[bestCluster][2] += point[2] * weight;
     }
 
-    // Update centroids
-    centroids = newSums.map((sum, idx) => {
-      const fallback = centroids[idx] || { r: 0, g: 0, b: 0 };
-      return {
-        r: newCounts[idx] > 0 ? Math.round(sum.r / newCounts[idx]) : fallback.r,
-        g: newCounts[idx] > 0 ? Math.round(sum.g / newCounts[idx]) : fallback.g,
-        b: newCounts[idx] > 0 ? Math.round(sum.b / newCounts[idx]) : fallback.b
-      };
-    });
+    // Update centroids (empty and fixed clusters keep their position)
+    centroids = newSums.map((sum, idx) => (
+      newCounts[idx] > 0 && idx >= fixedCount ? sum.map(v => v / newCounts[idx]) : centroids[idx]
+    ));
 
     counts = newCounts;
 
@@ -220,7 +259,17 @@ function kmeansClustering(pixelData, initialCentroids, options = {}) {
     }
   }
 
-  return { centroids, labels, counts };
+  const rgbCentroids = centroids.map((c, idx) => {
+    if (idx < fixedCount) {
+      // Exactly the requested color, without the round trip through the clustering space
+      const { r, g, b } = initialCentroids[idx];
+      return { r, g, b };
+    }
+    const [r, g, b] = space.toRgb(c[0], c[1], c[2]);
+    return { r: Math.round(r), g: Math.round(g), b: Math.round(b) };
+  });
+
+  return { centroids: rgbCentroids, labels, counts };
 }
 
 /**
@@ -317,23 +366,65 @@ function analyzeClustersForHiddenColors(clusteringResult, options) {
   return { hiddenIndices, hiddenCandidates };
 }
 
+/**
+ * Map clustering labels to a per-pixel cluster map
+ * In superpixel mode k-means labels one entry per superpixel feature, so every pixel
+ * takes the cluster of its SLIC superpixel.
+ * @returns {Int32Array} - Cluster index per pixel (-1 = unassigned or transparent)
+ */
+function buildPixelClusterMap(clusterLabels, pixelData, width, height, superpixelData) {
+  const totalPixels = width * height;
+  const clusterMap = new Int32Array(totalPixels).fill(-1);
+
+  if (superpixelData && superpixelData.labels) {
+    const { features, labels } = superpixelData;
+    const maxLabel = features.reduce((max, f) => Math.max(max, f.label), -1);
+    const superpixelClusters = new Int32Array(maxLabel + 1).fill(-1);
+    features.forEach((f, i) => {
+      superpixelClusters[f.label] = clusterLabels[i];
+    });
+
+    for (let p = 0; p < totalPixels && p < labels.length; p++) {
+      const superpixel = labels[p];
+      if (superpixel >= 0 && superpixel <= maxLabel) {
+        clusterMap[p] = superpixelClusters[superpixel];
+      }
+    }
+  } else {
+    for (let p = 0; p < totalPixels && p < clusterLabels.length; p++) {
+      clusterMap[p] = clusterLabels[p];
+    }
+  }
+
+  // Transparent pixels belong to no region
+  for (let p = 0; p < totalPixels; p++) {
+    if (alphaWeight(pixelData[p * 4 + 3]) === 0) clusterMap[p] = -1;
+  }
+
+  return clusterMap;
+}
+
 /**
  * Extract background colors using spatial connectivity analysis
  * 
  * BACKGROUND DETECTION STRATEGY:
- * 1. Find large connected regions (clusters)
- * 2. Prefer regions at image edges (background is usually at edges)
- * 3. Check if color matches expected background characteristics
+ * 1. Match clusters whose colors are closer than the metric's sameColorThreshold
+ *    (a noisy or textured background is often split into several near-identical clusters)
+ * 2. Split the map of matched clusters into connected regions (4-connectivity)
+ * 3. Measure each region's contact with the image border and its size
+ * 4. Score cluster groups by total border contact and their largest border region;
+ *    backgroundVarianceScale > 1 relaxes the minimums and widens the matching, < 1 tightens them
+ * 5. Each background group is reported by its heaviest cluster
  */
 function extractBackgroundColorsSpatial(
-  pixelData,
+  clusterMap,
   width,
   height,
-  centroids,
-  labels,
+  clusteringResult,
   options = {}
 ) {
   const {
+    metric = DISTANCE_METRICS.rgb,
     maxBackgrounds = 3,
     backgroundVarianceScale = 1,
     minBackgroundPixels = 1000
@@ -343,93 +434,443 @@ function extractBackgroundColorsSpatial(
     return [];
   }
 
-  // Sample edge pixels to find background candidates
-  const edgeSamples = sampleEdgePixels(pixelData, width, height, 100);
-  
-  // Count centroid matches at edges
-  const centroidMatches = new Array(centroids.length).fill(0);
-  const threshold = 30 * backgroundVarianceScale;
-
-  for (const sample of edgeSamples) {
-    // Find nearest centroid
-    let minDist = Infinity;
-    let bestMatch = -1;
-    
-    for (let cIdx = 0; cIdx < centroids.length; cIdx++) {
-      const dist = colorDistanceRGB(
-        sample.r, sample.g, sample.b,
-        centroids[cIdx].r, centroids[cIdx].g, centroids[cIdx].b
-      );
-      if (dist < minDist) {
-        minDist = dist;
-        bestMatch = cIdx;
-      }
-    }
-    
-    if (bestMatch >= 0 && minDist < threshold) {
-      centroidMatches[bestMatch]++;
-    }
-  }
+  const totalPixels = width * height;
+  const tolerance = Math.max(0.1, backgroundVarianceScale);
+  const { centroids, counts } = clusteringResult;
+  const clusterCount = centroids.length;
+
+  const clusterGroups = matchSimilarClusters(centroids, metric, metric.sameColorThreshold * tolerance);
+  const groupMap = clusterMap.map(cluster => (cluster >= 0 ? clusterGroups[cluster] : -1));
+  const { componentIds, components } = labelConnectedComponents(groupMap, width, height);
 
-  // Find largest clusters that also appear at edges
-  const clusterSizes = centroids.map((_, idx) => ({
+  // Count border pixels per region
+  const perimeter = width === 1 || height === 1 ? totalPixels : 2 * (width + height) - 4;
+  forEachBorderPixel(width, height, p => {
+    const componentId = componentIds[p];
+    if (componentId >= 0) components[componentId].borderPixels++;
+  });
+
+  // Aggregate regions per cluster group, represented by its heaviest cluster
+  const clusterScores = Array.from({ length: clusterCount }, (_, idx) => ({
     idx,
-    size: centroidMatches[idx], // Weight by edge presence
-    isLarge: centroidMatches[idx] > 10 // Significant edge presence
+    borderContact: 0, // Share of the image border covered by this group
+    largestRegion: 0 // Pixels in its largest region touching the border
   }));
+  for (let idx = 0; idx < clusterCount; idx++) {
+    const groupScore = clusterScores[clusterGroups[idx]];
+    if ((counts[idx] || 0) > (counts[groupScore.idx] || 0)) groupScore.idx = idx;
+  }
 
-  // Sort by edge presence (descending) and take top candidates
-  clusterSizes.sort((a, b) => b.size - a.size);
-  
-  return clusterSizes
+  for (const component of components) {
+    if (component.borderPixels === 0) continue;
+    const clusterScore = clusterScores[component.cluster];
+    if (!clusterScore) continue;
+    clusterScore.borderContact += component.borderPixels / perimeter;
+    clusterScore.largestRegion = Math.max(clusterScore.largestRegion, component.size);
+  }
+
+  const minBorderContact = 0.1 / tolerance;
+  const minRegionPixels = minBackgroundPixels / tolerance;
+
+  const candidates = clusterScores
+    .filter(c => c.borderContact >= minBorderContact && c.largestRegion >= minRegionPixels)
+    .map(c => ({
+      idx: c.idx,
+      score: c.borderContact * 0.6 + (c.largestRegion / totalPixels) * 0.4
+    }));
+
+  // Sort by score (descending) and take top candidates
+  candidates.sort((a, b) => b.score - a.score);
+  console.log(`Background detection: ${components.length} regions, ${candidates.length} candidates`);
+
+  return candidates
     .slice(0, maxBackgrounds)
-    .filter(c => c.isLarge)
     .map(c => c.idx);
 }
 
 /**
- * Sample pixels from image edges (more likely to be background)
+ * Group clusters whose centroids are closer than threshold (transitively)
+ * @returns {Int32Array} - Group id per cluster (the smallest cluster index in the group)
  */
-function sampleEdgePixels(pixelData, width, height, maxSamples) {
-  const samples = [];
-  const step = Math.max(1, Math.floor((width + height) * 2 / maxSamples));
-  
-  // Top and bottom rows
-  for (let x = 0; x < width; x += step) {
-    samples.push(getPixelRGB(pixelData, x, 0, width));
-    samples.push(getPixelRGB(pixelData, x, height - 1, width));
+function matchSimilarClusters(centroids, metric, threshold) {
+  const toMetricSpace = COLOR_SPACES[metric.space].fromRgb;
+  const colors = centroids.map(c => toMetricSpace(c.r, c.g, c.b));
+  const groups = Int32Array.from(colors, (_, idx) => idx);
+  const find = (idx) => {
+    while (groups[idx] !== idx) idx = groups[idx] = groups[groups[idx]];
+    return idx;
+  };
+
+  for (let i = 0; i < colors.length; i++) {
+    for (let j = i + 1; j < colors.length; j++) {
+      if (metric.distance(colors[i], colors[j]) >= threshold) continue;
+      const rootI = find(i);
+      const rootJ = find(j);
+      if (rootI !== rootJ) groups[Math.max(rootI, rootJ)] = Math.min(rootI, rootJ);
+    }
   }
-  
-  // Left and right columns
-  for (let y = 0; y < height; y += step) {
-    samples.push(getPixelRGB(pixelData, 0, y, width));
-    samples.push(getPixelRGB(pixelData, width - 1, y, width));
+
+  return groups.map((_, idx) => find(idx));
+}
+
+/**
+ * Connected-component labeling of a cluster map (4-connectivity)
+ * @returns {{componentIds: Int32Array, components: Array}} - Region per pixel and region info
+ */
+function labelConnectedComponents(clusterMap, width, height) {
+  const totalPixels = width * height;
+  const componentIds = new Int32Array(totalPixels).fill(-1);
+  const components = [];
+  const stack = new Int32Array(totalPixels);
+
+  for (let start = 0; start < totalPixels; start++) {
+    if (clusterMap[start] < 0 || componentIds[start] >= 0) continue;
+
+    const cluster = clusterMap[start];
+    const componentId = components.length;
+    let size = 0;
+    let top = 0;
+
+    stack[top++] = start;
+    componentIds[start] = componentId;
+
+    while (top > 0) {
+      const p = stack[--top];
+      size++;
+
+      const x = p % width;
+      const neighbors = [
+        x > 0 ? p - 1 : -1,
+        x < width - 1 ? p + 1 : -1,
+        p >= width ? p - width : -1,
+        p + width < totalPixels ? p + width : -1
+      ];
+
+      for (const n of neighbors) {
+        if (n >= 0 && componentIds[n] < 0 && clusterMap[n] === cluster) {
+          componentIds[n] = componentId;
+          stack[top++] = n;
+        }
+      }
+    }
+
+    components.push({ cluster, size, borderPixels: 0 });
+  }
+
+  return { componentIds, components };
+}
+
+/**
+ * Call fn(pixelIndex) once for every pixel on the image border
+ */
+function forEachBorderPixel(width, height, fn) {
+  for (let x = 0; x < width; x++) {
+    fn(x);
+    if (height > 1) fn((height - 1) * width + x);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    fn(y * width);
+    if (width > 1) fn(y * width + width - 1);
   }
-  
-  return samples;
 }
 
 /**
- * Get RGB values for a pixel at (x, y)
+ * Bring the clustering result to the target palette size
+ * 
+ * SIZE ADJUSTMENT STRATEGY:
+ * 1. Drop empty regular clusters
+ * 2. Too many colors: merge the closest pair under the selected distance metric.
+ *    A hidden or background cluster absorbs its partner and keeps its color,
+ *    so those roles always stay in the palette
+ * 3. Too few colors: split the cluster with the largest weighted Lab spread;
+ *    the larger half inherits the hidden/background role
+ * 4. Stop early when nothing can be merged or split: protected clusters only, or
+ *    every cluster down to one input color (the image has fewer distinct colors)
+ * Locked clusters are protected like hidden and background ones, and are never split
  */
-function getPixelRGB(pixelData, x, y, width) {
-  const idx = (y * width + x) * 4;
+function adjustPaletteSize(inputData, weights, clusteringResult, options) {
+  const { paletteSize, hiddenIndices, backgroundIndices, lockedIndices = [], space, metric } = options;
+  const toMetricSpace = COLOR_SPACES[metric.space].fromRgb;
+  const targetSize = Math.max(1, Math.round(paletteSize));
+  const { centroids, counts, labels } = clusteringResult;
+
+  let clusters = centroids.map((centroid, idx) => ({
+    centroid: { r: centroid.r, g: centroid.g, b: centroid.b },
+    metricColor: toMetricSpace(centroid.r, centroid.g, centroid.b),
+    count: counts[idx] || 0,
+    members: [],
+    spread: null,
+    isHidden: hiddenIndices.includes(idx),
+    isBackground: backgroundIndices.includes(idx),
+    isLocked: lockedIndices.includes(idx)
+  }));
+
+  for (let i = 0; i < labels.length; i++) {
+    if (labels[i] >= 0 && clusters[labels[i]]) {
+      clusters[labels[i]].members.push(i);
+    }
+  }
+
+  clusters = clusters.filter(c => c.members.length > 0 || isProtectedCluster(c));
+
+  // Merge the closest pairs
+  while (clusters.length > targetSize) {
+    const pair = findClosestMergeablePair(clusters, metric);
+    if (!pair) break;
+    mergeClusters(clusters, pair[0], pair[1], space, toMetricSpace);
+  }
+
+  // Split the widest clusters
+  if (clusters.length < targetSize) {
+    const memberLabs = computeMemberLabs(inputData);
+
+    while (clusters.length < targetSize) {
+      for (const cluster of clusters) {
+        if (cluster.spread === null) {
+          cluster.spread = clusterSpread(cluster, memberLabs, weights);
+        }
+      }
+
+      const candidate = clusters.reduce(
+        (widest, c) => (c.spread > 0 && !c.isLocked && (!widest || c.spread > widest.spread) ? c : widest),
+        null
+      );
+      if (!candidate) break;
+
+      const halves = splitCluster(candidate, inputData, memberLabs, weights, space, toMetricSpace);
+      if (halves) {
+        clusters.splice(clusters.indexOf(candidate), 1, ...halves);
+      } else {
+        candidate.spread = 0; // Cannot be split, try the next one
+      }
+    }
+  }
+
+  if (clusters.length !== centroids.length) {
+    console.log(`Palette size adjusted: ${centroids.length} → ${clusters.length} colors (target ${targetSize})`);
+  }
+
+  const newLabels = new Array(labels.length).fill(-1);
+  clusters.forEach((cluster, idx) => {
+    for (const member of cluster.members) newLabels[member] = idx;
+  });
+
+  const indicesWhere = (predicate) => clusters
+    .map((c, idx) => (predicate(c) ? idx : -1))
+    .filter(idx => idx >= 0);
+
   return {
-    r: pixelData[idx] || 0,
-    g: pixelData[idx + 1] || 0,
-    b: pixelData[idx + 2] || 0
+    centroids: clusters.map(c => c.centroid),
+    counts: clusters.map(c => c.count),
+    labels: newLabels,
+    hiddenIndices: indicesWhere(c => c.isHidden),
+    backgroundIndices: indicesWhere(c => c.isBackground),
+    lockedIndices: indicesWhere(c => c.isLocked)
   };
 }
 
 /**
- * Calculate color distance in RGB space
+ * Hidden, background and locked clusters must survive size adjustment
  */
-function colorDistanceRGB(r1, g1, b1, r2, g2, b2) {
-  return Math.sqrt(
-    Math.pow(r1 - r2, 2) +
-    Math.pow(g1 - g2, 2) +
-    Math.pow(b1 - b2, 2)
-  );
+function isProtectedCluster(cluster) {
+  return cluster.isHidden || cluster.isBackground || cluster.isLocked;
+}
+
+/**
+ * Find the closest pair of clusters where at least one is a regular cluster
+ * (ΔE94 is not symmetric, so distances are averaged over both directions)
+ */
+function findClosestMergeablePair(clusters, metric) {
+  let minDist = Infinity;
+  let bestPair = null;
+
+  for (let i = 0; i < clusters.length; i++) {
+    for (let j = i + 1; j < clusters.length; j++) {
+      if (isProtectedCluster(clusters[i]) && isProtectedCluster(clusters[j])) continue;
+
+      const a = clusters[i].metricColor;
+      const b = clusters[j].metricColor;
+      const dist = (metric.distance(a, b) + metric.distance(b, a)) / 2;
+      if (dist < minDist) {
+        minDist = dist;
+        bestPair = [i, j];
+      }
+    }
+  }
+
+  return bestPair;
+}
+
+/**
+ * Merge clusters[j] into clusters[i] (or the other way round if clusters[j] is protected)
+ */
+function mergeClusters(clusters, i, j, space, toMetricSpace) {
+  const [keep, drop] = isProtectedCluster(clusters[j])
+    ? [clusters[j], clusters[i]]
+    : [clusters[i], clusters[j]];
+
+  // Regular clusters move to the weighted mean (in the clustering space); protected ones keep their color
+  const total = keep.count + drop.count;
+  if (!isProtectedCluster(keep) && total > 0) {
+    keep.centroid = weightedMeanColor([keep.centroid, drop.centroid], [keep.count, drop.count], space);
+    keep.metricColor = toMetricSpace(keep.centroid.r, keep.centroid.g, keep.centroid.b);
+  }
+
+  keep.count = total;
+  for (const member of drop.members) keep.members.push(member);
+  keep.spread = null;
+
+  clusters.splice(clusters.indexOf(drop), 1);
+}
+
+/**
+ * Lab values of all input colors (flat array, 3 values per input)
+ */
+function computeMemberLabs(inputData) {
+  const memberLabs = new Float32Array(inputData.length * 3);
+  for (let i = 0; i < inputData.length; i++) {
+    const lab = rgbToLab(inputData[i].r, inputData[i].g, inputData[i].b);
+    memberLabs[i * 3] = lab[0];
+    memberLabs[i * 3 + 1] = lab[1];
+    memberLabs[i * 3 + 2] = lab[2];
+  }
+  return memberLabs;
+}
+
+/**
+ * Weighted Lab mean of a list of members
+ */
+function weightedLabMean(members, memberLabs, weights) {
+  const mean = [0, 0, 0];
+  let totalWeight = 0;
+
+  for (const member of members) {
+    const weight = weights ? weights[member] : 1;
+    mean[0] += memberLabs[member * 3] * weight;
+    mean[1] += memberLabs[member * 3 + 1] * weight;
+    mean[2] += memberLabs[member * 3 + 2] * weight;
+    totalWeight += weight;
+  }
+
+  return totalWeight > 0 ? mean.map(v => v / totalWeight) : mean;
+}
+
+/**
+ * Sum of weighted squared Lab distances to the cluster mean (total variation)
+ */
+function clusterSpread(cluster, memberLabs, weights) {
+  if (cluster.members.length < 2) return 0;
+
+  const mean = weightedLabMean(cluster.members, memberLabs, weights);
+  let spread = 0;
+
+  for (const member of cluster.members) {
+    const weight = weights ? weights[member] : 1;
+    const dL = memberLabs[member * 3] - mean[0];
+    const dA = memberLabs[member * 3 + 1] - mean[1];
+    const dB = memberLabs[member * 3 + 2] - mean[2];
+    spread += weight * (dL * dL + dA * dA + dB * dB);
+  }
+
+  return spread;
+}
+
+/**
+ * Split a cluster in two with 2-means in Lab space, seeded along its widest Lab channel
+ * @returns {Array|null} - Two new clusters, or null if the members cannot be separated
+ */
+function splitCluster(cluster, inputData, memberLabs, weights, space, toMetricSpace) {
+  const { members } = cluster;
+  const mean = weightedLabMean(members, memberLabs, weights);
+
+  // Widest channel and its weighted standard deviation
+  const variance = [0, 0, 0];
+  let totalWeight = 0;
+  for (const member of members) {
+    const weight = weights ? weights[member] : 1;
+    for (let c = 0; c < 3; c++) {
+      const d = memberLabs[member * 3 + c] - mean[c];
+      variance[c] += weight * d * d;
+    }
+    totalWeight += weight;
+  }
+  const channel = variance.indexOf(Math.max(...variance));
+  const stdDev = Math.sqrt(variance[channel] / totalWeight);
+  if (stdDev === 0) return null;
+
+  const seeds = [mean.slice(), mean.slice()];
+  seeds[0][channel] -= stdDev;
+  seeds[1][channel] += stdDev;
+
+  let groups = [[], []];
+  for (let iter = 0; iter < 10; iter++) {
+    groups = [[], []];
+    for (const member of members) {
+      const d0 = squaredLabDistance(memberLabs, member, seeds[0]);
+      const d1 = squaredLabDistance(memberLabs, member, seeds[1]);
+      groups[d0 <= d1 ? 0 : 1].push(member);
+    }
+    if (groups[0].length === 0 || groups[1].length === 0) return null;
+
+    const newSeeds = groups.map(group => weightedLabMean(group, memberLabs, weights));
+    const moved = newSeeds.some((seed, s) => squaredLabDistance(seed, 0, seeds[s]) > 0.01);
+    seeds[0] = newSeeds[0];
+    seeds[1] = newSeeds[1];
+    if (!moved) break;
+  }
+
+  // Centroids are means in the clustering space, as in k-means
+  const halves = groups.map(group => {
+    const groupWeights = group.map(member => (weights ? weights[member] : 1));
+    const count = groupWeights.reduce((a, b) => a + b, 0);
+    const centroid = weightedMeanColor(group.map(member => inputData[member]), groupWeights, space);
+
+    return {
+      centroid,
+      metricColor: toMetricSpace(centroid.r, centroid.g, centroid.b),
+      count,
+      members: group,
+      spread: null,
+      isHidden: false,
+      isBackground: false
+    };
+  });
+
+  const main = halves[0].count >= halves[1].count ? halves[0] : halves[1];
+  main.isHidden = cluster.isHidden;
+  main.isBackground = cluster.isBackground;
+
+  return halves;
+}
+
+/**
+ * Squared Lab distance between labs[offset * 3..] and a Lab triple
+ */
+function squaredLabDistance(labs, offset, lab) {
+  const dL = labs[offset * 3] - lab[0];
+  const dA = labs[offset * 3 + 1] - lab[1];
+  const dB = labs[offset * 3 + 2] - lab[2];
+  return dL * dL + dA * dA + dB * dB;
+}
+
+/**
+ * Weighted mean of RGB colors, averaged in the clustering space
+ * @returns {{r: number, g: number, b: number}} - Rounded RGB color
+ */
+function weightedMeanColor(colors, colorWeights, space) {
+  const sum = [0, 0, 0];
+  let totalWeight = 0;
+
+  colors.forEach((color, i) => {
+    const point = space.fromRgb(color.r, color.g, color.b);
+    sum[0] += point[0] * colorWeights[i];
+    sum[1] += point[1] * colorWeights[i];
+    sum[2] += point[2] * colorWeights[i];
+    totalWeight += colorWeights[i];
+  });
+
+  const [r, g, b] = space.toRgb(sum[0] / totalWeight, sum[1] / totalWeight, sum[2] / totalWeight);
+  return { r: Math.round(r), g: Math.round(g), b: Math.round(b) };
 }
 
 /**
@@ -463,13 +904,14 @@ function hueDifference(h1, h2) {
 /**
  * Format output with color information
  */
-function formatOutput(centroids, counts, backgroundIndices, hiddenIndices, totalPixels) {
+function formatOutput(centroids, counts, backgroundIndices, hiddenIndices, lockedIndices, totalPixels) {
   return centroids.map((color, idx) => ({
     rgb: { r: color.r, g: color.g, b: color.b },
     lab: rgbToLab(color.r, color.g, color.b),
     count: counts[idx] || 0,
     percentage: (counts[idx] || 0) / totalPixels,
     isBackground: backgroundIndices.includes(idx),
-    isHidden: hiddenIndices.includes(idx)
+    isHidden: hiddenIndices.includes(idx),
+    locked: lockedIndices.includes(idx)
   }));
 }
@@ -0,0 +1,115 @@
+// frontend/js/paletteComparison.js
+
+/**
+ * Palette-to-palette comparison of two analyzed images (e.g. an original and its
+ * retouched or re-exported version).
+ *
+ * Colors are paired one-to-one, closest pair first, under a ΔE metric. The similarity
+ * score is based on how far the pixel shares of one palette have to move to become the
+ * other (a greedy earth mover's distance), so both color drift and changed proportions
+ * lower it. DOM-free.
+ */
+
+import { COLOR_SPACES, DISTANCE_METRICS } from './colorUtils.js';
+
+export const DEFAULT_COMPARISON_METRIC = 'deltaE2000';
+
+// Average ΔE at which the similarity score reaches 0
+const DISSIMILAR_DISTANCE = 50;
+
+/**
+ * Compares two palettes.
+ * @param {Array<object>} paletteA - Palette entries ({ rgb, percentage }) of the first image
+ * @param {Array<object>} paletteB - Palette entries of the second image
+ * @param {object} options - { distanceMetric } (key of DISTANCE_METRICS, default: DEFAULT_COMPARISON_METRIC)
+ * @returns {object} {
+ *   distanceMetric,
+ *   matches: [{ indexA, indexB, distance, shareA, shareB }] sorted by indexA, shares are 0-1 of the visible pixels,
+ *   unmatchedA: indices of paletteA without a partner (paletteA is larger), unmatchedB: likewise for paletteB,
+ *   averageDistance: share-weighted ΔE needed to turn A into B,
+ *   similarity: 0-100 (100 = same colors in the same proportions)
+ * }
+ */
+export function comparePalettes (paletteA, paletteB, options = {}) {
+  const { distanceMetric = DEFAULT_COMPARISON_METRIC } = options;
+  const metric = DISTANCE_METRICS[distanceMetric];
+  if (!metric) {
+    throw new Error(`Unknown distance metric "${distanceMetric}". Available: ${Object.keys(DISTANCE_METRICS).join(', ')}.`);
+  }
+  const space = COLOR_SPACES[metric.space];
+
+  const colorsA = paletteA.map(color => space.fromRgb(color.rgb.r, color.rgb.g, color.rgb.b));
+  const colorsB = paletteB.map(color => space.fromRgb(color.rgb.r, color.rgb.g, color.rgb.b));
+  const sharesA = normalizeShares(paletteA);
+  const sharesB = normalizeShares(paletteB);
+
+  const pairs = [];
+  colorsA.forEach((colorA, indexA) => {
+    colorsB.forEach((colorB, indexB) => {
+      const distance = (metric.distance(colorA, colorB) + metric.distance(colorB, colorA)) / 2;
+      pairs.push({ indexA, indexB, distance });
+    });
+  });
+  pairs.sort((p1, p2) => p1.distance - p2.distance);
+
+  const matches = matchOneToOne(pairs, colorsA.length, colorsB.length)
+    .map(pair => ({ ...pair, shareA: sharesA[pair.indexA], shareB: sharesB[pair.indexB] }))
+    .sort((m1, m2) => m1.indexA - m2.indexA);
+  const matchedA = new Set(matches.map(match => match.indexA));
+  const matchedB = new Set(matches.map(match => match.indexB));
+
+  const averageDistance = pairs.length > 0 ? transportCost(pairs, sharesA, sharesB) : 0;
+  const bothEmpty = paletteA.length === 0 && paletteB.length === 0;
+  const similarity = pairs.length > 0 || bothEmpty
+    ? Math.max(0, 100 * (1 - averageDistance / DISSIMILAR_DISTANCE))
+    : 0;
+
+  return {
+    distanceMetric,
+    matches,
+    unmatchedA: colorsA.map((color, index) => index).filter(index => !matchedA.has(index)),
+    unmatchedB: colorsB.map((color, index) => index).filter(index => !matchedB.has(index)),
+    averageDistance,
+    similarity
+  };
+}
+
+// Helper functions
+
+// Shares of the visible pixels; palettes without pixel counts (shared links) weigh all colors equally
+function normalizeShares (palette) {
+  const total = palette.reduce((sum, color) => sum + (color.percentage > 0 ? color.percentage : 0), 0);
+  if (total <= 0) return palette.map(() => 1 / palette.length);
+  return palette.map(color => (color.percentage > 0 ? color.percentage : 0) / total);
+}
+
+// Greedy assignment: the closest remaining pair first (pairs are sorted by distance)
+function matchOneToOne (pairs, countA, countB) {
+  const usedA = new Set();
+  const usedB = new Set();
+  const matches = [];
+  const limit = Math.min(countA, countB);
+  for (const pair of pairs) {
+    if (matches.length === limit) break;
+    if (usedA.has(pair.indexA) || usedB.has(pair.indexB)) continue;
+    usedA.add(pair.indexA);
+    usedB.add(pair.indexB);
+    matches.push({ ...pair });
+  }
+  return matches;
+}
+
+// Greedy earth mover's distance: move as much share as possible along the cheapest pairs first
+function transportCost (pairs, sharesA, sharesB) {
+  const remainingA = sharesA.slice();
+  const remainingB = sharesB.slice();
+  let cost = 0;
+  for (const pair of pairs) {
+    const flow = Math.min(remainingA[pair.indexA], remainingB[pair.indexB]);
+    if (flow <= 0) continue;
+    remainingA[pair.indexA] -= flow;
+    remainingB[pair.indexB] -= flow;
+    cost += flow * pair.distance;
+  }
+  return cost;
+}
@@ -0,0 +1,143 @@
+// frontend/js/paletteEditing.js
+
+/**
+ * Edits of an analyzed palette in the palette editor: reorder, delete, lock,
+ * merge and add colors.
+ *
+ * Every function returns a new palette array and leaves its input untouched, so
+ * the result can simply replace the current palette (and with it every export).
+ * Locked colors are passed to the next analysis as fixed k-means centroids
+ * (see lockedColors in analyzeImage). DOM-free.
+ */
+
+import { rgbToLab, COLOR_SPACES } from './colorUtils.js';
+
+/**
+ * Moves a color to another position.
+ * @param {Array<object>} palette - Palette entries
+ * @param {number} from - Current index
+ * @param {number} to - Index the color ends up at
+ * @returns {Array<object>}
+ */
+export function moveColor (palette, from, to) {
+  checkIndex(palette, from);
+  const result = palette.slice();
+  const [color] = result.splice(from, 1);
+  result.splice(Math.max(0, Math.min(result.length, to)), 0, color);
+  return result;
+}
+
+/**
+ * Removes a color. Its pixels are not reassigned, so the remaining shares add up to less.
+ * @param {Array<object>} palette - Palette entries
+ * @param {number} index - Index of the color to remove
+ * @returns {Array<object>}
+ */
+export function removeColor (palette, index) {
+  checkIndex(palette, index);
+  return palette.filter((color, i) => i !== index);
+}
+
+/**
+ * Locks or unlocks a color.
+ * @param {Array<object>} palette - Palette entries
+ * @param {number} index - Index of the color
+ * @param {boolean} locked - New state (default: toggle)
+ * @returns {Array<object>}
+ */
+export function setColorLocked (palette, index, locked = !palette[index].locked) {
+  checkIndex(palette, index);
+  return palette.map((color, i) => (i === index ? { ...color, locked: !!locked } : color));
+}
+
+/**
+ * Merges two colors into their share-weighted mean, at the position of the first one.
+ * Counts and shares add up; the result is a background if the larger part was one,
+ * hidden only if both were, and locked if either was.
+ * @param {Array<object>} palette - Palette entries
+ * @param {number} i - Index of the first color
+ * @param {number} j - Index of the second color
+ * @param {string} space - Color space of the mean (key of COLOR_SPACES, default: 'lab')
+ * @returns {Array<object>}
+ */
+export function mergeColors (palette, i, j, space = 'lab') {
+  checkIndex(palette, i);
+  checkIndex(palette, j);
+  if (i === j) {
+    throw new Error('Cannot merge a color with itself.');
+  }
+  const colorSpace = COLOR_SPACES[space];
+  if (!colorSpace) {
+    throw new Error(`Unknown color space "${space}". Available: ${Object.keys(COLOR_SPACES).join(', ')}.`);
+  }
+
+  const a = palette[i];
+  const b = palette[j];
+  // Imported palettes have no shares: weigh both colors equally
+  const weightA = a.percentage > 0 || b.percentage > 0 ? a.percentage : 1;
+  const weightB = a.percentage > 0 || b.percentage > 0 ? b.percentage : 1;
+  const colorA = colorSpace.fromRgb(a.rgb.r, a.rgb.g, a.rgb.b);
+  const colorB = colorSpace.fromRgb(b.rgb.r, b.rgb.g, b.rgb.b);
+  const mean = colorA.map((value, k) => (value * weightA + colorB[k] * weightB) / (weightA + weightB));
+  const [r, g, bl] = colorSpace.toRgb(...mean).map(v => Math.round(Math.max(0, Math.min(255, v))));
+
+  const backgroundWeight = (a.isBackground ? weightA : 0) + (b.isBackground ? weightB : 0);
+  const isBackground = backgroundWeight > (weightA + weightB) / 2;
+  // The mean is a new sRGB color: Display P3 values and the gamut flag of a no longer apply
+  const { displayP3, outOfSrgb, ...base } = a;
+  const merged = {
+    ...base,
+    rgb: { r, g, b: bl },
+    lab: rgbToLab(r, g, bl),
+    count: (a.count || 0) + (b.count || 0),
+    percentage: (a.percentage || 0) + (b.percentage || 0),
+    isBackground,
+    isHidden: !!a.isHidden && !!b.isHidden && !isBackground,
+    locked: !!a.locked || !!b.locked
+  };
+
+  return palette
+    .map((color, k) => (k === i ? merged : color))
+    .filter((color, k) => k !== j);
+}
+
+/**
+ * Adds a color picked by the user. It covers no pixels yet and is locked, so the
+ * next analysis keeps it as a centroid and measures its share.
+ * @param {Array<object>} palette - Palette entries
+ * @param {{r: number, g: number, b: number}} rgb - The new color (0-255)
+ * @param {number} index - Insert position (default: at the end)
+ * @returns {Array<object>}
+ */
+export function addColor (palette, rgb, index = palette.length) {
+  const [r, g, b] = [rgb.r, rgb.g, rgb.b].map(v => Math.round(Math.max(0, Math.min(255, v))));
+  const result = palette.slice();
+  result.splice(Math.max(0, Math.min(result.length, index)), 0, {
+    rgb: { r, g, b },
+    lab: rgbToLab(r, g, b),
+    count: 0,
+    percentage: 0,
+    isBackground: false,
+    isHidden: false,
+    locked: true
+  });
+  return result;
+}
+
+/**
+ * The locked colors of a palette, as passed to the analysis (options.lockedColors).
+ * @param {Array<object>|null} palette - Palette entries
+ * @returns {Array<{r: number, g: number, b: number}>} sRGB, plus displayP3 for colors analyzed in Display P3
+ */
+export function getLockedColors (palette) {
+  return (palette || []).filter(color => color.locked)
+    .map(color => (color.displayP3 ? { ...color.rgb, displayP3: { ...color.displayP3 } } : { ...color.rgb }));
+}
+
+// Helper functions
+
+function checkIndex (palette, index) {
+  if (!Number.isInteger(index) || index < 0 || index >= palette.length) {
+    throw new Error(`Palette index ${index} is out of range (0-${palette.length - 1}).`);
+  }
+}
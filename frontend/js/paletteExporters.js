@@ -0,0 +1,69 @@
+// frontend/js/paletteExporters.js
+
+/**
+ * Registry of palette file exporters for design tools and code (CSS, SCSS,
+ * Tailwind and design tokens).
+ *
+ * An exporter turns an analyzed palette (see analyzePalette) into file content:
+ * a string for text formats or a Uint8Array for binary ones. Exporters are
+ * DOM-free, so the web app (through fileSaver.js) and the CLI share them.
+ */
+
+import { exportAse } from './exporters/ase.js';
+import { exportGpl } from './exporters/gpl.js';
+import { exportProcreate } from './exporters/procreate.js';
+import { exportPaintNet } from './exporters/paintNet.js';
+import { exportSketch } from './exporters/sketch.js';
+import { exportCss, exportScss, exportTailwind, exportDtcg } from './exporters/tokens.js';
+
+const exporters = new Map([
+  ['ase', { extension: '.ase', mimeType: 'application/octet-stream', serialize: exportAse }],
+  ['gpl', { extension: '.gpl', mimeType: 'text/plain', serialize: exportGpl }],
+  ['procreate', { extension: '.swatches', mimeType: 'application/zip', serialize: exportProcreate }],
+  ['paintnet', { extension: '.txt', mimeType: 'text/plain', serialize: exportPaintNet }],
+  ['sketch', { extension: '.sketchpalette', mimeType: 'application/json', serialize: exportSketch }],
+  // Code-oriented formats (token names: see exporters/tokens.js)
+  ['css', { extension: '.css', mimeType: 'text/css', serialize: exportCss }],
+  ['scss', { extension: '.scss', mimeType: 'text/x-scss', serialize: exportScss }],
+  ['tailwind', { extension: '.tailwind.js', mimeType: 'text/javascript', serialize: exportTailwind }],
+  ['dtcg', { extension: '.tokens.json', mimeType: 'application/json', serialize: exportDtcg }]
+]);
+
+/**
+ * Registers (or replaces) a palette exporter.
+ * @param {string} name - Format name
+ * @param {Object} exporter - { extension, mimeType, serialize(palette, options) → string | Uint8Array }
+ */
+export function registerPaletteExporter (name, exporter) {
+  if (!exporter || typeof exporter.serialize !== 'function') {
+    throw new Error(`registerPaletteExporter: exporter "${name}" needs a serialize function.`);
+  }
+  exporters.set(name, exporter);
+}
+
+/**
+ * Names of all registered export formats, in registration order.
+ * @returns {string[]}
+ */
+export function getPaletteExporterNames () {
+  return Array.from(exporters.keys());
+}
+
+/**
+ * Serializes a palette in the named format.
+ * @param {Array} palette - Analyzed palette (each color with an `rgb` object)
+ * @param {string} format - Registered format name
+ * @param {Object} options - { name: palette name shown in the target tool }
+ * @returns {{content: (string|Uint8Array), extension: string, mimeType: string}}
+ */
+export function exportPalette (palette, format, options = {}) {
+  const exporter = exporters.get(format);
+  if (!exporter) {
+    throw new Error(`Unknown export format "${format}". Available: ${getPaletteExporterNames().join(', ')}.`);
+  }
+  return {
+    content: exporter.serialize(palette, options),
+    extension: exporter.extension,
+    mimeType: exporter.mimeType
+  };
+}
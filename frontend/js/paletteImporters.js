@@ -0,0 +1,96 @@
+// frontend/js/paletteImporters.js
+
+/**
+ * Reads files exported earlier (or by other tools) back into a session:
+ * analysis reports (.json, see report.js), Adobe Swatch Exchange (.ase) and
+ * GIMP palettes (.gpl). DOM-free; the caller reads the file into bytes.
+ */
+
+import { rgbToLab } from './colorUtils.js';
+import { parseAnalysisReport } from './report.js';
+import { parseAse } from './importers/ase.js';
+import { parseGpl } from './importers/gpl.js';
+
+const importers = new Map([
+  ['.json', (bytes) => parseAnalysisReport(JSON.parse(decodeText(bytes)))],
+  ['.ase', (bytes, name) => swatchSession(parseAse(bytes), name)],
+  ['.gpl', (bytes, name) => {
+    const gpl = parseGpl(decodeText(bytes));
+    return swatchSession(gpl.swatches, gpl.name || name);
+  }]
+]);
+
+/**
+ * File extensions that can be imported (lower case, with the dot).
+ * @returns {string[]}
+ */
+export function getImportExtensions () {
+  return Array.from(importers.keys());
+}
+
+/**
+ * Whether a file name has an importable extension.
+ * @param {string} filename
+ * @returns {boolean}
+ */
+export function isImportableFile (filename) {
+  return importers.has(fileExtension(filename));
+}
+
+/**
+ * Parses an exported report or palette file.
+ * Palette files only restore colors; reports also restore parameters, image metadata and thumbnail.
+ * @param {string} filename - File name (the extension selects the parser)
+ * @param {Uint8Array|ArrayBuffer} data - File content
+ * @returns {{analysis: object, image: object}} - Pipeline-like result (params is null for palette files) and image metadata
+ */
+export function importPaletteFile (filename, data) {
+  const extension = fileExtension(filename);
+  const importer = importers.get(extension);
+  if (!importer) {
+    throw new Error(`Unsupported file type "${extension}". Supported: ${getImportExtensions().join(', ')}.`);
+  }
+
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const baseName = filename.replace(/\.[^.]*$/, '');
+  const session = importer(bytes, baseName);
+  if (session.analysis.palette.length === 0) {
+    throw new Error(`No colors found in ${filename}.`);
+  }
+  return session;
+}
+
+// Helper functions
+
+function fileExtension (filename) {
+  const match = /\.[^.]+$/.exec(filename || '');
+  return match ? match[0].toLowerCase() : '';
+}
+
+function decodeText (bytes) {
+  return new TextDecoder('utf-8').decode(bytes);
+}
+
+// Swatch files carry neither pixel shares nor roles
+function swatchSession (swatches, name) {
+  return {
+    analysis: {
+      width: 0,
+      height: 0,
+      totalPixels: 0,
+      transparentShare: 0,
+      params: null,
+      palette: swatches.map(({ rgb }) => ({
+        rgb,
+        lab: rgbToLab(rgb.r, rgb.g, rgb.b),
+        count: 0,
+        percentage: 0,
+        isBackground: false,
+        isHidden: false
+      })),
+      stats: null,
+      timings: {}
+    },
+    image: { name, originalWidth: 0, originalHeight: 0, thumbnail: null }
+  };
+}
@@ -7,8 +7,15 @@ import { t } from './i18n.js'; // Import i18n module
  * @param {PaletteColor[]} palette - The processed palette array.
  * @param {HTMLCanvasElement} canvasElement - The canvas element to draw onto.
  * @param {number} totalPixels - Total number of pixels in the original image.
+ * @param {number} transparentShare - Share (0-1) of transparent pixels; shown as an extra checkerboard swatch when > 0.
+ * @param {object} editState - Palette editor state: { selectedIndices: number[] (outlined),
+ *   dropIndex: number (insert marker while dragging, -1 for none) }. Locked colors show a padlock.
+ *   Colors with a `name` (see colorNaming.js) get it on a line below the hex code.
+ *   Colors flagged `outOfSrgb` (see displayP3.js) show a P3 badge: the swatch is their clipped sRGB value.
+ * @returns {Array<{x: number, y: number, width: number, height: number}>} Canvas area of each color (for hit testing).
  */
-export function drawPalette (palette, canvasElement, totalPixels) {
+export function drawPalette (palette, canvasElement, totalPixels, transparentShare = 0, editState = {}) {
+  const { selectedIndices = [], dropIndex = -1 } = editState;
   const placeholder = document.getElementById('palettePlaceholder');
   const paletteExportButtons = canvasElement.parentElement ? canvasElement.parentElement.querySelector('.export-buttons') : null;
 
@@ -19,7 +26,7 @@ export function drawPalette (palette, canvasElement, totalPixels) {
       console.log("Hiding palette export buttons (palette is empty or invalid).");
       paletteExportButtons.style.display = 'none';
     }
-    return;
+    return [];
   }
 
   if (placeholder) placeholder.style.display = 'none';
@@ -35,12 +42,18 @@ export function drawPalette (palette, canvasElement, totalPixels) {
   const textGap = 5;
   const tagGap = 3;
   const fixedSwatchWidth = 80;
+  // Extra line for color names, only when the palette is named
+  const nameHeight = palette.some(color => color.name) ? textHeight : 0;
+  const cellHeight = swatchHeight + textGap + textHeight + nameHeight + tagGap + tagHeight;
+  const tagOffset = cellHeight - tagHeight;
 
   const parentWidth = canvasElement.parentElement ? canvasElement.parentElement.clientWidth : 800;
   const maxSwatchesPerRow = Math.floor((parentWidth - padding * 2 + swatchGap) / (fixedSwatchWidth + swatchGap));
-  const numRows = Math.ceil(palette.length / maxSwatchesPerRow);
+  const showTransparent = transparentShare > 0;
+  const swatchCount = palette.length + (showTransparent ? 1 : 0);
+  const numRows = Math.ceil(swatchCount / maxSwatchesPerRow);
 
-  const requiredHeight = padding * 2 + numRows * (swatchHeight + textGap + textHeight + tagGap + tagHeight + swatchGap) - swatchGap;
+  const requiredHeight = padding * 2 + numRows * (cellHeight + swatchGap) - swatchGap;
   canvasElement.width = parentWidth;
   canvasElement.height = requiredHeight;
 
@@ -49,16 +62,30 @@ export function drawPalette (palette, canvasElement, totalPixels) {
 
   let currentX = padding;
   let currentY = padding;
+  const swatchRects = [];
 
   palette.forEach((color, index) => {
     if (index > 0 && index % maxSwatchesPerRow === 0) {
       currentX = padding;
-      currentY += swatchHeight + textGap + textHeight + tagGap + tagHeight + swatchGap;
+      currentY += cellHeight + swatchGap;
     }
+    swatchRects.push({ x: currentX, y: currentY, width: fixedSwatchWidth, height: cellHeight });
 
     ctx.fillStyle = rgbToHex([color.rgb.r, color.rgb.g, color.rgb.b]);
     ctx.fillRect(currentX, currentY, fixedSwatchWidth, swatchHeight);
 
+    if (color.locked) {
+      drawLockBadge(ctx, currentX + fixedSwatchWidth - 10, currentY + 10);
+    }
+    if (color.outOfSrgb) {
+      drawGamutBadge(ctx, currentX + 4, currentY + 4);
+    }
+    if (selectedIndices.includes(index)) {
+      ctx.strokeStyle = '#ffffff';
+      ctx.lineWidth = 2;
+      ctx.strokeRect(currentX + 1, currentY + 1, fixedSwatchWidth - 2, swatchHeight - 2);
+    }
+
     ctx.fillStyle = '#ffffff';
     ctx.font = `${textHeight - 3}px sans-serif`;
     ctx.textAlign = 'center';
@@ -67,24 +94,94 @@ export function drawPalette (palette, canvasElement, totalPixels) {
     const hex = rgbToHex([color.rgb.r, color.rgb.g, color.rgb.b]);
     ctx.fillText(hex, currentX + fixedSwatchWidth / 2, currentY + swatchHeight + textGap);
 
+    if (color.name) {
+      ctx.fillStyle = '#cccccc';
+      ctx.fillText(fitText(ctx, color.name, fixedSwatchWidth), currentX + fixedSwatchWidth / 2, currentY + swatchHeight + textGap + textHeight);
+    }
+
     ctx.font = `${tagHeight - 2}px sans-serif`;
     ctx.textBaseline = 'top';
 
     if (color.isBackground) {
       ctx.fillStyle = '#00ff00';
-      ctx.fillText(t('palette.tags.background'), currentX + fixedSwatchWidth / 2, currentY + swatchHeight + textGap + textHeight + tagGap);
+      ctx.fillText(t('palette.tags.background'), currentX + fixedSwatchWidth / 2, currentY + tagOffset);
     } else if (color.isHidden) {
       ctx.fillStyle = '#ffff00';
-      ctx.fillText(t('palette.tags.featured'), currentX + fixedSwatchWidth / 2, currentY + swatchHeight + textGap + textHeight + tagGap);
+      ctx.fillText(t('palette.tags.featured'), currentX + fixedSwatchWidth / 2, currentY + tagOffset);
     }
 
     currentX += fixedSwatchWidth + swatchGap;
   });
 
+  // Transparent share as a checkerboard swatch after the colors
+  if (showTransparent) {
+    if (palette.length > 0 && palette.length % maxSwatchesPerRow === 0) {
+      currentX = padding;
+      currentY += cellHeight + swatchGap;
+    }
+
+    const checkSize = 10;
+    for (let y = 0; y < swatchHeight; y += checkSize) {
+      for (let x = 0; x < fixedSwatchWidth; x += checkSize) {
+        ctx.fillStyle = ((x + y) / checkSize) % 2 === 0 ? '#cccccc' : '#ffffff';
+        ctx.fillRect(currentX + x, currentY + y, Math.min(checkSize, fixedSwatchWidth - x), Math.min(checkSize, swatchHeight - y));
+      }
+    }
+
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `${textHeight - 3}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`${(transparentShare * 100).toFixed(1)}%`, currentX + fixedSwatchWidth / 2, currentY + swatchHeight + textGap);
+
+    ctx.font = `${tagHeight - 2}px sans-serif`;
+    ctx.fillStyle = '#aaaaaa';
+    ctx.fillText(t('palette.tags.transparent'), currentX + fixedSwatchWidth / 2, currentY + tagOffset);
+  }
+
+  // Insert marker in the gap before the drop position (or after the last color)
+  if (dropIndex >= 0 && swatchRects.length > 0) {
+    const target = swatchRects[Math.min(dropIndex, swatchRects.length - 1)];
+    const markerX = dropIndex < swatchRects.length ? target.x - swatchGap / 2 : target.x + target.width + swatchGap / 2;
+    ctx.fillStyle = '#4fc3f7';
+    ctx.fillRect(markerX - 1.5, target.y, 3, swatchHeight);
+  }
+
   if (paletteExportButtons) {
     console.log("Showing palette export buttons.");
     paletteExportButtons.style.display = 'block';
   }
+
+  return swatchRects;
+}
+
+/**
+ * Draws a palette as a single bar with one segment per color, as wide as its pixel share.
+ * Used for the per-image cards of the batch view.
+ * @param {PaletteColor[]} palette - The processed palette array.
+ * @param {HTMLCanvasElement} canvasElement - The canvas element to draw onto (its CSS size is kept).
+ * @param {number} height - Bar height in pixels.
+ */
+export function drawPaletteStrip (palette, canvasElement, height = 24) {
+  const width = canvasElement.clientWidth || 200;
+  canvasElement.width = width;
+  canvasElement.height = height;
+
+  const ctx = canvasElement.getContext('2d');
+  ctx.fillStyle = '#333';
+  ctx.fillRect(0, 0, width, height);
+  if (!palette || palette.length === 0) return;
+
+  const total = palette.reduce((sum, color) => sum + color.percentage, 0);
+  let x = 0;
+  palette.forEach((color, index) => {
+    // Equal widths if there are no shares (imported swatches); the last segment absorbs rounding
+    const share = total > 0 ? color.percentage / total : 1 / palette.length;
+    const segmentWidth = index === palette.length - 1 ? width - x : Math.round(share * width);
+    ctx.fillStyle = rgbToHex([color.rgb.r, color.rgb.g, color.rgb.b]);
+    ctx.fillRect(x, 0, segmentWidth, height);
+    x += segmentWidth;
+  });
 }
 
 /**
@@ -109,4 +206,42 @@ export function exportPaletteAsImage (canvasElement, filename = 'color_palette.p
     alert(t('errors.paletteExportFailed'));
     return null;
   }
-}
\ No newline at end of file
+}
+
+// Helper functions
+
+// Small padlock on a dark disc, centered at (x, y), readable on light and dark swatches
+function drawLockBadge (ctx, x, y) {
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.beginPath();
+  ctx.arc(x, y, 7, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.strokeStyle = '#ffffff';
+  ctx.fillStyle = '#ffffff';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  ctx.arc(x, y - 1, 2.5, Math.PI, 0);
+  ctx.stroke();
+  ctx.fillRect(x - 3.5, y - 1, 7, 5);
+}
+
+// "P3" label on a dark box with its top left corner at (x, y)
+function drawGamutBadge (ctx, x, y) {
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(x, y, 18, 12);
+
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 9px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText('P3', x + 9, y + 6.5);
+}
+
+// Text shortened with an ellipsis to fit maxWidth in the current font
+function fitText (ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let end = text.length;
+  while (end > 0 && ctx.measureText(`${text.slice(0, end)}…`).width > maxWidth) end--;
+  return `${text.slice(0, end)}…`;
+}
@@ -0,0 +1,184 @@
+// frontend/js/paletteSorting.js
+
+/**
+ * Registry of palette orderings (params.paletteSort).
+ *
+ * A sort takes palette entries (see analyzePalette) and returns them in a new
+ * array, leaving the input untouched. The pipeline, the collection palette and
+ * the palette section of the web app apply the selected ordering, so the canvas
+ * and every export follow it. DOM-free.
+ */
+
+import { rgbToLab, deltaE2000 } from './colorUtils.js';
+
+export const DEFAULT_PALETTE_SORT = 'lightness';
+
+// Colors below this CIELAB chroma count as greys for the hue ordering
+const GREY_CHROMA = 8;
+
+const sorts = new Map([
+  // Dark to light (CIELAB L*)
+  ['lightness', palette => palette.slice().sort(byLightness)],
+  // Largest pixel share first
+  ['share', palette => palette.slice().sort((a, b) => (b.percentage || 0) - (a.percentage || 0) || byLightness(a, b))],
+  ['hue', sortByHue],
+  // Most saturated first (CIELAB chroma)
+  ['chroma', palette => palette.slice().sort((a, b) => chroma(b) - chroma(a) || byLightness(a, b))],
+  // Backgrounds, then hidden colors (largest first), then the rest dark to light
+  ['role', palette => palette.slice().sort((a, b) => roleRank(a) - roleRank(b) ||
+    (roleRank(a) < 2 ? (b.percentage || 0) - (a.percentage || 0) : byLightness(a, b)))],
+  ['smooth', sortSmooth]
+]);
+
+/**
+ * Registers (or replaces) a palette ordering.
+ * @param {string} name - Name used in params.paletteSort.
+ * @param {function(Array): Array} sort - palette → new array with the same entries
+ */
+export function registerPaletteSort (name, sort) {
+  if (typeof sort !== 'function') {
+    throw new Error(`registerPaletteSort: sort "${name}" must be a function.`);
+  }
+  sorts.set(name, sort);
+}
+
+/**
+ * Names of all registered orderings, in registration order.
+ * @returns {string[]}
+ */
+export function getPaletteSortNames () {
+  return Array.from(sorts.keys());
+}
+
+/**
+ * Orders a palette with the named ordering.
+ * @param {Array<object>} palette - Palette entries ({ rgb, lab, percentage, isBackground, isHidden })
+ * @param {string} name - Registered ordering name (default: DEFAULT_PALETTE_SORT)
+ * @returns {Array<object>} A new array with the same entries
+ */
+export function sortPalette (palette, name = DEFAULT_PALETTE_SORT) {
+  const sort = sorts.get(name);
+  if (!sort) {
+    throw new Error(`Unknown palette sort "${name}". Available: ${getPaletteSortNames().join(', ')}.`);
+  }
+  return sort(palette);
+}
+
+// Helper functions
+
+function labOf (color) {
+  return color.lab || rgbToLab(color.rgb.r, color.rgb.g, color.rgb.b);
+}
+
+function byLightness (a, b) {
+  return labOf(a)[0] - labOf(b)[0];
+}
+
+function chroma (color) {
+  const [, a, b] = labOf(color);
+  return Math.hypot(a, b);
+}
+
+function roleRank (color) {
+  if (color.isBackground) return 0;
+  if (color.isHidden) return 1;
+  return 2;
+}
+
+// Around the hue circle, starting after the widest empty arc so that no group of
+// similar hues is cut in two; greys (no meaningful hue) follow dark to light
+function sortByHue (palette) {
+  const greys = palette.filter(color => chroma(color) < GREY_CHROMA).sort(byLightness);
+  const colors = palette
+    .filter(color => chroma(color) >= GREY_CHROMA)
+    .map(color => {
+      const [, a, b] = labOf(color);
+      return { color, hue: (Math.atan2(b, a) * 180 / Math.PI + 360) % 360 };
+    })
+    .sort((c1, c2) => c1.hue - c2.hue);
+
+  let start = 0;
+  let widestGap = -1;
+  colors.forEach((entry, i) => {
+    const previous = colors[(i + colors.length - 1) % colors.length];
+    const gap = colors.length === 1 ? 360 : (entry.hue - previous.hue + 360) % 360;
+    if (gap > widestGap) {
+      widestGap = gap;
+      start = i;
+    }
+  });
+
+  const rotated = [...colors.slice(start), ...colors.slice(0, start)].map(entry => entry.color);
+  return [...rotated, ...greys];
+}
+
+// Shortest open path through all colors under CIEDE2000 (travelling salesman):
+// nearest neighbor from every start, then 2-opt on the best tour. Runs from the darker end.
+function sortSmooth (palette) {
+  const n = palette.length;
+  if (n < 3) return palette.slice().sort(byLightness);
+
+  const labs = palette.map(labOf);
+  // Symmetric, so reversing a segment of the path does not change its inner length
+  const distances = labs.map(lab1 => labs.map(lab2 => (deltaE2000(lab1, lab2) + deltaE2000(lab2, lab1)) / 2));
+  const pathLength = path => path.reduce((sum, index, i) => (i > 0 ? sum + distances[path[i - 1]][index] : 0), 0);
+
+  let best = null;
+  let bestLength = Infinity;
+  for (let first = 0; first < n; first++) {
+    const path = nearestNeighborPath(distances, first);
+    const length = pathLength(path);
+    if (length < bestLength) {
+      best = path;
+      bestLength = length;
+    }
+  }
+
+  twoOpt(best, distances);
+  if (labs[best[0]][0] > labs[best[n - 1]][0]) best.reverse();
+  return best.map(index => palette[index]);
+}
+
+function nearestNeighborPath (distances, first) {
+  const visited = new Set([first]);
+  const path = [first];
+  while (path.length < distances.length) {
+    const last = path[path.length - 1];
+    let next = -1;
+    distances[last].forEach((distance, index) => {
+      if (!visited.has(index) && (next < 0 || distance < distances[last][next])) next = index;
+    });
+    visited.add(next);
+    path.push(next);
+  }
+  return path;
+}
+
+// Reverses segments of an open path while that makes it shorter (in place)
+function twoOpt (path, distances) {
+  const n = path.length;
+  const d = (i, j) => (i < 0 || j >= n ? 0 : distances[path[i]][path[j]]);
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < n - 1; i++) {
+      for (let j = i + 1; j < n; j++) {
+        // Replace the edges (i-1, i) and (j, j+1) with (i-1, j) and (i, j+1)
+        const before = d(i - 1, i) + d(j, j + 1);
+        const after = (i > 0 ? distances[path[i - 1]][path[j]] : 0) + (j < n - 1 ? distances[path[i]][path[j + 1]] : 0);
+        if (after < before - 1e-9) {
+          reverseSegment(path, i, j);
+          improved = true;
+        }
+      }
+    }
+  }
+}
+
+function reverseSegment (path, i, j) {
+  while (i < j) {
+    [path[i], path[j]] = [path[j], path[i]];
+    i++;
+    j--;
+  }
+}
@@ -0,0 +1,222 @@
+// frontend/js/pipeline.js
+
+/**
+ * Headless analysis pipeline: SLIC → quantizer (MMCQ by default) → analyzePalette → color stats.
+ *
+ * This module has no DOM dependencies (no canvas, no document, no i18n), so it
+ * can be imported from the page, from a Web Worker or from Node.js scripts.
+ * Everything it returns is plain data.
+ */
+
+import { applySLIC } from './slic.js';
+import { quantizeColors } from './quantizers.js';
+import { DEFAULT_PIPELINE_PARAMS } from './pipelineParams.js';
+import { analyzePalette } from './paletteAnalyzer.js';
+import { sortPalette } from './paletteSorting.js';
+import { calculateColorStats } from './colorStats.js';
+import { alphaWeight, hasTransparency, compositeOverMatte, hexToRgb } from './colorUtils.js';
+import { srgbToDisplayP3, convertPixels, fromDisplayP3Color } from './displayP3.js';
+
+// Defaults live in pipelineParams.js; re-exported for existing importers
+export { DEFAULT_PIPELINE_PARAMS };
+
+/**
+ * Stage names reported through options.onProgress, in execution order.
+ */
+export const PIPELINE_STAGES = ['slic', 'quantize', 'palette', 'stats'];
+
+/**
+ * Applies the transparency handling selected by params.alphaMode.
+ * @param {Uint8ClampedArray|Uint8Array} pixelData - RGBA pixel data.
+ * @param {object} params - Pipeline parameters (alphaMode, matteColor, colorSpace of the pixel data). Missing keys use defaults.
+ * @returns {{pixelData: Uint8ClampedArray|Uint8Array, transparentShare: number}} Pixel data to analyze, and the
+ *   share of the image (0-1) that is transparent and therefore not covered by the palette.
+ */
+export function applyAlphaMode (pixelData, params = {}) {
+  const { alphaMode, matteColor, colorSpace } = { ...DEFAULT_PIPELINE_PARAMS, ...params };
+
+  if (!hasTransparency(pixelData)) {
+    return { pixelData, transparentShare: 0 };
+  }
+
+  if (alphaMode === 'matte') {
+    const matteRgb = hexToRgb(matteColor) || hexToRgb(DEFAULT_PIPELINE_PARAMS.matteColor);
+    // The matte color is sRGB; composite it in the color space of the pixels
+    const matte = colorSpace === 'display-p3' ? srgbToDisplayP3(...matteRgb).map(Math.round) : matteRgb;
+    return { pixelData: compositeOverMatte(pixelData, matte), transparentShare: 0 };
+  }
+
+  let visibleWeight = 0;
+  for (let i = 3; i < pixelData.length; i += 4) {
+    visibleWeight += alphaWeight(pixelData[i]);
+  }
+  return { pixelData, transparentShare: 1 - visibleWeight / (pixelData.length / 4) };
+}
+
+/**
+ * Pixels as the visualizations draw them: transparency handled as in applyAlphaMode, and
+ * Display P3 pixel data converted to sRGB (colors outside sRGB clipped).
+ * @param {Uint8ClampedArray|Uint8Array} pixelData - RGBA pixel data in params.colorSpace.
+ * @param {object} params - Pipeline parameters (alphaMode, matteColor, colorSpace). Missing keys use defaults.
+ * @returns {Uint8ClampedArray|Uint8Array} sRGB pixel data.
+ */
+export function getVisiblePixels (pixelData, params = {}) {
+  const { colorSpace } = { ...DEFAULT_PIPELINE_PARAMS, ...params };
+  return convertPixels(applyAlphaMode(pixelData, params).pixelData, colorSpace, 'srgb');
+}
+
+/**
+ * Fills in defaults for missing parameters. The legacy `useDeltaE: true` flag maps to
+ * distanceMetric 'deltaE76' unless a distanceMetric is given.
+ * @param {object} params - Pipeline parameters (possibly partial).
+ * @returns {object} Complete parameters.
+ */
+export function resolvePipelineParams (params = {}) {
+  const { useDeltaE, ...rest } = params;
+  const resolved = { ...DEFAULT_PIPELINE_PARAMS, ...rest };
+  if (useDeltaE && rest.distanceMetric === undefined) {
+    resolved.distanceMetric = 'deltaE76';
+  }
+  return resolved;
+}
+
+/**
+ * Runs the full palette analysis on raw RGBA pixel data.
+ * @param {Uint8ClampedArray|Uint8Array} pixelData - RGBA pixel data (width * height * 4 values), in params.colorSpace.
+ * @param {number} width - Width of the pixel data in pixels.
+ * @param {number} height - Height of the pixel data in pixels.
+ * @param {object} params - Pipeline parameters, see DEFAULT_PIPELINE_PARAMS. Missing keys use defaults.
+ * @param {object} options - Extra options.
+ * @param {number} options.statsSampleFactor - Process every Nth pixel for color stats (default: 10).
+ * @param {function(string, number, number): void} options.onProgress - Called before each stage with (stage, completedStages, totalStages).
+ * @param {Array<{r: number, g: number, b: number}>} options.lockedColors - sRGB colors kept as fixed k-means centroids (default: none);
+ *   they are always part of the palette and marked locked. A displayP3 { r, g, b } on a color is used for Display P3 pixel data.
+ * @returns {{width: number, height: number, totalPixels: number, transparentShare: number, params: object, palette: Array, dominantColors: Array, superpixels: object|null, stats: object|null, timings: object}}
+ *   Palette percentages are shares of the whole image; together with transparentShare they add up to 1.
+ *   Palette colors are sRGB; for Display P3 pixel data they also carry displayP3 and outOfSrgb (see fromDisplayP3Color).
+ */
+export function analyzeImage (pixelData, width, height, params = {}, options = {}) {
+  if (!pixelData || pixelData.length === 0) {
+    throw new Error('analyzeImage: pixelData is empty.');
+  }
+  if (!(width > 0) || !(height > 0) || pixelData.length < width * height * 4) {
+    throw new Error(`analyzeImage: pixelData does not match ${width}x${height}.`);
+  }
+
+  const { statsSampleFactor = 10, onProgress = null, lockedColors = [] } = options;
+  const reportStage = (stage) => {
+    if (onProgress) onProgress(stage, PIPELINE_STAGES.indexOf(stage), PIPELINE_STAGES.length);
+  };
+  const resolvedParams = resolvePipelineParams(params);
+  const wideGamut = resolvedParams.colorSpace === 'display-p3';
+  const timings = {};
+  const startTime = now();
+  let stageStart;
+
+  // 0. Transparency (matte compositing, or alpha weighting in every stage)
+  const alpha = applyAlphaMode(pixelData, resolvedParams);
+  const analysisData = alpha.pixelData;
+
+  if (alpha.transparentShare >= 1) {
+    // Nothing visible to analyze
+    timings.total = now() - startTime;
+    return {
+      width,
+      height,
+      totalPixels: width * height,
+      transparentShare: 1,
+      params: resolvedParams,
+      palette: [],
+      dominantColors: [],
+      superpixels: null,
+      stats: null,
+      timings
+    };
+  }
+
+  // 1. SLIC superpixel preprocessing
+  reportStage('slic');
+  stageStart = now();
+  const superpixels = resolvedParams.useSuperpixels
+    ? applySLIC(
+      analysisData,
+      width,
+      height,
+      resolvedParams.superpixelCount,
+      resolvedParams.superpixelCompactness
+    )
+    : null;
+  timings.slic = now() - stageStart;
+
+  // 2. Dominant colors from the selected quantizer (initial centroids)
+  reportStage('quantize');
+  stageStart = now();
+  const dominantColors = quantizeColors(analysisData, resolvedParams.dominantColors, resolvedParams.quantizer);
+  timings.quantize = now() - stageStart;
+
+  // 3. Clustering, hidden and background color analysis
+  reportStage('palette');
+  stageStart = now();
+  const analyzedPalette = analyzePalette(
+    analysisData,
+    dominantColors,
+    {
+      paletteSize: resolvedParams.targetPaletteSize,
+      maxHiddenColors: resolvedParams.maxHiddenColors,
+      minHiddenPercentage: resolvedParams.hiddenColorThreshold,
+      maxBackgrounds: resolvedParams.maxBackgrounds,
+      useSuperpixels: resolvedParams.useSuperpixels,
+      backgroundVarianceScale: resolvedParams.backgroundVarianceScale,
+      superpixelData: superpixels,
+      clusteringSpace: resolvedParams.clusteringSpace,
+      distanceMetric: resolvedParams.distanceMetric,
+      width,
+      height,
+      edgeSensitivity: resolvedParams.edgeSensitivity,
+      contrastThreshold: resolvedParams.contrastThreshold,
+      enableEdgeDetection: true,
+      // Centroids live in the color space of the pixels
+      lockedColors: wideGamut ? lockedColors.map(toDisplayP3) : lockedColors
+    }
+  );
+  // Order for display and export (lightness by default, see paletteSorting.js)
+  const palette = sortPalette(wideGamut ? analyzedPalette.map(fromDisplayP3Color) : analyzedPalette, resolvedParams.paletteSort);
+  timings.palette = now() - stageStart;
+
+  // 4. HSV / Lab statistics
+  reportStage('stats');
+  stageStart = now();
+  const stats = calculateColorStats(analysisData, width, height, statsSampleFactor, resolvedParams.colorSpace);
+  timings.stats = now() - stageStart;
+
+  timings.total = now() - startTime;
+
+  return {
+    width,
+    height,
+    totalPixels: width * height,
+    transparentShare: alpha.transparentShare,
+    params: resolvedParams,
+    palette,
+    dominantColors,
+    superpixels,
+    stats,
+    timings
+  };
+}
+
+/**
+ * Locked color as a Display P3 centroid: its analyzed P3 values if it has them.
+ */
+function toDisplayP3 (color) {
+  if (color.displayP3) return { ...color.displayP3 };
+  const [r, g, b] = srgbToDisplayP3(color.r, color.g, color.b).map(Math.round);
+  return { r, g, b };
+}
+
+/**
+ * High resolution timestamp in milliseconds (available in browsers, workers and Node.js).
+ */
+function now () {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
@@ -0,0 +1,154 @@
+// frontend/js/pipelineParams.js
+
+/**
+ * Single source of the analysis parameters: defaults, built-in presets and validation.
+ *
+ * Used by the pipeline, paletteAnalyzer.js, the parameter panel, shared links,
+ * saved presets and the CLI. DOM-free.
+ */
+
+import { DEFAULT_QUANTIZER, getQuantizerNames } from './quantizers.js';
+import { DEFAULT_PALETTE_SORT, getPaletteSortNames } from './paletteSorting.js';
+import { PIXEL_COLOR_SPACES } from './displayP3.js';
+import { COLOR_SPACES, DISTANCE_METRICS, hexToRgb, rgbToHex } from './colorUtils.js';
+
+// Allowed values of the string parameters checked by sanitizeParams
+const ALPHA_MODES = ['weight', 'matte'];
+
+/**
+ * Default pipeline parameters (same shape as the parameter panel in the UI).
+ */
+export const DEFAULT_PIPELINE_PARAMS = {
+  // Target palette size (4-24)
+  targetPaletteSize: 12,
+  // Number of seed colors from the quantizer (used as initial centroids)
+  dominantColors: 8,
+  // Hidden color detection
+  maxHiddenColors: 3,
+  hiddenColorThreshold: 0.005, // Dynamic threshold for hidden color detection
+  edgeSensitivity: 0.5, // How sensitive to edge colors (0-1)
+  contrastThreshold: 0.3, // How sensitive to contrast colors (0-1)
+  // SLIC superpixels
+  superpixelCount: 200,
+  superpixelCompactness: 10,
+  // Background colors
+  maxBackgrounds: 3,
+  backgroundVarianceScale: 1.0,
+  useSuperpixels: true,
+  // Color space for k-means centroid means: 'rgb', 'lab' or 'oklab'
+  clusteringSpace: 'rgb',
+  // Distance for k-means assignment: 'rgb', 'deltaE76', 'deltaE94', 'deltaE2000' or 'oklab'
+  distanceMetric: 'rgb',
+  // Seed color quantizer, see getQuantizerNames() in quantizers.js
+  quantizer: DEFAULT_QUANTIZER,
+  // Transparency: 'weight' skips transparent pixels and weights the rest by alpha,
+  // 'matte' composites the image over matteColor first
+  alphaMode: 'weight',
+  matteColor: '#FFFFFF',
+  // Color space the pixels are read in: 'srgb' or 'display-p3' (wide-gamut photos)
+  colorSpace: 'srgb',
+  // Palette order for display and export, see getPaletteSortNames() in paletteSorting.js
+  paletteSort: DEFAULT_PALETTE_SORT
+};
+
+/**
+ * Read-only presets shipped with the app (labels: palette.presets.builtin.<name>).
+ * Each one only lists what differs from DEFAULT_PIPELINE_PARAMS.
+ */
+export const BUILTIN_PRESETS = {
+  // Smooth gradients and noise: perceptual distance, more superpixels, tolerant backgrounds
+  photo: {
+    dominantColors: 10,
+    superpixelCount: 300,
+    backgroundVarianceScale: 1.5,
+    clusteringSpace: 'lab',
+    distanceMetric: 'deltaE2000',
+    quantizer: 'wu'
+  },
+  // Few flat fills with hard edges: smaller palette, strict backgrounds, small accents kept
+  flatIllustration: {
+    targetPaletteSize: 8,
+    hiddenColorThreshold: 0.002,
+    superpixelCompactness: 20,
+    backgroundVarianceScale: 0.5,
+    distanceMetric: 'deltaE76',
+    quantizer: 'octree'
+  },
+  // Large flat surfaces plus small high-contrast accents (buttons, links, icons)
+  uiScreenshot: {
+    targetPaletteSize: 10,
+    dominantColors: 12,
+    maxHiddenColors: 5,
+    hiddenColorThreshold: 0.001,
+    edgeSensitivity: 0.7,
+    contrastThreshold: 0.5,
+    maxBackgrounds: 4,
+    clusteringSpace: 'oklab',
+    distanceMetric: 'oklab',
+    quantizer: 'octree'
+  }
+};
+
+/**
+ * Merges untrusted parameters (saved presets, reports, links) over a base.
+ * Unknown keys and values whose type differs from the default are dropped;
+ * an unavailable quantizer, palette sort or color space falls back to its default, and an
+ * unknown clustering space, distance metric, alpha mode or matte color to the base value.
+ * The matte color is normalized to #RRGGBB.
+ * @param {object} params - Parameters to take over
+ * @param {object} base - Values for everything missing or invalid (default: DEFAULT_PIPELINE_PARAMS)
+ * @returns {object} A complete parameter set
+ */
+export function sanitizeParams (params, base = DEFAULT_PIPELINE_PARAMS) {
+  const result = {};
+  Object.keys(DEFAULT_PIPELINE_PARAMS).forEach(key => {
+    const value = params ? params[key] : undefined;
+    const valid = value !== undefined && typeof value === typeof DEFAULT_PIPELINE_PARAMS[key] &&
+      (typeof value !== 'number' || Number.isFinite(value));
+    result[key] = valid ? value : base[key];
+  });
+  if (!getQuantizerNames().includes(result.quantizer)) {
+    console.warn(`Quantizer "${result.quantizer}" is not available, using ${DEFAULT_QUANTIZER}.`);
+    result.quantizer = DEFAULT_QUANTIZER;
+  }
+  if (!getPaletteSortNames().includes(result.paletteSort)) {
+    console.warn(`Palette sort "${result.paletteSort}" is not available, using ${DEFAULT_PALETTE_SORT}.`);
+    result.paletteSort = DEFAULT_PALETTE_SORT;
+  }
+  if (!PIXEL_COLOR_SPACES.includes(result.colorSpace)) {
+    console.warn(`Color space "${result.colorSpace}" is not available, using ${DEFAULT_PIPELINE_PARAMS.colorSpace}.`);
+    result.colorSpace = DEFAULT_PIPELINE_PARAMS.colorSpace;
+  }
+  const choices = {
+    clusteringSpace: ['Clustering space', Object.keys(COLOR_SPACES)],
+    distanceMetric: ['Distance metric', Object.keys(DISTANCE_METRICS)],
+    alphaMode: ['Alpha mode', ALPHA_MODES]
+  };
+  for (const [key, [label, allowed]] of Object.entries(choices)) {
+    if (!allowed.includes(result[key])) {
+      console.warn(`${label} "${result[key]}" is not available, using ${base[key]}.`);
+      result[key] = base[key];
+    }
+  }
+  const matteRgb = hexToRgb(result.matteColor);
+  if (matteRgb) {
+    result.matteColor = rgbToHex(matteRgb);
+  } else {
+    console.warn(`Matte color "${result.matteColor}" is not a hex color, using ${base.matteColor}.`);
+    result.matteColor = base.matteColor;
+  }
+  return result;
+}
+
+/**
+ * Full parameter set of a built-in preset.
+ * @param {string} name - Key of BUILTIN_PRESETS
+ * @returns {object}
+ */
+export function getBuiltinPreset (name) {
+  const preset = BUILTIN_PRESETS[name];
+  if (!preset) {
+    throw new Error(`Unknown preset "${name}". Available: ${Object.keys(BUILTIN_PRESETS).join(', ')}.`);
+  }
+  return sanitizeParams(preset);
+}
@@ -0,0 +1,182 @@
+// frontend/js/presetStore.js
+
+/**
+ * User parameter presets and the last used parameters, kept in localStorage.
+ *
+ * Presets are stored by name as complete parameter sets. The built-in presets
+ * (BUILTIN_PRESETS in pipelineParams.js) are read-only and not stored here.
+ * Presets can be exported to and imported from a JSON file:
+ *
+ *   { "format": "color-compass-presets", "version": 1, "presets": { "<name>": { ...params } } }
+ */
+
+import { sanitizeParams } from './pipelineParams.js';
+
+const PRESETS_KEY = 'color-compass-presets';
+const LAST_PARAMS_KEY = 'color-compass-params';
+const EXPORT_FORMAT = 'color-compass-presets';
+const EXPORT_VERSION = 1;
+const MAX_NAME_LENGTH = 60;
+
+/**
+ * Names of the saved presets, sorted alphabetically.
+ * @returns {string[]}
+ */
+export function getPresetNames () {
+  return Object.keys(readPresets()).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Parameters of a saved preset.
+ * @param {string} name - Preset name
+ * @returns {object|null} Complete parameter set, or null if there is no such preset
+ */
+export function loadPreset (name) {
+  const presets = readPresets();
+  return Object.prototype.hasOwnProperty.call(presets, name) ? sanitizeParams(presets[name]) : null;
+}
+
+/**
+ * Saves (or overwrites) a preset.
+ * @param {string} name - Preset name (trimmed, must not be empty)
+ * @param {object} params - Parameters to save
+ * @returns {string} The name the preset was saved under
+ */
+export function savePreset (name, params) {
+  const presetName = validateName(name);
+  const presets = readPresets();
+  presets[presetName] = sanitizeParams(params);
+  writePresets(presets);
+  return presetName;
+}
+
+/**
+ * Renames a preset. Fails if the new name is already taken.
+ * @param {string} oldName - Current name
+ * @param {string} newName - New name (trimmed, must not be empty)
+ * @returns {string} The new name
+ */
+export function renamePreset (oldName, newName) {
+  const presetName = validateName(newName);
+  const presets = readPresets();
+  if (!Object.prototype.hasOwnProperty.call(presets, oldName)) {
+    throw new Error(`Unknown preset "${oldName}".`);
+  }
+  if (presetName === oldName) return presetName;
+  if (Object.prototype.hasOwnProperty.call(presets, presetName)) {
+    throw new Error(`A preset named "${presetName}" already exists.`);
+  }
+
+  presets[presetName] = presets[oldName];
+  delete presets[oldName];
+  writePresets(presets);
+  return presetName;
+}
+
+/**
+ * Deletes a preset (no-op if it does not exist).
+ * @param {string} name - Preset name
+ */
+export function deletePreset (name) {
+  const presets = readPresets();
+  delete presets[name];
+  writePresets(presets);
+}
+
+/**
+ * All saved presets as a JSON file.
+ * @returns {string}
+ */
+export function exportPresets () {
+  return JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, presets: readPresets() }, null, 2);
+}
+
+/**
+ * Adds the presets of an exported JSON file. Presets with the same name are replaced.
+ * @param {string} text - Content of a file written by exportPresets
+ * @returns {string[]} Names of the imported presets
+ */
+export function importPresets (text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a JSON file: ${error.message}`);
+  }
+  if (!data || data.format !== EXPORT_FORMAT || typeof data.presets !== 'object' || data.presets === null) {
+    throw new Error('Not a Color Compass presets file.');
+  }
+  if (data.version !== EXPORT_VERSION) {
+    throw new Error(`Unsupported presets file version ${data.version}.`);
+  }
+
+  const presets = readPresets();
+  const names = [];
+  Object.entries(data.presets).forEach(([name, params]) => {
+    if (typeof params !== 'object' || params === null) return;
+    const presetName = validateName(name);
+    presets[presetName] = sanitizeParams(params);
+    names.push(presetName);
+  });
+  writePresets(presets);
+  return names;
+}
+
+/**
+ * Parameters of the previous visit.
+ * @returns {object|null} Complete parameter set, or null if nothing was saved
+ */
+export function loadLastParams () {
+  const params = readJson(LAST_PARAMS_KEY);
+  return params ? sanitizeParams(params) : null;
+}
+
+/**
+ * Remembers the current parameters for the next visit.
+ * @param {object} params - Current parameters
+ */
+export function saveLastParams (params) {
+  writeJson(LAST_PARAMS_KEY, params);
+}
+
+// Helper functions
+
+function validateName (name) {
+  const presetName = typeof name === 'string' ? name.trim() : '';
+  if (!presetName) {
+    throw new Error('Preset name must not be empty.');
+  }
+  if (presetName.length > MAX_NAME_LENGTH) {
+    throw new Error(`Preset name must not be longer than ${MAX_NAME_LENGTH} characters.`);
+  }
+  return presetName;
+}
+
+function readPresets () {
+  const presets = readJson(PRESETS_KEY);
+  return presets && typeof presets === 'object' && !Array.isArray(presets) ? presets : {};
+}
+
+// Unlike the last used parameters, a preset that was not saved must be reported to the user
+function writePresets (presets) {
+  localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+}
+
+// localStorage may be unavailable (private mode, file:// in some browsers) or hold corrupt data
+function readJson (key) {
+  try {
+    const text = localStorage.getItem(key);
+    return text ? JSON.parse(text) : null;
+  } catch (error) {
+    console.warn(`Could not read ${key} from localStorage:`, error);
+    return null;
+  }
+}
+
+function writeJson (key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Could not write ${key} to localStorage:`, error);
+  }
+}
@@ -0,0 +1,61 @@
+// frontend/js/quantizers.js
+
+/**
+ * Registry of color quantizers used to seed the palette clustering.
+ *
+ * A quantizer takes RGBA pixel data and a color count and returns up to that many
+ * representative colors as { r, g, b } objects. Transparent pixels must be ignored
+ * (see alphaWeight). Quantizers are DOM-free, so they run in the page, the analysis
+ * worker and Node.js alike.
+ */
+
+import { extractDominantColors } from './medianCut.js';
+import { wuQuantize } from './quantizers/wu.js';
+import { octreeQuantize } from './quantizers/octree.js';
+import { kmeansPlusPlusQuantize } from './quantizers/kmeansPlusPlus.js';
+import { neuQuantQuantize } from './quantizers/neuQuant.js';
+
+export const DEFAULT_QUANTIZER = 'mmcq';
+
+const quantizers = new Map([
+  ['mmcq', (pixelData, colorCount) => extractDominantColors(pixelData, colorCount)],
+  ['wu', wuQuantize],
+  ['octree', octreeQuantize],
+  ['kmeanspp', kmeansPlusPlusQuantize],
+  ['neuquant', neuQuantQuantize]
+]);
+
+/**
+ * Registers (or replaces) a quantizer.
+ * @param {string} name - Name used in params.quantizer.
+ * @param {function(Uint8Array, number): Array} quantize - (pixelData, colorCount) → [{ r, g, b }, ...]
+ */
+export function registerQuantizer (name, quantize) {
+  if (typeof quantize !== 'function') {
+    throw new Error(`registerQuantizer: quantizer "${name}" must be a function.`);
+  }
+  quantizers.set(name, quantize);
+}
+
+/**
+ * Names of all registered quantizers, in registration order.
+ * @returns {string[]}
+ */
+export function getQuantizerNames () {
+  return Array.from(quantizers.keys());
+}
+
+/**
+ * Extracts representative colors with the named quantizer.
+ * @param {Uint8Array} pixelData - Image pixel data in RGBA format
+ * @param {number} colorCount - Number of colors to extract
+ * @param {string} name - Registered quantizer name (default: DEFAULT_QUANTIZER)
+ * @returns {Array} - Array of colors in RGB format ({ r, g, b }), at most colorCount
+ */
+export function quantizeColors (pixelData, colorCount, name = DEFAULT_QUANTIZER) {
+  const quantize = quantizers.get(name);
+  if (!quantize) {
+    throw new Error(`Unknown quantizer "${name}". Available: ${getQuantizerNames().join(', ')}.`);
+  }
+  return quantize(pixelData, colorCount);
+}
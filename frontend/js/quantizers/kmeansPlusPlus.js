@@ -0,0 +1,170 @@
+/**
+ * k-means++ color quantizer (Arthur & Vassilvitskii, 2007).
+ *
+ * Works on a 5-bit-per-channel color histogram instead of raw pixels, so the cost
+ * does not grow with the image size. Seeds are picked with D² weighting and then
+ * refined with a few Lloyd iterations. A fixed random seed keeps results
+ * reproducible for the same image. Pixels are weighted by alpha (see alphaWeight).
+ */
+
+import { alphaWeight } from '../colorUtils.js';
+
+const HISTOGRAM_BITS = 5;
+const MAX_ITERATIONS = 10;
+const RANDOM_SEED = 0x9e3779b9;
+
+/**
+ * Extracts up to colorCount representative colors with k-means++.
+ * @param {Uint8Array} pixelData - Image pixel data in RGBA format
+ * @param {number} colorCount - Number of colors to extract
+ * @returns {Array} - Array of colors in RGB format ({ r, g, b })
+ */
+export function kmeansPlusPlusQuantize (pixelData, colorCount) {
+  const bins = buildHistogram(pixelData);
+  if (bins.length === 0) return [];
+
+  const random = createRandom(RANDOM_SEED);
+  const centers = seedCenters(bins, Math.min(colorCount, bins.length), random);
+  const assignments = new Int32Array(bins.length);
+
+  for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+    let changed = iter === 0;
+
+    // Assignment step
+    bins.forEach((bin, i) => {
+      const nearest = nearestCenter(bin, centers);
+      if (nearest !== assignments[i]) {
+        assignments[i] = nearest;
+        changed = true;
+      }
+    });
+    if (!changed) break;
+
+    // Update step (weighted means; empty clusters keep their center)
+    const sums = centers.map(() => ({ r: 0, g: 0, b: 0, weight: 0 }));
+    bins.forEach((bin, i) => {
+      const sum = sums[assignments[i]];
+      sum.r += bin.r * bin.weight;
+      sum.g += bin.g * bin.weight;
+      sum.b += bin.b * bin.weight;
+      sum.weight += bin.weight;
+    });
+    sums.forEach((sum, c) => {
+      if (sum.weight > 0) {
+        centers[c] = { r: sum.r / sum.weight, g: sum.g / sum.weight, b: sum.b / sum.weight };
+      }
+    });
+  }
+
+  return centers.map(center => ({
+    r: Math.round(center.r),
+    g: Math.round(center.g),
+    b: Math.round(center.b)
+  }));
+}
+
+// Helper functions
+
+// Weighted mean color and total weight of every non-empty histogram bin
+function buildHistogram (pixelData) {
+  const shift = 8 - HISTOGRAM_BITS;
+  const size = 1 << (HISTOGRAM_BITS * 3);
+  const weights = new Float64Array(size);
+  const sumR = new Float64Array(size);
+  const sumG = new Float64Array(size);
+  const sumB = new Float64Array(size);
+
+  for (let i = 0; i < pixelData.length; i += 4) {
+    const weight = alphaWeight(pixelData[i + 3]);
+    if (weight === 0) continue;
+
+    const r = pixelData[i];
+    const g = pixelData[i + 1];
+    const b = pixelData[i + 2];
+    const idx = ((r >> shift) << (HISTOGRAM_BITS * 2)) | ((g >> shift) << HISTOGRAM_BITS) | (b >> shift);
+
+    weights[idx] += weight;
+    sumR[idx] += r * weight;
+    sumG[idx] += g * weight;
+    sumB[idx] += b * weight;
+  }
+
+  const bins = [];
+  for (let idx = 0; idx < size; idx++) {
+    if (weights[idx] === 0) continue;
+    bins.push({
+      r: sumR[idx] / weights[idx],
+      g: sumG[idx] / weights[idx],
+      b: sumB[idx] / weights[idx],
+      weight: weights[idx]
+    });
+  }
+  return bins;
+}
+
+// k-means++ seeding: each new center is drawn with probability weight * D²
+function seedCenters (bins, count, random) {
+  const centers = [pickWeighted(bins, bins.map(bin => bin.weight), random)];
+  const distances = bins.map(bin => squaredDistance(bin, centers[0]));
+
+  while (centers.length < count) {
+    const scores = bins.map((bin, i) => bin.weight * distances[i]);
+    const center = pickWeighted(bins, scores, random);
+    if (!center) break; // All remaining bins coincide with a center
+
+    centers.push(center);
+    bins.forEach((bin, i) => {
+      distances[i] = Math.min(distances[i], squaredDistance(bin, center));
+    });
+  }
+
+  return centers.map(center => ({ r: center.r, g: center.g, b: center.b }));
+}
+
+function pickWeighted (bins, scores, random) {
+  const total = scores.reduce((sum, score) => sum + score, 0);
+  if (total <= 0) return null;
+
+  let target = random() * total;
+  for (let i = 0; i < bins.length; i++) {
+    target -= scores[i];
+    if (target <= 0 && scores[i] > 0) return bins[i];
+  }
+  // Rounding: fall back to the last bin with a score
+  for (let i = bins.length - 1; i >= 0; i--) {
+    if (scores[i] > 0) return bins[i];
+  }
+  return null;
+}
+
+function nearestCenter (color, centers) {
+  let index = 0;
+  let minDist = Infinity;
+  centers.forEach((center, i) => {
+    const dist = squaredDistance(color, center);
+    if (dist < minDist) {
+      minDist = dist;
+      index = i;
+    }
+  });
+  return index;
+}
+
+function squaredDistance (c1, c2) {
+  const dr = c1.r - c2.r;
+  const dg = c1.g - c2.g;
+  const db = c1.b - c2.b;
+  return dr * dr + dg * dg + db * db;
+}
+
+// Mulberry32: small deterministic PRNG returning floats in [0, 1)
+function createRandom (seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,170 @@
+/**
+ * NeuQuant neural-net color quantizer (Anthony Dekker, "Kohonen neural networks
+ * for optimal colour quantization", Network: Computation in Neural Systems, 1994).
+ *
+ * A one-dimensional self-organizing map with colorCount neurons is trained on a
+ * sample of the visible pixels. Floating-point variant of the original integer
+ * implementation; neurons that never won a pixel are dropped from the result.
+ */
+
+import { alphaWeight } from '../colorUtils.js';
+
+const CYCLES = 100; // Learning cycles
+const SAMPLE_FACTOR = 10; // Learn from every 10th pixel (1 = all pixels)
+const PRIMES = [499, 491, 487, 503]; // Pixel steps coprime with the pixel count
+const MIN_PICTURE_PIXELS = 503;
+
+const BETA = 1 / 1024; // Frequency decay
+const GAMMA = 1024; // Bias gain
+const RADIUS_BIAS_SHIFT = 6;
+const RADIUS_DECREASE = 30; // Radius shrinks by 1/30 per step
+const ALPHA_START = 1.0; // Initial learning rate
+
+/**
+ * Extracts up to colorCount representative colors with NeuQuant.
+ * @param {Uint8Array} pixelData - Image pixel data in RGBA format
+ * @param {number} colorCount - Number of colors (neurons) to extract
+ * @returns {Array} - Array of colors in RGB format ({ r, g, b })
+ */
+export function neuQuantQuantize (pixelData, colorCount) {
+  const pixels = collectVisiblePixels(pixelData);
+  const pixelCount = pixels.length / 3;
+  if (pixelCount === 0) return [];
+
+  const network = createNetwork(colorCount);
+  learn(network, pixels, pixelCount);
+
+  const colors = [];
+  network.neurons.forEach((neuron, i) => {
+    if (network.wins[i] === 0) return;
+    colors.push({
+      r: Math.round(Math.max(0, Math.min(255, neuron[0]))),
+      g: Math.round(Math.max(0, Math.min(255, neuron[1]))),
+      b: Math.round(Math.max(0, Math.min(255, neuron[2])))
+    });
+  });
+  return colors;
+}
+
+// Helper functions
+
+// Packed RGB of the pixels that are not transparent
+function collectVisiblePixels (pixelData) {
+  const pixels = new Uint8Array(pixelData.length / 4 * 3);
+  let count = 0;
+  for (let i = 0; i < pixelData.length; i += 4) {
+    if (alphaWeight(pixelData[i + 3]) === 0) continue;
+    pixels[count++] = pixelData[i];
+    pixels[count++] = pixelData[i + 1];
+    pixels[count++] = pixelData[i + 2];
+  }
+  return pixels.subarray(0, count);
+}
+
+// Neurons start evenly spaced along the gray diagonal
+function createNetwork (size) {
+  const neurons = [];
+  for (let i = 0; i < size; i++) {
+    const v = (i * 256) / size;
+    neurons.push([v, v, v]);
+  }
+  return {
+    size,
+    neurons,
+    frequency: new Float64Array(size).fill(1 / size),
+    bias: new Float64Array(size),
+    wins: new Uint32Array(size)
+  };
+}
+
+function learn (network, pixels, pixelCount) {
+  const sampleFactor = pixelCount < MIN_PICTURE_PIXELS ? 1 : SAMPLE_FACTOR;
+  const samplePixels = Math.floor(pixelCount / sampleFactor) || 1;
+  const alphaDecrease = 30 + (sampleFactor - 1) / 3;
+  const delta = Math.max(1, Math.floor(samplePixels / CYCLES));
+
+  let alpha = ALPHA_START;
+  let radius = (network.size >> 3) << RADIUS_BIAS_SHIFT;
+  let rad = radius >> RADIUS_BIAS_SHIFT;
+  if (rad <= 1) rad = 0;
+
+  let step = 1;
+  if (pixelCount >= MIN_PICTURE_PIXELS) {
+    step = PRIMES.find(prime => pixelCount % prime !== 0) || PRIMES[PRIMES.length - 1];
+  }
+
+  let position = 0;
+  for (let i = 1; i <= samplePixels; i++) {
+    const idx = position * 3;
+    const r = pixels[idx];
+    const g = pixels[idx + 1];
+    const b = pixels[idx + 2];
+
+    const winner = contest(network, r, g, b);
+    network.wins[winner]++;
+    moveNeuron(network.neurons[winner], alpha, r, g, b);
+    if (rad > 0) moveNeighbors(network, rad, alpha, winner, r, g, b);
+
+    position = (position + step) % pixelCount;
+
+    if (i % delta === 0) {
+      alpha -= alpha / alphaDecrease;
+      radius -= Math.floor(radius / RADIUS_DECREASE);
+      rad = radius >> RADIUS_BIAS_SHIFT;
+      if (rad <= 1) rad = 0;
+    }
+  }
+}
+
+// Finds the closest neuron, with a bias against neurons that win too often
+function contest (network, r, g, b) {
+  let bestDist = Infinity;
+  let bestBiasDist = Infinity;
+  let bestPos = 0;
+  let bestBiasPos = 0;
+
+  for (let i = 0; i < network.size; i++) {
+    const neuron = network.neurons[i];
+    const dist = Math.abs(neuron[0] - r) + Math.abs(neuron[1] - g) + Math.abs(neuron[2] - b);
+    if (dist < bestDist) {
+      bestDist = dist;
+      bestPos = i;
+    }
+
+    const biasDist = dist - network.bias[i];
+    if (biasDist < bestBiasDist) {
+      bestBiasDist = biasDist;
+      bestBiasPos = i;
+    }
+
+    const betaFrequency = network.frequency[i] * BETA;
+    network.frequency[i] -= betaFrequency;
+    network.bias[i] += betaFrequency * GAMMA;
+  }
+
+  network.frequency[bestPos] += BETA;
+  network.bias[bestPos] -= BETA * GAMMA;
+  return bestBiasPos;
+}
+
+function moveNeuron (neuron, alpha, r, g, b) {
+  neuron[0] -= alpha * (neuron[0] - r);
+  neuron[1] -= alpha * (neuron[1] - g);
+  neuron[2] -= alpha * (neuron[2] - b);
+}
+
+// Moves the neighbors within rad of the winner, less the further away they are
+function moveNeighbors (network, rad, alpha, winner, r, g, b) {
+  const low = Math.max(winner - rad, -1);
+  const high = Math.min(winner + rad, network.size);
+
+  let j = winner + 1;
+  let k = winner - 1;
+  let m = 1;
+  while (j < high || k > low) {
+    const strength = alpha * (rad * rad - m * m) / (rad * rad);
+    m++;
+    if (j < high) moveNeuron(network.neurons[j++], strength, r, g, b);
+    if (k > low) moveNeuron(network.neurons[k--], strength, r, g, b);
+  }
+}
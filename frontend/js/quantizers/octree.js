@@ -0,0 +1,142 @@
+/**
+ * Octree color quantizer (Gervautz & Purgathofer, 1988).
+ *
+ * Every color is inserted into an 8-level octree (one level per RGB bit). Leaves
+ * are then merged bottom-up, lightest nodes first, until at most colorCount
+ * remain. Pixels are weighted by alpha (see alphaWeight).
+ */
+
+import { alphaWeight } from '../colorUtils.js';
+
+const MAX_DEPTH = 8;
+// Reduce during insertion above this many leaves to keep memory bounded on photos
+const MAX_LEAVES = 4096;
+
+/**
+ * Extracts up to colorCount representative colors with an octree.
+ * @param {Uint8Array} pixelData - Image pixel data in RGBA format
+ * @param {number} colorCount - Number of colors to extract
+ * @returns {Array} - Array of colors in RGB format ({ r, g, b })
+ */
+export function octreeQuantize (pixelData, colorCount) {
+  const tree = {
+    root: createNode(0),
+    reducible: Array.from({ length: MAX_DEPTH }, () => []), // Inner nodes per level
+    leafCount: 0
+  };
+  const maxLeaves = Math.max(colorCount, MAX_LEAVES);
+
+  for (let i = 0; i < pixelData.length; i += 4) {
+    const weight = alphaWeight(pixelData[i + 3]);
+    if (weight === 0) continue;
+
+    insertColor(tree, pixelData[i], pixelData[i + 1], pixelData[i + 2], weight);
+    while (tree.leafCount > maxLeaves && reduceTree(tree, false));
+  }
+
+  while (tree.leafCount > colorCount && reduceTree(tree, true));
+
+  const colors = [];
+  collectLeaves(tree.root, colors);
+  return colors;
+}
+
+// Helper functions
+
+function createNode (level) {
+  return { level, isLeaf: level === MAX_DEPTH, children: null, weight: 0, sumR: 0, sumG: 0, sumB: 0 };
+}
+
+function childIndex (r, g, b, level) {
+  const shift = 7 - level;
+  return (((r >> shift) & 1) << 2) | (((g >> shift) & 1) << 1) | ((b >> shift) & 1);
+}
+
+function insertColor (tree, r, g, b, weight) {
+  let node = tree.root;
+
+  while (!node.isLeaf) {
+    if (!node.children) {
+      node.children = new Array(8).fill(null);
+      tree.reducible[node.level].push(node);
+    }
+
+    const idx = childIndex(r, g, b, node.level);
+    if (!node.children[idx]) {
+      node.children[idx] = createNode(node.level + 1);
+      if (node.children[idx].isLeaf) tree.leafCount++;
+    }
+    node = node.children[idx];
+  }
+
+  node.weight += weight;
+  node.sumR += r * weight;
+  node.sumG += g * weight;
+  node.sumB += b * weight;
+}
+
+// Merges an inner node of the deepest level into a single leaf: the lightest one,
+// or (cheaper, while inserting) the most recently created one. Returns false if nothing is left to merge.
+function reduceTree (tree, pickLightest) {
+  let level = MAX_DEPTH - 1;
+  while (level > 0 && tree.reducible[level].length === 0) level--;
+
+  const nodes = tree.reducible[level];
+  if (nodes.length === 0) return false;
+
+  let selected = nodes.length - 1;
+  if (pickLightest) {
+    let lightestWeight = Infinity;
+    nodes.forEach((node, i) => {
+      const weight = subtreeWeight(node);
+      if (weight < lightestWeight) {
+        lightestWeight = weight;
+        selected = i;
+      }
+    });
+  }
+
+  const node = nodes[selected];
+  nodes.splice(selected, 1);
+
+  let mergedLeaves = 0;
+  node.children.forEach(child => {
+    if (!child) return;
+    node.weight += child.weight;
+    node.sumR += child.sumR;
+    node.sumG += child.sumG;
+    node.sumB += child.sumB;
+    mergedLeaves++;
+  });
+
+  node.children = null;
+  node.isLeaf = true;
+  tree.leafCount -= mergedLeaves - 1;
+  return true;
+}
+
+// Children of the deepest reducible level are always leaves
+function subtreeWeight (node) {
+  let weight = 0;
+  node.children.forEach(child => {
+    if (child) weight += child.weight;
+  });
+  return weight;
+}
+
+function collectLeaves (node, colors) {
+  if (node.isLeaf) {
+    if (node.weight > 0) {
+      colors.push({
+        r: Math.round(node.sumR / node.weight),
+        g: Math.round(node.sumG / node.weight),
+        b: Math.round(node.sumB / node.weight)
+      });
+    }
+    return;
+  }
+  if (!node.children) return;
+  node.children.forEach(child => {
+    if (child) collectLeaves(child, colors);
+  });
+}
@@ -0,0 +1,248 @@
+/**
+ * Wu's color quantizer (Xiaolin Wu, "Efficient Statistical Computations for
+ * Optimal Color Quantization", Graphics Gems II, 1991).
+ *
+ * Builds a 32x32x32 RGB histogram with cumulative moments, then repeatedly cuts
+ * the box with the largest variance at the position that minimizes the summed
+ * squared error of both halves. Pixels are weighted by alpha (see alphaWeight).
+ */
+
+import { alphaWeight } from '../colorUtils.js';
+
+const SIDE = 33; // 32 bins per channel, plus a zero row for the cumulative moments
+const RED = 0, GREEN = 1, BLUE = 2;
+
+/**
+ * Extracts up to colorCount representative colors with Wu's algorithm.
+ * @param {Uint8Array} pixelData - Image pixel data in RGBA format
+ * @param {number} colorCount - Number of colors to extract
+ * @returns {Array} - Array of colors in RGB format ({ r, g, b })
+ */
+export function wuQuantize (pixelData, colorCount) {
+  const moments = buildHistogram(pixelData);
+  computeCumulativeMoments(moments);
+
+  const boxes = [{ r0: 0, r1: 32, g0: 0, g1: 32, b0: 0, b1: 32 }];
+  const variances = [0];
+  let next = 0;
+
+  for (let i = 1; i < colorCount; i++) {
+    const box = { ...boxes[next] };
+    if (cutBox(moments, boxes[next], box)) {
+      boxes.push(box);
+      variances[next] = boxVolume(boxes[next]) > 1 ? boxVariance(moments, boxes[next]) : 0;
+      variances[i] = boxVolume(box) > 1 ? boxVariance(moments, box) : 0;
+    } else {
+      // This box cannot be split any further
+      variances[next] = 0;
+      i--;
+    }
+
+    // Split the box with the largest variance next
+    next = 0;
+    for (let k = 1; k < variances.length; k++) {
+      if (variances[k] > variances[next]) next = k;
+    }
+    if (variances[next] <= 0) break;
+  }
+
+  const colors = [];
+  boxes.forEach(box => {
+    const weight = volume(box, moments.weight);
+    if (weight <= 0) return;
+    colors.push({
+      r: Math.round(volume(box, moments.red) / weight),
+      g: Math.round(volume(box, moments.green) / weight),
+      b: Math.round(volume(box, moments.blue) / weight)
+    });
+  });
+  return colors;
+}
+
+// Helper functions
+
+function index (r, g, b) {
+  return (r * SIDE + g) * SIDE + b;
+}
+
+function buildHistogram (pixelData) {
+  const size = SIDE * SIDE * SIDE;
+  const moments = {
+    weight: new Float64Array(size),
+    red: new Float64Array(size),
+    green: new Float64Array(size),
+    blue: new Float64Array(size),
+    squares: new Float64Array(size)
+  };
+
+  for (let i = 0; i < pixelData.length; i += 4) {
+    const weight = alphaWeight(pixelData[i + 3]);
+    if (weight === 0) continue;
+
+    const r = pixelData[i];
+    const g = pixelData[i + 1];
+    const b = pixelData[i + 2];
+    const idx = index((r >> 3) + 1, (g >> 3) + 1, (b >> 3) + 1);
+
+    moments.weight[idx] += weight;
+    moments.red[idx] += r * weight;
+    moments.green[idx] += g * weight;
+    moments.blue[idx] += b * weight;
+    moments.squares[idx] += (r * r + g * g + b * b) * weight;
+  }
+
+  return moments;
+}
+
+// Turns the histogram into 3D prefix sums, so any box moment takes 8 lookups
+function computeCumulativeMoments (moments) {
+  const tables = [moments.weight, moments.red, moments.green, moments.blue, moments.squares];
+  const area = tables.map(() => new Float64Array(SIDE));
+
+  for (let r = 1; r < SIDE; r++) {
+    area.forEach(a => a.fill(0));
+    for (let g = 1; g < SIDE; g++) {
+      const line = new Float64Array(tables.length);
+      for (let b = 1; b < SIDE; b++) {
+        const idx = index(r, g, b);
+        const previousIdx = index(r - 1, g, b);
+        for (let t = 0; t < tables.length; t++) {
+          line[t] += tables[t][idx];
+          area[t][b] += line[t];
+          tables[t][idx] = tables[t][previousIdx] + area[t][b];
+        }
+      }
+    }
+  }
+}
+
+// Sum of a moment over a box (lower bounds exclusive)
+function volume (box, m) {
+  return m[index(box.r1, box.g1, box.b1)] -
+    m[index(box.r1, box.g1, box.b0)] -
+    m[index(box.r1, box.g0, box.b1)] +
+    m[index(box.r1, box.g0, box.b0)] -
+    m[index(box.r0, box.g1, box.b1)] +
+    m[index(box.r0, box.g1, box.b0)] +
+    m[index(box.r0, box.g0, box.b1)] -
+    m[index(box.r0, box.g0, box.b0)];
+}
+
+// Part of volume() that does not depend on the cut position along direction
+function bottom (box, direction, m) {
+  switch (direction) {
+    case RED:
+      return -m[index(box.r0, box.g1, box.b1)] +
+        m[index(box.r0, box.g1, box.b0)] +
+        m[index(box.r0, box.g0, box.b1)] -
+        m[index(box.r0, box.g0, box.b0)];
+    case GREEN:
+      return -m[index(box.r1, box.g0, box.b1)] +
+        m[index(box.r1, box.g0, box.b0)] +
+        m[index(box.r0, box.g0, box.b1)] -
+        m[index(box.r0, box.g0, box.b0)];
+    default:
+      return -m[index(box.r1, box.g1, box.b0)] +
+        m[index(box.r1, box.g0, box.b0)] +
+        m[index(box.r0, box.g1, box.b0)] -
+        m[index(box.r0, box.g0, box.b0)];
+  }
+}
+
+// Part of volume() that depends on the cut position along direction
+function top (box, direction, position, m) {
+  switch (direction) {
+    case RED:
+      return m[index(position, box.g1, box.b1)] -
+        m[index(position, box.g1, box.b0)] -
+        m[index(position, box.g0, box.b1)] +
+        m[index(position, box.g0, box.b0)];
+    case GREEN:
+      return m[index(box.r1, position, box.b1)] -
+        m[index(box.r1, position, box.b0)] -
+        m[index(box.r0, position, box.b1)] +
+        m[index(box.r0, position, box.b0)];
+    default:
+      return m[index(box.r1, box.g1, position)] -
+        m[index(box.r1, box.g0, position)] -
+        m[index(box.r0, box.g1, position)] +
+        m[index(box.r0, box.g0, position)];
+  }
+}
+
+function boxVolume (box) {
+  return (box.r1 - box.r0) * (box.g1 - box.g0) * (box.b1 - box.b0);
+}
+
+// Weighted variance (sum of squared errors) of the colors in a box
+function boxVariance (moments, box) {
+  const dr = volume(box, moments.red);
+  const dg = volume(box, moments.green);
+  const db = volume(box, moments.blue);
+  const weight = volume(box, moments.weight);
+  if (weight <= 0) return 0;
+  return volume(box, moments.squares) - (dr * dr + dg * dg + db * db) / weight;
+}
+
+// Finds the cut position along direction that maximizes the between-halves variance
+function maximize (moments, box, direction, first, last, whole) {
+  const baseR = bottom(box, direction, moments.red);
+  const baseG = bottom(box, direction, moments.green);
+  const baseB = bottom(box, direction, moments.blue);
+  const baseW = bottom(box, direction, moments.weight);
+
+  let max = 0;
+  let cut = -1;
+
+  for (let i = first; i < last; i++) {
+    let halfR = baseR + top(box, direction, i, moments.red);
+    let halfG = baseG + top(box, direction, i, moments.green);
+    let halfB = baseB + top(box, direction, i, moments.blue);
+    let halfW = baseW + top(box, direction, i, moments.weight);
+    if (halfW <= 0) continue;
+
+    let score = (halfR * halfR + halfG * halfG + halfB * halfB) / halfW;
+
+    halfR = whole.r - halfR;
+    halfG = whole.g - halfG;
+    halfB = whole.b - halfB;
+    halfW = whole.w - halfW;
+    if (halfW <= 0) continue;
+
+    score += (halfR * halfR + halfG * halfG + halfB * halfB) / halfW;
+
+    if (score > max) {
+      max = score;
+      cut = i;
+    }
+  }
+
+  return { max, cut };
+}
+
+// Splits box1 in place; box2 (a copy of box1) receives the other half
+function cutBox (moments, box1, box2) {
+  const whole = {
+    r: volume(box1, moments.red),
+    g: volume(box1, moments.green),
+    b: volume(box1, moments.blue),
+    w: volume(box1, moments.weight)
+  };
+
+  const red = maximize(moments, box1, RED, box1.r0 + 1, box1.r1, whole);
+  const green = maximize(moments, box1, GREEN, box1.g0 + 1, box1.g1, whole);
+  const blue = maximize(moments, box1, BLUE, box1.b0 + 1, box1.b1, whole);
+
+  if (red.max >= green.max && red.max >= blue.max) {
+    if (red.cut < 0) return false; // Box cannot be split
+    box1.r1 = box2.r0 = red.cut;
+  } else if (green.max >= red.max && green.max >= blue.max) {
+    if (green.cut < 0) return false;
+    box1.g1 = box2.g0 = green.cut;
+  } else {
+    if (blue.cut < 0) return false;
+    box1.b1 = box2.b0 = blue.cut;
+  }
+
+  return true;
+}
@@ -0,0 +1,143 @@
+// frontend/js/report.js
+
+/**
+ * Versioned analysis report: the JSON document behind "Save Palette Data" and the
+ * CLI's json format. The structure is documented by schemas/analysis-report.schema.json;
+ * bump REPORT_SCHEMA_VERSION (and the schema) whenever a field changes.
+ *
+ * DOM-free, so the web app and the CLI produce identical reports.
+ */
+
+import { rgbToHex, rgbToHsv, rgbToLab } from './colorUtils.js';
+
+export const REPORT_SCHEMA_VERSION = '1.4.0';
+
+/**
+ * Builds the report for a pipeline result (see analyzeImage in pipeline.js).
+ * @param {object} analysis - Pipeline result (width, height, params, palette, stats, timings, ...)
+ * @param {object} image - Image metadata: { name, originalWidth, originalHeight, thumbnail }
+ *   (originals default to the analyzed size; thumbnail is an optional image data URL)
+ * @param {Date} createdAt - Report timestamp (default: now)
+ * @returns {object} - Plain JSON-serializable report
+ */
+export function buildAnalysisReport (analysis, image = {}, createdAt = new Date()) {
+  const { width, height, params, palette, stats, timings } = analysis;
+
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    generator: 'Color Compass',
+    createdAt: createdAt.toISOString(),
+    image: {
+      name: image.name || null,
+      originalWidth: image.originalWidth || width,
+      originalHeight: image.originalHeight || height,
+      // Percentages below refer to the analyzed (possibly downsampled) canvas
+      analyzedWidth: width,
+      analyzedHeight: height,
+      transparentShare: round(analysis.transparentShare || 0, 4),
+      thumbnail: image.thumbnail || null
+    },
+    params: { ...params },
+    palette: palette.map(formatColor),
+    stats: stats
+      ? {
+          hsv: { avg: roundAll(stats.hsv.avg, 4), stdDev: roundAll(stats.hsv.stdDev, 4) },
+          lab: { avg: roundAll(stats.lab.avg, 2), stdDev: roundAll(stats.lab.stdDev, 2) }
+        }
+      : null,
+    timings: Object.fromEntries(
+      Object.entries(timings || {}).map(([stage, ms]) => [stage, round(ms, 1)])
+    )
+  };
+}
+
+/**
+ * Serializes a report as pretty-printed JSON.
+ * @param {object} analysis - Pipeline result
+ * @param {object} image - Image metadata (see buildAnalysisReport)
+ * @returns {string}
+ */
+export function serializeAnalysisReport (analysis, image = {}) {
+  return JSON.stringify(buildAnalysisReport(analysis, image), null, 2);
+}
+
+/**
+ * Reads a report back into the shape of a pipeline result, so it can be drawn and
+ * exported again. Accepts any 1.x report (newer minor versions only add fields).
+ * @param {object} report - Parsed report JSON
+ * @returns {{analysis: object, image: object}} - Pipeline-like result and image metadata
+ */
+export function parseAnalysisReport (report) {
+  const major = String((report && report.schemaVersion) || '').split('.')[0];
+  if (major !== REPORT_SCHEMA_VERSION.split('.')[0] || !Array.isArray(report.palette)) {
+    throw new Error(`Unsupported report (schemaVersion ${report && report.schemaVersion}).`);
+  }
+
+  const image = report.image || {};
+  const width = image.analyzedWidth || 0;
+  const height = image.analyzedHeight || 0;
+
+  const palette = report.palette.map(color => {
+    const { r, g, b } = color.rgb;
+    const percentage = (color.percentage || 0) / 100;
+    return {
+      rgb: { r, g, b },
+      lab: Array.isArray(color.lab) ? color.lab : rgbToLab(r, g, b),
+      count: Math.round(percentage * width * height),
+      percentage,
+      isBackground: !!color.isBackground,
+      isHidden: !!color.isHidden,
+      locked: !!color.locked,
+      // Colors analyzed in Display P3
+      ...(color.displayP3 ? { displayP3: { ...color.displayP3 }, outOfSrgb: !!color.outOfSrgb } : {})
+    };
+  });
+
+  return {
+    analysis: {
+      width,
+      height,
+      totalPixels: width * height,
+      transparentShare: image.transparentShare || 0,
+      params: report.params || {},
+      palette,
+      stats: report.stats || null,
+      timings: report.timings || {}
+    },
+    image: {
+      name: image.name || null,
+      originalWidth: image.originalWidth || width,
+      originalHeight: image.originalHeight || height,
+      thumbnail: image.thumbnail || null
+    }
+  };
+}
+
+// Helper functions
+
+function formatColor (color) {
+  const { r, g, b } = color.rgb;
+  const lab = color.lab || rgbToLab(r, g, b);
+
+  return {
+    hex: rgbToHex([r, g, b]),
+    rgb: { r, g, b },
+    lab: roundAll(lab, 2),
+    hsv: roundAll(rgbToHsv(r, g, b), 4),
+    percentage: round((color.percentage || 0) * 100, 2),
+    isBackground: !!color.isBackground,
+    isHidden: !!color.isHidden,
+    locked: !!color.locked,
+    name: color.name || null,
+    displayP3: color.displayP3 ? { ...color.displayP3 } : null,
+    outOfSrgb: !!color.outOfSrgb
+  };
+}
+
+function round (value, digits) {
+  return Number(value.toFixed(digits));
+}
+
+function roundAll (values, digits) {
+  return Array.from(values, v => round(v, digits));
+}
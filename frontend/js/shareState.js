@@ -0,0 +1,110 @@
+// frontend/js/shareState.js
+
+/**
+ * Shareable URL hash state: the parameter panel and the resulting palette, e.g.
+ *
+ *   #v=1&targetPaletteSize=16&distanceMetric=deltaE2000&palette=F4EFE6b-2B2D42-D90429h
+ *
+ * Only parameters that differ from DEFAULT_PIPELINE_PARAMS are written. Palette
+ * colors are hex codes with optional flags (b = background, h = hidden, l = locked in
+ * the palette editor), separated by '-' (which needs no escaping in URLs).
+ * No image data is ever encoded. DOM-free.
+ */
+
+import { DEFAULT_PIPELINE_PARAMS } from './pipelineParams.js';
+import { rgbToHex, hexToRgb, rgbToLab } from './colorUtils.js';
+
+const SHARE_STATE_VERSION = '1';
+const ROLE_FLAGS = { b: 'isBackground', h: 'isHidden', l: 'locked' };
+
+/**
+ * Encodes parameters and palette as a URL hash (including the leading '#').
+ * @param {object} params - Pipeline parameters (unknown keys are ignored)
+ * @param {Array|null} palette - Analyzed palette, or null to share the parameters only
+ * @returns {string} - '' if there is nothing to share (default parameters, no palette)
+ */
+export function encodeShareState (params, palette = null) {
+  const query = new URLSearchParams({ v: SHARE_STATE_VERSION });
+
+  for (const [key, defaultValue] of Object.entries(DEFAULT_PIPELINE_PARAMS)) {
+    const value = params[key];
+    if (value !== undefined && value !== defaultValue) {
+      query.set(key, String(value));
+    }
+  }
+
+  if (palette && palette.length > 0) {
+    query.set('palette', palette.map(color => {
+      const hex = rgbToHex([color.rgb.r, color.rgb.g, color.rgb.b]).slice(1);
+      return hex + (color.isBackground ? 'b' : '') + (color.isHidden ? 'h' : '') + (color.locked ? 'l' : '');
+    }).join('-'));
+  }
+
+  if (Array.from(query.keys()).length === 1) {
+    return '';
+  }
+  return '#' + query.toString();
+}
+
+/**
+ * Decodes a URL hash written by encodeShareState.
+ * Values are coerced to the type of their default; malformed entries are skipped.
+ * @param {string} hash - location.hash (with or without the leading '#')
+ * @returns {{params: object, palette: Array|null}|null} - null if the hash holds no share state
+ */
+export function decodeShareState (hash) {
+  const query = new URLSearchParams((hash || '').replace(/^#/, ''));
+  if (query.get('v') !== SHARE_STATE_VERSION) {
+    return null;
+  }
+
+  const params = {};
+  for (const [key, defaultValue] of Object.entries(DEFAULT_PIPELINE_PARAMS)) {
+    if (!query.has(key)) continue;
+    const value = coerce(query.get(key), typeof defaultValue);
+    if (value !== undefined) params[key] = value;
+  }
+
+  let palette = null;
+  if (query.get('palette')) {
+    palette = query.get('palette').split('-')
+      .map(parseSharedColor)
+      .filter(Boolean);
+  }
+
+  return { params, palette };
+}
+
+// Helper functions
+
+function coerce (text, type) {
+  if (type === 'number') {
+    const value = Number(text);
+    return Number.isFinite(value) ? value : undefined;
+  }
+  if (type === 'boolean') {
+    return text === 'true' ? true : text === 'false' ? false : undefined;
+  }
+  return text;
+}
+
+function parseSharedColor (entry) {
+  const match = /^([0-9a-fA-F]{6})([bhl]*)$/.exec(entry);
+  const channels = match && hexToRgb(match[1]);
+  if (!channels) return null;
+
+  const [r, g, b] = channels;
+  const color = {
+    rgb: { r, g, b },
+    lab: rgbToLab(r, g, b),
+    count: 0,
+    percentage: 0,
+    isBackground: false,
+    isHidden: false,
+    locked: false
+  };
+  for (const flag of match[2]) {
+    color[ROLE_FLAGS[flag]] = true;
+  }
+  return color;
+}
@@ -2,9 +2,11 @@
  * SL Map Renderer - Creates three visualizations for S-L Map analysis
  * 
  * Uses mosaic downsampling for performance, with accurate block mapping.
+ * Blocks are averaged by alpha; fully transparent blocks stay transparent in all maps.
  */
 
-import { rgbToHsv, rgbToLab } from './colorUtils.js';
+import { rgbToHsv, rgbToLab, alphaWeight } from './colorUtils.js';
+import { quantizeColors, DEFAULT_QUANTIZER } from './quantizers.js';
 
 const MAX_MOSAIC_SIZE = 150;
 
@@ -26,86 +28,32 @@ function createMosaic(pixelData, width, height) {
       const endX = Math.min(startX + blockSize, width);
       const endY = Math.min(startY + blockSize, height);
 
-      let sumR = 0, sumG = 0, sumB = 0, count = 0;
+      let sumR = 0, sumG = 0, sumB = 0, sumWeight = 0, count = 0;
 
       for (let y = startY; y < endY; y++) {
         for (let x = startX; x < endX; x++) {
           const idx = (y * width + x) * 4;
-          sumR += pixelData[idx];
-          sumG += pixelData[idx + 1];
-          sumB += pixelData[idx + 2];
+          const weight = alphaWeight(pixelData[idx + 3]);
+          sumR += pixelData[idx] * weight;
+          sumG += pixelData[idx + 1] * weight;
+          sumB += pixelData[idx + 2] * weight;
+          sumWeight += weight;
           count++;
         }
       }
 
       const mosaicIdx = (my * mosaicWidth + mx) * 4;
-      mosaicData[mosaicIdx] = Math.round(sumR / count);
-      mosaicData[mosaicIdx + 1] = Math.round(sumG / count);
-      mosaicData[mosaicIdx + 2] = Math.round(sumB / count);
-      mosaicData[mosaicIdx + 3] = 255;
+      if (sumWeight === 0) continue; // Transparent block (all zero)
+      mosaicData[mosaicIdx] = Math.round(sumR / sumWeight);
+      mosaicData[mosaicIdx + 1] = Math.round(sumG / sumWeight);
+      mosaicData[mosaicIdx + 2] = Math.round(sumB / sumWeight);
+      mosaicData[mosaicIdx + 3] = Math.max(1, Math.round(sumWeight / count * 255));
     }
   }
 
   return { mosaicData, mosaicWidth, mosaicHeight, blockSize };
 }
 
-function medianCut(pixels, numColors) {
-  if (pixels.length === 0) return [];
-
-  function getColorRange(pixels, channel) {
-    let min = 255, max = 0;
-    for (const p of pixels) {
-      const val = p[['r', 'g', 'b'][channel]];
-      if (val < min) min = val;
-      if (val > max) max = val;
-    }
-    return max - min;
-  }
-
-  function splitPixels(pixels) {
-    const ranges = [0, 1, 2].map(c => getColorRange(pixels, c));
-    const splitChannel = ranges.indexOf(Math.max(...ranges));
-    
-    pixels.sort((a, b) => a[['r', 'g', 'b'][splitChannel]] - b[['r', 'g', 'b'][splitChannel]]);
-    const mid = Math.floor(pixels.length / 2);
-    return [pixels.slice(0, mid), pixels.slice(mid)];
-  }
-
-  function averagePixels(pixels) {
-    if (pixels.length === 0) return { r: 0, g: 0, b: 0 };
-    const sum = pixels.reduce((acc, p) => ({
-      r: acc.r + p.r,
-      g: acc.g + p.g,
-      b: acc.b + p.b
-    }), { r: 0, g: 0, b: 0 });
-    return {
-      r: Math.round(sum.r / pixels.length),
-      g: Math.round(sum.g / pixels.length),
-      b: Math.round(sum.b / pixels.length)
-    };
-  }
-
-  let buckets = [pixels];
-
-  while (buckets.length < numColors) {
-    let maxIdx = 0;
-    let maxSize = buckets[0].length;
-    for (let i = 1; i < buckets.length; i++) {
-      if (buckets[i].length > maxSize) {
-        maxSize = buckets[i].length;
-        maxIdx = i;
-      }
-    }
-
-    const [b1, b2] = splitPixels(buckets[maxIdx]);
-    if (b1.length === 0 || b2.length === 0) break;
-    
-    buckets.splice(maxIdx, 1, b1, b2);
-  }
-
-  return buckets.filter(b => b.length > 0).map(averagePixels);
-}
-
 function findNearestColor(pixel, palette) {
   let minDist = Infinity;
   let nearest = palette[0];
@@ -124,24 +72,25 @@ function findNearestColor(pixel, palette) {
 }
 
 /**
- * 1. Mosaic Clustering - Median cut with mosaic downsampling + block fill
+ * 1. Mosaic Clustering - Quantizes the mosaic (see quantizers.js), each block filled with its nearest palette color
  */
-export function drawClusteredImage(canvas, pixelData, width, height, numColors = 16) {
-  const ctx = canvas.getContext('2d');
-  canvas.width = width;
-  canvas.height = height;
-
-  const { mosaicData, mosaicWidth, mosaicHeight, blockSize } = createMosaic(pixelData, width, height);
+function clusterMosaic(mosaic, numColors, quantizer) {
+  const { mosaicData } = mosaic;
 
   const mosaicPixels = [];
   for (let i = 0; i < mosaicData.length; i += 4) {
-    mosaicPixels.push({ r: mosaicData[i], g: mosaicData[i + 1], b: mosaicData[i + 2] });
+    mosaicPixels.push({ r: mosaicData[i], g: mosaicData[i + 1], b: mosaicData[i + 2], a: mosaicData[i + 3] });
   }
 
-  const palette = medianCut(mosaicPixels, numColors);
+  const coloredMosaic = new Uint8ClampedArray(mosaicData.length);
+  if (!mosaicPixels.some(p => alphaWeight(p.a) > 0)) return coloredMosaic;
+
+  // Transparent blocks are skipped by the quantizers; faint ones alone leave no colors
+  const palette = quantizeColors(mosaicData, numColors, quantizer);
+  if (palette.length === 0) return coloredMosaic;
 
-  const coloredMosaic = new Uint8Array(mosaicWidth * mosaicHeight * 4);
   for (let i = 0; i < mosaicPixels.length; i++) {
+    if (alphaWeight(mosaicPixels[i].a) === 0) continue;
     const nearest = findNearestColor(mosaicPixels[i], palette);
     const idx = i * 4;
     coloredMosaic[idx] = nearest.r;
@@ -150,47 +99,18 @@ export function drawClusteredImage(canvas, pixelData, width, height, numColors =
     coloredMosaic[idx + 3] = 255;
   }
 
-  const outputData = ctx.createImageData(width, height);
-  const output = outputData.data;
-
-  for (let my = 0; my < mosaicHeight; my++) {
-    for (let mx = 0; mx < mosaicWidth; mx++) {
-      const colorR = coloredMosaic[(my * mosaicWidth + mx) * 4];
-      const colorG = coloredMosaic[(my * mosaicWidth + mx) * 4 + 1];
-      const colorB = coloredMosaic[(my * mosaicWidth + mx) * 4 + 2];
-
-      const startX = mx * blockSize;
-      const startY = my * blockSize;
-      const endX = Math.min(startX + blockSize, width);
-      const endY = Math.min(startY + blockSize, height);
-
-      for (let y = startY; y < endY; y++) {
-        for (let x = startX; x < endX; x++) {
-          const pixelIdx = (y * width + x) * 4;
-          output[pixelIdx] = colorR;
-          output[pixelIdx + 1] = colorG;
-          output[pixelIdx + 2] = colorB;
-          output[pixelIdx + 3] = 255;
-        }
-      }
-    }
-  }
-
-  ctx.putImageData(outputData, 0, 0);
+  return coloredMosaic;
 }
 
 /**
- * 2. S Map - Saturation grayscale with mosaic + block fill
+ * 2. S Map - Saturation grayscale of each mosaic block
  */
-export function drawSMap(canvas, pixelData, width, height) {
-  const ctx = canvas.getContext('2d');
-  canvas.width = width;
-  canvas.height = height;
-
-  const { mosaicData, mosaicWidth, mosaicHeight, blockSize } = createMosaic(pixelData, width, height);
+function saturationMosaic(mosaic) {
+  const { mosaicData } = mosaic;
 
-  const grayMosaic = new Uint8Array(mosaicWidth * mosaicHeight * 4);
+  const grayMosaic = new Uint8ClampedArray(mosaicData.length);
   for (let i = 0; i < mosaicData.length; i += 4) {
+    if (mosaicData[i + 3] === 0) continue;
     const hsv = rgbToHsv(mosaicData[i], mosaicData[i + 1], mosaicData[i + 2]);
     const gray = Math.round(hsv[1] * 255);
     grayMosaic[i] = gray;
@@ -199,48 +119,21 @@ export function drawSMap(canvas, pixelData, width, height) {
     grayMosaic[i + 3] = 255;
   }
 
-  const outputData = ctx.createImageData(width, height);
-  const output = outputData.data;
-
-  for (let my = 0; my < mosaicHeight; my++) {
-    for (let mx = 0; mx < mosaicWidth; mx++) {
-      const gray = grayMosaic[(my * mosaicWidth + mx) * 4];
-
-      const startX = mx * blockSize;
-      const startY = my * blockSize;
-      const endX = Math.min(startX + blockSize, width);
-      const endY = Math.min(startY + blockSize, height);
-
-      for (let y = startY; y < endY; y++) {
-        for (let x = startX; x < endX; x++) {
-          const pixelIdx = (y * width + x) * 4;
-          output[pixelIdx] = gray;
-          output[pixelIdx + 1] = gray;
-          output[pixelIdx + 2] = gray;
-          output[pixelIdx + 3] = 255;
-        }
-      }
-    }
-  }
-
-  ctx.putImageData(outputData, 0, 0);
+  return grayMosaic;
 }
 
 /**
- * 3. L Map - Standard 8-bit posterization with mosaic + block fill
+ * 3. L Map - Standard 8-bit posterization of each mosaic block's L*
  */
-export function drawLMap(canvas, pixelData, width, height) {
-  const ctx = canvas.getContext('2d');
-  canvas.width = width;
-  canvas.height = height;
+function luminanceMosaic(mosaic) {
+  const { mosaicData } = mosaic;
 
   const numLevels = 10;
   const levelSize = 256 / numLevels;
 
-  const { mosaicData, mosaicWidth, mosaicHeight, blockSize } = createMosaic(pixelData, width, height);
-
-  const posterizedMosaic = new Uint8Array(mosaicWidth * mosaicHeight * 4);
+  const posterizedMosaic = new Uint8ClampedArray(mosaicData.length);
   for (let i = 0; i < mosaicData.length; i += 4) {
+    if (mosaicData[i + 3] === 0) continue;
     const [l] = rgbToLab(mosaicData[i], mosaicData[i + 1], mosaicData[i + 2]);
     const normalizedL = Math.round((l / 100) * 255);
     const posterizedL = Math.floor(normalizedL / levelSize) * levelSize + levelSize / 2;
@@ -251,35 +144,69 @@ export function drawLMap(canvas, pixelData, width, height) {
     posterizedMosaic[i + 3] = 255;
   }
 
-  const outputData = ctx.createImageData(width, height);
-  const output = outputData.data;
+  return posterizedMosaic;
+}
 
-  for (let my = 0; my < mosaicHeight; my++) {
-    for (let mx = 0; mx < mosaicWidth; mx++) {
-      const gray = posterizedMosaic[(my * mosaicWidth + mx) * 4];
+/**
+ * Computes all three map visualizations at mosaic resolution.
+ * DOM-free, so it can run in the analysis worker; drawSLMapPanel() scales the result up.
+ * @returns {{width: number, height: number, mosaicWidth: number, mosaicHeight: number, blockSize: number, clustered: Uint8ClampedArray, sMap: Uint8ClampedArray, lMap: Uint8ClampedArray}}
+ */
+export function computeSLMaps(pixelData, width, height, numColors = 16, quantizer = DEFAULT_QUANTIZER) {
+  const mosaic = createMosaic(pixelData, width, height);
+
+  return {
+    width,
+    height,
+    mosaicWidth: mosaic.mosaicWidth,
+    mosaicHeight: mosaic.mosaicHeight,
+    blockSize: mosaic.blockSize,
+    clustered: clusterMosaic(mosaic, numColors, quantizer),
+    sMap: saturationMosaic(mosaic),
+    lMap: luminanceMosaic(mosaic)
+  };
+}
 
-      const startX = mx * blockSize;
-      const startY = my * blockSize;
-      const endX = Math.min(startX + blockSize, width);
-      const endY = Math.min(startY + blockSize, height);
+/**
+ * Block fill: draws each mosaic cell as a blockSize x blockSize square on a width x height canvas
+ */
+function paintMosaic(canvas, mosaicPixels, maps) {
+  const { width, height, mosaicWidth, mosaicHeight, blockSize } = maps;
+  const ctx = canvas.getContext('2d');
+  canvas.width = width;
+  canvas.height = height;
 
-      for (let y = startY; y < endY; y++) {
-        for (let x = startX; x < endX; x++) {
-          const pixelIdx = (y * width + x) * 4;
-          output[pixelIdx] = gray;
-          output[pixelIdx + 1] = gray;
-          output[pixelIdx + 2] = gray;
-          output[pixelIdx + 3] = 255;
-        }
-      }
-    }
-  }
+  const mosaicCanvas = document.createElement('canvas');
+  mosaicCanvas.width = mosaicWidth;
+  mosaicCanvas.height = mosaicHeight;
+  mosaicCanvas.getContext('2d').putImageData(new ImageData(mosaicPixels, mosaicWidth, mosaicHeight), 0, 0);
+
+  // Nearest-neighbor scaling gives the same hard block edges as filling each block
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(mosaicCanvas, 0, 0, mosaicWidth * blockSize, mosaicHeight * blockSize);
+}
 
-  ctx.putImageData(outputData, 0, 0);
+export function drawClusteredImage(canvas, pixelData, width, height, numColors = 16, quantizer = DEFAULT_QUANTIZER) {
+  const mosaic = createMosaic(pixelData, width, height);
+  paintMosaic(canvas, clusterMosaic(mosaic, numColors, quantizer), { width, height, ...mosaic });
+}
+
+export function drawSMap(canvas, pixelData, width, height) {
+  const mosaic = createMosaic(pixelData, width, height);
+  paintMosaic(canvas, saturationMosaic(mosaic), { width, height, ...mosaic });
 }
 
-export function drawSLMapPanel(clusterCanvas, sMapCanvas, lMapCanvas, pixelData, width, height) {
-  drawClusteredImage(clusterCanvas, pixelData, width, height, 16);
-  drawSMap(sMapCanvas, pixelData, width, height);
-  drawLMap(lMapCanvas, pixelData, width, height);
+export function drawLMap(canvas, pixelData, width, height) {
+  const mosaic = createMosaic(pixelData, width, height);
+  paintMosaic(canvas, luminanceMosaic(mosaic), { width, height, ...mosaic });
+}
+
+/**
+ * Draws the three map visualizations. Pass `maps` (from computeSLMaps) to skip recomputation.
+ */
+export function drawSLMapPanel(clusterCanvas, sMapCanvas, lMapCanvas, pixelData, width, height, maps = null) {
+  const panelMaps = maps || computeSLMaps(pixelData, width, height, 16);
+  paintMosaic(clusterCanvas, panelMaps.clustered, panelMaps);
+  paintMosaic(sMapCanvas, panelMaps.sMap, panelMaps);
+  paintMosaic(lMapCanvas, panelMaps.lMap, panelMaps);
 }
@@ -1,3 +1,5 @@
+import { alphaWeight } from './colorUtils.js';
+
 /**
  * SLIC (Simple Linear Iterative Clustering) superpixel algorithm
  * 
@@ -5,6 +7,7 @@
  * - Edge strength calculation for hidden color detection
  * - Local contrast estimation
  * - Spatial position preservation for background detection
+ * - Alpha awareness: transparent pixels get label -1, features are alpha-weighted
  * 
  * @param {Uint8Array} pixelData - Image pixel data in RGBA format
  * @param {number} width - Image width
@@ -88,14 +91,16 @@ function downsampleImage(pixelData, width, height, maxPixels = 1e5) {
       const srcEndX = Math.min(width, Math.ceil((x + 1) * xRatio));
       const srcEndY = Math.min(height, Math.ceil((y + 1) * yRatio));
 
-      // Max pooling for edge preservation
-      let maxR = 0, maxG = 0, maxB = 0;
+      // Max pooling for edge preservation (transparent pixels are ignored)
+      let maxR = 0, maxG = 0, maxB = 0, maxA = 0;
       for (let sy = srcY; sy < srcEndY; sy++) {
         for (let sx = srcX; sx < srcEndX; sx++) {
           const idx = (sy * width + sx) * 4;
+          if (alphaWeight(pixelData[idx + 3]) === 0) continue;
           maxR = Math.max(maxR, pixelData[idx]);
           maxG = Math.max(maxG, pixelData[idx + 1]);
           maxB = Math.max(maxB, pixelData[idx + 2]);
+          maxA = Math.max(maxA, pixelData[idx + 3]);
         }
       }
 
@@ -103,7 +108,7 @@ function downsampleImage(pixelData, width, height, maxPixels = 1e5) {
       downsampled[dstIdx] = maxR;
       downsampled[dstIdx + 1] = maxG;
       downsampled[dstIdx + 2] = maxB;
-      downsampled[dstIdx + 3] = 255;
+      downsampled[dstIdx + 3] = maxA;
     }
   }
 
@@ -140,7 +145,10 @@ function initializeClusterCenters(rgbData, width, height, superpixelCount) {
   for (let y = Math.floor(step / 2); y < height; y += step) {
     for (let x = Math.floor(step / 2); x < width; x += step) {
       // Move center to lowest gradient position in 3x3 neighborhood
-      const adjusted = findLowestGradientNeighbor(rgbData, width, height, x, y);
+      // (step is fractional, so snap to a pixel first)
+      const adjusted = findLowestGradientNeighbor(rgbData, width, height, Math.round(x), Math.round(y));
+      // No seeds in transparent areas
+      if (adjusted.transparent) continue;
       clusterCenters.push({
         x: adjusted.x,
         y: adjusted.y,
@@ -182,7 +190,8 @@ function findLowestGradientNeighbor(rgbData, width, height, x, y) {
     y: bestY,
     r: rgbData[idx * 4],
     g: rgbData[idx * 4 + 1],
-    b: rgbData[idx * 4 + 2]
+    b: rgbData[idx * 4 + 2],
+    transparent: alphaWeight(rgbData[idx * 4 + 3]) === 0
   };
 }
 
@@ -228,6 +237,9 @@ function assignPixelsToClusters(rgbData, width, height, clusterCenters, compactn
              x < Math.min(width, Math.floor(center.x) + searchRegion); x++) {
           const pixelIdx = y * width + x;
 
+          // Transparent pixels stay unlabeled (-1)
+          if (alphaWeight(rgbData[pixelIdx * 4 + 3]) === 0) continue;
+
           // Color distance in RGB space
           const r = rgbData[pixelIdx * 4];
           const g = rgbData[pixelIdx * 4 + 1];
@@ -322,6 +334,7 @@ function updateClusterCenters(rgbData, width, height, labels, clusterCount) {
 
 /**
  * Enforce connectivity to avoid small orphaned segments
+ * Segments below the minimum size join an adjacent, already labeled segment.
  */
 function enforceConnectivity(labels, width, height) {
   const cleanedLabels = new Int32Array(width * height).fill(-1);
@@ -338,6 +351,20 @@ function enforceConnectivity(labels, width, height) {
       const idx = y * width + x;
       if (visited[idx]) continue;
 
+      // Unlabeled (transparent) pixels stay -1
+      if (labels[idx] < 0) {
+        visited[idx] = 1;
+        continue;
+      }
+
+      // Adjacent segment that is already labeled (left or top neighbor in scan order)
+      let adjacentLabel = -1;
+      if (x > 0 && cleanedLabels[idx - 1] >= 0) {
+        adjacentLabel = cleanedLabels[idx - 1];
+      } else if (y > 0 && cleanedLabels[idx - width] >= 0) {
+        adjacentLabel = cleanedLabels[idx - width];
+      }
+
       // Flood fill to find connected component
       const component = [];
       const queue = [{ x, y }];
@@ -366,16 +393,19 @@ function enforceConnectivity(labels, width, height) {
         }
       }
 
-      // Assign label based on component size
-      if (component.length >= minSegmentSize) {
+      // Assign label based on component size (orphans join their neighbor)
+      let newLabel;
+      if (component.length >= minSegmentSize || adjacentLabel < 0) {
         const label = labels[component[0]];
         if (!labelMap.has(label)) {
           labelMap.set(label, currentLabel++);
         }
-        const newLabel = labelMap.get(label);
-        for (const pos of component) {
-          cleanedLabels[pos] = newLabel;
-        }
+        newLabel = labelMap.get(label);
+      } else {
+        newLabel = adjacentLabel;
+      }
+      for (const pos of component) {
+        cleanedLabels[pos] = newLabel;
       }
     }
   }
@@ -392,6 +422,7 @@ function extractSuperpixelFeaturesEnhanced(rgbData, labels, width, height, clust
   for (let i = 0; i < clusterCount; i++) {
     tempFeatures[i] = {
       pixelCount: 0,
+      weight: 0, // Sum of alpha weights
       sumR: 0, sumG: 0, sumB: 0,
       sumX: 0, sumY: 0,
       edgeCount: 0,
@@ -407,10 +438,12 @@ function extractSuperpixelFeaturesEnhanced(rgbData, labels, width, height, clust
       
       if (label >= 0 && label < clusterCount) {
         const feature = tempFeatures[label];
+        const weight = alphaWeight(rgbData[idx * 4 + 3]);
         feature.pixelCount++;
-        feature.sumR += rgbData[idx * 4];
-        feature.sumG += rgbData[idx * 4 + 1];
-        feature.sumB += rgbData[idx * 4 + 2];
+        feature.weight += weight;
+        feature.sumR += rgbData[idx * 4] * weight;
+        feature.sumG += rgbData[idx * 4 + 1] * weight;
+        feature.sumB += rgbData[idx * 4 + 2] * weight;
         feature.sumX += x;
         feature.sumY += y;
 
@@ -427,8 +460,8 @@ function extractSuperpixelFeaturesEnhanced(rgbData, labels, width, height, clust
             const nIdx = n.y * width + n.x;
             if (labels[nIdx] !== label) {
               feature.edgeCount++;
-              // Collect neighbor colors for contrast
-              if (feature.neighborColors.length < 10) {
+              // Collect neighbor colors for contrast (transparent neighbors have no color)
+              if (feature.neighborColors.length < 10 && labels[nIdx] >= 0) {
                 feature.neighborColors.push({
                   r: rgbData[nIdx * 4],
                   g: rgbData[nIdx * 4 + 1],
@@ -446,13 +479,13 @@ function extractSuperpixelFeaturesEnhanced(rgbData, labels, width, height, clust
   const features = [];
   for (let i = 0; i < clusterCount; i++) {
     const f = tempFeatures[i];
-    if (f.pixelCount === 0) continue;
+    if (f.pixelCount === 0 || f.weight === 0) continue;
 
-    // Average RGB
+    // Average RGB (alpha-weighted)
     const avgRGB = [
-      Math.round(f.sumR / f.pixelCount),
-      Math.round(f.sumG / f.pixelCount),
-      Math.round(f.sumB / f.pixelCount)
+      Math.round(f.sumR / f.weight),
+      Math.round(f.sumG / f.weight),
+      Math.round(f.sumB / f.weight)
     ];
 
     // Average position (scale back to original coordinates)
@@ -476,8 +509,10 @@ function extractSuperpixelFeaturesEnhanced(rgbData, labels, width, height, clust
     const isBoundary = edgeStrength > 0.1;
 
     features.push({
+      label: i, // Superpixel label in `labels` (empty labels are skipped)
       avgRGB,
       pixelCount: f.pixelCount,
+      weight: f.weight, // Pixel count weighted by alpha (= pixelCount for opaque images)
       x: avgX,
       y: avgY,
       edgeStrength,
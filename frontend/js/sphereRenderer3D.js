@@ -3,7 +3,7 @@
 // Import Three.js core and controls
 import * as THREE from '../lib/three/build/three.module.js';
 import { OrbitControls } from '../lib/three/examples/jsm/controls/OrbitControls.js';
-import { rgbToLab } from './colorUtils.js'; // Need Lab conversion
+import { rgbToLab, alphaWeight, hexToRgb } from './colorUtils.js'; // Need Lab conversion
 import { t } from './i18n.js'; // Import i18n module
 
 
@@ -74,13 +74,167 @@ export function setupSphereScene (container, pixelData, imageWidth, imageHeight,
   if (!container || !pixelData || pixelData.length === 0 || imageWidth === 0 || imageHeight === 0) {
     console.error("Cannot setup 3D scene: missing container or pixel data.");
     // Hide export buttons if setup fails
-    const sphereExportButtons = container ? container.parentElement.querySelector('.export-buttons') : null;
-    if (sphereExportButtons) {
-      sphereExportButtons.style.display = 'none';
-    }
+    hideSphereExportButtons(container);
     return null; // Return null on error
   }
 
+  if (!createBaseScene(container)) return null; // Container has no size yet
+
+  const points = createPointCloud(pixelData, imageWidth, imageHeight, pixelSampleFactor);
+  scene.add(points);
+
+  return startRendering(container, points.geometry.getAttribute('position').count);
+}
+
+/**
+ * Sets up the 3D scene with the point clouds of several images (compare view).
+ * Uses the same Lab mapping as setupSphereScene, but one flat color per image so
+ * the clouds can be told apart. Replaces the scene of setupSphereScene.
+ * @param {HTMLElement} container - The DOM element to render the sphere into.
+ * @param {Array<{pixelData: Uint8ClampedArray, width: number, height: number, color: string}>} datasets - Pixel data and hex color per image.
+ * @param {number} pixelSampleFactor - Process every Nth pixel of each image.
+ * @returns {{renderer: THREE.WebGLRenderer, controls: OrbitControls, scene: THREE.Scene, camera: THREE.PerspectiveCamera}|null} Same as setupSphereScene.
+ */
+export function setupSphereComparisonScene (container, datasets, pixelSampleFactor = 100000) {
+  disposeScene();
+
+  const validDatasets = (datasets || []).filter(dataset =>
+    dataset.pixelData && dataset.pixelData.length > 0 && dataset.width > 0 && dataset.height > 0);
+  if (!container || validDatasets.length === 0) {
+    console.error("Cannot setup 3D comparison scene: missing container or pixel data.");
+    hideSphereExportButtons(container);
+    return null;
+  }
+
+  if (!createBaseScene(container)) return null;
+
+  let pointCount = 0;
+  validDatasets.forEach(dataset => {
+    const points = createPointCloud(dataset.pixelData, dataset.width, dataset.height, pixelSampleFactor, hexToRgb(dataset.color).map(v => v / 255));
+    pointCount += points.geometry.getAttribute('position').count;
+    scene.add(points);
+  });
+
+  return startRendering(container, pointCount);
+}
+
+/**
+ * Exports the rendered 3D scene from the renderer's canvas as a PNG image.
+ * @param {THREE.WebGLRenderer} renderer - The Three.js renderer instance.
+ * @param {THREE.Scene} scene - The Three.js scene instance.
+ * @param {THREE.PerspectiveCamera} camera - The Three.js camera instance.
+ * @param {string} filename - The desired name for the downloaded file.
+ * @returns {string|null} Data URL of the image, or null on error.
+ */
+export function exportSphereAsImage (renderer, scene, camera, filename = 'color_sphere.png') {
+  if (!renderer || !renderer.domElement || !scene || !camera) {
+    console.error("Cannot export: Three.js renderer, scene, or camera is not available.");
+    alert(t('errors.noSphere'));
+    return null;
+  }
+
+  const canvasElement = renderer.domElement;
+
+  if (canvasElement.width === 0 || canvasElement.height === 0) {
+    console.error("Cannot export: 3D renderer canvas has zero dimensions.");
+    alert(t('errors.invalidSphereCanvas'));
+    return null;
+  }
+
+  try {
+    // Render one frame explicitly before getting data URL
+    // This ensures the canvas reflects the latest camera position, especially if using controls with damping
+    renderer.render(scene, camera);
+
+    // Get image data as Data URL (PNG format by default)
+    // PNG supports alpha, but we set alpha: false on renderer, so background should be solid.
+    const dataUrl = canvasElement.toDataURL('image/png');
+    return dataUrl; // Return Data URL so main.js can use fileSaver
+  } catch (e) {
+    console.error("Error getting data URL from 3D canvas:", e);
+    alert(t('errors.sphereExportFailed'));
+    return null;
+  }
+}
+
+
+/**
+ * Disposes Three.js resources to prevent memory leaks.
+ * Should be called before setting up a new scene or when the component is removed.
+ */
+export function disposeScene () { // Export the function
+  if (animationFrameId) {
+    cancelAnimationFrame(animationFrameId);
+    animationFrameId = null;
+  }
+
+  // Dispose renderer and its WebGL resources and remove its canvas from DOM
+  if (renderer) {
+    renderer.dispose();
+    if (renderer.domElement && renderer.domElement.parentNode) {
+      renderer.domElement.parentNode.removeChild(renderer.domElement);
+    }
+    // Nullify renderer reference AFTER disposal
+    renderer = null;
+  }
+
+  // Dispose scene objects (geometry, materials, textures)
+  if (scene) {
+    scene.traverse(object => {
+      // Only dispose objects that have geometry or material
+      if (object.geometry) {
+        object.geometry.dispose();
+        // console.log(`Disposed geometry for ${object.type}`); // Debugging
+      }
+
+      if (object.material) {
+        // If it's an array of materials
+        if (Array.isArray(object.material)) {
+          for (const material of object.material) {
+            if (material.map) material.map.dispose(); // Dispose textures
+            material.dispose();
+            // console.log(`Disposed material array item for ${object.type}`); // Debugging
+          }
+        } else {
+          if (object.material.map) object.material.map.dispose(); // Dispose textures
+          object.material.dispose();
+          // console.log(`Disposed material for ${object.type}`); // Debugging
+        }
+      }
+    });
+    // Nullify the scene reference
+    scene = null;
+  }
+
+  // Dispose controls listeners
+  if (controls) {
+    controls.dispose();
+    controls = null; // Nullify controls reference
+  }
+
+  // Remove window resize listener
+  if (sphereContainerElement && sphereContainerElement.__resizeListener) {
+    window.removeEventListener('resize', sphereContainerElement.__resizeListener);
+    delete sphereContainerElement.__resizeListener; // Clean up stored reference
+  }
+  // Nullify container and camera references
+  sphereContainerElement = null;
+  camera = null; // Nullify camera reference
+
+  console.log("Previous 3D scene disposed.");
+}
+
+// Helper functions
+
+function hideSphereExportButtons (container) {
+  const sphereExportButtons = container && container.parentElement ? container.parentElement.querySelector('.export-buttons') : null;
+  if (sphereExportButtons) {
+    sphereExportButtons.style.display = 'none';
+  }
+}
+
+// Scene, camera, renderer, lights, controls and the sphere grid; false if the container has no size
+function createBaseScene (container) {
   sphereContainerElement = container;
   const containerWidth = container.clientWidth;
   const containerHeight = container.clientHeight;
@@ -88,11 +242,8 @@ export function setupSphereScene (container, pixelData, imageWidth, imageHeight,
   if (containerWidth <= 0 || containerHeight <= 0) {
     console.warn("3D container has zero dimensions. Cannot set up scene.");
     // Hide export buttons if setup fails
-    const sphereExportButtons = container ? container.parentElement.querySelector('.export-buttons') : null;
-    if (sphereExportButtons) {
-      sphereExportButtons.style.display = 'none';
-    }
-    return null; // Return null on error
+    hideSphereExportButtons(container);
+    return false;
   }
 
   // 1. Scene
@@ -190,8 +341,11 @@ export function setupSphereScene (container, pixelData, imageWidth, imageHeight,
 
   // Optional: Add axes lines for L*, a*, b* direction?
 
+  return true;
+}
 
-  // Draw Pixel Points
+// Draw Pixel Points, in their own colors or in flatColor ([r, g, b], 0-1, like the vertex colors)
+function createPointCloud (pixelData, imageWidth, imageHeight, pixelSampleFactor, flatColor = null) {
   // Using THREE.Points is more performant for large numbers of points
   const pointsGeometry = new THREE.BufferGeometry();
   const positions = []; // Array to store x, y, z coordinates
@@ -212,13 +366,19 @@ export function setupSphereScene (container, pixelData, imageWidth, imageHeight,
     const dataIndex = i * 4;
     if (dataIndex >= pixelData.length) break;
 
+    // Skip transparent pixels
+    if (alphaWeight(pixelData[dataIndex + 3]) === 0) continue;
+
     const r = pixelData[dataIndex];
     const g = pixelData[dataIndex + 1];
     const b = pixelData[dataIndex + 2];
-    // Alpha channel pixelData[dataIndex + 3]
 
     // Store color as 0-1 for Three.js Color attribute
-    colors.push(r / 255, g / 255, b / 255);
+    if (flatColor) {
+      colors.push(flatColor[0], flatColor[1], flatColor[2]);
+    } else {
+      colors.push(r / 255, g / 255, b / 255);
+    }
 
     // Calculate Lab and map to 3D coordinates
     const lab = rgbToLab(r, g, b);
@@ -249,13 +409,15 @@ export function setupSphereScene (container, pixelData, imageWidth, imageHeight,
     vertexColors: colors.length === positions.length,
     transparent: true,
     opacity: 0.6, // Make points semi-transparent
-    blending: THREE.AdditiveBlending // Optional: blend colors additively for brighter look
+    // Optional: blend colors additively for brighter look (flat colors would all add up to white)
+    blending: flatColor ? THREE.NormalBlending : THREE.AdditiveBlending
   });
 
-  const points = new THREE.Points(pointsGeometry, pointsMaterial);
-  scene.add(points);
-
+  return new THREE.Points(pointsGeometry, pointsMaterial);
+}
 
+// Starts the animation loop and resize handling for the scene built by createBaseScene
+function startRendering (container, pointCount) {
   // --- Animation Loop (for interactive controls) ---
   function animate () {
     // Cancel any existing animation frame before requesting a new one
@@ -301,9 +463,7 @@ export function setupSphereScene (container, pixelData, imageWidth, imageHeight,
   }
   window.addEventListener('resize', onWindowResize, false);
   sphereContainerElement.__resizeListener = onWindowResize; // Store reference
-
-
-  console.log(`3D Scene setup complete. Rendered ${positions.length / 3} points.`);
+  console.log(`3D Scene setup complete. Rendered ${pointCount} points.`);
 
   // Show 3D export buttons after successful setup
   const sphereExportButtons = container.parentElement ? container.parentElement.querySelector('.export-buttons') : null;
@@ -314,111 +474,4 @@ export function setupSphereScene (container, pixelData, imageWidth, imageHeight,
 
   // Return renderer, controls, scene, and camera
   return { renderer: renderer, controls: controls, scene: scene, camera: camera };
-
-}
-
-/**
- * Exports the rendered 3D scene from the renderer's canvas as a PNG image.
- * @param {THREE.WebGLRenderer} renderer - The Three.js renderer instance.
- * @param {THREE.Scene} scene - The Three.js scene instance.
- * @param {THREE.PerspectiveCamera} camera - The Three.js camera instance.
- * @param {string} filename - The desired name for the downloaded file.
- * @returns {string|null} Data URL of the image, or null on error.
- */
-export function exportSphereAsImage (renderer, scene, camera, filename = 'color_sphere.png') {
-  if (!renderer || !renderer.domElement || !scene || !camera) {
-    console.error("Cannot export: Three.js renderer, scene, or camera is not available.");
-    alert(t('errors.noSphere'));
-    return null;
-  }
-
-  const canvasElement = renderer.domElement;
-
-  if (canvasElement.width === 0 || canvasElement.height === 0) {
-    console.error("Cannot export: 3D renderer canvas has zero dimensions.");
-    alert(t('errors.invalidSphereCanvas'));
-    return null;
-  }
-
-  try {
-    // Render one frame explicitly before getting data URL
-    // This ensures the canvas reflects the latest camera position, especially if using controls with damping
-    renderer.render(scene, camera);
-
-    // Get image data as Data URL (PNG format by default)
-    // PNG supports alpha, but we set alpha: false on renderer, so background should be solid.
-    const dataUrl = canvasElement.toDataURL('image/png');
-    return dataUrl; // Return Data URL so main.js can use fileSaver
-  } catch (e) {
-    console.error("Error getting data URL from 3D canvas:", e);
-    alert(t('errors.sphereExportFailed'));
-    return null;
-  }
 }
-
-
-/**
- * Disposes Three.js resources to prevent memory leaks.
- * Should be called before setting up a new scene or when the component is removed.
- */
-export function disposeScene () { // Export the function
-  if (animationFrameId) {
-    cancelAnimationFrame(animationFrameId);
-    animationFrameId = null;
-  }
-
-  // Dispose renderer and its WebGL resources and remove its canvas from DOM
-  if (renderer) {
-    renderer.dispose();
-    if (renderer.domElement && renderer.domElement.parentNode) {
-      renderer.domElement.parentNode.removeChild(renderer.domElement);
-    }
-    // Nullify renderer reference AFTER disposal
-    renderer = null;
-  }
-
-  // Dispose scene objects (geometry, materials, textures)
-  if (scene) {
-    scene.traverse(object => {
-      // Only dispose objects that have geometry or material
-      if (object.geometry) {
-        object.geometry.dispose();
-        // console.log(`Disposed geometry for ${object.type}`); // Debugging
-      }
-
-      if (object.material) {
-        // If it's an array of materials
-        if (Array.isArray(object.material)) {
-          for (const material of object.material) {
-            if (material.map) material.map.dispose(); // Dispose textures
-            material.dispose();
-            // console.log(`Disposed material array item for ${object.type}`); // Debugging
-          }
-        } else {
-          if (object.material.map) object.material.map.dispose(); // Dispose textures
-          object.material.dispose();
-          // console.log(`Disposed material for ${object.type}`); // Debugging
-        }
-      }
-    });
-    // Nullify the scene reference
-    scene = null;
-  }
-
-  // Dispose controls listeners
-  if (controls) {
-    controls.dispose();
-    controls = null; // Nullify controls reference
-  }
-
-  // Remove window resize listener
-  if (sphereContainerElement && sphereContainerElement.__resizeListener) {
-    window.removeEventListener('resize', sphereContainerElement.__resizeListener);
-    delete sphereContainerElement.__resizeListener; // Clean up stored reference
-  }
-  // Nullify container and camera references
-  sphereContainerElement = null;
-  camera = null; // Nullify camera reference
-
-  console.log("Previous 3D scene disposed.");
-}
\ No newline at end of file
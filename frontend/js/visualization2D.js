@@ -1,5 +1,5 @@
 // frontend/js/visualization2D.js
-import { rgbToLab } from './colorUtils.js'; // Import Lab conversion
+import { rgbToLab, alphaWeight } from './colorUtils.js'; // Import Lab conversion
 
 /**
  * Draws a histogram on a canvas.
@@ -109,34 +109,7 @@ export function drawLabScatterPlotRevised (canvas, pixelData, imageWidth, imageH
   // --- Draw axes (a*=0 and b*=0) ---
   const canvasCenterX = canvasWidth / 2;
   const canvasCenterY = canvasHeight / 2;
-
-  ctx.strokeStyle = '#888'; // Gray axes
-  ctx.lineWidth = 1;
-
-  // Vertical axis (a* = 0)
-  ctx.beginPath();
-  ctx.moveTo(canvasCenterX, 0);
-  ctx.lineTo(canvasCenterX, canvasHeight);
-  ctx.stroke();
-
-  // Horizontal axis (b* = 0)
-  ctx.beginPath();
-  ctx.moveTo(0, canvasCenterY);
-  ctx.lineTo(canvasWidth, canvasCenterY);
-  ctx.stroke();
-
-  // Axis labels
-  ctx.fillStyle = '#888';
-  ctx.font = '40px Courier New';
-  ctx.textAlign = 'left';
-  ctx.fillText('+a*', canvasWidth - 80, canvasCenterY + 15);
-  ctx.textAlign = 'right';
-  ctx.fillText('-a*', 80, canvasCenterY + 15);
-  ctx.textAlign = 'center';
-  ctx.textBaseline = 'top';
-  ctx.fillText('+b*', canvasCenterX, 5);
-  ctx.textBaseline = 'bottom';
-  ctx.fillText('-b*', canvasCenterX, canvasHeight - 5);
+  drawLabScatterAxes(ctx, canvasWidth, canvasHeight);
 
 
   // --- Draw data points ---
@@ -166,10 +139,12 @@ export function drawLabScatterPlotRevised (canvas, pixelData, imageWidth, imageH
     const dataIndex = i * 4;
     if (dataIndex >= pixelData.length) break;
 
+    // Skip transparent pixels
+    if (alphaWeight(pixelData[dataIndex + 3]) === 0) continue;
+
     const r = pixelData[dataIndex];
     const g = pixelData[dataIndex + 1];
     const b = pixelData[dataIndex + 2];
-    // Alpha pixelData[dataIndex + 3]
 
     // Convert to Lab
     const lab = rgbToLab(r, g, b);
@@ -208,4 +183,98 @@ export function drawLabScatterPlotRevised (canvas, pixelData, imageWidth, imageH
   }
 
   ctx.globalAlpha = 1.0; // Reset global alpha
-}
\ No newline at end of file
+}
+
+/**
+ * Overlays the a*b* distributions of several images, one flat color per image.
+ * Uses the same range as drawLabScatterPlotRevised (a* and b* from -120 to +120).
+ * @param {HTMLCanvasElement} canvas - The canvas element.
+ * @param {Array<{pixelData: Uint8ClampedArray, width: number, height: number, color: string, label: string}>} datasets - Pixel data (R, G, B, A) per image.
+ * @param {number} pixelSampleFactor - Process every Nth pixel of each image.
+ */
+export function drawLabScatterComparison (canvas, datasets, pixelSampleFactor = 1) {
+  const ctx = canvas.getContext('2d');
+  const canvasWidth = canvas.width;
+  const canvasHeight = canvas.height;
+
+  ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+  ctx.fillStyle = '#333';
+  ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+
+  drawLabScatterAxes(ctx, canvasWidth, canvasHeight);
+
+  const scaleX = canvasWidth / 240;
+  const scaleY = canvasHeight / 240;
+  const pointSize = 2.5;
+
+  // Points of later images are drawn on top; the transparency keeps overlaps visible
+  ctx.globalAlpha = 0.35;
+  datasets.forEach(dataset => {
+    const { pixelData, width, height, color } = dataset;
+    if (!pixelData || pixelData.length === 0) return;
+    ctx.fillStyle = color;
+
+    const totalPixels = width * height;
+    for (let i = 0; i < totalPixels; i += pixelSampleFactor) {
+      const dataIndex = i * 4;
+      if (dataIndex >= pixelData.length) break;
+      if (alphaWeight(pixelData[dataIndex + 3]) === 0) continue;
+
+      const lab = rgbToLab(pixelData[dataIndex], pixelData[dataIndex + 1], pixelData[dataIndex + 2]);
+      const x = canvasWidth / 2 + lab[1] * scaleX;
+      const y = canvasHeight / 2 - lab[2] * scaleY;
+      if (x >= 0 && x < canvasWidth && y >= 0 && y < canvasHeight) {
+        ctx.fillRect(x - pointSize / 2, y - pointSize / 2, pointSize, pointSize);
+      }
+    }
+  });
+  ctx.globalAlpha = 1.0;
+
+  // Legend
+  ctx.font = '24px Courier New';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'bottom';
+  datasets.forEach((dataset, index) => {
+    const y = canvasHeight - 60 - (datasets.length - 1 - index) * 30;
+    ctx.fillStyle = dataset.color;
+    ctx.fillRect(10, y - 20, 20, 20);
+    ctx.fillStyle = '#ccc';
+    ctx.fillText(dataset.label, 38, y);
+  });
+}
+
+// Helper functions
+
+// a*=0 and b*=0 axes through the canvas center, with labels
+function drawLabScatterAxes (ctx, canvasWidth, canvasHeight) {
+  const canvasCenterX = canvasWidth / 2;
+  const canvasCenterY = canvasHeight / 2;
+
+  ctx.strokeStyle = '#888'; // Gray axes
+  ctx.lineWidth = 1;
+
+  // Vertical axis (a* = 0)
+  ctx.beginPath();
+  ctx.moveTo(canvasCenterX, 0);
+  ctx.lineTo(canvasCenterX, canvasHeight);
+  ctx.stroke();
+
+  // Horizontal axis (b* = 0)
+  ctx.beginPath();
+  ctx.moveTo(0, canvasCenterY);
+  ctx.lineTo(canvasWidth, canvasCenterY);
+  ctx.stroke();
+
+  // Axis labels
+  ctx.fillStyle = '#888';
+  ctx.font = '40px Courier New';
+  ctx.textAlign = 'left';
+  ctx.fillText('+a*', canvasWidth - 80, canvasCenterY + 15);
+  ctx.textAlign = 'right';
+  ctx.fillText('-a*', 80, canvasCenterY + 15);
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  ctx.fillText('+b*', canvasCenterX, 5);
+  ctx.textBaseline = 'bottom';
+  ctx.fillText('-b*', canvasCenterX, canvasHeight - 5);
+}
@@ -3,18 +3,25 @@
  * - Hue Polar Chart (色相极坐标图)
  * - HSV Square Chart (HSV方形图)
  * - Color Distance Heatmap (色彩距离热力图)
+ * - Hue Polar Comparison (色相极坐标对比图)
+ * - Harmony angles on the hue polar chart (和谐角度标记)
  */
 
-import { rgbToHsv, rgbToLab } from './colorUtils.js';
+import { rgbToHsv } from './colorUtils.js';
+import { computeColorDistanceGrid } from './colorStats.js';
 import { t } from './i18n.js'; // Import i18n module
 
+const HUE_POLAR_BINS = 36;
+const HUE_POLAR_MIN_RADIUS = 30;
+
 /**
  * Draws a polar histogram for hue distribution
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {number[]} hValues - Array of hue values (0-1)
  * @param {string} title - Chart title
+ * @param {number[]} harmonyAngles - Ideal hues (degrees) of the palette's harmony scheme to mark (see colorHarmony.js)
  */
-export function drawHuePolarChart(canvas, hValues, title = '色相分布') {
+export function drawHuePolarChart(canvas, hValues, title = '色相分布', harmonyAngles = []) {
   const ctx = canvas.getContext('2d');
   const width = canvas.width;
   const height = canvas.height;
@@ -35,46 +42,16 @@ export function drawHuePolarChart(canvas, hValues, title = '色相分布') {
   }
 
   // Create hue histogram bins (36 bins for 10-degree precision)
-  const numBins = 36;
-  const bins = new Array(numBins).fill(0);
-  hValues.forEach(h => {
-    const binIndex = Math.min(numBins - 1, Math.floor(h * numBins));
-    bins[binIndex]++;
-  });
+  const numBins = HUE_POLAR_BINS;
+  const bins = computeHueBins(hValues, numBins);
 
   // Find max value for scaling
   const maxCount = Math.max(...bins);
-  const minRadius = 30; // Inner radius (for visual appeal)
+  const minRadius = HUE_POLAR_MIN_RADIUS; // Inner radius (for visual appeal)
 
   // Draw polar grid with logarithmic scale labels
-  ctx.strokeStyle = '#444';
-  ctx.lineWidth = 1;
-  ctx.fillStyle = '#666';
-  ctx.font = '10px sans-serif';
-
-  for (let r = minRadius; r <= maxRadius; r += (maxRadius - minRadius) / 4) {
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, r, 0, Math.PI * 2);
-    ctx.stroke();
-
-    // Calculate corresponding count for this radius (log scale)
-    const radiusRatio = (r - minRadius) / (maxRadius - minRadius);
-    const logRatio = Math.pow(Math.max(maxCount, 1) + 1, radiusRatio) - 1;
-    const labelValue = Math.round(logRatio);
-    ctx.fillText(labelValue.toString(), centerX + 5, centerY - r + 12);
-  }
-
-  // Draw angular grid
-  for (let i = 0; i < 12; i++) {
-    const angle = (i / 12) * Math.PI * 2 - Math.PI / 2; // Start from top
-    ctx.beginPath();
-    ctx.moveTo(centerX, centerY);
-    ctx.lineTo(
-      centerX + Math.cos(angle) * maxRadius,
-      centerY + Math.sin(angle) * maxRadius
-    );
-    ctx.stroke();
-  }
+  drawHuePolarGrid(ctx, centerX, centerY, minRadius, maxRadius, radiusRatio =>
+    Math.round(Math.pow(Math.max(maxCount, 1) + 1, radiusRatio) - 1).toString());
 
   // Draw colored bars with logarithmic scale
   const barWidth = (Math.PI * 2) / numBins;
@@ -101,28 +78,93 @@ export function drawHuePolarChart(canvas, hValues, title = '色相分布') {
     ctx.fill();
   });
 
-  // Draw center circle
-  ctx.fillStyle = '#333';
-  ctx.beginPath();
-  ctx.arc(centerX, centerY, minRadius - 2, 0, Math.PI * 2);
-  ctx.fill();
+  drawHuePolarCenterAndLabels(ctx, centerX, centerY, minRadius, maxRadius);
+  drawHarmonyAngles(ctx, centerX, centerY, minRadius, maxRadius, harmonyAngles);
 
-  // Draw hue labels
-  ctx.fillStyle = '#888';
-  ctx.font = '10px sans-serif';
+  // Title
+  ctx.fillStyle = '#fff';
+  ctx.font = 'bold 14px sans-serif';
   ctx.textAlign = 'center';
+  ctx.fillText(title, centerX, 20);
+}
 
-  const labelHues = [0, 3, 6, 9]; // Red, Yellow, Green, Blue
-  const labelNames = ['R', 'Y', 'G', 'B'];
+/**
+ * Overlays the hue distributions of several images on one polar chart.
+ * Each series is drawn as an outline in its own color; radii are shares of the
+ * series' own pixels, so images of different sizes compare directly.
+ * @param {HTMLCanvasElement} canvas - The canvas element
+ * @param {Array<{values: number[], color: string, label: string}>} series - Hue values (0-1) per image
+ * @param {string} title - Chart title
+ */
+export function drawHuePolarComparison(canvas, series, title = '色相分布对比') {
+  const ctx = canvas.getContext('2d');
+  const width = canvas.width;
+  const height = canvas.height;
+  const centerX = width / 2;
+  const centerY = height / 2;
+  const maxRadius = Math.min(centerX, centerY) - 40;
+  const minRadius = HUE_POLAR_MIN_RADIUS;
 
-  labelHues.forEach((h, i) => {
-    const angle = (h / 12) * Math.PI * 2 - Math.PI / 2;
-    const labelR = maxRadius + 15;
-    ctx.fillText(
-      labelNames[i],
-      centerX + Math.cos(angle) * labelR,
-      centerY + Math.sin(angle) * labelR + 3
-    );
+  // Clear canvas
+  ctx.fillStyle = '#2a2a2a';
+  ctx.fillRect(0, 0, width, height);
+
+  const visibleSeries = series.filter(item => item.values && item.values.length > 0);
+  if (visibleSeries.length === 0) {
+    ctx.fillStyle = '#888';
+    ctx.textAlign = 'center';
+    ctx.font = '14px sans-serif';
+    ctx.fillText(t('analysis.noHueData'), centerX, centerY);
+    return;
+  }
+
+  const shares = visibleSeries.map(item => computeHueBins(item.values, HUE_POLAR_BINS).map(count => count / item.values.length));
+  const maxShare = Math.max(...shares.map(bins => Math.max(...bins)), 1e-6);
+
+  drawHuePolarGrid(ctx, centerX, centerY, minRadius, maxRadius, radiusRatio => `${(radiusRatio * maxShare * 100).toFixed(1)}%`);
+
+  // Thin hue ring as a reference for the angles
+  const barWidth = (Math.PI * 2) / HUE_POLAR_BINS;
+  for (let i = 0; i < HUE_POLAR_BINS; i++) {
+    ctx.strokeStyle = `hsl(${(i / HUE_POLAR_BINS) * 360}, 80%, 50%)`;
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, maxRadius + 4, i * barWidth - Math.PI / 2, (i + 1) * barWidth - Math.PI / 2);
+    ctx.stroke();
+  }
+
+  // One closed outline per series, points at the bin centers
+  visibleSeries.forEach((item, index) => {
+    ctx.beginPath();
+    shares[index].forEach((share, i) => {
+      const angle = (i + 0.5) * barWidth - Math.PI / 2;
+      const r = minRadius + (maxRadius - minRadius) * (share / maxShare);
+      const x = centerX + Math.cos(angle) * r;
+      const y = centerY + Math.sin(angle) * r;
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.closePath();
+    ctx.globalAlpha = 0.2;
+    ctx.fillStyle = item.color;
+    ctx.fill();
+    ctx.globalAlpha = 1.0;
+    ctx.strokeStyle = item.color;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+  });
+
+  drawHuePolarCenterAndLabels(ctx, centerX, centerY, minRadius, maxRadius);
+
+  // Legend
+  ctx.font = '11px sans-serif';
+  ctx.textAlign = 'left';
+  visibleSeries.forEach((item, index) => {
+    const y = height - 12 - (visibleSeries.length - 1 - index) * 16;
+    ctx.fillStyle = item.color;
+    ctx.fillRect(10, y - 9, 10, 10);
+    ctx.fillStyle = '#ccc';
+    ctx.fillText(item.label, 26, y);
   });
 
   // Title
@@ -278,8 +320,10 @@ export function drawHsvSquareChart(canvas, pixelData, title = 'HSV分布图') {
  * @param {number} imageWidth - Image width
  * @param {number} imageHeight - Image height
  * @param {string} title - Chart title
+ * @param {object} distanceGrid - Optional precomputed result of computeColorDistanceGrid (e.g. from the analysis worker)
+ * @param {string} distanceMetric - Distance metric used when the grid is computed here (see DISTANCE_METRICS)
  */
-export function drawColorDistanceHeatmap(canvas, palette, pixelData, imageWidth, imageHeight, title = '色彩距离热力图') {
+export function drawColorDistanceHeatmap(canvas, palette, pixelData, imageWidth, imageHeight, title = '色彩距离热力图', distanceGrid = null, distanceMetric = 'deltaE76') {
   const ctx = canvas.getContext('2d');
   const canvasWidth = canvas.width;
   const canvasHeight = canvas.height;
@@ -288,7 +332,9 @@ export function drawColorDistanceHeatmap(canvas, palette, pixelData, imageWidth,
   ctx.fillStyle = '#2a2a2a';
   ctx.fillRect(0, 0, canvasWidth, canvasHeight);
 
-  if (!palette || palette.length === 0 || !pixelData) {
+  const grid = distanceGrid || computeColorDistanceGrid(palette, pixelData, imageWidth, imageHeight, 50, distanceMetric);
+
+  if (!grid) {
     ctx.fillStyle = '#888';
     ctx.textAlign = 'center';
     ctx.font = '14px sans-serif';
@@ -318,65 +364,18 @@ export function drawColorDistanceHeatmap(canvas, palette, pixelData, imageWidth,
     offsetY = margin;
   }
 
-  // Use a fixed grid size (e.g., 50x50) that will be scaled
-  const gridSize = 50;
+  // The grid (e.g., 50x50) is scaled to the chart area
+  const { distances, gridSize } = grid;
   const cellWidth = chartWidth / gridSize;
   const cellHeight = chartHeight / gridSize;
 
-  // Downsample image for the heatmap
-  const sampleCellWidth = imageWidth / gridSize;
-  const sampleCellHeight = imageHeight / gridSize;
-
-  // Calculate average distance from each cell to nearest palette color
-  const distances = [];
-
-  for (let gy = 0; gy < gridSize; gy++) {
-    for (let gx = 0; gx < gridSize; gx++) {
-      const startX = Math.floor(gx * sampleCellWidth);
-      const endX = Math.floor((gx + 1) * sampleCellWidth);
-      const startY = Math.floor(gy * sampleCellHeight);
-      const endY = Math.floor((gy + 1) * sampleCellHeight);
-
-      let totalDist = 0;
-      let count = 0;
-
-      for (let y = startY; y < endY; y++) {
-        for (let x = startX; x < endX; x++) {
-          const idx = (y * imageWidth + x) * 4;
-          if (idx + 3 >= pixelData.length) continue;
-
-          const r = pixelData[idx];
-          const g = pixelData[idx + 1];
-          const b = pixelData[idx + 2];
-
-          const pixelLab = rgbToLab(r, g, b);
-
-          let minDist = Infinity;
-          for (const color of palette) {
-            const dist = Math.sqrt(
-              Math.pow(pixelLab[0] - color.lab[0], 2) +
-              Math.pow(pixelLab[1] - color.lab[1], 2) +
-              Math.pow(pixelLab[2] - color.lab[2], 2)
-            );
-            minDist = Math.min(minDist, dist);
-          }
-
-          totalDist += minDist;
-          count++;
-        }
-      }
-
-      const avgDist = count > 0 ? totalDist / count : 0;
-      distances.push(avgDist);
-    }
-  }
-
-  const maxDist = Math.max(...distances, 1);
+  const maxDist = Math.max(grid.maxDistance, 1);
 
   for (let i = 0; i < distances.length; i++) {
     const gx = i % gridSize;
     const gy = Math.floor(i / gridSize);
     const dist = distances[i];
+    if (Number.isNaN(dist)) continue; // Transparent cell
     const normalizedDist = dist / maxDist;
 
     let r, g_, b_;
@@ -561,3 +560,116 @@ function labToRgbApproximation(l, a, b) {
     b: Math.max(0, Math.min(255, Math.round((bl > 0.0031308 ? 1.055 * Math.pow(bl, 1 / 2.4) - 0.055 : bl * 12.92) * 255)))
   };
 }
+
+/**
+ * Counts hue values (0-1) into numBins equal bins
+ */
+function computeHueBins(hValues, numBins) {
+  const bins = new Array(numBins).fill(0);
+  hValues.forEach(h => {
+    const binIndex = Math.min(numBins - 1, Math.floor(h * numBins));
+    bins[binIndex]++;
+  });
+  return bins;
+}
+
+/**
+ * Concentric rings (labelled by labelForRatio(0-1)) and 30-degree spokes of the hue polar charts
+ */
+function drawHuePolarGrid(ctx, centerX, centerY, minRadius, maxRadius, labelForRatio) {
+  ctx.strokeStyle = '#444';
+  ctx.lineWidth = 1;
+  ctx.fillStyle = '#666';
+  ctx.font = '10px sans-serif';
+  ctx.textAlign = 'left';
+
+  for (let r = minRadius; r <= maxRadius; r += (maxRadius - minRadius) / 4) {
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, r, 0, Math.PI * 2);
+    ctx.stroke();
+
+    const radiusRatio = (r - minRadius) / (maxRadius - minRadius);
+    ctx.fillText(labelForRatio(radiusRatio), centerX + 5, centerY - r + 12);
+  }
+
+  // Draw angular grid
+  for (let i = 0; i < 12; i++) {
+    const angle = (i / 12) * Math.PI * 2 - Math.PI / 2; // Start from top
+    ctx.beginPath();
+    ctx.moveTo(centerX, centerY);
+    ctx.lineTo(
+      centerX + Math.cos(angle) * maxRadius,
+      centerY + Math.sin(angle) * maxRadius
+    );
+    ctx.stroke();
+  }
+}
+
+/**
+ * Center circle and R/Y/G/B hue labels of the hue polar charts
+ */
+// Dashed spokes at the ideal hues of a harmony scheme, joined into its polygon
+function drawHarmonyAngles(ctx, centerX, centerY, minRadius, maxRadius, angles) {
+  if (!angles || angles.length === 0) return;
+  const points = angles.map(degrees => {
+    const angle = (degrees / 360) * Math.PI * 2 - Math.PI / 2;
+    return { cos: Math.cos(angle), sin: Math.sin(angle) };
+  });
+
+  ctx.save();
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+  ctx.lineWidth = 1.5;
+  ctx.setLineDash([4, 4]);
+  points.forEach(({ cos, sin }) => {
+    ctx.beginPath();
+    ctx.moveTo(centerX + cos * minRadius, centerY + sin * minRadius);
+    ctx.lineTo(centerX + cos * maxRadius, centerY + sin * maxRadius);
+    ctx.stroke();
+  });
+
+  if (points.length > 1) {
+    ctx.setLineDash([]);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.beginPath();
+    points.forEach(({ cos, sin }, i) => {
+      const x = centerX + cos * maxRadius;
+      const y = centerY + sin * maxRadius;
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.closePath();
+    ctx.stroke();
+  }
+
+  ctx.fillStyle = '#fff';
+  points.forEach(({ cos, sin }) => {
+    ctx.beginPath();
+    ctx.arc(centerX + cos * maxRadius, centerY + sin * maxRadius, 4, 0, Math.PI * 2);
+    ctx.fill();
+  });
+  ctx.restore();
+}
+
+function drawHuePolarCenterAndLabels(ctx, centerX, centerY, minRadius, maxRadius) {
+  ctx.fillStyle = '#333';
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, minRadius - 2, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.fillStyle = '#888';
+  ctx.font = '10px sans-serif';
+  ctx.textAlign = 'center';
+
+  const labelHues = [0, 3, 6, 9]; // Red, Yellow, Green, Blue
+  const labelNames = ['R', 'Y', 'G', 'B'];
+
+  labelHues.forEach((h, i) => {
+    const angle = (h / 12) * Math.PI * 2 - Math.PI / 2;
+    const labelR = maxRadius + 15;
+    ctx.fillText(
+      labelNames[i],
+      centerX + Math.cos(angle) * labelR,
+      centerY + Math.sin(angle) * labelR + 3
+    );
+  });
+}
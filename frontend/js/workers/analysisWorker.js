@@ -0,0 +1,73 @@
+/**
+ * Web Worker (module) running the full analysis pipeline off the main thread:
+ * SLIC, color quantization, k-means palette analysis, color stats, the distance heatmap and
+ * the S/L maps. Uses the same { type, data } message protocol as labConverter.js.
+ *
+ * Messages in:
+ *   { type: 'analyze', data: { jobId, pixelData, width, height, params, includeVisualizations, lockedColors } }
+ * Messages out:
+ *   { type: 'progress', data: { jobId, stage, progress } }         progress in [0, 1]
+ *   { type: 'analysisComplete', data: { jobId, result } }
+ *   { type: 'error', data: { jobId, message } }
+ */
+
+import { analyzeImage, getVisiblePixels, PIPELINE_STAGES } from '../pipeline.js';
+import { computeColorDistanceGrid } from '../colorStats.js';
+import { computeSLMaps } from '../slMapRenderer.js';
+
+// Stages computed here after the pipeline, for the visualizations
+const VISUALIZATION_STAGES = ['heatmap', 'slMaps'];
+
+/**
+ * Runs the pipeline (and optionally the visualization data) for one job, posting progress.
+ */
+function runAnalysis({ jobId, pixelData, width, height, params, includeVisualizations = true, lockedColors = [] }) {
+  const stages = includeVisualizations ? [...PIPELINE_STAGES, ...VISUALIZATION_STAGES] : PIPELINE_STAGES;
+  const reportStage = (stage) => {
+    self.postMessage({ type: 'progress', data: { jobId, stage, progress: stages.indexOf(stage) / stages.length } });
+  };
+
+  const result = analyzeImage(pixelData, width, height, params, {
+    onProgress: (stage) => reportStage(stage),
+    lockedColors
+  });
+
+  if (includeVisualizations) {
+    // Same transparency handling as the palette (e.g. matte compositing), in sRGB like the palette
+    const visibleData = getVisiblePixels(pixelData, params);
+
+    reportStage('heatmap');
+    result.distanceGrid = computeColorDistanceGrid(result.palette, visibleData, width, height, 50, result.params.distanceMetric);
+
+    reportStage('slMaps');
+    result.slMaps = computeSLMaps(visibleData, width, height, 16, result.params.quantizer);
+  }
+
+  self.postMessage({ type: 'progress', data: { jobId, stage: 'done', progress: 1 } });
+
+  // Transfer the large typed arrays instead of copying them
+  const transfer = [];
+  if (result.superpixels && result.superpixels.labels) transfer.push(result.superpixels.labels.buffer);
+  if (result.distanceGrid) transfer.push(result.distanceGrid.distances.buffer);
+  if (result.slMaps) transfer.push(result.slMaps.clustered.buffer, result.slMaps.sMap.buffer, result.slMaps.lMap.buffer);
+
+  self.postMessage({ type: 'analysisComplete', data: { jobId, result } }, transfer);
+}
+
+// Handle messages from main thread
+self.onmessage = function(e) {
+  const { type, data } = e.data;
+
+  try {
+    switch (type) {
+      case 'analyze':
+        runAnalysis(data);
+        break;
+
+      default:
+        self.postMessage({ type: 'error', data: { jobId: data && data.jobId, message: `Unknown message type: ${type}` } });
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', data: { jobId: data && data.jobId, message: error.message } });
+  }
+};
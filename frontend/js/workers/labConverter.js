@@ -70,13 +70,122 @@ function rgbToLabWorker(r, g, b) {
  * @param {number[]} lab2 - Second Lab color
  * @returns {number} Color distance (Delta E 1976)
  */
-function labDistanceWorker(lab1, lab2) {
+function deltaE76Worker(lab1, lab2) {
   const deltaL = lab1[0] - lab2[0];
   const deltaA = lab1[1] - lab2[1];
   const deltaB = lab1[2] - lab2[2];
   return Math.sqrt(deltaL * deltaL + deltaA * deltaA + deltaB * deltaB);
 }
 
+/**
+ * CIE94 color difference (graphic arts weights), lab1 is the reference color
+ * @param {number[]} lab1 - Reference Lab color
+ * @param {number[]} lab2 - Sample Lab color
+ * @returns {number} Color distance (Delta E 1994)
+ */
+function deltaE94Worker(lab1, lab2) {
+  const C1 = Math.sqrt(lab1[1] * lab1[1] + lab1[2] * lab1[2]);
+  const C2 = Math.sqrt(lab2[1] * lab2[1] + lab2[2] * lab2[2]);
+  const deltaL = lab1[0] - lab2[0];
+  const deltaC = C1 - C2;
+  const deltaA = lab1[1] - lab2[1];
+  const deltaB = lab1[2] - lab2[2];
+  const deltaH2 = Math.max(0, deltaA * deltaA + deltaB * deltaB - deltaC * deltaC);
+
+  const SC = 1 + 0.045 * C1;
+  const SH = 1 + 0.015 * C1;
+
+  return Math.sqrt(deltaL * deltaL + (deltaC / SC) * (deltaC / SC) + deltaH2 / (SH * SH));
+}
+
+/**
+ * CIEDE2000 color difference (kL = kC = kH = 1)
+ * Same formula as deltaE2000 in colorUtils.js (classic workers cannot import modules)
+ * @param {number[]} lab1 - First Lab color
+ * @param {number[]} lab2 - Second Lab color
+ * @returns {number} Color distance (Delta E 2000)
+ */
+function deltaE2000Worker(lab1, lab2) {
+  const [L1, a1, b1] = lab1;
+  const [L2, a2, b2] = lab2;
+  const toRad = Math.PI / 180;
+  const pow25To7 = 6103515625; // 25^7
+
+  const meanC = (Math.sqrt(a1 * a1 + b1 * b1) + Math.sqrt(a2 * a2 + b2 * b2)) / 2;
+  const meanC7 = Math.pow(meanC, 7);
+  const G = 0.5 * (1 - Math.sqrt(meanC7 / (meanC7 + pow25To7)));
+  const a1p = a1 * (1 + G);
+  const a2p = a2 * (1 + G);
+  const C1p = Math.sqrt(a1p * a1p + b1 * b1);
+  const C2p = Math.sqrt(a2p * a2p + b2 * b2);
+
+  const hueAngle = (b, ap) => {
+    if (b === 0 && ap === 0) return 0;
+    const h = Math.atan2(b, ap) / toRad;
+    return h < 0 ? h + 360 : h;
+  };
+  const h1p = hueAngle(b1, a1p);
+  const h2p = hueAngle(b2, a2p);
+
+  const deltaLp = L2 - L1;
+  const deltaCp = C2p - C1p;
+  let deltahp = 0;
+  if (C1p * C2p !== 0) {
+    deltahp = h2p - h1p;
+    if (deltahp > 180) deltahp -= 360;
+    else if (deltahp < -180) deltahp += 360;
+  }
+  const deltaHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((deltahp / 2) * toRad);
+
+  const meanLp = (L1 + L2) / 2;
+  const meanCp = (C1p + C2p) / 2;
+  let meanhp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) meanhp /= 2;
+    else meanhp = meanhp < 360 ? (meanhp + 360) / 2 : (meanhp - 360) / 2;
+  }
+
+  const T = 1 -
+    0.17 * Math.cos((meanhp - 30) * toRad) +
+    0.24 * Math.cos(2 * meanhp * toRad) +
+    0.32 * Math.cos((3 * meanhp + 6) * toRad) -
+    0.20 * Math.cos((4 * meanhp - 63) * toRad);
+  const deltaTheta = 30 * Math.exp(-Math.pow((meanhp - 275) / 25, 2));
+  const meanCp7 = Math.pow(meanCp, 7);
+  const RC = 2 * Math.sqrt(meanCp7 / (meanCp7 + pow25To7));
+  const lightness = (meanLp - 50) * (meanLp - 50);
+  const SL = 1 + (0.015 * lightness) / Math.sqrt(20 + lightness);
+  const SC = 1 + 0.045 * meanCp;
+  const SH = 1 + 0.015 * meanCp * T;
+  const RT = -Math.sin(2 * deltaTheta * toRad) * RC;
+
+  const termL = deltaLp / SL;
+  const termC = deltaCp / SC;
+  const termH = deltaHp / SH;
+  return Math.sqrt(termL * termL + termC * termC + termH * termH + RT * termC * termH);
+}
+
+const labDistances = {
+  deltaE76: deltaE76Worker,
+  deltaE94: deltaE94Worker,
+  deltaE2000: deltaE2000Worker
+};
+
+/**
+ * Calculates the distance between two Lab colors with the given metric
+ * @param {number[]} lab1 - First (reference) Lab color
+ * @param {number[]} lab2 - Second Lab color
+ * @param {string} metric - 'deltaE76' | 'deltaE94' | 'deltaE2000'
+ * @returns {number} Color distance
+ */
+function labDistanceWorker(lab1, lab2, metric = 'deltaE76') {
+  const distance = labDistances[metric];
+  if (!distance) {
+    throw new Error(`Unknown Lab distance metric: ${metric}`);
+  }
+  return distance(lab1, lab2);
+}
+
 /**
  * Converts RGB pixel data to Lab format
  * @param {Uint8ClampedArray} pixelData - RGBA pixel data
@@ -139,14 +248,14 @@ self.onmessage = function(e) {
         break;
 
       case 'distance':
-        const { lab1, lab2 } = data;
-        const dist = labDistanceWorker(lab1, lab2);
+        const { lab1, lab2, metric } = data;
+        const dist = labDistanceWorker(lab1, lab2, metric);
         self.postMessage({ type: 'distanceCalculated', data: dist });
         break;
 
       case 'batchDistance':
-        const { referenceLab, compareLabs } = data;
-        const distances = compareLabs.map(lab => labDistanceWorker(referenceLab, lab));
+        const { referenceLab, compareLabs, metric: batchMetric } = data;
+        const distances = compareLabs.map(lab => labDistanceWorker(referenceLab, lab, batchMetric));
         self.postMessage({ type: 'batchDistanceComplete', data: distances });
         break;
 
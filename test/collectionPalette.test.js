@@ -0,0 +1,23 @@
+// test/collectionPalette.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCollectionPalette } from '../frontend/js/collectionPalette.js';
+
+// Analysis result with one palette entry per color
+function analysis (...colors) {
+  return { transparentShare: 0, palette: colors.map(([r, g, b]) => ({ rgb: { r, g, b }, percentage: 1 / colors.length })) };
+}
+
+test('the same color in several images becomes one entry', () => {
+  const palette = buildCollectionPalette([analysis([255, 0, 0]), analysis([254, 0, 0])]);
+  assert.equal(palette.length, 1);
+  assert.equal(palette[0].imageCount, 2);
+  assert.ok(Math.abs(palette[0].percentage - 1) < 1e-9);
+});
+
+test('collections are merged down to the target size', () => {
+  const analyses = [analysis([255, 0, 0], [0, 0, 255]), analysis([0, 200, 0], [250, 250, 250])];
+  assert.equal(buildCollectionPalette(analyses).length, 4);
+  assert.equal(buildCollectionPalette(analyses, { targetSize: 2 }).length, 2);
+  assert.deepEqual(buildCollectionPalette([]), []);
+});
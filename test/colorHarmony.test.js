@@ -0,0 +1,28 @@
+// test/colorHarmony.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeHarmony, suggestHarmonies, HARMONY_TYPES } from '../frontend/js/colorHarmony.js';
+
+// Palette entry with an even share
+function color (r, g, b) {
+  return { rgb: { r, g, b }, percentage: 0.5 };
+}
+
+test('opposite hues are complementary', () => {
+  const harmony = analyzeHarmony([color(255, 0, 0), color(0, 255, 255)]);
+  assert.equal(harmony.type, 'complementary');
+  assert.equal(harmony.deviation, 0);
+  assert.equal(harmony.chromaticCount, 2);
+});
+
+test('grey palettes have no harmony', () => {
+  const harmony = analyzeHarmony([color(0, 0, 0), color(128, 128, 128), color(255, 255, 255)]);
+  assert.equal(harmony.type, null);
+  assert.deepEqual(harmony.fits, []);
+});
+
+test('suggestions cover every scheme', () => {
+  const suggestions = suggestHarmonies([color(200, 60, 40)]);
+  assert.deepEqual(suggestions.map(suggestion => suggestion.type), Object.keys(HARMONY_TYPES));
+  assert.deepEqual(suggestHarmonies([]), []);
+});
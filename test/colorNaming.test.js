@@ -0,0 +1,28 @@
+// test/colorNaming.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { nameColor, nameColors, parseColorDictionary, registerColorDictionary, getColorDictionaryNames } from '../frontend/js/colorNaming.js';
+
+test('exact dictionary colors get their own name', () => {
+  const named = nameColor({ r: 255, g: 0, b: 0 });
+  assert.equal(named.name, 'red');
+  assert.equal(named.hex, '#FF0000');
+  assert.equal(named.distance, 0);
+  assert.throws(() => nameColor({ r: 0, g: 0, b: 0 }, 'missing'), /Unknown color dictionary/);
+});
+
+test('dictionary files parse from JSON, GPL and plain text', () => {
+  assert.deepEqual(parseColorDictionary('{"Paper": "#f4efe6", "Bad": "nope"}'), { Paper: '#F4EFE6' });
+  assert.deepEqual(parseColorDictionary('[{"name": "Ink", "hex": "#2b2d42"}]'), { Ink: '#2B2D42' });
+  assert.deepEqual(parseColorDictionary('GIMP Palette\nName: test\n244 239 230 Paper\n'), { Paper: '#F4EFE6' });
+  assert.deepEqual(parseColorDictionary('// comment\nPaper #f4efe6\n#2b2d42 Ink\nPaper #000000\n'),
+    { Paper: '#F4EFE6', Ink: '#2B2D42' });
+  assert.throws(() => parseColorDictionary('nothing here'), /No named colors/);
+});
+
+test('registered dictionaries name palette colors', () => {
+  registerColorDictionary('test-brand', { Paper: '#F4EFE6', Ink: '#2B2D42' });
+  assert.ok(getColorDictionaryNames().includes('test-brand'));
+  const named = nameColors([{ rgb: { r: 240, g: 238, b: 228 } }, { rgb: { r: 40, g: 44, b: 70 } }], 'test-brand');
+  assert.deepEqual(named.map(color => color.name), ['Paper', 'Ink']);
+});
@@ -0,0 +1,30 @@
+// test/colorVision.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { simulateColor, simulatePixels, findConfusedPairs, CVD_TYPES } from '../frontend/js/colorVision.js';
+
+// Palette entry from channel values
+function color (r, g, b) {
+  return { rgb: { r, g, b } };
+}
+
+test('neutral colors look the same with every deficiency', () => {
+  for (const type of Object.keys(CVD_TYPES)) {
+    assert.deepEqual(simulateColor({ r: 255, g: 255, b: 255 }, type), { r: 255, g: 255, b: 255 }, type);
+    assert.deepEqual(simulateColor({ r: 0, g: 0, b: 0 }, type), { r: 0, g: 0, b: 0 }, type);
+  }
+});
+
+test('simulated pixels keep their alpha', () => {
+  const pixels = new Uint8ClampedArray([200, 60, 40, 128]);
+  const simulated = simulatePixels(pixels, 'protanopia');
+  assert.equal(simulated[3], 128);
+  assert.equal(pixels[0], 200);
+});
+
+test('red and green are confused with deuteranopia', () => {
+  const palette = [color(200, 60, 40), color(90, 140, 40), color(0, 0, 255)];
+  const pairs = findConfusedPairs(palette, 'deuteranopia');
+  assert.deepEqual(pairs.map(({ a, b }) => [a, b]), [[0, 1]]);
+  assert.ok(pairs[0].originalDistance > pairs[0].distance);
+});
@@ -0,0 +1,36 @@
+// test/contrastAnalysis.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { contrastRatio, wcagLevels, suggestPassingColor, buildContrastMatrix, WCAG_LEVELS } from '../frontend/js/contrastAnalysis.js';
+
+const black = { r: 0, g: 0, b: 0 };
+const white = { r: 255, g: 255, b: 255 };
+
+test('black on white has the maximum contrast ratio', () => {
+  assert.equal(contrastRatio(black, white), 21);
+  assert.equal(contrastRatio(white, black), 21);
+  assert.equal(contrastRatio(white, white), 1);
+  assert.deepEqual(wcagLevels(4.5), { aaNormal: true, aaLarge: true, aaaNormal: false, aaaLarge: true });
+});
+
+test('suggested colors reach the target ratio', () => {
+  const gray = { r: 150, g: 150, b: 150 };
+  const suggestion = suggestPassingColor(gray, white, WCAG_LEVELS.aaNormal);
+  assert.ok(suggestion.ratio >= WCAG_LEVELS.aaNormal);
+  assert.ok(suggestion.deltaL < 0);
+  assert.equal(suggestPassingColor(gray, gray, 22), null);
+});
+
+test('the matrix pairs foregrounds with the background colors', () => {
+  const palette = [
+    { rgb: white, isBackground: true },
+    { rgb: black },
+    { rgb: { r: 200, g: 200, b: 200 } }
+  ];
+  const matrix = buildContrastMatrix(palette);
+  assert.deepEqual(matrix.backgrounds, [0]);
+  assert.deepEqual(matrix.foregrounds, [1, 2]);
+  assert.equal(matrix.rows[0][0].suggestion, null);
+  assert.ok(matrix.rows[1][0].suggestion.ratio >= WCAG_LEVELS.aaNormal);
+  assert.throws(() => buildContrastMatrix(palette, 'aaHuge'), /Unknown contrast target/);
+});
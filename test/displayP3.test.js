@@ -0,0 +1,35 @@
+// test/displayP3.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  displayP3ToSrgb, srgbToDisplayP3, isInSrgbGamut, convertPixels,
+  fromDisplayP3Color, getDisplayP3, cssDisplayP3
+} from '../frontend/js/displayP3.js';
+
+test('sRGB colors round trip through Display P3', () => {
+  for (const [r, g, b] of [[0, 0, 0], [255, 255, 255], [200, 60, 40], [12, 140, 230]]) {
+    const p3 = srgbToDisplayP3(r, g, b);
+    assert.deepEqual(displayP3ToSrgb(...p3).map(Math.round), [r, g, b]);
+    assert.equal(isInSrgbGamut(...p3.map(Math.round)), true);
+  }
+  assert.equal(isInSrgbGamut(255, 0, 0), false);
+});
+
+test('pixel data converts between the spaces', () => {
+  const pixels = new Uint8ClampedArray([255, 0, 0, 255, 128, 128, 128, 0]);
+  assert.equal(convertPixels(pixels, 'srgb', 'srgb'), pixels);
+  const converted = convertPixels(pixels, 'display-p3', 'srgb');
+  assert.deepEqual(Array.from(converted.slice(0, 4)), [255, 0, 0, 255]);
+  assert.equal(converted[7], 0);
+  assert.throws(() => convertPixels(pixels, 'srgb', 'rec2020'), /Unknown color space/);
+});
+
+test('palette entries keep their Display P3 values', () => {
+  const color = fromDisplayP3Color({ rgb: { r: 255, g: 0, b: 0 }, percentage: 1 });
+  assert.deepEqual(color.rgb, { r: 255, g: 0, b: 0 });
+  assert.deepEqual(color.displayP3, { r: 255, g: 0, b: 0 });
+  assert.equal(color.outOfSrgb, true);
+  assert.deepEqual(getDisplayP3(color), { r: 255, g: 0, b: 0 });
+  assert.deepEqual(getDisplayP3({ rgb: { r: 255, g: 255, b: 255 } }), { r: 255, g: 255, b: 255 });
+  assert.equal(cssDisplayP3({ r: 255, g: 51, b: 0 }), 'color(display-p3 1 0.2 0)');
+});
@@ -0,0 +1,25 @@
+// test/medianCut.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { extractDominantColors } from '../frontend/js/medianCut.js';
+
+// RGBA pixels with distinct reds; only the first `visible` ones are opaque
+function pixels (count, visible) {
+  const pixelData = new Uint8Array(count * 4);
+  for (let i = 0; i < count; i++) {
+    pixelData.set([i * 7 % 256, 50, 90, i < visible ? 255 : 0], i * 4);
+  }
+  return pixelData;
+}
+
+test('fully transparent pixel data has no dominant colors', () => {
+  assert.deepEqual(extractDominantColors(pixels(100, 0), 8), []);
+});
+
+test('fewer visible pixels than colors gives one color per pixel', () => {
+  const colors = extractDominantColors(pixels(100, 3), 8);
+  assert.equal(colors.length, 3);
+  for (const color of colors) {
+    assert.ok([color.r, color.g, color.b].every(Number.isFinite));
+  }
+});
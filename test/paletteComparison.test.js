@@ -0,0 +1,27 @@
+// test/paletteComparison.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { comparePalettes } from '../frontend/js/paletteComparison.js';
+
+// Palette entry from channel values and share
+function color (r, g, b, percentage) {
+  return { rgb: { r, g, b }, percentage };
+}
+
+test('the same colors in another order are identical', () => {
+  const paletteA = [color(255, 0, 0, 0.6), color(0, 0, 255, 0.4)];
+  const paletteB = [color(0, 0, 255, 0.4), color(255, 0, 0, 0.6)];
+  const result = comparePalettes(paletteA, paletteB);
+  assert.equal(result.similarity, 100);
+  assert.deepEqual(result.matches.map(({ indexA, indexB }) => [indexA, indexB]), [[0, 1], [1, 0]]);
+  assert.deepEqual(result.unmatchedA, []);
+  assert.deepEqual(result.unmatchedB, []);
+});
+
+test('extra colors stay unmatched and lower the similarity', () => {
+  const paletteA = [color(255, 0, 0, 0.5), color(0, 255, 0, 0.5)];
+  const result = comparePalettes(paletteA, [color(255, 0, 0, 1)]);
+  assert.deepEqual(result.unmatchedA, [1]);
+  assert.ok(result.similarity < 100);
+  assert.throws(() => comparePalettes(paletteA, paletteA, { distanceMetric: 'manhattan' }), /Unknown distance metric/);
+});
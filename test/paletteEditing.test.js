@@ -0,0 +1,51 @@
+// test/paletteEditing.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { moveColor, removeColor, setColorLocked, mergeColors, addColor, getLockedColors } from '../frontend/js/paletteEditing.js';
+import { rgbToLab } from '../frontend/js/colorUtils.js';
+
+// Palette entry as the analysis returns it
+function entry (r, g, b, percentage, extra = {}) {
+  return { rgb: { r, g, b }, lab: rgbToLab(r, g, b), count: percentage * 100, percentage, isBackground: false, isHidden: false, ...extra };
+}
+
+test('edits return new palettes and leave the input alone', () => {
+  const palette = [entry(255, 0, 0, 0.5), entry(0, 255, 0, 0.3), entry(0, 0, 255, 0.2)];
+  assert.deepEqual(moveColor(palette, 0, 2).map(color => color.rgb.r), [0, 0, 255]);
+  assert.equal(removeColor(palette, 1).length, 2);
+  assert.equal(setColorLocked(palette, 1)[1].locked, true);
+  assert.equal(palette.length, 3);
+  assert.equal(palette[1].locked, undefined);
+  assert.throws(() => removeColor(palette, 3), /out of range/);
+});
+
+test('merging weighs the colors by their share', () => {
+  const palette = [entry(0, 0, 0, 0.75, { isBackground: true }), entry(255, 255, 255, 0.25, { locked: true })];
+  const [merged] = mergeColors(palette, 0, 1, 'rgb');
+  assert.deepEqual(merged.rgb, { r: 64, g: 64, b: 64 });
+  assert.equal(merged.percentage, 1);
+  assert.equal(merged.isBackground, true);
+  assert.equal(merged.locked, true);
+  assert.throws(() => mergeColors(palette, 0, 0), /itself/);
+});
+
+test('merged colors drop the Display P3 values of the first color', () => {
+  const palette = [
+    entry(255, 0, 0, 0.5, { displayP3: { r: 255, g: 0, b: 0 }, outOfSrgb: true }),
+    entry(0, 0, 255, 0.5)
+  ];
+  const [merged] = mergeColors(palette, 0, 1);
+  assert.equal('displayP3' in merged, false);
+  assert.equal('outOfSrgb' in merged, false);
+});
+
+test('added colors are locked and reported as locked colors', () => {
+  const palette = addColor([entry(10, 20, 30, 1, { displayP3: { r: 12, g: 20, b: 30 }, locked: true })], { r: 300, g: -5, b: 127.6 }, 0);
+  assert.deepEqual(palette[0].rgb, { r: 255, g: 0, b: 128 });
+  assert.equal(palette[0].locked, true);
+  assert.deepEqual(getLockedColors(palette), [
+    { r: 255, g: 0, b: 128 },
+    { r: 10, g: 20, b: 30, displayP3: { r: 12, g: 20, b: 30 } }
+  ]);
+  assert.deepEqual(getLockedColors(null), []);
+});
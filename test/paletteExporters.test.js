@@ -0,0 +1,39 @@
+// test/paletteExporters.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { exportPalette, getPaletteExporterNames } from '../frontend/js/paletteExporters.js';
+import { paletteTokens } from '../frontend/js/exporters/tokens.js';
+import { rgbToLab } from '../frontend/js/colorUtils.js';
+
+// Palette entry as the analysis returns it
+function entry (r, g, b, percentage, extra = {}) {
+  return { rgb: { r, g, b }, lab: rgbToLab(r, g, b), percentage, isBackground: false, isHidden: false, ...extra };
+}
+
+const palette = [
+  entry(43, 45, 66, 0.3),
+  entry(244, 239, 230, 0.5, { isBackground: true }),
+  entry(217, 4, 41, 0.1, { isHidden: true }),
+  entry(141, 153, 174, 0.1)
+];
+
+test('tokens are named by role and lightness', () => {
+  assert.deepEqual(paletteTokens(palette).map(token => token.name), ['tone-200', 'background', 'accent', 'tone-100']);
+});
+
+test('every exporter writes every color', () => {
+  for (const format of getPaletteExporterNames()) {
+    const { content, extension } = exportPalette(palette, format, { name: 'Test' });
+    assert.ok(extension.startsWith('.'), format);
+    assert.ok(content.length > 0, format);
+  }
+  const { content } = exportPalette(palette, 'css', { name: 'Test' });
+  assert.match(content, /--palette-background: #F4EFE6;/);
+  assert.doesNotMatch(content, /display-p3/);
+  assert.throws(() => exportPalette(palette, 'pdf'), /Unknown/);
+});
+
+test('Display P3 colors get color() values in CSS', () => {
+  const p3Palette = [entry(255, 0, 0, 1, { displayP3: { r: 234, g: 51, b: 35 } })];
+  assert.match(exportPalette(p3Palette, 'css', { name: 'Test' }).content, /color\(display-p3 0\.9176 0\.2 0\.1373\)/);
+});
@@ -0,0 +1,53 @@
+// test/paletteImporters.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { importPaletteFile, isImportableFile } from '../frontend/js/paletteImporters.js';
+import { exportPalette } from '../frontend/js/paletteExporters.js';
+import { serializeAnalysisReport } from '../frontend/js/report.js';
+import { parseAse } from '../frontend/js/importers/ase.js';
+import { parseGpl } from '../frontend/js/importers/gpl.js';
+
+const palette = [
+  { rgb: { r: 244, g: 239, b: 230 }, percentage: 0.5, name: 'Paper' },
+  { rgb: { r: 43, g: 45, b: 66 }, percentage: 0.3, name: 'Ink' },
+  { rgb: { r: 217, g: 4, b: 41 }, percentage: 0.2 }
+];
+
+const bytes = (content) => (typeof content === 'string' ? new TextEncoder().encode(content) : content);
+
+test('ASE exports read back with names and colors', () => {
+  const { content } = exportPalette(palette, 'ase', { name: 'Test' });
+  const swatches = parseAse(bytes(content));
+  assert.deepEqual(swatches.map(swatch => swatch.rgb), palette.map(color => color.rgb));
+  assert.deepEqual(swatches.slice(0, 2).map(swatch => swatch.name), ['Paper', 'Ink']);
+});
+
+test('GPL exports read back with names and colors', () => {
+  const { content } = exportPalette(palette, 'gpl', { name: 'Test' });
+  const gpl = parseGpl(content);
+  assert.equal(gpl.name, 'Test');
+  assert.deepEqual(gpl.swatches.map(swatch => swatch.rgb), palette.map(color => color.rgb));
+  assert.deepEqual(gpl.swatches.slice(0, 2).map(swatch => swatch.name), ['Paper', 'Ink']);
+});
+
+test('importPaletteFile picks the parser by extension', () => {
+  for (const format of ['ase', 'gpl']) {
+    const { content } = exportPalette(palette, format, { name: 'Test' });
+    const { analysis } = importPaletteFile(`test.${format}`, bytes(content));
+    assert.deepEqual(analysis.palette.map(color => color.rgb), palette.map(color => color.rgb), format);
+  }
+
+  const report = serializeAnalysisReport({ width: 2, height: 2, params: {}, palette, stats: null, timings: {} }, { name: 'test' });
+  const { analysis } = importPaletteFile('test_palette.json', bytes(report));
+  assert.deepEqual(analysis.palette.map(color => color.rgb), palette.map(color => color.rgb));
+
+  assert.equal(isImportableFile('Swatches.ASE'), true);
+  assert.equal(isImportableFile('palette.png'), false);
+  assert.throws(() => importPaletteFile('palette.png', new Uint8Array()), /Unsupported file type/);
+});
+
+test('invalid palette files are rejected', () => {
+  assert.throws(() => parseAse(bytes('not a swatch file')), /ASEF signature/);
+  assert.throws(() => parseGpl('Name: nothing'), /GIMP Palette/);
+  assert.throws(() => importPaletteFile('empty.gpl', bytes('GIMP Palette\nName: empty\n')), /No colors found/);
+});
@@ -0,0 +1,33 @@
+// test/pipeline.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeImage } from '../frontend/js/pipeline.js';
+
+// Solid RGBA image of the given size
+function solidImage (width, height, [r, g, b]) {
+  const pixelData = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < pixelData.length; i += 4) {
+    pixelData.set([r, g, b, 255], i);
+  }
+  return pixelData;
+}
+
+test('tiny images without superpixels still get a palette', () => {
+  for (const size of [1, 2, 4]) {
+    const result = analyzeImage(solidImage(size, size, [200, 40, 90]), size, size, { useSuperpixels: true });
+    assert.equal(result.palette.length, 1, `${size}x${size}`);
+    assert.deepEqual(result.palette[0].rgb, { r: 200, g: 40, b: 90 });
+  }
+});
+
+test('few superpixels still reach the target palette size', () => {
+  const width = 120;
+  const height = 80;
+  const pixelData = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const value = Math.round((i % width) / width * 255);
+    pixelData.set([value, value, value, 255], i * 4);
+  }
+  const result = analyzeImage(pixelData, width, height, { targetPaletteSize: 12, superpixelCount: 8 });
+  assert.equal(result.palette.length, 12);
+});
@@ -0,0 +1,37 @@
+// test/pipelineParams.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PIPELINE_PARAMS, sanitizeParams } from '../frontend/js/pipelineParams.js';
+import { decodeShareState } from '../frontend/js/shareState.js';
+
+// sanitizeParams warns about every value it replaces
+function quietly (fn) {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    console.warn = warn;
+  }
+}
+
+test('unknown choices from a shared link fall back to the base values', () => {
+  const { params } = decodeShareState('#v=1&distanceMetric=deltaE2001&clusteringSpace=hsv&alphaMode=blend&colorSpace=rec2020');
+  const base = { ...DEFAULT_PIPELINE_PARAMS, distanceMetric: 'oklab', clusteringSpace: 'lab', alphaMode: 'matte' };
+  const result = quietly(() => sanitizeParams(params, base));
+  assert.equal(result.distanceMetric, 'oklab');
+  assert.equal(result.clusteringSpace, 'lab');
+  assert.equal(result.alphaMode, 'matte');
+  assert.equal(result.colorSpace, DEFAULT_PIPELINE_PARAMS.colorSpace);
+});
+
+test('matte colors are normalized to #RRGGBB', () => {
+  assert.equal(sanitizeParams({ matteColor: 'fff' }).matteColor, '#FFFFFF');
+  assert.equal(sanitizeParams({ matteColor: '#ff0000' }).matteColor, '#FF0000');
+  assert.equal(quietly(() => sanitizeParams({ matteColor: 'red' })).matteColor, DEFAULT_PIPELINE_PARAMS.matteColor);
+});
+
+test('valid parameters pass unchanged', () => {
+  const params = { ...DEFAULT_PIPELINE_PARAMS, distanceMetric: 'deltaE2000', clusteringSpace: 'oklab', alphaMode: 'matte', matteColor: '#123ABC' };
+  assert.deepEqual(sanitizeParams(params), params);
+});
@@ -0,0 +1,49 @@
+// test/report.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { REPORT_SCHEMA_VERSION, buildAnalysisReport, serializeAnalysisReport, parseAnalysisReport } from '../frontend/js/report.js';
+import { DEFAULT_PIPELINE_PARAMS } from '../frontend/js/pipelineParams.js';
+
+const analysis = {
+  width: 10,
+  height: 10,
+  totalPixels: 100,
+  transparentShare: 0,
+  params: { ...DEFAULT_PIPELINE_PARAMS, colorSpace: 'display-p3' },
+  palette: [
+    { rgb: { r: 255, g: 0, b: 0 }, percentage: 0.6, isBackground: true, isHidden: false, locked: true, displayP3: { r: 234, g: 51, b: 35 }, outOfSrgb: true },
+    { rgb: { r: 20, g: 30, b: 40 }, percentage: 0.4, isBackground: false, isHidden: true, locked: false, name: 'ink' }
+  ],
+  stats: null,
+  timings: { total: 12 }
+};
+
+test('reports carry the schema version and the palette fields', () => {
+  const report = buildAnalysisReport(analysis, { name: 'photo' }, new Date(0));
+  assert.equal(report.schemaVersion, REPORT_SCHEMA_VERSION);
+  assert.equal(report.createdAt, '1970-01-01T00:00:00.000Z');
+  assert.equal(report.palette[0].hex, '#FF0000');
+  assert.equal(report.palette[0].percentage, 60);
+  assert.deepEqual(report.palette[0].displayP3, { r: 234, g: 51, b: 35 });
+  assert.equal(report.palette[1].displayP3, null);
+  assert.equal(report.palette[1].name, 'ink');
+});
+
+test('serialized reports parse back into the analysis', () => {
+  const { analysis: parsed, image } = parseAnalysisReport(JSON.parse(serializeAnalysisReport(analysis, { name: 'photo' })));
+  assert.equal(image.name, 'photo');
+  assert.equal(parsed.params.colorSpace, 'display-p3');
+  assert.deepEqual(parsed.palette.map(color => color.rgb), analysis.palette.map(color => color.rgb));
+  assert.deepEqual(parsed.palette.map(color => color.percentage), [0.6, 0.4]);
+  assert.equal(parsed.palette[0].isBackground, true);
+  assert.equal(parsed.palette[0].locked, true);
+  assert.equal(parsed.palette[0].outOfSrgb, true);
+  assert.deepEqual(parsed.palette[0].displayP3, { r: 234, g: 51, b: 35 });
+  assert.equal(parsed.palette[1].isHidden, true);
+  assert.equal('displayP3' in parsed.palette[1], false);
+});
+
+test('reports of another major version are rejected', () => {
+  assert.throws(() => parseAnalysisReport({ schemaVersion: '2.0.0', palette: [] }), /Unsupported report/);
+  assert.throws(() => parseAnalysisReport({ schemaVersion: REPORT_SCHEMA_VERSION }), /Unsupported report/);
+});
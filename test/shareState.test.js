@@ -0,0 +1,34 @@
+// test/shareState.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeShareState, decodeShareState } from '../frontend/js/shareState.js';
+import { DEFAULT_PIPELINE_PARAMS } from '../frontend/js/pipelineParams.js';
+
+test('default parameters without a palette share nothing', () => {
+  assert.equal(encodeShareState(DEFAULT_PIPELINE_PARAMS), '');
+  assert.equal(decodeShareState(''), null);
+  assert.equal(decodeShareState('#targetPaletteSize=16'), null);
+});
+
+test('changed parameters and the palette round trip', () => {
+  const params = { ...DEFAULT_PIPELINE_PARAMS, targetPaletteSize: 16, distanceMetric: 'deltaE2000', useSuperpixels: false };
+  const palette = [
+    { rgb: { r: 244, g: 239, b: 230 }, isBackground: true },
+    { rgb: { r: 43, g: 45, b: 66 } },
+    { rgb: { r: 217, g: 4, b: 41 }, isHidden: true, locked: true }
+  ];
+  const hash = encodeShareState(params, palette);
+  assert.equal(hash, '#v=1&targetPaletteSize=16&useSuperpixels=false&distanceMetric=deltaE2000&palette=F4EFE6b-2B2D42-D90429hl');
+
+  const state = decodeShareState(hash);
+  assert.deepEqual(state.params, { targetPaletteSize: 16, useSuperpixels: false, distanceMetric: 'deltaE2000' });
+  assert.deepEqual(state.palette.map(color => color.rgb), palette.map(color => color.rgb));
+  assert.deepEqual(state.palette.map(color => [color.isBackground, color.isHidden, color.locked]),
+    [[true, false, false], [false, false, false], [false, true, true]]);
+});
+
+test('malformed values and colors are skipped', () => {
+  const state = decodeShareState('#v=1&targetPaletteSize=many&useSuperpixels=maybe&palette=F4EFE6-nothex-123');
+  assert.deepEqual(state.params, {});
+  assert.equal(state.palette.length, 1);
+});
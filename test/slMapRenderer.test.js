@@ -0,0 +1,29 @@
+// test/slMapRenderer.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { computeSLMaps } from '../frontend/js/slMapRenderer.js';
+import { getQuantizerNames } from '../frontend/js/quantizers.js';
+
+// Transparent image with one opaque pixel every `step` pixels in both directions
+function sparseImage (width, height, step) {
+  const pixelData = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      pixelData.set([200, 30, 30, 255], (y * width + x) * 4);
+    }
+  }
+  return pixelData;
+}
+
+test('sparse transparent images do not crash the mosaic clustering', () => {
+  const pixelData = sparseImage(600, 600, 20);
+  for (const quantizer of getQuantizerNames()) {
+    const maps = computeSLMaps(pixelData, 600, 600, 16, quantizer);
+    assert.equal(maps.clustered.length, maps.mosaicWidth * maps.mosaicHeight * 4, quantizer);
+  }
+});
+
+test('fully transparent images give empty maps', () => {
+  const maps = computeSLMaps(new Uint8ClampedArray(40 * 40 * 4), 40, 40);
+  assert.ok(maps.clustered.every(value => value === 0));
+});